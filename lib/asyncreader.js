@@ -0,0 +1,382 @@
+/*!
+ * asyncreader.js - async buffer reader for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const {mixin} = require('./readermixin');
+const {OutOfBoundsError} = require('./error');
+const BufferReader = require('./reader');
+const ChunkedReader = require('./chunkedreader');
+
+/*
+ * Constants
+ */
+
+const CHUNK_SIZE = 64 << 10;
+
+/**
+ * Async Reader
+ * Reads from a readable stream (or any async iterable
+ * of buffers) or a file handle, pulling data in on
+ * demand. Chunks are kept until everything in them has
+ * been consumed and is no longer covered by a `start()`
+ * position, a mark or a checkpoint.
+ */
+
+class AsyncReader extends /** @type {any} */ (ChunkedReader) {
+  /**
+   * Create an async reader.
+   * @constructor
+   * @param {Object} source - Readable stream, async
+   * iterable or `fs.FileHandle`.
+   * @param {Boolean|Object} [options] - Zero copy flag, or
+   * options as for {@link ChunkedReader} plus `position`
+   * (the starting file position) and `chunkSize` (the file
+   * read size, 64 KiB by default).
+   */
+
+  constructor(source, options) {
+    super([], options);
+
+    enforce(source && typeof source === 'object', 'source', 'object');
+
+    this.source = source;
+    this.iter = null;
+    this.file = false;
+    this.position = 0;
+    this.chunkSize = CHUNK_SIZE;
+
+    if (typeof source.pipe !== 'function'
+        && typeof source.read === 'function'
+        && typeof source.stat === 'function') {
+      this.file = true;
+    } else {
+      enforce(typeof source[Symbol.asyncIterator] === 'function',
+              'source', 'stream');
+      this.iter = source[Symbol.asyncIterator]();
+    }
+
+    if (options != null && typeof options === 'object')
+      this.init(options);
+  }
+
+  /**
+   * Initialize options.
+   * @param {Object} options
+   * @returns {AsyncReader}
+   */
+
+  init(options) {
+    enforce(typeof options === 'object', 'options', 'object');
+
+    if (options.position != null) {
+      enforce(Number.isSafeInteger(options.position) && options.position >= 0,
+              'position', 'integer');
+      enforce(this.file, 'source', 'file handle');
+      this.position = options.position;
+    }
+
+    if (options.chunkSize != null) {
+      enforce((options.chunkSize >>> 0) === options.chunkSize
+              && options.chunkSize > 0,
+              'chunkSize', 'integer');
+      this.chunkSize = options.chunkSize;
+    }
+
+    return this;
+  }
+
+  /**
+   * Chunks cannot be appended to an async reader.
+   * @param {Buffer} chunk
+   * @returns {AsyncReader}
+   */
+
+  push(chunk) {
+    throw new Error('Cannot push to an async reader.');
+  }
+
+  /**
+   * Pull the next chunk from the source.
+   * @private
+   * @param {Number} size - Minimum desired size.
+   * @returns {Promise<Buffer|null>}
+   */
+
+  async pull(size) {
+    if (this.file) {
+      const length = Math.max(size, this.chunkSize);
+      const buf = bytes.alloc(length);
+      const {bytesRead} = await this.source.read(buf, 0, length,
+                                                 this.position);
+
+      if (bytesRead === 0)
+        return null;
+
+      this.position += bytesRead;
+
+      return bytes.slice(buf, 0, bytesRead);
+    }
+
+    for (;;) {
+      const {value, done} = await this.iter.next();
+
+      if (done)
+        return null;
+
+      enforce(bytes.isBytes(value), 'chunk', 'buffer');
+
+      if (value.length > 0)
+        return value;
+    }
+  }
+
+  /**
+   * Get the earliest position which must stay buffered.
+   * @private
+   * @returns {Number}
+   */
+
+  keep() {
+    let pos = this.offset;
+
+    for (const start of this.stack)
+      pos = Math.min(pos, start);
+
+    for (const cp of this.checkpoints)
+      pos = Math.min(pos, cp.offset);
+
+    for (const mark of this.marks.values())
+      pos = Math.min(pos, mark);
+
+    return pos;
+  }
+
+  /**
+   * Drop chunks which are no longer needed.
+   * @private
+   */
+
+  release() {
+    const {chunks, starts} = this;
+    const keep = this.keep();
+
+    let i = 0;
+
+    while (i < chunks.length && starts[i] + chunks[i].length <= keep)
+      i += 1;
+
+    if (i > 0) {
+      chunks.splice(0, i);
+      starts.splice(0, i);
+      this.index = 0;
+    }
+  }
+
+  /**
+   * Attempt to buffer at least `size` unread bytes.
+   * @param {Number} size
+   * @returns {Promise<Boolean>} False if the source ended first.
+   */
+
+  async more(size) {
+    if (this.offset + size <= this.size)
+      return true;
+
+    this.release();
+
+    while (this.offset + size > this.size) {
+      const chunk = await this.pull(this.offset + size - this.size);
+
+      if (!chunk)
+        return false;
+
+      super.push(chunk);
+    }
+
+    return true;
+  }
+
+  /**
+   * Ensure `size` unread bytes are buffered.
+   * @param {Number} size
+   * @returns {Promise}
+   */
+
+  async check(size) {
+    if (!await this.more(size)) {
+      throw new OutOfBoundsError(this.offset, 'Out of bounds read', {
+        expected: size,
+        actual: this.size - this.offset
+      }, this.check);
+    }
+  }
+
+  /**
+   * Consume `size` bytes, pointing `this.view` at a
+   * buffer which holds them contiguously.
+   * @protected
+   * @param {Number} size
+   * @returns {Promise<Number>} Offset of the bytes in `this.view`.
+   */
+
+  async take(size) {
+    await this.check(size);
+    return super.take(size);
+  }
+
+  /**
+   * Consume `size` bytes, leaving them buffered
+   * for {@link AsyncReader#slice}.
+   * @protected
+   * @param {Number} size
+   * @returns {Promise<Number>} Position of the first byte.
+   */
+
+  async advance(size) {
+    await this.check(size);
+    return super.advance(size);
+  }
+
+  /**
+   * Find the next NUL byte without consuming
+   * anything, buffering data as needed.
+   * @protected
+   * @param {Number} end - Position to stop scanning at.
+   * @returns {Promise<Number>} Position of the NUL byte,
+   * `end` if the scan reached it, or -1 if the source ended.
+   */
+
+  async scan(end) {
+    let pos = this.offset;
+
+    for (;;) {
+      const ret = super.scan(end, pos);
+
+      if (ret !== -1)
+        return ret;
+
+      pos = this.size;
+
+      if (!await this.more(pos - this.offset + 1))
+        return -1;
+    }
+  }
+
+  /**
+   * Get a contiguous buffer for a range of buffered data.
+   * @protected
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Boolean} zeroCopy
+   * @returns {Buffer}
+   * @throws if the data is no longer buffered.
+   */
+
+  slice(start, end, zeroCopy) {
+    const base = this.chunks.length > 0 ? this.starts[0] : this.size;
+
+    if (start < base && end > start)
+      throw new Error('Data is no longer buffered.');
+
+    return super.slice(start, end, zeroCopy);
+  }
+
+  /**
+   * Seek to a position to read from by offset. Negative
+   * offsets may only rewind over data still buffered.
+   * @param {Number} off - Offset (positive or negative).
+   * @returns {Promise<AsyncReader>}
+   */
+
+  async seek(off) {
+    enforce(Number.isSafeInteger(off), 'off', 'integer');
+
+    const base = this.chunks.length > 0 ? this.starts[0] : this.size;
+
+    if (this.offset + off < base)
+      throw new OutOfBoundsError(this.offset, 'Out of bounds read');
+
+    if (off > 0 && this.file
+        && this.offset + off > this.size
+        && this.keep() === this.offset) {
+      // Skip over the gap without reading it.
+      const pos = this.position + (this.offset + off - this.size);
+      const {size} = await this.source.stat();
+
+      if (pos > size)
+        throw new OutOfBoundsError(this.offset, 'Out of bounds read');
+
+      this.chunks = [];
+      this.starts = [];
+      this.index = 0;
+      this.position = pos;
+      this.offset += off;
+      this.size = this.offset;
+
+      return this;
+    }
+
+    if (off > 0)
+      await this.check(off);
+
+    this.offset += off;
+
+    return this;
+  }
+
+  /**
+   * Destroy the reader. Remove references to the
+   * source and any buffered data.
+   */
+
+  destroy() {
+    super.destroy();
+    this.source = null;
+    this.iter = null;
+    return this;
+  }
+
+  /**
+   * Read N bytes into memory and create a
+   * synchronous child reader over them.
+   * @param {Number} size
+   * @returns {Promise<BufferReader>}
+   */
+
+  async readChild(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    if (this.limits)
+      this.limits.checkDepth(this.offset, this.depth + 1);
+
+    // @ts-ignore
+    const data = await this.readBytes(size);
+    const br = new BufferReader(data, {
+      zeroCopy: this.zeroCopy,
+      limits: this.limits,
+      strict: this.strict
+    });
+
+    br.depth = this.depth + 1;
+
+    return br;
+  }
+}
+
+/*
+ * Reads
+ */
+
+mixin(AsyncReader, true);
+
+/*
+ * Expose
+ */
+
+module.exports = AsyncReader;
@@ -0,0 +1,153 @@
+/*!
+ * bitreader.js - bit reader for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const BufferReader = require('./reader');
+
+/**
+ * Bit Reader
+ * Reads sub-byte fields from a buffer reader. Bytes
+ * are pulled from the underlying reader one at a time,
+ * so byte-level reads may be interleaved with bit-level
+ * reads once the bit reader has been aligned.
+ */
+
+class BitReader {
+  /**
+   * Create a bit reader.
+   * @constructor
+   * @param {BufferReader|Buffer|Uint8Array} br
+   * @param {String} [order='msb'] - Bit order (`msb` or `lsb`).
+   */
+
+  constructor(br, order = 'msb') {
+    if (br instanceof Uint8Array)
+      br = new BufferReader(br);
+
+    enforce(br && typeof br.readU8 === 'function', 'br', 'reader');
+    enforce(order === 'msb' || order === 'lsb', 'order', 'bit order');
+
+    this.br = br;
+    this.lsb = order === 'lsb';
+    this.byte = 0;
+    this.left = 0;
+  }
+
+  /**
+   * Get number of bits left in the current byte.
+   * @returns {Number}
+   */
+
+  bitsLeft() {
+    return this.left;
+  }
+
+  /**
+   * Discard the remaining bits of the current byte.
+   * Byte-level reads may be done on the underlying
+   * reader after this.
+   * @returns {BitReader}
+   */
+
+  alignToByte() {
+    this.byte = 0;
+    this.left = 0;
+    return this;
+  }
+
+  /**
+   * Read a single bit.
+   * @returns {Number}
+   */
+
+  readBit() {
+    return this.readBits(1);
+  }
+
+  /**
+   * Read a single bit as a boolean.
+   * @returns {Boolean}
+   */
+
+  readBool() {
+    return this.readBits(1) === 1;
+  }
+
+  /**
+   * Read up to 53 bits.
+   * @param {Number} bits
+   * @returns {Number}
+   */
+
+  readBits(bits) {
+    enforce((bits >>> 0) === bits && bits <= 53, 'bits', 'integer <= 53');
+
+    let num = 0;
+    let mul = 1;
+
+    while (bits > 0) {
+      if (this.left === 0) {
+        this.byte = this.br.readU8();
+        this.left = 8;
+      }
+
+      const size = Math.min(bits, this.left);
+      const mask = (1 << size) - 1;
+
+      let ch;
+
+      if (this.lsb) {
+        ch = (this.byte >>> (8 - this.left)) & mask;
+        num += ch * mul;
+        mul *= 2 ** size;
+      } else {
+        ch = (this.byte >>> (this.left - size)) & mask;
+        num = num * 2 ** size + ch;
+      }
+
+      this.left -= size;
+      bits -= size;
+    }
+
+    return num;
+  }
+
+  /**
+   * Read an arbitrary number of bits as a bigint.
+   * @param {Number} bits
+   * @returns {BigInt}
+   */
+
+  readBigBits(bits) {
+    enforce((bits >>> 0) === bits, 'bits', 'integer');
+
+    let num = BigInt(0);
+    let shift = 0;
+
+    while (bits > 0) {
+      const size = Math.min(bits, 32);
+      const ch = BigInt(this.readBits(size));
+
+      if (this.lsb)
+        num |= ch << BigInt(shift);
+      else
+        num = (num << BigInt(size)) | ch;
+
+      shift += size;
+      bits -= size;
+    }
+
+    return num;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = BitReader;
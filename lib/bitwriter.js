@@ -0,0 +1,176 @@
+/*!
+ * bitwriter.js - bit writer for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const BufferWriter = require('./writer');
+
+/**
+ * Bit Writer
+ * Writes sub-byte fields to a buffer writer. A byte is
+ * handed to the underlying writer once it is full, so
+ * byte-level writes may be interleaved with bit-level
+ * writes once the bit writer has been aligned.
+ */
+
+class BitWriter {
+  /**
+   * Create a bit writer.
+   * @constructor
+   * @param {Object} [bw] - Buffer writer or static writer.
+   * @param {String} [order='msb'] - Bit order (`msb` or `lsb`).
+   */
+
+  constructor(bw, order = 'msb') {
+    if (bw == null)
+      bw = new BufferWriter();
+
+    enforce(typeof bw.writeU8 === 'function', 'bw', 'writer');
+    enforce(order === 'msb' || order === 'lsb', 'order', 'bit order');
+
+    this.bw = bw;
+    this.lsb = order === 'lsb';
+    this.byte = 0;
+    this.left = 8;
+  }
+
+  /**
+   * Get number of bits left in the current byte.
+   * @returns {Number}
+   */
+
+  bitsLeft() {
+    return this.left & 7;
+  }
+
+  /**
+   * Pad the current byte with zero bits and hand it
+   * to the underlying writer. Byte-level writes may
+   * be done on the underlying writer after this.
+   * @returns {BitWriter}
+   */
+
+  alignToByte() {
+    if (this.left !== 8) {
+      this.bw.writeU8(this.byte);
+      this.byte = 0;
+      this.left = 8;
+    }
+    return this;
+  }
+
+  /**
+   * Align and render the underlying writer.
+   * @returns {Buffer}
+   */
+
+  render() {
+    this.alignToByte();
+    return this.bw.render();
+  }
+
+  /**
+   * Write a single bit.
+   * @param {Number} bit
+   * @returns {BitWriter}
+   */
+
+  writeBit(bit) {
+    return this.writeBits(bit, 1);
+  }
+
+  /**
+   * Write a single bit from a boolean.
+   * @param {Boolean} value
+   * @returns {BitWriter}
+   */
+
+  writeBool(value) {
+    enforce(typeof value === 'boolean', 'value', 'boolean');
+    return this.writeBits(value ? 1 : 0, 1);
+  }
+
+  /**
+   * Write up to 53 bits.
+   * @param {Number} num
+   * @param {Number} bits
+   * @returns {BitWriter}
+   */
+
+  writeBits(num, bits) {
+    enforce((bits >>> 0) === bits && bits <= 53, 'bits', 'integer <= 53');
+    enforce(Number.isSafeInteger(num) && num >= 0 && num < 2 ** bits,
+            'num', `${bits} bit integer`);
+
+    while (bits > 0) {
+      const size = Math.min(bits, this.left);
+
+      let ch;
+
+      if (this.lsb) {
+        ch = num % 2 ** size;
+        num = (num - ch) / 2 ** size;
+        this.byte |= ch << (8 - this.left);
+      } else {
+        const div = 2 ** (bits - size);
+
+        ch = Math.floor(num / div);
+        num -= ch * div;
+        this.byte |= ch << (this.left - size);
+      }
+
+      this.left -= size;
+      bits -= size;
+
+      if (this.left === 0)
+        this.alignToByte();
+    }
+
+    return this;
+  }
+
+  /**
+   * Write an arbitrary number of bits from a bigint.
+   * @param {BigInt} num
+   * @param {Number} bits
+   * @returns {BitWriter}
+   */
+
+  writeBigBits(num, bits) {
+    enforce((bits >>> 0) === bits, 'bits', 'integer');
+    enforce(typeof num === 'bigint'
+            && BigInt.asUintN(bits, num) === num,
+            'num', `${bits} bit integer`);
+
+    let shift = this.lsb ? 0 : bits;
+
+    while (bits > 0) {
+      const size = Math.min(bits, 32);
+
+      if (!this.lsb)
+        shift -= size;
+
+      // @ts-ignore
+      const ch = BigInt.asUintN(size, num >> BigInt(shift));
+
+      if (this.lsb)
+        shift += size;
+
+      this.writeBits(Number(ch), size);
+
+      bits -= size;
+    }
+
+    return this;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = BitWriter;
@@ -8,29 +8,69 @@
 
 const custom = require('./custom');
 const encoding = require('./encoding');
+const bytes = require('./bytes');
+const checksum = require('./checksum');
 const enforce = require('./enforce');
-const EncodingError = require('./error');
+const errors = require('./error');
+const {OutOfBoundsError} = errors;
+const Limits = require('./limits');
 const BufferReader = require('./reader');
+const ChunkedReader = require('./chunkedreader');
+const AsyncReader = require('./asyncreader');
+const FileReader = require('./filereader');
 const BufferWriter = require('./writer');
 const StaticWriter = require('./staticwriter');
+const BitReader = require('./bitreader');
+const BitWriter = require('./bitwriter');
+const DERReader = require('./derreader');
+const DERWriter = require('./derwriter');
+const der = require('./der');
+const ProtoReader = require('./protoreader');
+const ProtoWriter = require('./protowriter');
+const proto = require('./proto');
+const cbor = require('./cbor');
+const msgpack = require('./msgpack');
 const Struct = require('./struct');
+const dump = require('./dump');
 
 exports.custom = custom;
 exports.encoding = encoding;
-exports.EncodingError = EncodingError;
+exports.EncodingError = errors.EncodingError;
+exports.OutOfBoundsError = errors.OutOfBoundsError;
+exports.NonCanonicalError = errors.NonCanonicalError;
+exports.ChecksumError = errors.ChecksumError;
+exports.LimitError = errors.LimitError;
+exports.TrailingDataError = errors.TrailingDataError;
+exports.Limits = Limits;
 exports.BufferReader = BufferReader;
+exports.ChunkedReader = ChunkedReader;
+exports.AsyncReader = AsyncReader;
+exports.FileReader = FileReader;
 exports.BufferWriter = BufferWriter;
 exports.StaticWriter = StaticWriter;
+exports.BitReader = BitReader;
+exports.BitWriter = BitWriter;
+exports.DERReader = DERReader;
+exports.DERWriter = DERWriter;
+exports.der = der;
+exports.ProtoReader = ProtoReader;
+exports.ProtoWriter = ProtoWriter;
+exports.proto = proto;
+exports.cbor = cbor;
+exports.msgpack = msgpack;
 exports.Struct = Struct;
+exports.dump = dump;
 
 /**
- * @param {Buffer} data
- * @param {Boolean} [zeroCopy]
- * @returns {BufferReader}
+ * @param {Buffer|Buffer[]} data
+ * @param {Boolean|Object} [options]
+ * @returns {BufferReader|ChunkedReader}
  */
 
-exports.read = function read(data, zeroCopy) {
-  return new BufferReader(data, zeroCopy);
+exports.read = function read(data, options) {
+  return Array.isArray(data)
+    ? new ChunkedReader(data, options)
+    : new BufferReader(data, options);
 };
 
 /**
@@ -55,11 +95,11 @@ exports.pool = function pool(size) {
 
 function _read(func, size) {
   return function(data, off) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    enforce(bytes.isBytes(data), 'data', 'buffer');
     enforce((off >>> 0) === off, 'off', 'integer');
 
     if (off + size > data.length)
-      throw new EncodingError(off, 'Out of bounds read');
+      throw new OutOfBoundsError(off, 'Out of bounds read');
 
     return func(data, off);
   };
@@ -67,32 +107,32 @@ function _read(func, size) {
 
 function _readn(func) {
   return function(data, off, len) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    enforce(bytes.isBytes(data), 'data', 'buffer');
     enforce((off >>> 0) === off, 'off', 'integer');
     enforce((len >>> 0) === len, 'len', 'integer');
 
     if (off + len > data.length)
-      throw new EncodingError(off, 'Out of bounds read');
+      throw new OutOfBoundsError(off, 'Out of bounds read');
 
     return func(data, off, len);
   };
 }
 
 function _readvar(func) {
-  return function(data, off) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+  return function(data, off, ...args) {
+    enforce(bytes.isBytes(data), 'data', 'buffer');
     enforce((off >>> 0) === off, 'off', 'integer');
-    return func(data, off);
+    return func(data, off, ...args);
   };
 }
 
 function _write(func, size) {
   return function(data, num, off) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    enforce(bytes.isBytes(data), 'data', 'buffer');
     enforce((off >>> 0) === off, 'off', 'integer');
 
     if (off + size > data.length)
-      throw new EncodingError(off, 'Out of bounds write');
+      throw new OutOfBoundsError(off, 'Out of bounds write');
 
     return func(data, num, off);
   };
@@ -100,12 +140,12 @@ function _write(func, size) {
 
 function _writen(func) {
   return function(data, num, off, len) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    enforce(bytes.isBytes(data), 'data', 'buffer');
     enforce((off >>> 0) === off, 'off', 'integer');
     enforce((len >>> 0) === len, 'len', 'integer');
 
     if (off + len > data.length)
-      throw new EncodingError(off, 'Out of bounds write');
+      throw new OutOfBoundsError(off, 'Out of bounds write');
 
     return func(data, num, off, len);
   };
@@ -113,17 +153,18 @@ function _writen(func) {
 
 function _writecb(func, size) {
   return function(data, num, off) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    enforce(bytes.isBytes(data), 'data', 'buffer');
     enforce((off >>> 0) === off, 'off', 'integer');
 
     if (off + size(num) > data.length)
-      throw new EncodingError(off, 'Out of bounds write');
+      throw new OutOfBoundsError(off, 'Out of bounds write');
 
     return func(data, num, off);
   };
 }
 
 exports.readU = _readn(encoding.readU);
+exports.readBigU = _readn(encoding.readBigU);
 exports.readBigU256 = _read(encoding.readBigU256, 32);
 exports.readBigU128 = _read(encoding.readBigU128, 16);
 exports.readBigU64 = _read(encoding.readBigU64, 8);
@@ -138,6 +179,7 @@ exports.readU16 = _read(encoding.readU16, 2);
 exports.readU8 = _read(encoding.readU8, 1);
 
 exports.readUBE = _readn(encoding.readUBE);
+exports.readBigUBE = _readn(encoding.readBigUBE);
 exports.readBigU256BE = _read(encoding.readBigU256BE, 32);
 exports.readBigU128BE = _read(encoding.readBigU128BE, 16);
 exports.readBigU64BE = _read(encoding.readBigU64BE, 8);
@@ -151,6 +193,9 @@ exports.readU24BE = _read(encoding.readU24BE, 3);
 exports.readU16BE = _read(encoding.readU16BE, 2);
 
 exports.readI = _readn(encoding.readI);
+exports.readBigI = _readn(encoding.readBigI);
+exports.readBigI256 = _read(encoding.readBigI256, 32);
+exports.readBigI128 = _read(encoding.readBigI128, 16);
 exports.readBigI64 = _read(encoding.readBigI64, 8);
 exports.readBigI56 = _read(encoding.readBigI56, 7);
 exports.readI64 = _read(encoding.readI64, 8);
@@ -163,6 +208,9 @@ exports.readI16 = _read(encoding.readI16, 2);
 exports.readI8 = _read(encoding.readI8, 1);
 
 exports.readIBE = _readn(encoding.readIBE);
+exports.readBigIBE = _readn(encoding.readBigIBE);
+exports.readBigI256BE = _read(encoding.readBigI256BE, 32);
+exports.readBigI128BE = _read(encoding.readBigI128BE, 16);
 exports.readBigI64BE = _read(encoding.readBigI64BE, 8);
 exports.readBigI56BE = _read(encoding.readBigI56BE, 7);
 exports.readI64BE = _read(encoding.readI64BE, 8);
@@ -177,8 +225,13 @@ exports.readFloat = _read(encoding.readFloat, 4);
 exports.readFloatBE = _read(encoding.readFloatBE, 4);
 exports.readDouble = _read(encoding.readDouble, 8);
 exports.readDoubleBE = _read(encoding.readDoubleBE, 8);
+exports.readFloat16 = _read(encoding.readFloat16, 2);
+exports.readFloat16BE = _read(encoding.readFloat16BE, 2);
+exports.readBFloat16 = _read(encoding.readBFloat16, 2);
+exports.readBFloat16BE = _read(encoding.readBFloat16BE, 2);
 
 exports.writeU = _writen(encoding.writeU);
+exports.writeBigU = _writen(encoding.writeBigU);
 exports.writeBigU256 = _write(encoding.writeBigU256, 32);
 exports.writeBigU128 = _write(encoding.writeBigU128, 16);
 exports.writeBigU64 = _write(encoding.writeBigU64, 8);
@@ -193,6 +246,7 @@ exports.writeU16 = _write(encoding.writeU16, 2);
 exports.writeU8 = _write(encoding.writeU8, 1);
 
 exports.writeUBE = _writen(encoding.writeUBE);
+exports.writeBigUBE = _writen(encoding.writeBigUBE);
 exports.writeBigU256BE = _write(encoding.writeBigU256BE, 32);
 exports.writeBigU128BE = _write(encoding.writeBigU128BE, 16);
 exports.writeBigU64BE = _write(encoding.writeBigU64BE, 8);
@@ -206,6 +260,9 @@ exports.writeU24BE = _write(encoding.writeU24BE, 3);
 exports.writeU16BE = _write(encoding.writeU16BE, 2);
 
 exports.writeI = _writen(encoding.writeI);
+exports.writeBigI = _writen(encoding.writeBigI);
+exports.writeBigI256 = _write(encoding.writeBigI256, 32);
+exports.writeBigI128 = _write(encoding.writeBigI128, 16);
 exports.writeBigI64 = _write(encoding.writeBigI64, 8);
 exports.writeBigI56 = _write(encoding.writeBigI56, 7);
 exports.writeI64 = _write(encoding.writeI64, 8);
@@ -218,6 +275,9 @@ exports.writeI16 = _write(encoding.writeI16, 2);
 exports.writeI8 = _write(encoding.writeI8, 1);
 
 exports.writeIBE = _writen(encoding.writeIBE);
+exports.writeBigIBE = _writen(encoding.writeBigIBE);
+exports.writeBigI256BE = _write(encoding.writeBigI256BE, 32);
+exports.writeBigI128BE = _write(encoding.writeBigI128BE, 16);
 exports.writeBigI64BE = _write(encoding.writeBigI64BE, 8);
 exports.writeBigI56BE = _write(encoding.writeBigI56BE, 7);
 exports.writeI64BE = _write(encoding.writeI64BE, 8);
@@ -232,6 +292,10 @@ exports.writeFloat = _write(encoding.writeFloat, 4);
 exports.writeFloatBE = _write(encoding.writeFloatBE, 4);
 exports.writeDouble = _write(encoding.writeDouble, 8);
 exports.writeDoubleBE = _write(encoding.writeDoubleBE, 8);
+exports.writeFloat16 = _write(encoding.writeFloat16, 2);
+exports.writeFloat16BE = _write(encoding.writeFloat16BE, 2);
+exports.writeBFloat16 = _write(encoding.writeBFloat16, 2);
+exports.writeBFloat16BE = _write(encoding.writeBFloat16BE, 2);
 
 exports.readVarint = _readvar(encoding.readVarint);
 exports.writeVarint = _writecb(encoding.writeVarint, encoding.sizeVarint);
@@ -239,12 +303,47 @@ exports.sizeVarint = encoding.sizeVarint;
 exports.readVarint2 = _readvar(encoding.readVarint2);
 exports.writeVarint2 = _writecb(encoding.writeVarint2, encoding.sizeVarint2);
 exports.sizeVarint2 = encoding.sizeVarint2;
+exports.readBigVarint = _readvar(encoding.readBigVarint);
+exports.writeBigVarint = _writecb(encoding.writeBigVarint,
+                                  encoding.sizeBigVarint);
+exports.sizeBigVarint = encoding.sizeBigVarint;
+exports.readBigVarint2 = _readvar(encoding.readBigVarint2);
+exports.writeBigVarint2 = _writecb(encoding.writeBigVarint2,
+                                   encoding.sizeBigVarint2);
+exports.sizeBigVarint2 = encoding.sizeBigVarint2;
+exports.readULEB128 = _readvar(encoding.readULEB128);
+exports.writeULEB128 = _writecb(encoding.writeULEB128, encoding.sizeULEB128);
+exports.sizeULEB128 = encoding.sizeULEB128;
+exports.readSLEB128 = _readvar(encoding.readSLEB128);
+exports.writeSLEB128 = _writecb(encoding.writeSLEB128, encoding.sizeSLEB128);
+exports.sizeSLEB128 = encoding.sizeSLEB128;
+exports.readZigZag = _readvar(encoding.readZigZag);
+exports.writeZigZag = _writecb(encoding.writeZigZag, encoding.sizeZigZag);
+exports.sizeZigZag = encoding.sizeZigZag;
+exports.readBigULEB128 = _readvar(encoding.readBigULEB128);
+exports.writeBigULEB128 = _writecb(encoding.writeBigULEB128,
+                                   encoding.sizeBigULEB128);
+exports.sizeBigULEB128 = encoding.sizeBigULEB128;
+exports.readBigSLEB128 = _readvar(encoding.readBigSLEB128);
+exports.writeBigSLEB128 = _writecb(encoding.writeBigSLEB128,
+                                   encoding.sizeBigSLEB128);
+exports.sizeBigSLEB128 = encoding.sizeBigSLEB128;
+exports.readBigZigZag = _readvar(encoding.readBigZigZag);
+exports.writeBigZigZag = _writecb(encoding.writeBigZigZag,
+                                  encoding.sizeBigZigZag);
+exports.sizeBigZigZag = encoding.sizeBigZigZag;
+exports.readScriptNum = _readvar(encoding.readScriptNum);
+exports.writeScriptNum = _writecb(encoding.writeScriptNum,
+                                  encoding.sizeScriptNum);
+exports.sizeScriptNum = encoding.sizeScriptNum;
 
 exports.sliceBytes = encoding.sliceBytes;
 exports.readBytes = encoding.readBytes;
 exports.writeBytes = encoding.writeBytes;
 exports.readString = encoding.readString;
 exports.writeString = encoding.writeString;
+exports.readHash = encoding.readHash;
+exports.writeHash = encoding.writeHash;
 
 exports.realloc = encoding.realloc;
 exports.copy = encoding.copy;
@@ -253,3 +352,11 @@ exports.concat = encoding.concat;
 exports.sizeVarBytes = encoding.sizeVarBytes;
 exports.sizeVarlen = encoding.sizeVarlen;
 exports.sizeVarString = encoding.sizeVarString;
+exports.sizeArray = encoding.sizeArray;
+exports.sizeMap = encoding.sizeMap;
+exports.formatAmount = encoding.formatAmount;
+exports.parseAmount = encoding.parseAmount;
+
+exports.crc32 = checksum.crc32;
+exports.crc32c = checksum.crc32c;
+exports.adler32 = checksum.adler32;
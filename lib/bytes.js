@@ -0,0 +1,511 @@
+/*!
+ * bytes.js - byte array helpers for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+
+/*
+ * Constants
+ */
+
+const HAS_BUFFER = typeof Buffer === 'function'
+                && typeof Buffer.allocUnsafeSlow === 'function';
+
+const BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const BASE64_TABLE = (() => {
+  const table = new Int8Array(0x80).fill(-1);
+
+  for (let i = 0; i < BASE64.length; i++)
+    table[BASE64.charCodeAt(i)] = i;
+
+  // URL-safe alphabet.
+  table[0x2d] = 62;
+  table[0x5f] = 63;
+
+  return table;
+})();
+
+let textEncoder = null;
+let textDecoder = null;
+
+/*
+ * Bytes
+ */
+
+/**
+ * Test whether an object is a byte array
+ * (a `Buffer` or a `Uint8Array`).
+ * @param {*} data
+ * @returns {Boolean}
+ */
+
+function isBytes(data) {
+  return data instanceof Uint8Array;
+}
+
+/**
+ * Test whether an object is a node.js buffer.
+ * @param {*} data
+ * @returns {Boolean}
+ */
+
+function isBuffer(data) {
+  return HAS_BUFFER && Buffer.isBuffer(data);
+}
+
+/**
+ * Normalize a byte array, `ArrayBuffer` or
+ * `ArrayBufferView` to a byte array without copying.
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} data
+ * @param {String} [name='data']
+ * @returns {Buffer}
+ */
+
+function from(data, name = 'data') {
+  if (data instanceof Uint8Array)
+    return /** @type {Buffer} */ (data);
+
+  if (data instanceof ArrayBuffer)
+    return /** @type {Buffer} */ (new Uint8Array(data));
+
+  enforce(ArrayBuffer.isView(data), name, 'buffer');
+
+  return /** @type {Buffer} */ (new Uint8Array(data.buffer,
+                                               data.byteOffset,
+                                               data.byteLength));
+}
+
+/**
+ * Allocate an uninitialized byte array. A node.js buffer is
+ * returned if available, unless `like` is a plain `Uint8Array`.
+ * @param {Number} size
+ * @param {Uint8Array} [like]
+ * @returns {Buffer}
+ */
+
+function alloc(size, like) {
+  if (HAS_BUFFER && (like == null || Buffer.isBuffer(like)))
+    return Buffer.allocUnsafeSlow(size);
+
+  return /** @type {Buffer} */ (new Uint8Array(size));
+}
+
+/**
+ * Slice a byte array without copying.
+ * @param {Uint8Array} data
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {Buffer}
+ */
+
+function slice(data, start, end) {
+  return /** @type {Buffer} */ (data.subarray(start, end));
+}
+
+/**
+ * Copy a range of bytes into a newly allocated
+ * byte array of the same type.
+ * @param {Uint8Array} data
+ * @param {Number} [start=0]
+ * @param {Number} [end=data.length]
+ * @returns {Buffer}
+ */
+
+function clone(data, start = 0, end = data.length) {
+  const ret = alloc(end - start, data);
+  ret.set(data.subarray(start, end), 0);
+  return ret;
+}
+
+/**
+ * Copy bytes from one array to another.
+ * @param {Uint8Array} src
+ * @param {Uint8Array} dst
+ * @param {Number} off - Offset in `dst`.
+ * @param {Number} [start=0]
+ * @param {Number} [end=src.length]
+ * @returns {Number} Bytes copied.
+ */
+
+function copy(src, dst, off, start = 0, end = src.length) {
+  const data = src.subarray(start, end);
+  dst.set(data, off);
+  return data.length;
+}
+
+/**
+ * Compare two byte arrays lexicographically.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Number}
+ */
+
+function compare(a, b) {
+  const len = Math.min(a.length, b.length);
+
+  for (let i = 0; i < len; i++) {
+    if (a[i] !== b[i])
+      return a[i] < b[i] ? -1 : 1;
+  }
+
+  if (a.length !== b.length)
+    return a.length < b.length ? -1 : 1;
+
+  return 0;
+}
+
+/**
+ * Test whether a range of bytes is valid UTF-8. Overlong
+ * encodings, surrogates and code points above U+10FFFF
+ * are rejected.
+ * @param {Uint8Array} data
+ * @param {Number} [start=0]
+ * @param {Number} [end=data.length]
+ * @returns {Boolean}
+ */
+
+function isUTF8(data, start = 0, end = data.length) {
+  let i = start;
+
+  while (i < end) {
+    const ch = data[i];
+
+    if (ch < 0x80) {
+      i += 1;
+      continue;
+    }
+
+    let size, min;
+
+    if ((ch & 0xe0) === 0xc0) {
+      size = 2;
+      min = 0x80;
+    } else if ((ch & 0xf0) === 0xe0) {
+      size = 3;
+      min = 0x800;
+    } else if ((ch & 0xf8) === 0xf0) {
+      size = 4;
+      min = 0x10000;
+    } else {
+      return false;
+    }
+
+    if (i + size > end)
+      return false;
+
+    let code = ch & (0x7f >>> size);
+
+    for (let j = 1; j < size; j++) {
+      const next = data[i + j];
+
+      if ((next & 0xc0) !== 0x80)
+        return false;
+
+      code = (code << 6) | (next & 0x3f);
+    }
+
+    if (code < min || code > 0x10ffff)
+      return false;
+
+    if (code >= 0xd800 && code <= 0xdfff)
+      return false;
+
+    i += size;
+  }
+
+  return true;
+}
+
+/**
+ * Decode a string from a range of bytes.
+ * @param {Uint8Array} data
+ * @param {String} enc
+ * @param {Number} [start=0]
+ * @param {Number} [end=data.length]
+ * @returns {String}
+ */
+
+function toString(data, enc, start = 0, end = data.length) {
+  if (isBuffer(data))
+    // @ts-ignore
+    return data.toString(enc, start, end);
+
+  data = data.subarray(start, end);
+
+  switch (enc) {
+    case 'hex': {
+      let str = '';
+
+      for (let i = 0; i < data.length; i++)
+        str += (data[i] >>> 4).toString(16) + (data[i] & 15).toString(16);
+
+      return str;
+    }
+
+    case 'utf8':
+    case 'utf-8': {
+      if (!textDecoder) {
+        // @ts-ignore
+        textDecoder = new TextDecoder();
+      }
+
+      return textDecoder.decode(data);
+    }
+
+    case 'ascii':
+    case 'binary':
+    case 'latin1': {
+      const mask = enc === 'ascii' ? 0x7f : 0xff;
+
+      let str = '';
+
+      for (let i = 0; i < data.length; i++)
+        str += String.fromCharCode(data[i] & mask);
+
+      return str;
+    }
+
+    case 'ucs2':
+    case 'ucs-2':
+    case 'utf16le':
+    case 'utf-16le': {
+      let str = '';
+
+      for (let i = 0; i + 1 < data.length; i += 2)
+        str += String.fromCharCode(data[i] | (data[i + 1] << 8));
+
+      return str;
+    }
+
+    case 'base64':
+      return encode64(data);
+  }
+
+  throw new TypeError(`Unknown encoding: ${enc}`);
+}
+
+/**
+ * Encode a string to bytes.
+ * @param {String} str
+ * @param {String} enc
+ * @returns {Buffer}
+ */
+
+function fromString(str, enc) {
+  if (HAS_BUFFER)
+    // @ts-ignore
+    return Buffer.from(str, enc);
+
+  switch (enc) {
+    case 'hex': {
+      const size = str.length >>> 1;
+      const data = new Uint8Array(size);
+
+      for (let i = 0; i < size; i++) {
+        const hi = parseHex(str.charCodeAt(i * 2));
+        const lo = parseHex(str.charCodeAt(i * 2 + 1));
+
+        // Stop at the first invalid character, like node.js.
+        if (hi === -1 || lo === -1)
+          return /** @type {Buffer} */ (data.subarray(0, i));
+
+        data[i] = (hi << 4) | lo;
+      }
+
+      return /** @type {Buffer} */ (data);
+    }
+
+    case 'utf8':
+    case 'utf-8': {
+      if (!textEncoder) {
+        // @ts-ignore
+        textEncoder = new TextEncoder();
+      }
+
+      return /** @type {Buffer} */ (textEncoder.encode(str));
+    }
+
+    case 'ascii':
+    case 'binary':
+    case 'latin1': {
+      const data = new Uint8Array(str.length);
+
+      for (let i = 0; i < str.length; i++)
+        data[i] = str.charCodeAt(i);
+
+      return /** @type {Buffer} */ (data);
+    }
+
+    case 'ucs2':
+    case 'ucs-2':
+    case 'utf16le':
+    case 'utf-16le': {
+      const data = new Uint8Array(str.length * 2);
+
+      for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        data[i * 2] = ch & 0xff;
+        data[i * 2 + 1] = ch >>> 8;
+      }
+
+      return /** @type {Buffer} */ (data);
+    }
+
+    case 'base64':
+      return decode64(str);
+  }
+
+  throw new TypeError(`Unknown encoding: ${enc}`);
+}
+
+/**
+ * Calculate the encoded size of a string.
+ * @param {String} str
+ * @param {String} enc
+ * @returns {Number}
+ */
+
+function byteLength(str, enc) {
+  if (HAS_BUFFER)
+    // @ts-ignore
+    return Buffer.byteLength(str, enc);
+
+  switch (enc) {
+    case 'ascii':
+    case 'binary':
+    case 'latin1':
+      return str.length;
+    case 'ucs2':
+    case 'ucs-2':
+    case 'utf16le':
+    case 'utf-16le':
+      return str.length * 2;
+  }
+
+  return fromString(str, enc).length;
+}
+
+/**
+ * Write a string to a byte array.
+ * @param {Uint8Array} data
+ * @param {String} str
+ * @param {Number} off
+ * @param {String} enc
+ * @returns {Number} Bytes written.
+ */
+
+function write(data, str, off, enc) {
+  if (isBuffer(data))
+    // @ts-ignore
+    return data.write(str, off, enc);
+
+  const raw = fromString(str, enc);
+  const size = Math.min(raw.length, data.length - off);
+
+  data.set(raw.subarray(0, size), off);
+
+  return size;
+}
+
+/*
+ * Helpers
+ */
+
+function parseHex(ch) {
+  if (ch >= 0x30 && ch <= 0x39)
+    return ch - 0x30;
+
+  ch |= 0x20;
+
+  if (ch >= 0x61 && ch <= 0x66)
+    return ch - 0x61 + 10;
+
+  return -1;
+}
+
+function encode64(data) {
+  let str = '';
+  let i = 0;
+
+  for (; i + 2 < data.length; i += 3) {
+    const n = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+
+    str += BASE64[n >>> 18]
+         + BASE64[(n >>> 12) & 63]
+         + BASE64[(n >>> 6) & 63]
+         + BASE64[n & 63];
+  }
+
+  const left = data.length - i;
+
+  if (left === 1) {
+    const n = data[i] << 16;
+
+    str += BASE64[n >>> 18] + BASE64[(n >>> 12) & 63] + '==';
+  } else if (left === 2) {
+    const n = (data[i] << 16) | (data[i + 1] << 8);
+
+    str += BASE64[n >>> 18]
+         + BASE64[(n >>> 12) & 63]
+         + BASE64[(n >>> 6) & 63]
+         + '=';
+  }
+
+  return str;
+}
+
+function decode64(str) {
+  const data = new Uint8Array((str.length * 3) >>> 2);
+
+  let size = 0;
+  let acc = 0;
+  let bits = 0;
+
+  // Skip invalid characters, like node.js.
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+
+    if (ch === 0x3d)
+      break;
+
+    const n = ch < 0x80 ? BASE64_TABLE[ch] : -1;
+
+    if (n === -1)
+      continue;
+
+    acc = ((acc << 6) | n) & 0xffff;
+    bits += 6;
+
+    if (bits >= 8) {
+      bits -= 8;
+      data[size++] = (acc >>> bits) & 0xff;
+    }
+  }
+
+  return /** @type {Buffer} */ (data.subarray(0, size));
+}
+
+/*
+ * Expose
+ */
+
+exports.HAS_BUFFER = HAS_BUFFER;
+exports.isBytes = isBytes;
+exports.isBuffer = isBuffer;
+exports.from = from;
+exports.alloc = alloc;
+exports.slice = slice;
+exports.clone = clone;
+exports.copy = copy;
+exports.compare = compare;
+exports.isUTF8 = isUTF8;
+exports.toString = toString;
+exports.fromString = fromString;
+exports.byteLength = byteLength;
+exports.write = write;
@@ -0,0 +1,627 @@
+/*!
+ * cbor.js - cbor encoding for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const encoding = require('./encoding');
+const bytes = require('./bytes');
+const BufferReader = require('./reader');
+const BufferWriter = require('./writer');
+const itemreader = require('./itemreader');
+const {
+  EncodingError,
+  NonCanonicalError,
+  OutOfBoundsError
+} = require('./error');
+
+/*
+ * Constants
+ */
+
+const UINT = 0;
+const NEGINT = 1;
+const BYTES = 2;
+const TEXT = 3;
+const ARRAY = 4;
+const MAP = 5;
+const TAG = 6;
+const SIMPLE = 7;
+
+const INDEFINITE = -1;
+const BREAK = Symbol('break');
+
+const {MAX_DEPTH} = itemreader;
+
+const {MAX_SAFE_INTEGER} = Number;
+
+/**
+ * Tag
+ * A tagged data item.
+ */
+
+class Tag {
+  /**
+   * Create a tagged item.
+   * @constructor
+   * @param {Number|BigInt} tag
+   * @param {*} value
+   */
+
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+/**
+ * Simple
+ * A simple value with no JS equivalent.
+ */
+
+class Simple {
+  /**
+   * Create a simple value.
+   * @constructor
+   * @param {Number} value
+   */
+
+  constructor(value) {
+    enforce((value & 0xff) === value && (value < 20 || value > 31),
+            'value', 'simple value');
+
+    this.value = value;
+  }
+}
+
+/*
+ * Encoding
+ */
+
+/**
+ * Encode a value as CBOR. Integers are written as
+ * major types 0 and 1 (or as bignums), other numbers
+ * as the shortest float which preserves them, byte
+ * arrays as byte strings, and Maps and plain objects
+ * as maps. In canonical mode, map keys are sorted by
+ * their encoding (RFC 8949, section 4.2.1).
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {Boolean} [options.canonical=false]
+ * @returns {Buffer}
+ */
+
+function encode(value, options) {
+  const bw = new BufferWriter();
+  write(bw, value, options);
+  return bw.render();
+}
+
+/**
+ * Write a CBOR value to a buffer writer.
+ * @param {Object} bw - Buffer writer or static writer.
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {Boolean} [options.canonical=false]
+ * @returns {Object} The writer.
+ */
+
+function write(bw, value, options) {
+  enforce(bw && typeof bw.writeU8 === 'function', 'bw', 'writer');
+
+  writeItem(bw, value, parseCanonical(options), 0);
+
+  return bw;
+}
+
+function writeItem(bw, value, canonical, depth) {
+  enforce(depth <= MAX_DEPTH, 'value', 'acyclic object');
+
+  switch (typeof value) {
+    case 'boolean':
+      bw.writeU8(value ? 0xf5 : 0xf4);
+      return;
+    case 'undefined':
+      bw.writeU8(0xf7);
+      return;
+    case 'number':
+      writeNumber(bw, value);
+      return;
+    case 'bigint':
+      writeBigInt(bw, value, canonical, depth);
+      return;
+    case 'string':
+      writeHead(bw, TEXT, bytes.byteLength(value, 'utf8'));
+      bw.writeString(value, 'utf8');
+      return;
+  }
+
+  if (value === null) {
+    bw.writeU8(0xf6);
+    return;
+  }
+
+  if (bytes.isBytes(value)) {
+    writeHead(bw, BYTES, value.length);
+    bw.writeBytes(value);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    writeHead(bw, ARRAY, value.length);
+
+    for (const item of value)
+      writeItem(bw, item, canonical, depth + 1);
+
+    return;
+  }
+
+  if (value instanceof Tag) {
+    writeHead(bw, TAG, toInteger(value.tag, 'tag'));
+    writeItem(bw, value.value, canonical, depth + 1);
+    return;
+  }
+
+  if (value instanceof Simple) {
+    if (value.value < 24) {
+      bw.writeU8(0xe0 | value.value);
+    } else {
+      bw.writeU8(0xf8);
+      bw.writeU8(value.value);
+    }
+    return;
+  }
+
+  enforce(typeof value === 'object', 'value', 'cbor value');
+
+  const entries = value instanceof Map
+    ? Array.from(value)
+    : Object.keys(value).map(key => [key, value[key]]);
+
+  writeHead(bw, MAP, entries.length);
+
+  if (!canonical) {
+    for (const [key, item] of entries) {
+      writeItem(bw, key, canonical, depth + 1);
+      writeItem(bw, item, canonical, depth + 1);
+    }
+    return;
+  }
+
+  const keys = entries.map(([key, item]) => {
+    const kw = new BufferWriter();
+    writeItem(kw, key, canonical, depth + 1);
+    return [kw.render(), item];
+  });
+
+  keys.sort((a, b) => bytes.compare(a[0], b[0]));
+
+  for (let i = 0; i < keys.length; i++) {
+    const [key, item] = keys[i];
+
+    enforce(i === 0 || bytes.compare(keys[i - 1][0], key) !== 0,
+            'value', 'map with unique keys');
+
+    bw.writeBytes(key);
+    writeItem(bw, item, canonical, depth + 1);
+  }
+}
+
+function writeHead(bw, major, num) {
+  const type = major << 5;
+
+  if (typeof num === 'bigint') {
+    if (num > BigInt(MAX_SAFE_INTEGER)) {
+      bw.writeU8(type | 27);
+      bw.writeBigU64BE(num);
+      return;
+    }
+    num = Number(num);
+  }
+
+  if (num < 24) {
+    bw.writeU8(type | num);
+  } else if (num <= 0xff) {
+    bw.writeU8(type | 24);
+    bw.writeU8(num);
+  } else if (num <= 0xffff) {
+    bw.writeU8(type | 25);
+    bw.writeU16BE(num);
+  } else if (num <= 0xffffffff) {
+    bw.writeU8(type | 26);
+    bw.writeU32BE(num);
+  } else {
+    bw.writeU8(type | 27);
+    bw.writeU64BE(num);
+  }
+}
+
+function writeNumber(bw, num) {
+  if (Number.isSafeInteger(num) && !Object.is(num, -0)) {
+    if (num >= 0)
+      writeHead(bw, UINT, num);
+    else
+      writeHead(bw, NEGINT, -1 - num);
+    return;
+  }
+
+  switch (floatSize(num)) {
+    case 2:
+      bw.writeU8(0xf9);
+      bw.writeFloat16BE(num);
+      break;
+    case 4:
+      bw.writeU8(0xfa);
+      bw.writeFloatBE(num);
+      break;
+    default:
+      bw.writeU8(0xfb);
+      bw.writeDoubleBE(num);
+      break;
+  }
+}
+
+function writeBigInt(bw, num, canonical, depth) {
+  // @ts-ignore
+  const neg = num < BigInt(0);
+  // @ts-ignore
+  const abs = neg ? -BigInt(1) - num : num;
+
+  if (BigInt.asUintN(64, abs) === abs) {
+    writeHead(bw, neg ? NEGINT : UINT, abs);
+    return;
+  }
+
+  const hex = abs.toString(16);
+  const data = bytes.fromString(hex.length & 1 ? '0' + hex : hex, 'hex');
+
+  writeItem(bw, new Tag(neg ? 3 : 2, data), canonical, depth);
+}
+
+/*
+ * Decoding
+ */
+
+/**
+ * Decode a single CBOR item. Integers outside of the
+ * safe range are returned as BigInts, maps as Maps,
+ * and unknown tags and simple values as `Tag` and
+ * `Simple` objects. Indefinite-length items are
+ * accepted unless the reader is strict.
+ * @param {Uint8Array} data
+ * @param {Object} [options] - Reader options (`zeroCopy`,
+ * `limits` and `strict`).
+ * @returns {*}
+ * @throws {EncodingError}
+ */
+
+function decode(data, options) {
+  return itemreader.decode(read, data, options);
+}
+
+/**
+ * Read a CBOR item from a buffer reader. Nesting is
+ * bounded by the reader's `maxDepth` limit. Strict
+ * readers reject non-minimal heads, indefinite-length
+ * items and duplicate map keys. Invalid UTF-8 is
+ * always rejected.
+ * @param {BufferReader} br
+ * @returns {*}
+ * @throws {EncodingError}
+ */
+
+function read(br) {
+  enforce(br instanceof BufferReader, 'br', 'reader');
+
+  const value = readItem(br, 0);
+
+  if (value === BREAK)
+    throw new EncodingError(br.offset - 1, 'Unexpected break', read);
+
+  return value;
+}
+
+function readItem(br, depth) {
+  itemreader.checkDepth(br, depth);
+
+  const start = br.offset;
+  const [major, info, num] = readHead(br);
+
+  switch (major) {
+    case UINT:
+      return num;
+    case NEGINT:
+      if (typeof num === 'bigint')
+        // @ts-ignore
+        return -BigInt(1) - num;
+      return -1 - num;
+    case BYTES:
+    case TEXT:
+      if (num === INDEFINITE)
+        return readChunks(br, major, start);
+      return readString(br, major, checkLength(br, num, 1, start));
+    case ARRAY: {
+      const items = [];
+
+      if (num === INDEFINITE) {
+        for (;;) {
+          const item = readItem(br, depth + 1);
+
+          if (item === BREAK)
+            break;
+
+          items.push(item);
+        }
+      } else {
+        const size = checkLength(br, num, 1, start);
+
+        for (let i = 0; i < size; i++)
+          items.push(readValue(br, depth + 1));
+      }
+
+      return items;
+    }
+    case MAP: {
+      const map = new Map();
+      const seen = br.strict ? new Set() : null;
+
+      if (num === INDEFINITE) {
+        for (;;) {
+          const pos = br.offset;
+          const key = readItem(br, depth + 1);
+
+          if (key === BREAK)
+            break;
+
+          itemreader.checkKey(br, seen, pos);
+
+          map.set(key, readValue(br, depth + 1));
+        }
+      } else {
+        const size = checkLength(br, num, 2, start);
+
+        for (let i = 0; i < size; i++) {
+          const pos = br.offset;
+          const key = readValue(br, depth + 1);
+
+          itemreader.checkKey(br, seen, pos);
+
+          map.set(key, readValue(br, depth + 1));
+        }
+      }
+
+      return map;
+    }
+    case TAG: {
+      const value = readValue(br, depth + 1);
+
+      if (num === 2 || num === 3) {
+        if (!bytes.isBytes(value))
+          throw new EncodingError(start, 'Invalid bignum', readItem);
+
+        let n = BigInt(0);
+
+        for (let i = 0; i < value.length; i++)
+          n = (n << BigInt(8)) | BigInt(value[i]);
+
+        return num === 3 ? -BigInt(1) - n : n;
+      }
+
+      return new Tag(num, value);
+    }
+    default:
+      return readSimple(br, info, num, start);
+  }
+}
+
+function readValue(br, depth) {
+  const start = br.offset;
+  const value = readItem(br, depth);
+
+  if (value === BREAK)
+    throw new EncodingError(start, 'Unexpected break', readValue);
+
+  return value;
+}
+
+function readHead(br) {
+  const start = br.offset;
+  const ch = br.readU8();
+  const major = ch >>> 5;
+  const info = ch & 0x1f;
+
+  // Floats are read by `readSimple`.
+  if (major === SIMPLE && info >= 25 && info <= 27)
+    return [major, info, 0];
+
+  let num, min;
+
+  switch (info) {
+    case 24:
+      num = br.readU8();
+      min = 24;
+      break;
+    case 25:
+      num = br.readU16BE();
+      min = 0x100;
+      break;
+    case 26:
+      num = br.readU32BE();
+      min = 0x10000;
+      break;
+    case 27:
+      num = br.readBigU64BE();
+      min = 0x100000000;
+      // @ts-ignore
+      if (num <= BigInt(MAX_SAFE_INTEGER))
+        num = Number(num);
+      break;
+    case 28:
+    case 29:
+    case 30:
+      throw new EncodingError(start, 'Reserved additional info', readHead);
+    case 31:
+      if (major === UINT || major === NEGINT || major === TAG)
+        throw new EncodingError(start, 'Invalid indefinite item', readHead);
+
+      if (br.strict && major !== SIMPLE)
+        throw new NonCanonicalError(start, 'Indefinite length', readHead);
+
+      return [major, info, INDEFINITE];
+    default:
+      return [major, info, info];
+  }
+
+  if (br.strict && major !== SIMPLE && num < min)
+    throw new NonCanonicalError(start, 'Non-minimal head', readHead);
+
+  return [major, info, num];
+}
+
+function readSimple(br, info, num, start) {
+  switch (info) {
+    case 20:
+      return false;
+    case 21:
+      return true;
+    case 22:
+      return null;
+    case 23:
+      return undefined;
+    case 24:
+      if (num < 32)
+        throw new EncodingError(start, 'Invalid simple value', readSimple);
+      return new Simple(num);
+    case 25:
+      return br.readFloat16BE();
+    case 26:
+      return checkFloat(br, br.readFloatBE(), 4, start);
+    case 27:
+      return checkFloat(br, br.readDoubleBE(), 8, start);
+    case 31:
+      return BREAK;
+    default:
+      return new Simple(info);
+  }
+}
+
+function readString(br, major, size) {
+  if (major === BYTES)
+    return br.readBytes(size);
+
+  return itemreader.readString(br, size);
+}
+
+function readChunks(br, major, start) {
+  const chunks = [];
+
+  for (;;) {
+    const offset = br.offset;
+    const [type, , num] = readHead(br);
+
+    if (type === SIMPLE && num === INDEFINITE)
+      break;
+
+    if (type !== major || num === INDEFINITE)
+      throw new EncodingError(offset, 'Invalid chunk', readChunks);
+
+    chunks.push(readString(br, major, checkLength(br, num, 1, offset)));
+  }
+
+  if (major === TEXT) {
+    const str = chunks.join('');
+
+    if (br.limits)
+      br.limits.checkString(start, str.length);
+
+    return str;
+  }
+
+  const size = chunks.reduce((a, b) => a + b.length, 0);
+
+  if (br.limits)
+    br.limits.checkAlloc(start, size);
+
+  const data = bytes.alloc(size);
+
+  let off = 0;
+
+  for (const chunk of chunks)
+    off += bytes.copy(chunk, data, off);
+
+  return data;
+}
+
+function checkLength(br, num, width, start) {
+  // Every item takes at least one byte.
+  if (typeof num !== 'number' || num * width > br.left())
+    throw new OutOfBoundsError(start, 'Out of bounds read', checkLength);
+
+  return num;
+}
+
+/*
+ * Helpers
+ */
+
+function floatSize(num) {
+  if (num !== num)
+    return 2;
+
+  const half = bytes.alloc(2);
+
+  encoding.writeFloat16BE(half, num, 0);
+
+  if (Object.is(encoding.readFloat16BE(half, 0), num))
+    return 2;
+
+  if (Object.is(Math.fround(num), num))
+    return 4;
+
+  return 8;
+}
+
+function checkFloat(br, num, size, start) {
+  if (br.strict && floatSize(num) < size)
+    throw new NonCanonicalError(start, 'Non-minimal float', checkFloat);
+
+  return num;
+}
+
+function parseCanonical(options) {
+  if (options == null)
+    return false;
+
+  enforce(typeof options === 'object', 'options', 'object');
+
+  const {canonical = false} = options;
+
+  enforce(typeof canonical === 'boolean', 'canonical', 'boolean');
+
+  return canonical;
+}
+
+function toInteger(num, name) {
+  if (typeof num === 'bigint') {
+    enforce(BigInt.asUintN(64, num) === num, name, 'uint64');
+    return num;
+  }
+
+  enforce(Number.isSafeInteger(num) && num >= 0, name, 'integer');
+
+  return num;
+}
+
+/*
+ * Expose
+ */
+
+exports.Tag = Tag;
+exports.Simple = Simple;
+exports.encode = encode;
+exports.write = write;
+exports.decode = decode;
+exports.read = read;
@@ -0,0 +1,234 @@
+/*!
+ * checksum.js - checksum functions for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+
+/*
+ * Constants
+ */
+
+const CRC32_TABLE = createTable(0xedb88320);
+const CRC32C_TABLE = createTable(0x82f63b78);
+
+/*
+ * Checksums
+ */
+
+/**
+ * Calculate a CRC32 (IEEE 802.3, as used by zip and PNG).
+ * @param {Uint8Array} data
+ * @param {Number} [crc=0] - Previous checksum, for streaming.
+ * @returns {Number}
+ */
+
+function crc32(data, crc = 0) {
+  return update(CRC32_TABLE, data, crc);
+}
+
+/**
+ * Calculate a CRC32C (Castagnoli, as used by ext4 and iSCSI).
+ * @param {Uint8Array} data
+ * @param {Number} [crc=0] - Previous checksum, for streaming.
+ * @returns {Number}
+ */
+
+function crc32c(data, crc = 0) {
+  return update(CRC32C_TABLE, data, crc);
+}
+
+/**
+ * Calculate an Adler-32 (as used by zlib).
+ * @param {Uint8Array} data
+ * @param {Number} [sum=1] - Previous checksum, for streaming.
+ * @returns {Number}
+ */
+
+function adler32(data, sum = 1) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((sum >>> 0) === sum, 'sum', 'integer');
+
+  let a = sum & 0xffff;
+  let b = sum >>> 16;
+  let i = 0;
+
+  while (i < data.length) {
+    // Largest block which cannot overflow `b`.
+    const end = Math.min(i + 5552, data.length);
+
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+
+    a %= 65521;
+    b %= 65521;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Resolve a checksum function. Built-in algorithms
+ * may be referenced by name (`crc32`, `crc32c` or
+ * `adler32`). A hash function may return a number
+ * or a digest.
+ * @param {Function|Object|String} hash
+ * @returns {Function}
+ */
+
+function resolve(hash) {
+  switch (hash) {
+    case 'crc32':
+      return crc32;
+    case 'crc32c':
+      return crc32c;
+    case 'adler32':
+      return adler32;
+  }
+
+  enforce(typeof hash !== 'string', 'hash', 'checksum algorithm');
+
+  if (hash && typeof hash.digest === 'function')
+    return hash.digest.bind(hash);
+
+  enforce(typeof hash === 'function', 'hash', 'function');
+
+  return hash;
+}
+
+/**
+ * Calculate a checksum and serialize it. Numeric
+ * checksums are truncated to their low bytes and
+ * written in the given byte order. Digests are
+ * truncated to their first bytes.
+ * @param {Function} hash - A resolved hash function.
+ * @param {Uint8Array} data
+ * @param {Number} [size=4] - Checksum width (1-32).
+ * @param {String} [order='le'] - Byte order (`le` or `be`).
+ * @returns {Buffer}
+ */
+
+function digest(hash, data, size = 4, order = 'le') {
+  const raw = hash(data);
+
+  checkDigest(raw, size);
+
+  if (typeof raw === 'number') {
+    const out = bytes.alloc(size, data);
+
+    for (let i = 0; i < size; i++) {
+      const ch = (raw >>> (i * 8)) & 0xff;
+
+      if (order === 'be')
+        out[size - 1 - i] = ch;
+      else
+        out[i] = ch;
+    }
+
+    return out;
+  }
+
+  return bytes.slice(raw, 0, size);
+}
+
+/**
+ * Get the value of a serialized checksum: a number for
+ * widths up to 4 bytes, otherwise the bytes themselves.
+ * @param {Uint8Array} raw
+ * @param {String} [order='le'] - Byte order (`le` or `be`).
+ * @returns {Number|Buffer}
+ */
+
+function value(raw, order = 'le') {
+  if (raw.length > 4)
+    return /** @type {Buffer} */ (raw);
+
+  let num = 0;
+
+  for (let i = 0; i < raw.length; i++) {
+    const ch = order === 'be' ? raw[i] : raw[raw.length - 1 - i];
+    num = num * 0x100 + ch;
+  }
+
+  return num;
+}
+
+/**
+ * Validate checksum size and byte order options.
+ * @param {Object} [options]
+ * @param {Number} [options.size=4]
+ * @param {String} [options.order='le']
+ * @param {String|Number} [options.from]
+ * @returns {Object}
+ */
+
+function parseOptions(options) {
+  if (options == null)
+    options = {};
+
+  enforce(typeof options === 'object', 'options', 'object');
+
+  const {size = 4, order = 'le', from} = options;
+
+  enforce((size >>> 0) === size && size >= 1 && size <= 32,
+          'size', 'integer between 1 and 32');
+  enforce(order === 'le' || order === 'be', 'order', 'byte order');
+
+  return {size, order, from};
+}
+
+/*
+ * Helpers
+ */
+
+function createTable(poly) {
+  const table = new Uint32Array(256);
+
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+
+    for (let j = 0; j < 8; j++)
+      c = (c & 1) ? (c >>> 1) ^ poly : c >>> 1;
+
+    table[i] = c >>> 0;
+  }
+
+  return table;
+}
+
+function checkDigest(raw, size) {
+  if (typeof raw === 'number')
+    enforce(size <= 4, 'size', 'integer <= 4');
+  else
+    enforce(bytes.isBytes(raw) && raw.length >= size, 'hash', 'digest');
+}
+
+function update(table, data, crc) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((crc >>> 0) === crc, 'crc', 'integer');
+
+  crc ^= 0xffffffff;
+
+  for (let i = 0; i < data.length; i++)
+    crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/*
+ * Expose
+ */
+
+exports.crc32 = crc32;
+exports.crc32c = crc32c;
+exports.adler32 = adler32;
+exports.resolve = resolve;
+exports.digest = digest;
+exports.value = value;
+exports.parseOptions = parseOptions;
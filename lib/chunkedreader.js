@@ -0,0 +1,437 @@
+/*!
+ * chunkedreader.js - chunked buffer reader for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const {mixin, parseOptions} = require('./readermixin');
+const {OutOfBoundsError} = require('./error');
+
+/*
+ * Constants
+ */
+
+const EMPTY = bytes.alloc(0);
+
+/**
+ * Chunked Reader
+ * Reads from a list of buffers as though they
+ * were one contiguous buffer. Values which
+ * straddle a chunk boundary are copied into
+ * a scratch buffer before being decoded.
+ */
+
+class ChunkedReader {
+  /**
+   * Create a chunked reader.
+   * @constructor
+   * @param {Buffer[]} chunks
+   * @param {Boolean|Object} [options=false] - Zero copy flag, or
+   * options as for {@link BufferReader} (`zeroCopy`, `limits`
+   * and `strict`).
+   */
+
+  constructor(chunks, options = false) {
+    enforce(Array.isArray(chunks), 'chunks', 'array');
+
+    const {zeroCopy, limits, strict} = parseOptions(options);
+
+    /** @type {Buffer[]} */
+    this.chunks = [];
+    /** @type {Number[]} */
+    this.starts = [];
+    this.size = 0;
+    this.offset = 0;
+    this.zeroCopy = zeroCopy;
+    this.limits = limits;
+    this.strict = strict;
+    this.depth = 0;
+    this.stack = [];
+    this.marks = new Map();
+    this.checkpoints = [];
+    this.index = 0;
+    this.view = EMPTY;
+    this.scratch = bytes.alloc(32);
+
+    for (const chunk of chunks)
+      this.push(chunk);
+  }
+
+  /**
+   * Append a chunk to the end of the data.
+   * @param {Buffer|Uint8Array|ArrayBuffer|ArrayBufferView} chunk
+   * @returns {ChunkedReader}
+   */
+
+  push(chunk) {
+    const data = bytes.from(chunk, 'chunk');
+
+    if (data.length === 0)
+      return this;
+
+    this.chunks.push(data);
+    this.starts.push(this.size);
+    this.size += data.length;
+
+    return this;
+  }
+
+  /**
+   * Assertion.
+   * @param {Number} size
+   */
+
+  check(size) {
+    if (this.offset + size > this.size) {
+      throw new OutOfBoundsError(this.offset, 'Out of bounds read', {
+        expected: size,
+        actual: this.size - this.offset
+      }, this.check);
+    }
+  }
+
+  /**
+   * Test whether `size` more bytes are available.
+   * @param {Number} size
+   * @returns {Boolean}
+   */
+
+  more(size) {
+    return this.offset + size <= this.size;
+  }
+
+  /**
+   * Find the index of the chunk containing a position.
+   * @private
+   * @param {Number} pos
+   * @returns {Number}
+   */
+
+  locate(pos) {
+    const {chunks, starts} = this;
+
+    let i = this.index;
+
+    if (i < chunks.length && starts[i] <= pos) {
+      if (pos < starts[i] + chunks[i].length)
+        return i;
+
+      // Sequential reads usually land on the next chunk.
+      i += 1;
+
+      if (i < chunks.length && pos < starts[i] + chunks[i].length) {
+        this.index = i;
+        return i;
+      }
+    }
+
+    let lo = 0;
+    let hi = chunks.length - 1;
+
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >>> 1;
+
+      if (starts[mid] <= pos)
+        lo = mid;
+      else
+        hi = mid - 1;
+    }
+
+    this.index = lo;
+
+    return lo;
+  }
+
+  /**
+   * Copy bytes from an absolute position into a buffer.
+   * @private
+   * @param {Buffer} dst
+   * @param {Number} pos
+   * @param {Number} size
+   */
+
+  copyTo(dst, pos, size) {
+    let i = this.locate(pos);
+    let off = pos - this.starts[i];
+    let dstOff = 0;
+
+    while (size > 0) {
+      const chunk = this.chunks[i];
+      const n = Math.min(size, chunk.length - off);
+
+      bytes.copy(chunk, dst, dstOff, off, off + n);
+
+      dstOff += n;
+      size -= n;
+      i += 1;
+      off = 0;
+    }
+  }
+
+  /**
+   * Get a contiguous buffer for a range of data.
+   * Only copies if the range spans multiple chunks
+   * or zero copy is disabled.
+   * @protected
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Boolean} zeroCopy
+   * @returns {Buffer}
+   */
+
+  slice(start, end, zeroCopy) {
+    const size = end - start;
+
+    if (size === 0)
+      return zeroCopy ? EMPTY : bytes.alloc(0);
+
+    const i = this.locate(start);
+    const chunk = this.chunks[i];
+    const off = start - this.starts[i];
+
+    if (zeroCopy && off + size <= chunk.length)
+      return bytes.slice(chunk, off, off + size);
+
+    const ret = bytes.alloc(size, chunk);
+
+    this.copyTo(ret, start, size);
+
+    return ret;
+  }
+
+  /**
+   * Consume `size` bytes, pointing `this.view` at a
+   * buffer which holds them contiguously.
+   * @protected
+   * @param {Number} size
+   * @returns {Number} Offset of the value in `this.view`.
+   */
+
+  take(size) {
+    this.check(size);
+
+    const i = this.locate(this.offset);
+    const chunk = this.chunks[i];
+    const off = this.offset - this.starts[i];
+
+    let ret = off;
+
+    if (off + size <= chunk.length) {
+      this.view = chunk;
+    } else {
+      this.copyTo(this.scratch, this.offset, size);
+      this.view = this.scratch;
+      ret = 0;
+    }
+
+    this.offset += size;
+
+    return ret;
+  }
+
+  /**
+   * Get total size of all chunks.
+   * @returns {Number}
+   */
+
+  getSize() {
+    return this.size;
+  }
+
+  /**
+   * Calculate number of bytes left to read.
+   * @returns {Number}
+   */
+
+  left() {
+    this.check(0);
+    return this.size - this.offset;
+  }
+
+  /**
+   * Seek to a position to read from by offset.
+   * @param {Number} off - Offset (positive or negative).
+   */
+
+  seek(off) {
+    enforce(Number.isSafeInteger(off), 'off', 'integer');
+
+    if (this.offset + off < 0)
+      throw new OutOfBoundsError(this.offset, 'Out of bounds read');
+
+    this.check(off);
+    this.offset += off;
+
+    return this;
+  }
+
+  /**
+   * Mark the current starting position.
+   */
+
+  start() {
+    this.stack.push(this.offset);
+    return this.offset;
+  }
+
+  /**
+   * Stop reading. Pop the start position off the stack
+   * and calculate the size of the data read.
+   * @returns {Number} Size.
+   * @throws on empty stack.
+   */
+
+  end() {
+    if (this.stack.length === 0)
+      throw new Error('Cannot end without a stack item.');
+
+    const start = this.stack.pop();
+
+    return this.offset - start;
+  }
+
+  /**
+   * Stop reading. Pop the start position off the stack
+   * and return the data read.
+   * @param {Boolean} [zeroCopy=false] Do a fast buffer
+   * slice instead of allocating a new buffer (warning:
+   * may cause memory leaks if not used with care).
+   * @returns {Buffer} Data read.
+   * @throws on empty stack.
+   */
+
+  endData(zeroCopy = false) {
+    enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+
+    if (this.stack.length === 0)
+      throw new Error('Cannot end without a stack item.');
+
+    const start = this.stack.pop();
+    const end = this.offset;
+
+    if (this.chunks.length === 1
+        && start === this.starts[0]
+        && end === this.size) {
+      return this.chunks[0];
+    }
+
+    return this.slice(start, end, this.zeroCopy || zeroCopy);
+  }
+
+  /**
+   * Destroy the reader. Remove references to the chunks.
+   */
+
+  destroy() {
+    this.chunks = [];
+    this.starts = [];
+    this.size = 0;
+    this.offset = 0;
+    this.stack.length = 0;
+    this.marks.clear();
+    this.checkpoints.length = 0;
+    this.index = 0;
+    this.view = EMPTY;
+    return this;
+  }
+
+  /**
+   * Consume `size` bytes, leaving them available
+   * to {@link ChunkedReader#slice}.
+   * @protected
+   * @param {Number} size
+   * @returns {Number} Position of the first byte.
+   */
+
+  advance(size) {
+    this.check(size);
+
+    const start = this.offset;
+
+    this.offset += size;
+
+    return start;
+  }
+
+  /**
+   * Find the next NUL byte without consuming anything.
+   * @protected
+   * @param {Number} end - Position to stop scanning at.
+   * @param {Number} [pos=this.offset] - Position to start at.
+   * @returns {Number} Position of the NUL byte, `end`
+   * if the scan reached it, or -1 if the data ran out.
+   */
+
+  scan(end, pos = this.offset) {
+    while (pos < this.size && pos < end) {
+      const i = this.locate(pos);
+      const chunk = this.chunks[i];
+      const index = chunk.indexOf(0, pos - this.starts[i]);
+
+      if (index !== -1)
+        return Math.min(this.starts[i] + index, end);
+
+      pos = this.starts[i] + chunk.length;
+    }
+
+    return pos >= this.size ? -1 : end;
+  }
+
+  /**
+   * Slice N bytes and create a child reader.
+   * @param {Number} size
+   * @returns {ChunkedReader}
+   */
+
+  readChild(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    if (this.limits)
+      this.limits.checkDepth(this.offset, this.depth + 1);
+
+    this.check(size);
+
+    const end = this.offset + size;
+    // @ts-ignore
+    const br = new this.constructor([], {
+      limits: this.limits,
+      strict: this.strict
+    });
+
+    for (let i = 0; i < this.chunks.length; i++) {
+      const chunk = this.chunks[i];
+      const start = this.starts[i];
+
+      if (start >= end)
+        break;
+
+      if (start + chunk.length > end)
+        br.push(bytes.slice(chunk, 0, end - start));
+      else
+        br.push(chunk);
+    }
+
+    br.offset = this.offset;
+    br.depth = this.depth + 1;
+
+    this.offset += size;
+
+    return br;
+  }
+}
+
+/*
+ * Reads
+ */
+
+mixin(ChunkedReader);
+
+/*
+ * Expose
+ */
+
+module.exports = ChunkedReader;
@@ -0,0 +1,49 @@
+/*!
+ * der.js - asn.1 constants for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+/*
+ * Tag Classes
+ */
+
+const classes = {
+  UNIVERSAL: 0,
+  APPLICATION: 1,
+  CONTEXT: 2,
+  PRIVATE: 3
+};
+
+/*
+ * Universal Tags
+ */
+
+const types = {
+  BOOLEAN: 1,
+  INTEGER: 2,
+  BITSTRING: 3,
+  OCTSTRING: 4,
+  NULL: 5,
+  OID: 6,
+  ENUM: 10,
+  UTF8STRING: 12,
+  SEQUENCE: 16,
+  SET: 17,
+  NUMSTRING: 18,
+  PRINTSTRING: 19,
+  T61STRING: 20,
+  IA5STRING: 22,
+  UTCTIME: 23,
+  GENTIME: 24,
+  BMPSTRING: 30
+};
+
+/*
+ * Expose
+ */
+
+exports.classes = classes;
+exports.types = types;
@@ -0,0 +1,534 @@
+/*!
+ * derreader.js - asn.1 der reader for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const BufferReader = require('./reader');
+const {classes, types} = require('./der');
+const {
+  EncodingError,
+  NonCanonicalError,
+  TrailingDataError
+} = require('./error');
+
+/*
+ * Constants
+ */
+
+const UTC_TIME = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/;
+const GEN_TIME = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/;
+
+/**
+ * DER Reader
+ * Reads ASN.1 elements from a buffer reader. Constructed
+ * elements are read with child readers, so the contents
+ * of a sequence can never run past the sequence itself.
+ * In `der` mode, only the distinguished encoding of each
+ * element is accepted. In `ber` mode, non-minimal tags,
+ * lengths and integers are tolerated (indefinite lengths
+ * are not supported in either mode).
+ */
+
+class DERReader {
+  /**
+   * Create a DER reader.
+   * @constructor
+   * @param {BufferReader|Buffer|Uint8Array} br
+   * @param {String} [mode='der'] - Decoding rules (`der` or `ber`).
+   */
+
+  constructor(br, mode = 'der') {
+    if (br instanceof Uint8Array)
+      br = new BufferReader(br);
+
+    enforce(br && typeof br.readChild === 'function', 'br', 'reader');
+    enforce(mode === 'der' || mode === 'ber', 'mode', 'encoding rules');
+
+    this.br = br;
+    this.mode = mode;
+    this.strict = mode === 'der';
+  }
+
+  /**
+   * Calculate number of bytes left to read.
+   * @returns {Number}
+   */
+
+  left() {
+    return this.br.left();
+  }
+
+  /**
+   * Ensure all elements have been read.
+   * @returns {DERReader}
+   * @throws {TrailingDataError}
+   */
+
+  verifyEnd() {
+    if (this.br.left() !== 0) {
+      throw new TrailingDataError(this.br.offset, 'Trailing data',
+                                  this.verifyEnd);
+    }
+
+    return this;
+  }
+
+  /**
+   * Read an element header (identifier and length octets).
+   * @returns {Header}
+   */
+
+  readHeader() {
+    const start = this.br.offset;
+    const ch = this.br.readU8();
+    const cls = ch >>> 6;
+    const constructed = (ch & 0x20) !== 0;
+
+    let tag = ch & 0x1f;
+
+    if (tag === 0x1f) {
+      tag = 0;
+
+      for (;;) {
+        const ch = this.br.readU8();
+
+        if (tag === 0 && ch === 0x80)
+          this.nonCanonical(start, 'Non-minimal tag');
+
+        if (tag > 0x00ffffff)
+          throw new EncodingError(start, 'Tag too large', this.readHeader);
+
+        tag = tag * 0x80 + (ch & 0x7f);
+
+        if ((ch & 0x80) === 0)
+          break;
+      }
+
+      if (tag < 0x1f)
+        this.nonCanonical(start, 'Non-minimal tag');
+    }
+
+    const size = this.readLength(start);
+
+    return new Header(cls, constructed, tag, size);
+  }
+
+  /**
+   * Read an element header without consuming it.
+   * @returns {Header}
+   */
+
+  peekHeader() {
+    const {offset} = this.br;
+
+    try {
+      return this.readHeader();
+    } finally {
+      this.br.offset = offset;
+    }
+  }
+
+  /**
+   * Read an element and return its contents.
+   * @param {Number} tag
+   * @param {Boolean} [constructed=false]
+   * @param {Number} [cls=UNIVERSAL]
+   * @returns {Buffer}
+   */
+
+  readValue(tag, constructed = false, cls = classes.UNIVERSAL) {
+    const size = this.readExpected(tag, constructed, cls);
+    return this.br.readBytes(size);
+  }
+
+  /**
+   * Read an entire element, including its header.
+   * @returns {Buffer}
+   */
+
+  readRaw() {
+    this.br.start();
+
+    try {
+      const {size} = this.readHeader();
+      this.br.seek(size);
+    } catch (e) {
+      this.br.end();
+      throw e;
+    }
+
+    return this.br.endData();
+  }
+
+  /**
+   * Skip over the next element.
+   * @returns {DERReader}
+   */
+
+  skip() {
+    const {size} = this.readHeader();
+    this.br.seek(size);
+    return this;
+  }
+
+  /**
+   * Read a constructed element.
+   * @param {Number} tag
+   * @param {Number} [cls=UNIVERSAL]
+   * @returns {DERReader} Reader over the element's contents.
+   */
+
+  readConstructed(tag, cls = classes.UNIVERSAL) {
+    const size = this.readExpected(tag, true, cls);
+    // @ts-ignore
+    return new this.constructor(this.br.readChild(size), this.mode);
+  }
+
+  /**
+   * Read a SEQUENCE.
+   * @returns {DERReader}
+   */
+
+  readSequence() {
+    return this.readConstructed(types.SEQUENCE);
+  }
+
+  /**
+   * Read a SET.
+   * @returns {DERReader}
+   */
+
+  readSet() {
+    return this.readConstructed(types.SET);
+  }
+
+  /**
+   * Read an explicitly tagged element (`[tag] EXPLICIT`).
+   * @param {Number} tag
+   * @returns {DERReader}
+   */
+
+  readExplicit(tag) {
+    return this.readConstructed(tag, classes.CONTEXT);
+  }
+
+  /**
+   * Read a BOOLEAN.
+   * @returns {Boolean}
+   */
+
+  readBoolean() {
+    const start = this.br.offset;
+    const data = this.readValue(types.BOOLEAN);
+
+    if (data.length !== 1)
+      throw new EncodingError(start, 'Invalid boolean', this.readBoolean);
+
+    if (data[0] !== 0x00 && data[0] !== 0xff)
+      this.nonCanonical(start, 'Non-canonical boolean');
+
+    return data[0] !== 0x00;
+  }
+
+  /**
+   * Read a NULL.
+   * @returns {null}
+   */
+
+  readNull() {
+    const start = this.br.offset;
+    const data = this.readValue(types.NULL);
+
+    if (data.length !== 0)
+      throw new EncodingError(start, 'Invalid null', this.readNull);
+
+    return null;
+  }
+
+  /**
+   * Read an INTEGER.
+   * @returns {BigInt}
+   */
+
+  readInteger() {
+    const start = this.br.offset;
+    const data = this.readValue(types.INTEGER);
+
+    if (data.length === 0)
+      throw new EncodingError(start, 'Invalid integer', this.readInteger);
+
+    if (data.length > 1) {
+      const hi = data[0];
+      const next = data[1] & 0x80;
+
+      if ((hi === 0x00 && next === 0) || (hi === 0xff && next !== 0))
+        this.nonCanonical(start, 'Non-minimal integer');
+    }
+
+    let num = BigInt(0);
+
+    for (let i = 0; i < data.length; i++)
+      num = (num << BigInt(8)) | BigInt(data[i]);
+
+    return BigInt.asIntN(data.length * 8, num);
+  }
+
+  /**
+   * Read an OBJECT IDENTIFIER.
+   * @returns {String} Dotted decimal form.
+   */
+
+  readOID() {
+    const start = this.br.offset;
+    const data = this.readValue(types.OID);
+    const arcs = [];
+
+    let arc = 0;
+
+    if (data.length === 0 || (data[data.length - 1] & 0x80) !== 0)
+      throw new EncodingError(start, 'Invalid OID', this.readOID);
+
+    for (let i = 0; i < data.length; i++) {
+      const ch = data[i];
+
+      if (arc === 0 && ch === 0x80)
+        this.nonCanonical(start, 'Non-minimal OID arc');
+
+      if (arc > 0x3fffffffffff)
+        throw new EncodingError(start, 'OID arc too large', this.readOID);
+
+      arc = arc * 0x80 + (ch & 0x7f);
+
+      if ((ch & 0x80) === 0) {
+        arcs.push(arc);
+        arc = 0;
+      }
+    }
+
+    const first = Math.min(Math.floor(arcs[0] / 40), 2);
+
+    arcs.splice(0, 1, first, arcs[0] - first * 40);
+
+    return arcs.join('.');
+  }
+
+  /**
+   * Read a BIT STRING.
+   * @returns {Object} `data` and number of `unused` bits.
+   */
+
+  readBitString() {
+    const start = this.br.offset;
+    const data = this.readValue(types.BITSTRING);
+
+    if (data.length === 0)
+      throw new EncodingError(start, 'Invalid bit string', this.readBitString);
+
+    const unused = data[0];
+
+    if (unused > 7 || (data.length === 1 && unused !== 0))
+      throw new EncodingError(start, 'Invalid bit string', this.readBitString);
+
+    if (unused !== 0 && (data[data.length - 1] & ((1 << unused) - 1)) !== 0)
+      this.nonCanonical(start, 'Non-zero padding bits');
+
+    return {
+      data: bytes.slice(data, 1, data.length),
+      unused
+    };
+  }
+
+  /**
+   * Read an OCTET STRING.
+   * @returns {Buffer}
+   */
+
+  readOctetString() {
+    return this.readValue(types.OCTSTRING);
+  }
+
+  /**
+   * Read a UTCTime.
+   * @returns {Number} Unix time in seconds.
+   */
+
+  readUTCTime() {
+    return this.readTimeValue(types.UTCTIME);
+  }
+
+  /**
+   * Read a GeneralizedTime.
+   * @returns {Number} Unix time in seconds.
+   */
+
+  readGeneralizedTime() {
+    return this.readTimeValue(types.GENTIME);
+  }
+
+  /**
+   * Read a UTCTime or GeneralizedTime.
+   * @returns {Number} Unix time in seconds.
+   */
+
+  readTime() {
+    const {cls, tag} = this.peekHeader();
+
+    if (cls === classes.UNIVERSAL && tag === types.GENTIME)
+      return this.readGeneralizedTime();
+
+    return this.readUTCTime();
+  }
+
+  /**
+   * Read the length octets.
+   * @private
+   * @param {Number} start - Offset of the element.
+   * @returns {Number}
+   */
+
+  readLength(start) {
+    const ch = this.br.readU8();
+
+    if (ch < 0x80)
+      return ch;
+
+    if (ch === 0x80) {
+      throw new EncodingError(start, 'Indefinite length not supported',
+                              this.readLength);
+    }
+
+    const len = ch & 0x7f;
+
+    if (len > 4)
+      throw new EncodingError(start, 'Length too large', this.readLength);
+
+    let size = 0;
+
+    for (let i = 0; i < len; i++) {
+      const ch = this.br.readU8();
+
+      if (i === 0 && ch === 0x00)
+        this.nonCanonical(start, 'Non-minimal length');
+
+      size = size * 0x100 + ch;
+    }
+
+    if (size < 0x80)
+      this.nonCanonical(start, 'Non-minimal length');
+
+    return size;
+  }
+
+  /**
+   * Read a header and check its tag.
+   * @private
+   * @param {Number} tag
+   * @param {Boolean} constructed
+   * @param {Number} cls
+   * @returns {Number} Content size.
+   */
+
+  readExpected(tag, constructed, cls) {
+    enforce((tag >>> 0) === tag, 'tag', 'integer');
+    enforce(typeof constructed === 'boolean', 'constructed', 'boolean');
+    enforce((cls >>> 0) === cls && cls <= 3, 'cls', 'tag class');
+
+    const start = this.br.offset;
+    const hdr = this.readHeader();
+
+    if (hdr.cls !== cls || hdr.tag !== tag) {
+      throw new EncodingError(start, 'Unexpected tag', {
+        expected: tag,
+        actual: hdr.tag
+      }, this.readExpected);
+    }
+
+    if (hdr.constructed !== constructed) {
+      throw new EncodingError(start, constructed
+        ? 'Expected constructed element'
+        : 'Expected primitive element', this.readExpected);
+    }
+
+    return hdr.size;
+  }
+
+  /**
+   * Read a time element.
+   * @private
+   * @param {Number} tag
+   * @returns {Number}
+   */
+
+  readTimeValue(tag) {
+    const start = this.br.offset;
+    const str = bytes.toString(this.readValue(tag), 'binary');
+    const parts = (tag === types.UTCTIME ? UTC_TIME : GEN_TIME).exec(str);
+
+    if (!parts)
+      throw new EncodingError(start, 'Invalid time', this.readTimeValue);
+
+    const [year, mon, day, hour, min, sec] = parts.slice(1).map(Number);
+    const full = tag === types.UTCTIME
+      ? (year >= 50 ? 1900 : 2000) + year
+      : year;
+
+    // `Date.UTC` maps years 0-99 to 1900-1999.
+    const date = new Date(0);
+
+    date.setUTCFullYear(full, mon - 1, day);
+    date.setUTCHours(hour, min, sec);
+
+    const ms = date.getTime();
+
+    if (date.getUTCFullYear() !== full
+        || date.getUTCMonth() !== mon - 1
+        || date.getUTCDate() !== day
+        || date.getUTCHours() !== hour
+        || date.getUTCMinutes() !== min
+        || date.getUTCSeconds() !== sec) {
+      throw new EncodingError(start, 'Invalid time', this.readTimeValue);
+    }
+
+    return ms / 1000;
+  }
+
+  /**
+   * Reject a non-distinguished encoding in DER mode.
+   * @private
+   * @param {Number} offset
+   * @param {String} reason
+   */
+
+  nonCanonical(offset, reason) {
+    if (this.strict)
+      throw new NonCanonicalError(offset, reason, this.nonCanonical);
+  }
+}
+
+/**
+ * Header
+ * @property {Number} cls - Tag class.
+ * @property {Boolean} constructed
+ * @property {Number} tag - Tag number.
+ * @property {Number} size - Content size.
+ */
+
+class Header {
+  constructor(cls, constructed, tag, size) {
+    this.cls = cls;
+    this.constructed = constructed;
+    this.tag = tag;
+    this.size = size;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = DERReader;
@@ -0,0 +1,434 @@
+/*!
+ * derwriter.js - asn.1 der writer for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const BufferWriter = require('./writer');
+const DERReader = require('./derreader');
+const {classes, types} = require('./der');
+
+/**
+ * DER Writer
+ * Writes ASN.1 elements in their distinguished encoding.
+ * Constructed elements are opened with `start*()` and
+ * closed with `end()`. Their contents are buffered in a
+ * child writer so the length can be back-filled once the
+ * element is closed.
+ */
+
+class DERWriter {
+  /**
+   * Create a DER writer.
+   * @constructor
+   * @param {Object} [bw] - Buffer writer or static writer.
+   */
+
+  constructor(bw) {
+    if (bw == null)
+      bw = new BufferWriter();
+
+    enforce(typeof bw.writeBytes === 'function', 'bw', 'writer');
+
+    this.bw = bw;
+    this.stack = [];
+  }
+
+  /**
+   * Get the writer for the innermost open element.
+   * @returns {Object}
+   */
+
+  writer() {
+    if (this.stack.length === 0)
+      return this.bw;
+
+    return this.stack[this.stack.length - 1].bw;
+  }
+
+  /**
+   * Render the underlying writer.
+   * @returns {Buffer}
+   * @throws if an element is still open.
+   */
+
+  render() {
+    if (this.stack.length !== 0)
+      throw new Error('Cannot render with an open element.');
+
+    return this.bw.render();
+  }
+
+  /**
+   * Write an element header (identifier and length octets).
+   * @param {Number} tag
+   * @param {Boolean} constructed
+   * @param {Number} cls
+   * @param {Number} size - Content size.
+   * @returns {DERWriter}
+   */
+
+  writeHeader(tag, constructed, cls, size) {
+    enforce((tag >>> 0) === tag, 'tag', 'integer');
+    enforce(typeof constructed === 'boolean', 'constructed', 'boolean');
+    enforce((cls >>> 0) === cls && cls <= 3, 'cls', 'tag class');
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    const bw = this.writer();
+    const id = (cls << 6) | (constructed ? 0x20 : 0x00);
+
+    if (tag < 0x1f) {
+      bw.writeU8(id | tag);
+    } else {
+      bw.writeU8(id | 0x1f);
+      writeBase128(bw, tag);
+    }
+
+    if (size < 0x80) {
+      bw.writeU8(size);
+    } else {
+      let len = 0;
+
+      for (let n = size; n > 0; n = Math.floor(n / 0x100))
+        len += 1;
+
+      bw.writeU8(0x80 | len);
+
+      for (let i = len - 1; i >= 0; i--)
+        bw.writeU8(Math.floor(size / 2 ** (i * 8)) & 0xff);
+    }
+
+    return this;
+  }
+
+  /**
+   * Write an element with the given contents.
+   * @param {Number} tag
+   * @param {Uint8Array} data
+   * @param {Boolean} [constructed=false]
+   * @param {Number} [cls=UNIVERSAL]
+   * @returns {DERWriter}
+   */
+
+  writeValue(tag, data, constructed = false, cls = classes.UNIVERSAL) {
+    enforce(bytes.isBytes(data), 'data', 'buffer');
+
+    this.writeHeader(tag, constructed, cls, data.length);
+    this.writer().writeBytes(data);
+
+    return this;
+  }
+
+  /**
+   * Write a pre-encoded element.
+   * @param {Uint8Array} data
+   * @returns {DERWriter}
+   */
+
+  writeRaw(data) {
+    enforce(bytes.isBytes(data), 'data', 'buffer');
+    this.writer().writeBytes(data);
+    return this;
+  }
+
+  /**
+   * Open a constructed element.
+   * @param {Number} tag
+   * @param {Number} [cls=UNIVERSAL]
+   * @returns {DERWriter}
+   */
+
+  startConstructed(tag, cls = classes.UNIVERSAL) {
+    enforce((tag >>> 0) === tag, 'tag', 'integer');
+    enforce((cls >>> 0) === cls && cls <= 3, 'cls', 'tag class');
+
+    this.stack.push({
+      tag,
+      cls,
+      bw: new BufferWriter()
+    });
+
+    return this;
+  }
+
+  /**
+   * Open a SEQUENCE.
+   * @returns {DERWriter}
+   */
+
+  startSequence() {
+    return this.startConstructed(types.SEQUENCE);
+  }
+
+  /**
+   * Open a SET. Its members are sorted by their
+   * encodings when the SET is closed.
+   * @returns {DERWriter}
+   */
+
+  startSet() {
+    return this.startConstructed(types.SET);
+  }
+
+  /**
+   * Open an explicitly tagged element (`[tag] EXPLICIT`).
+   * @param {Number} tag
+   * @returns {DERWriter}
+   */
+
+  startExplicit(tag) {
+    return this.startConstructed(tag, classes.CONTEXT);
+  }
+
+  /**
+   * Close the innermost open element and
+   * write it (with its length) to its parent.
+   * @returns {DERWriter}
+   * @throws on empty stack.
+   */
+
+  end() {
+    if (this.stack.length === 0)
+      throw new Error('Cannot end without an open element.');
+
+    const {tag, cls, bw} = this.stack.pop();
+
+    let data = bw.render();
+
+    if (tag === types.SET && cls === classes.UNIVERSAL)
+      data = sortSet(data);
+
+    return this.writeValue(tag, data, true, cls);
+  }
+
+  /**
+   * Write a BOOLEAN.
+   * @param {Boolean} value
+   * @returns {DERWriter}
+   */
+
+  writeBoolean(value) {
+    enforce(typeof value === 'boolean', 'value', 'boolean');
+
+    const data = bytes.alloc(1);
+
+    data[0] = value ? 0xff : 0x00;
+
+    return this.writeValue(types.BOOLEAN, data);
+  }
+
+  /**
+   * Write a NULL.
+   * @returns {DERWriter}
+   */
+
+  writeNull() {
+    return this.writeValue(types.NULL, bytes.alloc(0));
+  }
+
+  /**
+   * Write an INTEGER.
+   * @param {BigInt|Number} num
+   * @returns {DERWriter}
+   */
+
+  writeInteger(num) {
+    if (typeof num === 'number') {
+      enforce(Number.isSafeInteger(num), 'num', 'integer');
+      num = BigInt(num);
+    }
+
+    enforce(typeof num === 'bigint', 'num', 'bigint');
+
+    let size = 1;
+
+    // @ts-ignore
+    while (BigInt.asIntN(size * 8, num) !== num)
+      size += 1;
+
+    // @ts-ignore
+    const hex = BigInt.asUintN(size * 8, num).toString(16);
+    const data = bytes.fromString(hex.padStart(size * 2, '0'), 'hex');
+
+    return this.writeValue(types.INTEGER, data);
+  }
+
+  /**
+   * Write an OBJECT IDENTIFIER.
+   * @param {String} oid - Dotted decimal form.
+   * @returns {DERWriter}
+   */
+
+  writeOID(oid) {
+    enforce(typeof oid === 'string' && /^\d+(\.\d+)+$/.test(oid),
+            'oid', 'object identifier');
+
+    const arcs = oid.split('.').map(Number);
+
+    enforce(arcs.every(arc => Number.isSafeInteger(arc)),
+            'oid', 'object identifier');
+    enforce(arcs[0] <= 2 && (arcs[0] === 2 || arcs[1] < 40),
+            'oid', 'object identifier');
+    enforce(arcs[1] <= Number.MAX_SAFE_INTEGER - 80,
+            'oid', 'object identifier');
+
+    arcs.splice(0, 2, arcs[0] * 40 + arcs[1]);
+
+    const bw = new BufferWriter();
+
+    for (const arc of arcs)
+      writeBase128(bw, arc);
+
+    return this.writeValue(types.OID, bw.render());
+  }
+
+  /**
+   * Write a BIT STRING.
+   * @param {Uint8Array} data
+   * @param {Number} [unused=0] - Number of unused bits.
+   * @returns {DERWriter}
+   */
+
+  writeBitString(data, unused = 0) {
+    enforce(bytes.isBytes(data), 'data', 'buffer');
+    enforce((unused >>> 0) === unused && unused <= 7, 'unused', 'integer');
+    enforce(data.length > 0 || unused === 0, 'unused', 'zero');
+
+    const out = bytes.alloc(data.length + 1);
+
+    out[0] = unused;
+
+    bytes.copy(data, out, 1, 0, data.length);
+
+    // Padding bits must be zero.
+    if (unused !== 0)
+      out[out.length - 1] &= ~((1 << unused) - 1);
+
+    return this.writeValue(types.BITSTRING, out);
+  }
+
+  /**
+   * Write an OCTET STRING.
+   * @param {Uint8Array} data
+   * @returns {DERWriter}
+   */
+
+  writeOctetString(data) {
+    return this.writeValue(types.OCTSTRING, data);
+  }
+
+  /**
+   * Write a UTCTime (years 1950-2049).
+   * @param {Number} time - Unix time in seconds.
+   * @returns {DERWriter}
+   */
+
+  writeUTCTime(time) {
+    const str = formatTime(time);
+    const year = Number(str.slice(0, 4));
+
+    enforce(year >= 1950 && year <= 2049, 'time', 'UTCTime');
+
+    const data = bytes.fromString(str.slice(2), 'binary');
+
+    return this.writeValue(types.UTCTIME, data);
+  }
+
+  /**
+   * Write a GeneralizedTime.
+   * @param {Number} time - Unix time in seconds.
+   * @returns {DERWriter}
+   */
+
+  writeGeneralizedTime(time) {
+    const str = formatTime(time);
+    return this.writeValue(types.GENTIME, bytes.fromString(str, 'binary'));
+  }
+
+  /**
+   * Write a UTCTime for years 1950-2049 and a
+   * GeneralizedTime otherwise (as per RFC 5280).
+   * @param {Number} time - Unix time in seconds.
+   * @returns {DERWriter}
+   */
+
+  writeTime(time) {
+    const year = Number(formatTime(time).slice(0, 4));
+
+    if (year >= 1950 && year <= 2049)
+      return this.writeUTCTime(time);
+
+    return this.writeGeneralizedTime(time);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function sortSet(data) {
+  // DER orders the members of a SET (OF)
+  // by their encodings (X.690 11.6).
+  const dr = new DERReader(data, 'ber');
+  const items = [];
+
+  while (dr.left() > 0)
+    items.push(dr.readRaw());
+
+  items.sort(bytes.compare);
+
+  const bw = new BufferWriter();
+
+  for (const item of items)
+    bw.writeBytes(item);
+
+  return bw.render();
+}
+
+function writeBase128(bw, num) {
+  const out = [num % 0x80];
+
+  num = Math.floor(num / 0x80);
+
+  while (num > 0) {
+    out.push((num % 0x80) | 0x80);
+    num = Math.floor(num / 0x80);
+  }
+
+  for (let i = out.length - 1; i >= 0; i--)
+    bw.writeU8(out[i]);
+}
+
+function formatTime(time) {
+  enforce(Number.isSafeInteger(time), 'time', 'integer');
+
+  const date = new Date(time * 1000);
+
+  enforce(!isNaN(date.getTime()), 'time', 'date');
+
+  const year = date.getUTCFullYear();
+
+  enforce(year >= 0 && year <= 9999, 'time', 'four digit year');
+
+  const fields = [
+    date.getUTCMonth() + 1,
+    date.getUTCDate(),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds()
+  ];
+
+  return year.toString(10).padStart(4, '0')
+    + fields.map(n => n.toString(10).padStart(2, '0')).join('')
+    + 'Z';
+}
+
+/*
+ * Expose
+ */
+
+module.exports = DERWriter;
@@ -0,0 +1,238 @@
+/*!
+ * dump.js - annotated hexdump for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const BufferReader = require('./reader');
+
+/*
+ * Constants
+ */
+
+const MAX_BYTES = 16;
+
+const colors = {
+  offset: '\x1b[90m',
+  bytes: '\x1b[36m',
+  method: '\x1b[33m',
+  label: '\x1b[32m',
+  error: '\x1b[31m',
+  highlight: '\x1b[41;97m',
+  reset: '\x1b[0m'
+};
+
+/**
+ * Decode a struct in trace mode and print a
+ * field-annotated hexdump of the data.
+ * @param {Buffer} data
+ * @param {Function} Struct - Struct class.
+ * @param {Object} [options]
+ * @param {*} [options.extra] - Extra argument for `read`.
+ * @param {Boolean} [options.json=false] - Return the JSON form
+ * instead of printing.
+ * @param {Boolean} [options.color=true] - Colorize output.
+ * @param {Function} [options.log=console.log] - Output function.
+ * @returns {String|Object}
+ */
+
+function dump(data, Struct, options = {}) {
+  data = bytes.from(data);
+  enforce(typeof Struct === 'function', 'Struct', 'function');
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  const json = trace(data, Struct, options.extra);
+
+  if (options.json)
+    return json;
+
+  const color = options.color !== false;
+  const log = options.log || console.log;
+  const str = format(data, json, color);
+
+  log(str);
+
+  return str;
+}
+
+/*
+ * Helpers
+ */
+
+function trace(data, Struct, extra) {
+  const br = new BufferReader(data, { trace: true });
+
+  let error = null;
+
+  try {
+    // @ts-ignore
+    new Struct().read(br, extra);
+  } catch (e) {
+    error = e;
+  }
+
+  const fields = br.trace.map(record => ({
+    offset: record.offset,
+    size: record.size,
+    depth: record.depth,
+    method: record.method,
+    label: record.label,
+    value: toJSON(record.value),
+    error: record.error ? record.error.message : null,
+    errorOffset: record.error ? errorOffset(record.error) : null
+  }));
+
+  return {
+    size: data.length,
+    offset: br.offset,
+    error: error ? error.message : null,
+    fields
+  };
+}
+
+function errorOffset(err) {
+  if (typeof err.offset === 'number')
+    return err.offset;
+
+  return null;
+}
+
+function toJSON(value) {
+  if (bytes.isBytes(value))
+    return bytes.toString(value, 'hex');
+
+  if (typeof value === 'bigint')
+    return value.toString(10);
+
+  if (value instanceof BufferReader)
+    return null;
+
+  if (value === undefined)
+    return null;
+
+  return value;
+}
+
+function format(data, json, color) {
+  const paint = (name, str) => {
+    if (!color)
+      return str;
+    return colors[name] + str + colors.reset;
+  };
+
+  const out = [];
+
+  let end = 0;
+
+  for (const field of json.fields) {
+    const start = field.offset;
+    const size = field.error
+      ? Math.max(field.size, data.length - start, 1)
+      : field.size;
+    const indent = '  '.repeat(field.depth);
+
+    let raw = hex(data, start, start + size);
+
+    if (field.error && start < data.length) {
+      const pos = field.errorOffset != null ? field.errorOffset : start;
+
+      raw = mark(data, start, start + size, pos, paint);
+    } else if (field.error) {
+      raw = paint('error', '<eof>');
+    } else {
+      raw = paint('bytes', raw);
+    }
+
+    let line = paint('offset', pad(start));
+
+    line += '  ' + raw + ' '.repeat(Math.max(0, 3 * MAX_BYTES + 3
+      - width(data, start, start + size)));
+    line += indent + paint('method', field.method);
+
+    if (field.label)
+      line += ' ' + paint('label', field.label);
+
+    if (field.error)
+      line += ' ' + paint('error', `! ${field.error}`);
+    else if (field.value !== null && field.method !== 'readChild')
+      line += ' = ' + inspect(field.value);
+
+    out.push(line);
+
+    end = Math.max(end, start + field.size);
+  }
+
+  if (json.error && !json.fields.some(field => field.error))
+    out.push(paint('error', `! ${json.error}`));
+
+  if (!json.error && end < data.length)
+    out.push(paint('offset', `(${data.length - end} trailing bytes)`));
+
+  return out.join('\n');
+}
+
+function hex(data, start, end) {
+  const size = Math.min(end, data.length) - start;
+
+  if (size <= 0)
+    return '';
+
+  const max = Math.min(size, MAX_BYTES);
+  const str = bytes.toString(data, 'hex', start, start + max);
+  const out = str.match(/../g).join(' ');
+
+  if (size > MAX_BYTES)
+    return out + ' ..';
+
+  return out;
+}
+
+function mark(data, start, end, pos, paint) {
+  const size = Math.min(end, data.length) - start;
+  const max = Math.min(size, MAX_BYTES);
+  const out = [];
+
+  // Highlight the byte the error points at.
+  for (let i = start; i < start + max; i++) {
+    const ch = bytes.toString(data, 'hex', i, i + 1);
+
+    out.push(paint(i === pos ? 'highlight' : 'error', ch));
+  }
+
+  if (size > MAX_BYTES)
+    out.push(paint('error', '..'));
+
+  return out.join(' ');
+}
+
+function width(data, start, end) {
+  const size = Math.min(end, data.length) - start;
+
+  if (size <= 0)
+    return start >= data.length && end > start ? 5 : 0;
+
+  if (size > MAX_BYTES)
+    return 3 * MAX_BYTES + 2;
+
+  return 3 * size - 1;
+}
+
+function pad(num) {
+  return num.toString(16).padStart(8, '0');
+}
+
+function inspect(value) {
+  if (typeof value === 'string')
+    return JSON.stringify(value);
+  return String(value);
+}
+
+/*
+ * Expose
+ */
+
+module.exports = dump;
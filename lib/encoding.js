@@ -10,7 +10,8 @@
 'use strict';
 
 const enforce = require('./enforce');
-const EncodingError = require('./error');
+const bytes = require('./bytes');
+const {EncodingError, OutOfBoundsError, NonCanonicalError} = require('./error');
 
 /*
  * Constants
@@ -38,6 +39,21 @@ const BIG_U64_MAX = (BI(1) << BI(64)) - BI(1);
 const BIG_U128_MAX = (BI(1) << BI(128)) - BI(1);
 // @ts-ignore
 const BIG_U256_MAX = (BI(1) << BI(256)) - BI(1);
+// @ts-ignore
+const BIG_I256_MAX = (BI(1) << BI(255)) - BI(1);
+// @ts-ignore
+const BIG_I256_MIN = -(BI(1) << BI(255));
+// @ts-ignore
+const BIG_I128_MAX = (BI(1) << BI(127)) - BI(1);
+// @ts-ignore
+const BIG_I128_MIN = -(BI(1) << BI(127));
+// @ts-ignore
+const BIG_I64_MAX = (BI(1) << BI(63)) - BI(1);
+// @ts-ignore
+const BIG_I64_MIN = -(BI(1) << BI(63));
+
+const ZIGZAG_MAX = 0xfffffffffffff;
+const ZIGZAG_MIN = -0x10000000000000;
 
 /*
  * Read Unsigned LE
@@ -66,6 +82,17 @@ function readU(data, off, len) {
   }
 }
 
+function readBigU(data, off, len) {
+  check(isBigWidth(len), off, 'Invalid read length');
+
+  let num = BigInt(0);
+
+  for (let i = len - 1; i >= 0; i--)
+    num = (num << BigInt(8)) | BigInt(data[off + i]);
+
+  return num;
+}
+
 function readBigU256(data, off) {
   const hi = readBigU128(data, off + 16);
   const lo = readBigU128(data, off);
@@ -177,6 +204,17 @@ function readUBE(data, off, len) {
   }
 }
 
+function readBigUBE(data, off, len) {
+  check(isBigWidth(len), off, 'Invalid read length');
+
+  let num = BigInt(0);
+
+  for (let i = 0; i < len; i++)
+    num = (num << BigInt(8)) | BigInt(data[off + i]);
+
+  return num;
+}
+
 function readBigU256BE(data, off) {
   const hi = readBigU128BE(data, off);
   const lo = readBigU128BE(data, off + 16);
@@ -284,6 +322,24 @@ function readI(data, off, len) {
   }
 }
 
+function readBigI(data, off, len) {
+  return BigInt.asIntN(len * 8, readBigU(data, off, len));
+}
+
+function readBigI256(data, off) {
+  const hi = readBigI128(data, off + 16);
+  const lo = readBigU128(data, off);
+
+  return (hi << BigInt(128)) | lo;
+}
+
+function readBigI128(data, off) {
+  const hi = readBigI64(data, off + 8);
+  const lo = readBigU64(data, off);
+
+  return (hi << BigInt(64)) | lo;
+}
+
 function readBigI64(data, off) {
   const hi = readI32(data, off + 4);
   const lo = readU32(data, off);
@@ -302,7 +358,7 @@ function readI64(data, off) {
   const hi = readI32(data, off + 4);
   const lo = readU32(data, off);
 
-  check(isSafe(hi, lo), 'Number exceeds 2^53-1');
+  check(isSafe(hi, lo), off, 'Number exceeds 2^53-1');
 
   return hi * 0x100000000 + lo;
 }
@@ -311,7 +367,7 @@ function readI56(data, off) {
   const hi = readI24(data, off + 4);
   const lo = readU32(data, off);
 
-  check(isSafe(hi, lo), 'Number exceeds 2^53-1');
+  check(isSafe(hi, lo), off, 'Number exceeds 2^53-1');
 
   return hi * 0x100000000 + lo;
 }
@@ -386,6 +442,24 @@ function readIBE(data, off, len) {
   }
 }
 
+function readBigIBE(data, off, len) {
+  return BigInt.asIntN(len * 8, readBigUBE(data, off, len));
+}
+
+function readBigI256BE(data, off) {
+  const hi = readBigI128BE(data, off);
+  const lo = readBigU128BE(data, off + 16);
+
+  return (hi << BigInt(128)) | lo;
+}
+
+function readBigI128BE(data, off) {
+  const hi = readBigI64BE(data, off);
+  const lo = readBigU64BE(data, off + 8);
+
+  return (hi << BigInt(64)) | lo;
+}
+
 function readBigI64BE(data, off) {
   const hi = readI32BE(data, off);
   const lo = readU32BE(data, off + 4);
@@ -404,7 +478,7 @@ function readI64BE(data, off) {
   const hi = readI32BE(data, off);
   const lo = readU32BE(data, off + 4);
 
-  check(isSafe(hi, lo), 'Number exceeds 2^53-1');
+  check(isSafe(hi, lo), off, 'Number exceeds 2^53-1');
 
   return hi * 0x100000000 + lo;
 }
@@ -413,7 +487,7 @@ function readI56BE(data, off) {
   const hi = readI24BE(data, off);
   const lo = readU32BE(data, off + 3);
 
-  check(isSafe(hi, lo), 'Number exceeds 2^53-1');
+  check(isSafe(hi, lo), off, 'Number exceeds 2^53-1');
 
   return hi * 0x100000000 + lo;
 }
@@ -507,6 +581,26 @@ const readFloatBE = BIG_ENDIAN ? _readFloatForwards : _readFloatBackwards;
 const readDouble = BIG_ENDIAN ? _readDoubleBackwards : _readDoubleForwards;
 const readDoubleBE = BIG_ENDIAN ? _readDoubleForwards : _readDoubleBackwards;
 
+/*
+ * Read Float16
+ */
+
+function readFloat16(data, off) {
+  return decodeMinifloat(readU16(data, off), 5, 10);
+}
+
+function readFloat16BE(data, off) {
+  return decodeMinifloat(readU16BE(data, off), 5, 10);
+}
+
+function readBFloat16(data, off) {
+  return decodeMinifloat(readU16(data, off), 8, 7);
+}
+
+function readBFloat16BE(data, off) {
+  return decodeMinifloat(readU16BE(data, off), 8, 7);
+}
+
 /*
  * Write Unsigned LE
  */
@@ -534,6 +628,19 @@ function writeU(dst, num, off, len) {
   }
 }
 
+function writeBigU(dst, num, off, len) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  check(isBigWidth(len), off, 'Invalid write length');
+  enforce(num >= BigInt(0) && num <= bigMax(len * 8), 'num', `uint${len * 8}`);
+
+  for (let i = 0; i < len; i++) {
+    dst[off + i] = Number(num & BigInt(0xff));
+    num >>= BigInt(8);
+  }
+
+  return off + len;
+}
+
 function writeBigU256(dst, num, off) {
   enforce(typeof num === 'bigint', 'num', 'bigint');
 
@@ -705,6 +812,19 @@ function writeUBE(dst, num, off, len) {
   }
 }
 
+function writeBigUBE(dst, num, off, len) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  check(isBigWidth(len), off, 'Invalid write length');
+  enforce(num >= BigInt(0) && num <= bigMax(len * 8), 'num', `uint${len * 8}`);
+
+  for (let i = len - 1; i >= 0; i--) {
+    dst[off + i] = Number(num & BigInt(0xff));
+    num >>= BigInt(8);
+  }
+
+  return off + len;
+}
+
 function writeBigU256BE(dst, num, off) {
   enforce(typeof num === 'bigint', 'num', 'bigint');
 
@@ -868,6 +988,29 @@ function writeI(dst, num, off, len) {
   }
 }
 
+function writeBigI(dst, num, off, len) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  check(isBigWidth(len), off, 'Invalid write length');
+
+  const max = bigMax(len * 8 - 1);
+
+  enforce(num >= -max - BigInt(1) && num <= max, 'num', `int${len * 8}`);
+
+  return writeBigU(dst, BigInt.asUintN(len * 8, num), off, len);
+}
+
+function writeBigI256(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I256_MIN && num <= BIG_I256_MAX, 'num', 'int256');
+  return writeBigU256(dst, num, off);
+}
+
+function writeBigI128(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I128_MIN && num <= BIG_I128_MAX, 'num', 'int128');
+  return writeBigU128(dst, num, off);
+}
+
 function writeBigI64(dst, num, off) {
   return writeBigU64(dst, num, off);
 }
@@ -935,6 +1078,29 @@ function writeIBE(dst, num, off, len) {
   }
 }
 
+function writeBigIBE(dst, num, off, len) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  check(isBigWidth(len), off, 'Invalid write length');
+
+  const max = bigMax(len * 8 - 1);
+
+  enforce(num >= -max - BigInt(1) && num <= max, 'num', `int${len * 8}`);
+
+  return writeBigUBE(dst, BigInt.asUintN(len * 8, num), off, len);
+}
+
+function writeBigI256BE(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I256_MIN && num <= BIG_I256_MAX, 'num', 'int256');
+  return writeBigU256BE(dst, num, off);
+}
+
+function writeBigI128BE(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I128_MIN && num <= BIG_I128_MAX, 'num', 'int128');
+  return writeBigU128BE(dst, num, off);
+}
+
 function writeBigI64BE(dst, num, off) {
   return writeBigU64BE(dst, num, off);
 }
@@ -972,7 +1138,7 @@ function writeI16BE(dst, num, off) {
 }
 
 function _writeDoubleForwards(dst, num, off) {
-  enforce(isNumber(num), 'num', 'number');
+  enforce(typeof num === 'number', 'num', 'number');
 
   F64_ARRAY[0] = num;
 
@@ -989,7 +1155,7 @@ function _writeDoubleForwards(dst, num, off) {
 }
 
 function _writeDoubleBackwards(dst, num, off) {
-  enforce(isNumber(num), 'num', 'number');
+  enforce(typeof num === 'number', 'num', 'number');
 
   F64_ARRAY[0] = num;
 
@@ -1006,7 +1172,7 @@ function _writeDoubleBackwards(dst, num, off) {
 }
 
 function _writeFloatForwards(dst, num, off) {
-  enforce(isNumber(num), 'num', 'number');
+  enforce(typeof num === 'number', 'num', 'number');
 
   F32_ARRAY[0] = num;
 
@@ -1019,7 +1185,7 @@ function _writeFloatForwards(dst, num, off) {
 }
 
 function _writeFloatBackwards(dst, num, off) {
-  enforce(isNumber(num), 'num', 'number');
+  enforce(typeof num === 'number', 'num', 'number');
 
   F32_ARRAY[0] = num;
 
@@ -1036,6 +1202,30 @@ const writeFloatBE = BIG_ENDIAN ? _writeFloatForwards : _writeFloatBackwards;
 const writeDouble = BIG_ENDIAN ? _writeDoubleBackwards : _writeDoubleForwards;
 const writeDoubleBE = BIG_ENDIAN ? _writeDoubleForwards : _writeDoubleBackwards;
 
+/*
+ * Write Float16
+ */
+
+function writeFloat16(dst, num, off) {
+  enforce(typeof num === 'number', 'num', 'number');
+  return writeU16(dst, encodeMinifloat(num, 5, 10), off);
+}
+
+function writeFloat16BE(dst, num, off) {
+  enforce(typeof num === 'number', 'num', 'number');
+  return writeU16BE(dst, encodeMinifloat(num, 5, 10), off);
+}
+
+function writeBFloat16(dst, num, off) {
+  enforce(typeof num === 'number', 'num', 'number');
+  return writeU16(dst, encodeMinifloat(num, 8, 7), off);
+}
+
+function writeBFloat16BE(dst, num, off) {
+  enforce(typeof num === 'number', 'num', 'number');
+  return writeU16BE(dst, encodeMinifloat(num, 8, 7), off);
+}
+
 /*
  * Varints
  */
@@ -1050,19 +1240,19 @@ function readVarint(data, off) {
       size = 9;
       checkRead(off + size <= data.length, off);
       value = readU64(data, off + 1);
-      check(value > 0xffffffff, off, 'Non-canonical varint');
+      checkCanonical(value > 0xffffffff, off);
       break;
     case 0xfe:
       size = 5;
       checkRead(off + size <= data.length, off);
       value = readU32(data, off + 1);
-      check(value > 0xffff, off, 'Non-canonical varint');
+      checkCanonical(value > 0xffff, off);
       break;
     case 0xfd:
       size = 3;
       checkRead(off + size <= data.length, off);
       value = readU16(data, off + 1);
-      check(value >= 0xfd, off, 'Non-canonical varint');
+      checkCanonical(value >= 0xfd, off);
       break;
     default:
       size = 1;
@@ -1156,7 +1346,7 @@ function writeVarint2(dst, num, off) {
     len += 1;
   }
 
-  checkRead(off + len + 1 <= dst.length, off);
+  checkWrite(off + len + 1 <= dst.length, off);
 
   do {
     dst[off++] = tmp[len];
@@ -1183,158 +1373,858 @@ function sizeVarint2(num) {
   return size;
 }
 
-/*
- * Bytes
- */
+function readBigVarint(data, off) {
+  let value, size;
 
-function sliceBytes(data, off, size) {
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  enforce((off >>> 0) === off, 'off', 'integer');
-  enforce((size >>> 0) === size, 'size', 'integer');
+  checkRead(off < data.length, off);
 
-  if (off + size > data.length)
-    throw new EncodingError(off, 'Out of bounds read');
+  switch (data[off]) {
+    case 0xff:
+      size = 9;
+      checkRead(off + size <= data.length, off);
+      value = readBigU64(data, off + 1);
+      checkCanonical(value > BigInt(0xffffffff), off);
+      break;
+    case 0xfe:
+      size = 5;
+      checkRead(off + size <= data.length, off);
+      value = BigInt(readU32(data, off + 1));
+      checkCanonical(value > BigInt(0xffff), off);
+      break;
+    case 0xfd:
+      size = 3;
+      checkRead(off + size <= data.length, off);
+      value = BigInt(readU16(data, off + 1));
+      checkCanonical(value >= BigInt(0xfd), off);
+      break;
+    default:
+      size = 1;
+      value = BigInt(data[off]);
+      break;
+  }
 
-  return data.slice(off, off + size);
+  return new Varint(size, value);
 }
 
-function readBytes(data, off, size) {
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  enforce((off >>> 0) === off, 'off', 'integer');
-  enforce((size >>> 0) === size, 'size', 'integer');
+function writeBigVarint(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BigInt(0) && num <= BIG_U64_MAX, 'num', 'uint64');
 
-  if (off + size > data.length)
-    throw new EncodingError(off, 'Out of bounds read');
+  if (num < BigInt(0xfd)) {
+    dst[off++] = Number(num);
+    return off;
+  }
+
+  if (num <= BigInt(0xffff)) {
+    dst[off++] = 0xfd;
+    return writeU16(dst, Number(num), off);
+  }
 
-  const buf = Buffer.allocUnsafeSlow(size);
+  if (num <= BigInt(0xffffffff)) {
+    dst[off++] = 0xfe;
+    return writeU32(dst, Number(num), off);
+  }
 
-  data.copy(buf, 0, off, off + size);
+  dst[off++] = 0xff;
 
-  return buf;
+  return writeBigU64(dst, num, off);
 }
 
-function writeBytes(data, value, off) {
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  enforce(Buffer.isBuffer(value), 'value', 'buffer');
-  enforce((off >>> 0) === off, 'off', 'integer');
+function sizeBigVarint(num) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BigInt(0) && num <= BIG_U64_MAX, 'num', 'uint64');
 
-  if (off + value.length > data.length)
-    throw new EncodingError(off, 'Out of bounds write');
+  if (num < BigInt(0xfd))
+    return 1;
 
-  return value.copy(data, off, 0, value.length);
-}
+  if (num <= BigInt(0xffff))
+    return 3;
 
-function readString(data, off, size, enc) {
-  if (enc == null)
-    enc = 'binary';
+  if (num <= BigInt(0xffffffff))
+    return 5;
 
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  enforce((off >>> 0) === off, 'off', 'integer');
-  enforce((size >>> 0) === size, 'size', 'integer');
-  enforce(typeof enc === 'string', 'enc', 'string');
+  return 9;
+}
 
-  if (off + size > data.length)
-    throw new EncodingError(off, 'Out of bounds read');
+function readBigVarint2(data, off) {
+  let num = BigInt(0);
+  let size = 0;
 
-  return data.toString(enc, off, off + size);
-}
+  for (;;) {
+    checkRead(off < data.length, off);
 
-function writeString(data, str, off, enc) {
-  if (enc == null)
-    enc = 'binary';
+    const ch = data[off++];
 
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  enforce(typeof str === 'string', 'str', 'string');
-  enforce((off >>> 0) === off, 'off', 'integer');
-  enforce(typeof enc === 'string', 'enc', 'string');
+    size += 1;
 
-  if (str.length === 0)
-    return 0;
+    num = (num << BigInt(7)) | BigInt(ch & 0x7f);
 
-  const size = Buffer.byteLength(str, enc);
+    check(num <= BIG_U64_MAX, off, 'Number exceeds 2^64-1');
 
-  if (off + size > data.length)
-    throw new EncodingError(off, 'Out of bounds write');
+    if ((ch & 0x80) === 0)
+      break;
+
+    check(num !== BIG_U64_MAX, off, 'Number exceeds 2^64-1');
+    num += BigInt(1);
+  }
 
-  return data.write(str, off, enc);
+  return new Varint(size, num);
 }
 
-function realloc(data, size) {
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
+function writeBigVarint2(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BigInt(0) && num <= BIG_U64_MAX, 'num', 'uint64');
 
-  const buf = Buffer.allocUnsafeSlow(size);
+  const tmp = [];
 
-  data.copy(buf, 0);
+  let len = 0;
 
-  return buf;
-}
+  for (;;) {
+    tmp[len] = Number(num & BigInt(0x7f)) | (len ? 0x80 : 0x00);
 
-function copy(data) {
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  return realloc(data, data.length);
+    if (num <= BigInt(0x7f))
+      break;
+
+    num = (num >> BigInt(7)) - BigInt(1);
+    len += 1;
+  }
+
+  checkWrite(off + len + 1 <= dst.length, off);
+
+  do {
+    dst[off++] = tmp[len];
+  } while (len--);
+
+  return off;
 }
 
-function concat(a, b) {
-  enforce(Buffer.isBuffer(a), 'a', 'buffer');
-  enforce(Buffer.isBuffer(b), 'b', 'buffer');
+function sizeBigVarint2(num) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BigInt(0) && num <= BIG_U64_MAX, 'num', 'uint64');
 
-  const size = a.length + b.length;
-  const buf = Buffer.allocUnsafeSlow(size);
+  let size = 0;
+
+  for (;;) {
+    size += 1;
 
-  a.copy(buf, 0);
-  b.copy(buf, a.length);
+    if (num <= BigInt(0x7f))
+      break;
 
-  return buf;
+    num = (num >> BigInt(7)) - BigInt(1);
+  }
+
+  return size;
 }
 
 /*
- * Size Helpers
+ * LEB128
  */
 
-function sizeVarBytes(data) {
-  enforce(Buffer.isBuffer(data), 'data', 'buffer');
-  return sizeVarint(data.length) + data.length;
-}
+function readULEB128(data, off) {
+  let num = 0;
+  let mul = 1;
+  let size = 0;
 
-function sizeVarlen(len) {
-  return sizeVarint(len) + len;
-}
+  for (;;) {
+    checkRead(off < data.length, off);
 
-function sizeVarString(str, enc) {
-  if (enc == null)
-    enc = 'binary';
+    const ch = data[off++];
+    const bits = ch & 0x7f;
 
-  enforce(typeof str === 'string', 'str', 'string');
-  enforce(typeof enc === 'string', 'enc', 'string');
+    size += 1;
 
-  if (str.length === 0)
-    return 1;
+    if (bits !== 0) {
+      check(bits * mul <= MAX_SAFE_INTEGER - num, off,
+            'Number exceeds 2^53-1');
+      num += bits * mul;
+    }
+
+    if ((ch & 0x80) === 0)
+      break;
 
-  const len = Buffer.byteLength(str, enc);
+    mul *= 0x80;
+  }
 
-  return sizeVarint(len) + len;
+  return new Varint(size, num);
 }
 
-/*
- * Helpers
- */
+function writeULEB128(dst, num, off) {
+  enforce(Number.isSafeInteger(num) && num >= 0, 'num', 'unsigned integer');
 
-function isSafe(hi, lo) {
-  if (hi < 0) {
-    hi = ~hi;
-    if (lo === 0)
-      hi += 1;
+  while (num >= 0x80) {
+    dst[off++] = (num % 0x80) | 0x80;
+    num = (num - (num % 0x80)) / 0x80;
   }
 
-  return (hi & 0xffe00000) === 0;
+  dst[off++] = num;
+
+  return off;
 }
 
-function write64(dst, num, off, be) {
-  let neg = false;
+function sizeULEB128(num) {
+  enforce(Number.isSafeInteger(num) && num >= 0, 'num', 'unsigned integer');
 
-  if (num < 0) {
-    num = -num;
-    neg = true;
+  let size = 1;
+
+  while (num >= 0x80) {
+    num = (num - (num % 0x80)) / 0x80;
+    size += 1;
+  }
+
+  return size;
+}
+
+function readSLEB128(data, off) {
+  let end = off;
+
+  for (;;) {
+    checkRead(end < data.length, end);
+
+    if ((data[end++] & 0x80) === 0)
+      break;
+  }
+
+  // Accumulate the inverted payload of negative
+  // numbers so that sign-extension bytes are free.
+  const neg = (data[end - 1] & 0x40) !== 0;
+  const mask = neg ? 0x7f : 0x00;
+
+  let num = 0;
+  let mul = 1;
+
+  for (let i = off; i < end; i++) {
+    const bits = (data[i] & 0x7f) ^ mask;
+
+    if (bits !== 0) {
+      check(bits * mul <= MAX_SAFE_INTEGER - num, i + 1,
+            'Number exceeds 2^53-1');
+      num += bits * mul;
+    }
+
+    mul *= 0x80;
+  }
+
+  if (neg) {
+    check(num !== MAX_SAFE_INTEGER, end, 'Number exceeds 2^53-1');
+    num = -num - 1;
+  }
+
+  return new Varint(end - off, num);
+}
+
+function writeSLEB128(dst, num, off) {
+  enforce(Number.isSafeInteger(num), 'num', 'integer');
+
+  for (;;) {
+    const ch = ((num % 0x80) + 0x80) % 0x80;
+
+    num = (num - ch) / 0x80;
+
+    if ((num === 0 && (ch & 0x40) === 0)
+        || (num === -1 && (ch & 0x40) !== 0)) {
+      dst[off++] = ch;
+      break;
+    }
+
+    dst[off++] = ch | 0x80;
+  }
+
+  return off;
+}
+
+function sizeSLEB128(num) {
+  enforce(Number.isSafeInteger(num), 'num', 'integer');
+
+  let size = 0;
+
+  for (;;) {
+    const ch = ((num % 0x80) + 0x80) % 0x80;
+
+    num = (num - ch) / 0x80;
+    size += 1;
+
+    if ((num === 0 && (ch & 0x40) === 0)
+        || (num === -1 && (ch & 0x40) !== 0)) {
+      break;
+    }
+  }
+
+  return size;
+}
+
+function readZigZag(data, off) {
+  const {size, value} = readULEB128(data, off);
+
+  if (value % 2 === 0)
+    return new Varint(size, value / 2);
+
+  return new Varint(size, -(value + 1) / 2);
+}
+
+function writeZigZag(dst, num, off) {
+  return writeULEB128(dst, encodeZigZag(num), off);
+}
+
+function sizeZigZag(num) {
+  return sizeULEB128(encodeZigZag(num));
+}
+
+function readBigULEB128(data, off) {
+  let num = BigInt(0);
+  let shift = 0;
+  let size = 0;
+
+  for (;;) {
+    checkRead(off < data.length, off);
+
+    const ch = data[off++];
+    const bits = ch & 0x7f;
+
+    size += 1;
+
+    if (bits !== 0) {
+      check(shift < 64, off, 'Number exceeds 2^64-1');
+
+      num |= BigInt(bits) << BigInt(shift);
+
+      check(num <= BIG_U64_MAX, off, 'Number exceeds 2^64-1');
+    }
+
+    if ((ch & 0x80) === 0)
+      break;
+
+    shift += 7;
+  }
+
+  return new Varint(size, num);
+}
+
+function writeBigULEB128(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BigInt(0) && num <= BIG_U64_MAX, 'num', 'uint64');
+
+  while (num >= BigInt(0x80)) {
+    dst[off++] = Number(num & BigInt(0x7f)) | 0x80;
+    num >>= BigInt(7);
+  }
+
+  dst[off++] = Number(num);
+
+  return off;
+}
+
+function sizeBigULEB128(num) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BigInt(0) && num <= BIG_U64_MAX, 'num', 'uint64');
+
+  let size = 1;
+
+  while (num >= BigInt(0x80)) {
+    num >>= BigInt(7);
+    size += 1;
+  }
+
+  return size;
+}
+
+function readBigSLEB128(data, off) {
+  let end = off;
+
+  for (;;) {
+    checkRead(end < data.length, end);
+
+    if ((data[end++] & 0x80) === 0)
+      break;
+  }
+
+  const neg = (data[end - 1] & 0x40) !== 0;
+  const mask = neg ? 0x7f : 0x00;
+
+  let num = BigInt(0);
+  let shift = 0;
+
+  for (let i = off; i < end; i++) {
+    const bits = (data[i] & 0x7f) ^ mask;
+
+    if (bits !== 0) {
+      check(shift < 63, i + 1, 'Number exceeds 2^63-1');
+
+      num |= BigInt(bits) << BigInt(shift);
+
+      check(num <= BIG_I64_MAX, i + 1, 'Number exceeds 2^63-1');
+    }
+
+    shift += 7;
+  }
+
+  if (neg)
+    num = -num - BigInt(1);
+
+  return new Varint(end - off, num);
+}
+
+function writeBigSLEB128(dst, num, off) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I64_MIN && num <= BIG_I64_MAX, 'num', 'int64');
+
+  for (;;) {
+    const ch = Number(num & BigInt(0x7f));
+
+    num >>= BigInt(7);
+
+    if ((num === BigInt(0) && (ch & 0x40) === 0)
+        || (num === BigInt(-1) && (ch & 0x40) !== 0)) {
+      dst[off++] = ch;
+      break;
+    }
+
+    dst[off++] = ch | 0x80;
+  }
+
+  return off;
+}
+
+function sizeBigSLEB128(num) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I64_MIN && num <= BIG_I64_MAX, 'num', 'int64');
+
+  let size = 0;
+
+  for (;;) {
+    const ch = Number(num & BigInt(0x7f));
+
+    num >>= BigInt(7);
+    size += 1;
+
+    if ((num === BigInt(0) && (ch & 0x40) === 0)
+        || (num === BigInt(-1) && (ch & 0x40) !== 0)) {
+      break;
+    }
+  }
+
+  return size;
+}
+
+function readBigZigZag(data, off) {
+  const {size, value} = readBigULEB128(data, off);
+
+  if ((value & BigInt(1)) === BigInt(0))
+    return new Varint(size, value >> BigInt(1));
+
+  return new Varint(size, -(value >> BigInt(1)) - BigInt(1));
+}
+
+function writeBigZigZag(dst, num, off) {
+  return writeBigULEB128(dst, encodeBigZigZag(num), off);
+}
+
+function sizeBigZigZag(num) {
+  return sizeBigULEB128(encodeBigZigZag(num));
+}
+
+/*
+ * Script Numbers
+ */
+
+function readScriptNum(data, off, maxSize = 4, minimal = true) {
+  enforce((maxSize >>> 0) === maxSize, 'maxSize', 'integer');
+  enforce(typeof minimal === 'boolean', 'minimal', 'boolean');
+
+  checkRead(off < data.length, off);
+
+  const op = data[off];
+
+  if (op === 0x00)
+    return new Varint(1, 0);
+
+  if (op === 0x4f)
+    return new Varint(1, -1);
+
+  if (op >= 0x51 && op <= 0x60)
+    return new Varint(1, op - 0x50);
+
+  let start = off + 1;
+  let len = op;
+
+  switch (op) {
+    case 0x4c:
+      checkRead(start + 1 <= data.length, off);
+      len = readU8(data, start);
+      start += 1;
+      break;
+    case 0x4d:
+      checkRead(start + 2 <= data.length, off);
+      len = readU16(data, start);
+      start += 2;
+      break;
+    case 0x4e:
+      checkRead(start + 4 <= data.length, off);
+      len = readU32(data, start);
+      start += 4;
+      break;
+    default:
+      check(op <= 0x4b, off, 'Invalid script number push');
+      break;
+  }
+
+  check(len <= maxSize, off, 'Script number overflow');
+  checkRead(start + len <= data.length, off);
+
+  if (minimal) {
+    checkMinimalPush(op <= 0x4b, off);
+
+    if (len === 1) {
+      const ch = data[start];
+      checkMinimalPush(ch !== 0x81 && (ch < 1 || ch > 16), off);
+    }
+  }
+
+  const num = decodeScriptNum(data, start, len, minimal);
+
+  return new Varint(start + len - off, num);
+}
+
+function writeScriptNum(dst, num, off) {
+  enforce(Number.isSafeInteger(num), 'num', 'integer');
+
+  if (num === 0) {
+    dst[off++] = 0x00;
+    return off;
+  }
+
+  if (num === -1) {
+    dst[off++] = 0x4f;
+    return off;
+  }
+
+  if (num >= 1 && num <= 16) {
+    dst[off++] = 0x50 + num;
+    return off;
+  }
+
+  const len = sizeScriptNumData(num);
+
+  dst[off++] = len;
+
+  let abs = Math.abs(num);
+
+  for (let i = 0; i < len; i++) {
+    dst[off + i] = abs % 0x100;
+    abs = Math.floor(abs / 0x100);
+  }
+
+  if (num < 0)
+    dst[off + len - 1] |= 0x80;
+
+  return off + len;
+}
+
+function sizeScriptNum(num) {
+  enforce(Number.isSafeInteger(num), 'num', 'integer');
+
+  if (num >= -1 && num <= 16)
+    return 1;
+
+  return 1 + sizeScriptNumData(num);
+}
+
+/*
+ * Bytes
+ */
+
+function sliceBytes(data, off, size) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((off >>> 0) === off, 'off', 'integer');
+  enforce((size >>> 0) === size, 'size', 'integer');
+
+  if (off + size > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds read');
+
+  return bytes.slice(data, off, off + size);
+}
+
+function readBytes(data, off, size) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((off >>> 0) === off, 'off', 'integer');
+  enforce((size >>> 0) === size, 'size', 'integer');
+
+  if (off + size > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds read');
+
+  return bytes.clone(data, off, off + size);
+}
+
+function writeBytes(data, value, off) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce(bytes.isBytes(value), 'value', 'buffer');
+  enforce((off >>> 0) === off, 'off', 'integer');
+
+  if (off + value.length > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds write');
+
+  return bytes.copy(value, data, off);
+}
+
+function readString(data, off, size, enc) {
+  if (enc == null)
+    enc = 'binary';
+
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((off >>> 0) === off, 'off', 'integer');
+  enforce((size >>> 0) === size, 'size', 'integer');
+  enforce(typeof enc === 'string', 'enc', 'string');
+
+  if (off + size > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds read');
+
+  return bytes.toString(data, enc, off, off + size);
+}
+
+function writeString(data, str, off, enc) {
+  if (enc == null)
+    enc = 'binary';
+
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce(typeof str === 'string', 'str', 'string');
+  enforce((off >>> 0) === off, 'off', 'integer');
+  enforce(typeof enc === 'string', 'enc', 'string');
+
+  if (str.length === 0)
+    return 0;
+
+  const size = bytes.byteLength(str, enc);
+
+  if (off + size > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds write');
+
+  return bytes.write(data, str, off, enc);
+}
+
+function readHash(data, off, enc, size) {
+  if (size == null)
+    size = 32;
+
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((off >>> 0) === off, 'off', 'integer');
+  enforce(enc == null || typeof enc === 'string', 'enc', 'string');
+  enforce((size >>> 0) === size && size > 0, 'size', 'hash size');
+
+  if (off + size > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds read');
+
+  if (enc === 'rhex') {
+    const raw = bytes.clone(data, off, off + size);
+    return bytes.toString(raw.reverse(), 'hex');
+  }
+
+  if (enc)
+    return bytes.toString(data, enc, off, off + size);
+
+  return bytes.clone(data, off, off + size);
+}
+
+function writeHash(data, value, off, enc, size) {
+  if (enc == null)
+    enc = 'hex';
+
+  if (size == null)
+    size = 32;
+
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  enforce((off >>> 0) === off, 'off', 'integer');
+  enforce(enc === 'hex' || enc === 'rhex', 'enc', 'hash encoding');
+  enforce((size >>> 0) === size && size > 0, 'size', 'hash size');
+
+  if (typeof value !== 'string') {
+    enforce(bytes.isBytes(value), 'value', 'buffer');
+    enforce(value.length === size, 'value', `${size}-byte hash`);
+  } else {
+    enforce(value.length === size * 2 && isHex(value),
+            'value', `${size}-byte hash`);
+  }
+
+  if (off + size > data.length)
+    throw new OutOfBoundsError(off, 'Out of bounds write');
+
+  if (typeof value !== 'string')
+    return bytes.copy(value, data, off);
+
+  bytes.write(data, value, off, 'hex');
+
+  if (enc === 'rhex')
+    data.subarray(off, off + size).reverse();
+
+  return size;
+}
+
+function realloc(data, size) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+
+  const buf = bytes.alloc(size, data);
+
+  bytes.copy(data, buf, 0, 0, Math.min(size, data.length));
+
+  return buf;
+}
+
+function copy(data) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  return realloc(data, data.length);
+}
+
+function concat(a, b) {
+  enforce(bytes.isBytes(a), 'a', 'buffer');
+  enforce(bytes.isBytes(b), 'b', 'buffer');
+
+  const size = a.length + b.length;
+  const buf = bytes.alloc(size, a);
+
+  bytes.copy(a, buf, 0);
+  bytes.copy(b, buf, a.length);
+
+  return buf;
+}
+
+/*
+ * Amounts
+ */
+
+function formatAmount(num, decimals) {
+  enforce(typeof num === 'bigint' && num >= BI(0), 'num', 'unsigned bigint');
+  enforce((decimals >>> 0) === decimals, 'decimals', 'integer');
+
+  const str = num.toString(10);
+
+  if (decimals === 0)
+    return str;
+
+  const padded = str.padStart(decimals + 1, '0');
+  const int = padded.slice(0, -decimals);
+  const frac = padded.slice(-decimals).replace(/0+$/, '');
+
+  if (frac.length === 0)
+    return int;
+
+  return `${int}.${frac}`;
+}
+
+function parseAmount(value, decimals, size) {
+  enforce((decimals >>> 0) === decimals, 'decimals', 'integer');
+  enforce(size == null || (size >>> 0) === size, 'size', 'integer');
+
+  let num;
+
+  if (typeof value === 'bigint') {
+    num = value;
+  } else {
+    enforce(typeof value === 'string', 'value', 'string or bigint');
+
+    const parts = /^(\d+)(?:\.(\d+))?$/.exec(value);
+
+    enforce(parts !== null, 'value', 'decimal string');
+
+    const frac = (parts[2] || '').replace(/0+$/, '');
+
+    enforce(frac.length <= decimals,
+            'value', `amount with at most ${decimals} decimals`);
+
+    num = BI(parts[1] + frac.padEnd(decimals, '0'));
+  }
+
+  enforce(num >= BI(0), 'value', 'unsigned amount');
+
+  if (size != null) {
+    // @ts-ignore
+    enforce(num < (BI(1) << BI(size * 8)), 'value', `${size}-byte amount`);
+  }
+
+  return /** @type {BigInt} */ (num);
+}
+
+/*
+ * Size Helpers
+ */
+
+function sizeVarBytes(data) {
+  enforce(bytes.isBytes(data), 'data', 'buffer');
+  return sizeVarint(data.length) + data.length;
+}
+
+function sizeVarlen(len) {
+  return sizeVarint(len) + len;
+}
+
+function sizeVarString(str, enc) {
+  if (enc == null)
+    enc = 'binary';
+
+  enforce(typeof str === 'string', 'str', 'string');
+  enforce(typeof enc === 'string', 'enc', 'string');
+
+  if (str.length === 0)
+    return 1;
+
+  const len = bytes.byteLength(str, enc);
+
+  return sizeVarint(len) + len;
+}
+
+function sizeArray(items, size, prefix = true) {
+  enforce(Array.isArray(items), 'items', 'array');
+  enforce(size == null || typeof size === 'function', 'size', 'function');
+  enforce(typeof prefix === 'boolean', 'prefix', 'boolean');
+
+  let total = prefix ? sizeVarint(items.length) : 0;
+
+  for (const item of items)
+    total += size ? size(item) : item.getSize();
+
+  return total;
+}
+
+function sizeMap(map, keySize, valueSize) {
+  enforce(typeof keySize === 'function', 'keySize', 'function');
+  enforce(typeof valueSize === 'function', 'valueSize', 'function');
+
+  const items = entries(map);
+
+  let total = sizeVarint(items.length);
+
+  for (const [key, value] of items)
+    total += keySize(key) + valueSize(value);
+
+  return total;
+}
+
+/*
+ * Helpers
+ */
+
+function entries(map) {
+  if (map instanceof Map)
+    return Array.from(map);
+
+  enforce(map && typeof map === 'object', 'map', 'map');
+
+  return Object.entries(map);
+}
+
+function isSafe(hi, lo) {
+  if (hi < 0) {
+    hi = ~hi;
+    if (lo === 0)
+      hi += 1;
+  }
+
+  return (hi & 0xffe00000) === 0;
+}
+
+function write64(dst, num, off, be) {
+  let neg = false;
+
+  if (num < 0) {
+    num = -num;
+    neg = true;
   }
 
   let hi = (num * HI) | 0;
@@ -1391,6 +2281,23 @@ function write56(dst, num, off, be) {
   return off;
 }
 
+function encodeZigZag(num) {
+  enforce(Number.isSafeInteger(num), 'num', 'integer');
+  enforce(num >= ZIGZAG_MIN && num <= ZIGZAG_MAX, 'num', 'int53');
+
+  return num < 0 ? -num * 2 - 1 : num * 2;
+}
+
+function encodeBigZigZag(num) {
+  enforce(typeof num === 'bigint', 'num', 'bigint');
+  enforce(num >= BIG_I64_MIN && num <= BIG_I64_MAX, 'num', 'int64');
+
+  if (num < BigInt(0))
+    return ((BigInt(0) - num) << BigInt(1)) - BigInt(1);
+
+  return num << BigInt(1);
+}
+
 class Varint {
   constructor(size, value) {
     this.size = size;
@@ -1398,13 +2305,99 @@ class Varint {
   }
 }
 
-function isNumber(num) {
-  return typeof num === 'number' && isFinite(num);
+function decodeMinifloat(bits, ebits, fbits) {
+  const emax = (1 << ebits) - 1;
+  const bias = emax >>> 1;
+  const exp = (bits >>> fbits) & emax;
+  const frac = bits & ((1 << fbits) - 1);
+
+  let num;
+
+  if (exp === 0)
+    num = frac * 2 ** (1 - bias - fbits);
+  else if (exp === emax)
+    num = frac !== 0 ? NaN : Infinity;
+  else
+    num = (1 + frac / 2 ** fbits) * 2 ** (exp - bias);
+
+  return (bits & 0x8000) ? -num : num;
+}
+
+function encodeMinifloat(num, ebits, fbits) {
+  // Round to nearest (ties to even). NaNs become a quiet NaN.
+  const emax = (1 << ebits) - 1;
+  const bias = emax >>> 1;
+  const inf = emax << fbits;
+
+  if (num !== num)
+    return inf | (1 << (fbits - 1));
+
+  const sign = (num < 0 || (num === 0 && 1 / num < 0)) ? 0x8000 : 0;
+
+  num = Math.abs(num);
+
+  if (num === Infinity)
+    return sign | inf;
+
+  // Subnormal (may round up to the smallest normal).
+  if (num < 2 ** (1 - bias))
+    return sign | roundEven(num * 2 ** (bias - 1 + fbits));
+
+  let exp = Math.floor(Math.log2(num));
+
+  // Correct for imprecision in log2.
+  if (2 ** exp > num)
+    exp -= 1;
+  else if (2 ** (exp + 1) <= num)
+    exp += 1;
+
+  let frac = roundEven((num / 2 ** exp - 1) * 2 ** fbits);
+
+  if (frac === 1 << fbits) {
+    frac = 0;
+    exp += 1;
+  }
+
+  if (exp + bias >= emax)
+    return sign | inf;
+
+  return sign | ((exp + bias) << fbits) | frac;
+}
+
+function roundEven(num) {
+  const floor = Math.floor(num);
+  const diff = num - floor;
+
+  if (diff > 0.5 || (diff === 0.5 && (floor & 1)))
+    return floor + 1;
+
+  return floor;
+}
+
+function isHex(str) {
+  return /^[0-9a-f]*$/i.test(str);
 }
 
 function checkRead(value, offset) {
   if (!value)
-    throw new EncodingError(offset, 'Out of bounds read', checkRead);
+    throw new OutOfBoundsError(offset, 'Out of bounds read', checkRead);
+}
+
+function checkWrite(value, offset) {
+  if (!value)
+    throw new OutOfBoundsError(offset, 'Out of bounds write', checkWrite);
+}
+
+function checkCanonical(value, offset) {
+  if (!value)
+    throw new NonCanonicalError(offset, 'Non-canonical varint', checkCanonical);
+}
+
+function checkMinimalPush(value, offset) {
+  if (!value) {
+    throw new NonCanonicalError(offset, 'Non-minimal push',
+                                checkMinimalPush);
+  }
 }
 
 function check(value, offset, reason) {
@@ -1412,6 +2405,58 @@ function check(value, offset, reason) {
     throw new EncodingError(offset, reason, check);
 }
 
+function decodeScriptNum(data, off, len, minimal) {
+  if (len === 0)
+    return 0;
+
+  const last = data[off + len - 1];
+
+  if (minimal && (last & 0x7f) === 0) {
+    if (len === 1 || (data[off + len - 2] & 0x80) === 0) {
+      throw new NonCanonicalError(off, 'Non-minimal script number',
+                                  decodeScriptNum);
+    }
+  }
+
+  let num = last & 0x7f;
+
+  for (let i = len - 2; i >= 0; i--)
+    num = num * 0x100 + data[off + i];
+
+  check(num <= MAX_SAFE_INTEGER, off, 'Number exceeds 2^53-1');
+
+  if ((last & 0x80) && num !== 0)
+    return -num;
+
+  return num;
+}
+
+function sizeScriptNumData(num) {
+  let abs = Math.abs(num);
+  let len = 0;
+  let top = 0;
+
+  while (abs > 0) {
+    top = abs % 0x100;
+    abs = Math.floor(abs / 0x100);
+    len += 1;
+  }
+
+  // Room for the sign bit.
+  if (top & 0x80)
+    len += 1;
+
+  return len;
+}
+
+function isBigWidth(len) {
+  return (len >>> 0) === len && len >= 1 && len <= 64;
+}
+
+function bigMax(bits) {
+  return (BigInt(1) << BigInt(bits)) - BigInt(1);
+}
+
 function throwNoBigInt() {
   throw new Error('BigInt not supported.');
 }
@@ -1427,6 +2472,7 @@ function ensureBigInt(func) {
  */
 
 exports.readU = readU;
+exports.readBigU = ensureBigInt(readBigU);
 exports.readBigU256 = ensureBigInt(readBigU256);
 exports.readBigU128 = ensureBigInt(readBigU128);
 exports.readBigU64 = ensureBigInt(readBigU64);
@@ -1441,6 +2487,7 @@ exports.readU16 = readU16;
 exports.readU8 = readU8;
 
 exports.readUBE = readUBE;
+exports.readBigUBE = ensureBigInt(readBigUBE);
 exports.readBigU256BE = ensureBigInt(readBigU256BE);
 exports.readBigU128BE = ensureBigInt(readBigU128BE);
 exports.readBigU64BE = ensureBigInt(readBigU64BE);
@@ -1454,6 +2501,9 @@ exports.readU24BE = readU24BE;
 exports.readU16BE = readU16BE;
 
 exports.readI = readI;
+exports.readBigI = ensureBigInt(readBigI);
+exports.readBigI256 = ensureBigInt(readBigI256);
+exports.readBigI128 = ensureBigInt(readBigI128);
 exports.readBigI64 = ensureBigInt(readBigI64);
 exports.readBigI56 = ensureBigInt(readBigI56);
 exports.readI64 = readI64;
@@ -1466,6 +2516,9 @@ exports.readI16 = readI16;
 exports.readI8 = readI8;
 
 exports.readIBE = readIBE;
+exports.readBigIBE = ensureBigInt(readBigIBE);
+exports.readBigI256BE = ensureBigInt(readBigI256BE);
+exports.readBigI128BE = ensureBigInt(readBigI128BE);
 exports.readBigI64BE = ensureBigInt(readBigI64BE);
 exports.readBigI56BE = ensureBigInt(readBigI56BE);
 exports.readI64BE = readI64BE;
@@ -1478,10 +2531,15 @@ exports.readI16BE = readI16BE;
 
 exports.readFloat = readFloat;
 exports.readFloatBE = readFloatBE;
+exports.readFloat16 = readFloat16;
+exports.readFloat16BE = readFloat16BE;
+exports.readBFloat16 = readBFloat16;
+exports.readBFloat16BE = readBFloat16BE;
 exports.readDouble = readDouble;
 exports.readDoubleBE = readDoubleBE;
 
 exports.writeU = writeU;
+exports.writeBigU = ensureBigInt(writeBigU);
 exports.writeBigU256 = ensureBigInt(writeBigU256);
 exports.writeBigU128 = ensureBigInt(writeBigU128);
 exports.writeBigU64 = ensureBigInt(writeBigU64);
@@ -1496,6 +2554,7 @@ exports.writeU16 = writeU16;
 exports.writeU8 = writeU8;
 
 exports.writeUBE = writeUBE;
+exports.writeBigUBE = ensureBigInt(writeBigUBE);
 exports.writeBigU256BE = ensureBigInt(writeBigU256BE);
 exports.writeBigU128BE = ensureBigInt(writeBigU128BE);
 exports.writeBigU64BE = ensureBigInt(writeBigU64BE);
@@ -1509,6 +2568,9 @@ exports.writeU24BE = writeU24BE;
 exports.writeU16BE = writeU16BE;
 
 exports.writeI = writeI;
+exports.writeBigI = ensureBigInt(writeBigI);
+exports.writeBigI256 = ensureBigInt(writeBigI256);
+exports.writeBigI128 = ensureBigInt(writeBigI128);
 exports.writeBigI64 = ensureBigInt(writeBigI64);
 exports.writeBigI56 = ensureBigInt(writeBigI56);
 exports.writeI64 = writeI64;
@@ -1521,6 +2583,9 @@ exports.writeI16 = writeI16;
 exports.writeI8 = writeI8;
 
 exports.writeIBE = writeIBE;
+exports.writeBigIBE = ensureBigInt(writeBigIBE);
+exports.writeBigI256BE = ensureBigInt(writeBigI256BE);
+exports.writeBigI128BE = ensureBigInt(writeBigI128BE);
 exports.writeBigI64BE = ensureBigInt(writeBigI64BE);
 exports.writeBigI56BE = ensureBigInt(writeBigI56BE);
 exports.writeI64BE = writeI64BE;
@@ -1533,6 +2598,10 @@ exports.writeI16BE = writeI16BE;
 
 exports.writeFloat = writeFloat;
 exports.writeFloatBE = writeFloatBE;
+exports.writeFloat16 = writeFloat16;
+exports.writeFloat16BE = writeFloat16BE;
+exports.writeBFloat16 = writeBFloat16;
+exports.writeBFloat16BE = writeBFloat16BE;
 exports.writeDouble = writeDouble;
 exports.writeDoubleBE = writeDoubleBE;
 
@@ -1542,12 +2611,43 @@ exports.sizeVarint = sizeVarint;
 exports.readVarint2 = readVarint2;
 exports.writeVarint2 = writeVarint2;
 exports.sizeVarint2 = sizeVarint2;
+exports.readBigVarint = ensureBigInt(readBigVarint);
+exports.writeBigVarint = ensureBigInt(writeBigVarint);
+exports.sizeBigVarint = ensureBigInt(sizeBigVarint);
+exports.readBigVarint2 = ensureBigInt(readBigVarint2);
+exports.writeBigVarint2 = ensureBigInt(writeBigVarint2);
+exports.sizeBigVarint2 = ensureBigInt(sizeBigVarint2);
+
+exports.readULEB128 = readULEB128;
+exports.writeULEB128 = writeULEB128;
+exports.sizeULEB128 = sizeULEB128;
+exports.readSLEB128 = readSLEB128;
+exports.writeSLEB128 = writeSLEB128;
+exports.sizeSLEB128 = sizeSLEB128;
+exports.readZigZag = readZigZag;
+exports.writeZigZag = writeZigZag;
+exports.sizeZigZag = sizeZigZag;
+exports.readBigULEB128 = ensureBigInt(readBigULEB128);
+exports.writeBigULEB128 = ensureBigInt(writeBigULEB128);
+exports.sizeBigULEB128 = ensureBigInt(sizeBigULEB128);
+exports.readBigSLEB128 = ensureBigInt(readBigSLEB128);
+exports.writeBigSLEB128 = ensureBigInt(writeBigSLEB128);
+exports.sizeBigSLEB128 = ensureBigInt(sizeBigSLEB128);
+exports.readBigZigZag = ensureBigInt(readBigZigZag);
+exports.writeBigZigZag = ensureBigInt(writeBigZigZag);
+exports.sizeBigZigZag = ensureBigInt(sizeBigZigZag);
+
+exports.readScriptNum = readScriptNum;
+exports.writeScriptNum = writeScriptNum;
+exports.sizeScriptNum = sizeScriptNum;
 
 exports.sliceBytes = sliceBytes;
 exports.readBytes = readBytes;
 exports.writeBytes = writeBytes;
 exports.readString = readString;
 exports.writeString = writeString;
+exports.readHash = readHash;
+exports.writeHash = writeHash;
 
 exports.realloc = realloc;
 exports.copy = copy;
@@ -1556,3 +2656,7 @@ exports.concat = concat;
 exports.sizeVarBytes = sizeVarBytes;
 exports.sizeVarlen = sizeVarlen;
 exports.sizeVarString = sizeVarString;
+exports.sizeArray = sizeArray;
+exports.sizeMap = sizeMap;
+exports.formatAmount = formatAmount;
+exports.parseAmount = parseAmount;
@@ -18,23 +18,155 @@ class EncodingError extends Error {
    * @constructor
    * @param {Number} offset
    * @param {String} reason
+   * @param {Object|Function} [details] - `expected`, `actual`
+   * and `path` properties (or the stack start function).
+   * @param {Function} [start]
    */
 
-  constructor(offset, reason, start) {
+  constructor(offset, reason, details, start) {
     super();
 
+    if (typeof details === 'function') {
+      start = details;
+      details = null;
+    }
+
+    if (details == null)
+      details = {};
+
     this.type = 'EncodingError';
     this.name = 'EncodingError';
     this.code = 'ERR_ENCODING';
-    this.message = `${reason} (offset=${offset}).`;
+    this.offset = offset;
+    this.reason = reason;
+    this.expected = details.expected;
+    this.actual = details.actual;
+    this.path = details.path || null;
+    this.message = '';
+
+    this.format();
 
     if (Error.captureStackTrace)
       Error.captureStackTrace(this, start || EncodingError);
   }
+
+  /**
+   * Regenerate the error message (after
+   * changing the offset or path).
+   */
+
+  format() {
+    let info = `offset=${this.offset}`;
+
+    if (this.path)
+      info += `, path=${this.path}`;
+
+    this.message = `${this.reason} (${info}).`;
+  }
+
+  /**
+   * Prepend a field name or `[index]` to the error path.
+   * @param {String|Number} name
+   * @returns {this}
+   */
+
+  prependPath(name) {
+    if (typeof name === 'number')
+      name = `[${name}]`;
+
+    if (!this.path)
+      this.path = name;
+    else if (this.path[0] === '[')
+      this.path = name + this.path;
+    else
+      this.path = `${name}.${this.path}`;
+
+    this.format();
+
+    return this;
+  }
+}
+
+/**
+ * Out Of Bounds Error
+ * Thrown when a read or write runs past the end of the data.
+ * @extends {EncodingError}
+ */
+
+class OutOfBoundsError extends EncodingError {
+  constructor(offset, reason, details, start) {
+    super(offset, reason, details, start || OutOfBoundsError);
+    this.name = 'OutOfBoundsError';
+    this.code = 'ERR_OUT_OF_BOUNDS';
+  }
+}
+
+/**
+ * Non-Canonical Error
+ * Thrown when data has more than one valid encoding
+ * and was not encoded in the canonical way.
+ * @extends {EncodingError}
+ */
+
+class NonCanonicalError extends EncodingError {
+  constructor(offset, reason, details, start) {
+    super(offset, reason, details, start || NonCanonicalError);
+    this.name = 'NonCanonicalError';
+    this.code = 'ERR_NON_CANONICAL';
+  }
+}
+
+/**
+ * Checksum Error
+ * Thrown when a checksum does not match.
+ * @extends {EncodingError}
+ */
+
+class ChecksumError extends EncodingError {
+  constructor(offset, reason, details, start) {
+    super(offset, reason, details, start || ChecksumError);
+    this.name = 'ChecksumError';
+    this.code = 'ERR_CHECKSUM';
+  }
+}
+
+/**
+ * Limit Error
+ * Thrown when decoding exceeds a size or count limit.
+ * @extends {EncodingError}
+ */
+
+class LimitError extends EncodingError {
+  constructor(offset, reason, details, start) {
+    super(offset, reason, details, start || LimitError);
+    this.name = 'LimitError';
+    this.code = 'ERR_LIMIT';
+  }
+}
+
+/**
+ * Trailing Data Error
+ * Thrown when data is left over after decoding.
+ * @extends {EncodingError}
+ */
+
+class TrailingDataError extends EncodingError {
+  constructor(offset, reason, details, start) {
+    super(offset, reason, details, start || TrailingDataError);
+    this.name = 'TrailingDataError';
+    this.code = 'ERR_TRAILING_DATA';
+  }
 }
 
 /*
  * Expose
  */
 
+EncodingError.EncodingError = EncodingError;
+EncodingError.OutOfBoundsError = OutOfBoundsError;
+EncodingError.NonCanonicalError = NonCanonicalError;
+EncodingError.ChecksumError = ChecksumError;
+EncodingError.LimitError = LimitError;
+EncodingError.TrailingDataError = TrailingDataError;
+
 module.exports = EncodingError;
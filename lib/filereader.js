@@ -0,0 +1,300 @@
+/*!
+ * filereader.js - file reader for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const fs = require('fs');
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const {OutOfBoundsError} = require('./error');
+const ChunkedReader = require('./chunkedreader');
+
+/*
+ * Constants
+ */
+
+const EMPTY = bytes.alloc(0);
+const WINDOW_SIZE = 64 << 10;
+
+/**
+ * File Reader
+ * Reads synchronously from a file at arbitrary
+ * offsets. Offsets are absolute file positions.
+ * Data is loaded through a sliding window, so only
+ * the window (and anything sliced out of it) is
+ * kept in memory.
+ * @extends {ChunkedReader}
+ */
+
+class FileReader extends ChunkedReader {
+  /**
+   * Create a file reader.
+   * @constructor
+   * @param {String|Number} file - File path or descriptor.
+   * @param {Boolean|Object} [options] - Zero copy flag, or
+   * options as for {@link ChunkedReader} plus `windowSize`
+   * (the file read size, 64 KiB by default).
+   */
+
+  constructor(file, options) {
+    super([], options);
+
+    enforce(typeof file === 'string' || (file >>> 0) === file,
+            'file', 'path or descriptor');
+
+    this.fd = -1;
+    this.owned = false;
+    this.windowSize = WINDOW_SIZE;
+    this.window = EMPTY;
+    this.base = 0;
+
+    if (options != null && typeof options === 'object')
+      this.init(options);
+
+    if (typeof file === 'string') {
+      this.fd = fs.openSync(file, 'r');
+      this.owned = true;
+    } else {
+      this.fd = file;
+    }
+
+    try {
+      this.size = fs.fstatSync(this.fd).size;
+    } catch (e) {
+      if (this.owned)
+        fs.closeSync(this.fd);
+      throw e;
+    }
+  }
+
+  /**
+   * Initialize options.
+   * @param {Object} options
+   * @returns {FileReader}
+   */
+
+  init(options) {
+    enforce(typeof options === 'object', 'options', 'object');
+
+    if (options.windowSize != null) {
+      enforce((options.windowSize >>> 0) === options.windowSize
+              && options.windowSize > 0,
+              'windowSize', 'integer');
+      this.windowSize = options.windowSize;
+    }
+
+    return this;
+  }
+
+  /**
+   * Chunks cannot be appended to a file reader.
+   * @param {Buffer} chunk
+   * @returns {FileReader}
+   */
+
+  push(chunk) {
+    throw new Error('Cannot push to a file reader.');
+  }
+
+  /**
+   * Ensure a range of the file is loaded into the window.
+   * A new window buffer is allocated on each load, so
+   * zero-copy slices of an old window remain valid.
+   * @private
+   * @param {Number} pos
+   * @param {Number} size
+   */
+
+  load(pos, size) {
+    const {base, window} = this;
+
+    if (pos >= base && pos + size <= base + window.length)
+      return;
+
+    const length = Math.min(Math.max(size, this.windowSize),
+                            this.size - pos);
+    const data = bytes.alloc(length);
+
+    let off = 0;
+
+    while (off < length) {
+      const n = fs.readSync(this.fd, data, off, length - off, pos + off);
+
+      if (n === 0)
+        throw new OutOfBoundsError(pos + off, 'Unexpected end of file');
+
+      off += n;
+    }
+
+    this.window = data;
+    this.base = pos;
+  }
+
+  /**
+   * Consume `size` bytes, pointing `this.view` at the window.
+   * @protected
+   * @param {Number} size
+   * @returns {Number} Offset of the value in `this.view`.
+   */
+
+  take(size) {
+    this.check(size);
+    this.load(this.offset, size);
+
+    const ret = this.offset - this.base;
+
+    this.view = this.window;
+    this.offset += size;
+
+    return ret;
+  }
+
+  /**
+   * Find the next NUL byte, loading the file
+   * window by window.
+   * @protected
+   * @param {Number} end
+   * @param {Number} [pos=this.offset]
+   * @returns {Number}
+   */
+
+  scan(end, pos = this.offset) {
+    while (pos < this.size && pos < end) {
+      this.load(pos, 1);
+
+      const index = this.window.indexOf(0, pos - this.base);
+
+      if (index !== -1)
+        return Math.min(this.base + index, end);
+
+      pos = this.base + this.window.length;
+    }
+
+    return pos >= this.size ? -1 : end;
+  }
+
+  /**
+   * Get a contiguous buffer for a range of the file.
+   * @protected
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Boolean} zeroCopy
+   * @returns {Buffer}
+   */
+
+  slice(start, end, zeroCopy) {
+    const size = end - start;
+
+    if (size === 0)
+      return zeroCopy ? EMPTY : bytes.alloc(0);
+
+    this.load(start, size);
+
+    const off = start - this.base;
+
+    if (zeroCopy)
+      return bytes.slice(this.window, off, off + size);
+
+    return bytes.clone(this.window, off, off + size);
+  }
+
+  /**
+   * Seek to an absolute position.
+   * @param {Number} pos
+   * @returns {FileReader}
+   */
+
+  seekTo(pos) {
+    enforce(Number.isSafeInteger(pos) && pos >= 0, 'pos', 'integer');
+
+    if (pos > this.size)
+      throw new OutOfBoundsError(pos, 'Out of bounds read');
+
+    this.offset = pos;
+
+    return this;
+  }
+
+  /**
+   * Stop reading. Pop the start position off the stack
+   * and return the data read.
+   * @param {Boolean} [zeroCopy=false]
+   * @returns {Buffer} Data read.
+   * @throws on empty stack.
+   */
+
+  endData(zeroCopy = false) {
+    enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+
+    if (this.stack.length === 0)
+      throw new Error('Cannot end without a stack item.');
+
+    const start = this.stack.pop();
+
+    return this.slice(start, this.offset, this.zeroCopy || zeroCopy);
+  }
+
+  /**
+   * Close the file (if opened by the reader)
+   * and remove references to the window.
+   */
+
+  destroy() {
+    if (this.owned && this.fd !== -1)
+      fs.closeSync(this.fd);
+
+    super.destroy();
+
+    this.fd = -1;
+    this.owned = false;
+    this.window = EMPTY;
+    this.base = 0;
+
+    return this;
+  }
+
+  /**
+   * Create a child reader over the next `size` bytes.
+   * The child shares the file descriptor.
+   * @param {Number} size
+   * @returns {FileReader}
+   */
+
+  readChild(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    if (this.limits)
+      this.limits.checkDepth(this.offset, this.depth + 1);
+
+    this.check(size);
+
+    const br = new FileReader(this.fd, {
+      zeroCopy: this.zeroCopy,
+      limits: this.limits,
+      strict: this.strict,
+      windowSize: this.windowSize
+    });
+
+    br.size = this.offset + size;
+    br.offset = this.offset;
+    br.depth = this.depth + 1;
+    br.window = this.window;
+    br.base = this.base;
+
+    if (br.base + br.window.length > br.size)
+      br.window = bytes.slice(br.window, 0, Math.max(0, br.size - br.base));
+
+    this.offset += size;
+
+    return br;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = FileReader;
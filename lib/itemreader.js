@@ -0,0 +1,115 @@
+/*!
+ * itemreader.js - shared decoding helpers for cbor and msgpack
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const bytes = require('./bytes');
+const BufferReader = require('./reader');
+const {
+  EncodingError,
+  NonCanonicalError,
+  LimitError
+} = require('./error');
+
+/*
+ * Constants
+ */
+
+// Hard nesting limit, regardless of `limits.maxDepth`.
+const MAX_DEPTH = 512;
+
+/*
+ * Item Reading
+ */
+
+/**
+ * Decode a single item, rejecting trailing data.
+ * @param {Function} read - `(br) => value`.
+ * @param {Uint8Array} data
+ * @param {Object} [options] - Reader options.
+ * @returns {*}
+ * @throws {EncodingError}
+ */
+
+function decode(read, data, options) {
+  const br = new BufferReader(data, options);
+  const value = read(br);
+
+  br.verifyEnd();
+
+  return value;
+}
+
+/**
+ * Check the nesting depth of an item.
+ * @param {BufferReader} br
+ * @param {Number} depth
+ * @throws {LimitError}
+ */
+
+function checkDepth(br, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new LimitError(br.offset, 'Nesting exceeds limit', {
+      expected: MAX_DEPTH,
+      actual: depth
+    }, checkDepth);
+  }
+
+  if (br.limits)
+    br.limits.checkDepth(br.offset, depth);
+}
+
+/**
+ * Read a UTF-8 string. Invalid UTF-8 is always
+ * rejected, strict or not.
+ * @param {BufferReader} br
+ * @param {Number} size
+ * @returns {String}
+ * @throws {EncodingError}
+ */
+
+function readString(br, size) {
+  br.check(size);
+
+  if (!bytes.isUTF8(br.data, br.offset, br.offset + size))
+    throw new EncodingError(br.offset, 'Invalid UTF-8', readString);
+
+  return br.readString(size, 'utf8');
+}
+
+/**
+ * Reject a map key which was already read. Keys are
+ * compared by their encodings (which are unique once
+ * non-minimal encodings are rejected), so the integer
+ * 1 and the float 1.0 are different keys.
+ * @param {BufferReader} br
+ * @param {Set<String>|null} seen - Encoded keys, or
+ * null to skip the check.
+ * @param {Number} start - Offset of the key.
+ * @throws {NonCanonicalError}
+ */
+
+function checkKey(br, seen, start) {
+  if (!seen)
+    return;
+
+  const id = bytes.toString(br.data, 'hex', start, br.offset);
+
+  if (seen.has(id))
+    throw new NonCanonicalError(start, 'Duplicate map key', checkKey);
+
+  seen.add(id);
+}
+
+/*
+ * Expose
+ */
+
+exports.MAX_DEPTH = MAX_DEPTH;
+exports.decode = decode;
+exports.checkDepth = checkDepth;
+exports.readString = readString;
+exports.checkKey = checkKey;
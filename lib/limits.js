@@ -0,0 +1,174 @@
+/*!
+ * limits.js - decode limits for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const {LimitError} = require('./error');
+
+/**
+ * Limits
+ * Resource limits for decoding untrusted data. A zero
+ * value disables a limit. One limits object is shared
+ * between a reader and all of its child readers, so the
+ * copy budget covers the entire decode.
+ */
+
+class Limits {
+  /**
+   * Create a limits object.
+   * @constructor
+   * @param {Object} [options]
+   * @param {Number} [options.maxAlloc=0] - Max size of a single read.
+   * @param {Number} [options.maxCopy=0] - Max total bytes copied.
+   * @param {Number} [options.maxString=0] - Max string length.
+   * @param {Number} [options.maxScan=0] - Max NUL-scan distance.
+   * @param {Number} [options.maxDepth=0] - Max child reader depth.
+   */
+
+  constructor(options) {
+    this.maxAlloc = 0;
+    this.maxCopy = 0;
+    this.maxString = 0;
+    this.maxScan = 0;
+    this.maxDepth = 0;
+    this.copied = 0;
+
+    if (options != null)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @returns {this}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+
+    for (const key of ['maxAlloc', 'maxCopy', 'maxString',
+                       'maxScan', 'maxDepth']) {
+      const value = options[key];
+
+      if (value != null) {
+        enforce(Number.isSafeInteger(value) && value >= 0, key, 'integer');
+        this[key] = value;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Instantiate limits from options.
+   * @param {Limits|Object} options
+   * @returns {Limits}
+   */
+
+  static from(options) {
+    if (options instanceof Limits)
+      return options;
+    return new Limits(options);
+  }
+
+  /**
+   * Reset the copy budget.
+   * @returns {this}
+   */
+
+  reset() {
+    this.copied = 0;
+    return this;
+  }
+
+  /**
+   * Check the size of a single read.
+   * @param {Number} offset
+   * @param {Number} size
+   * @throws {LimitError}
+   */
+
+  checkAlloc(offset, size) {
+    if (this.maxAlloc !== 0 && size > this.maxAlloc) {
+      throw new LimitError(offset, 'Allocation exceeds limit', {
+        expected: this.maxAlloc,
+        actual: size
+      }, this.checkAlloc);
+    }
+  }
+
+  /**
+   * Check and consume the copy budget.
+   * @param {Number} offset
+   * @param {Number} size
+   * @throws {LimitError}
+   */
+
+  consume(offset, size) {
+    this.checkAlloc(offset, size);
+
+    if (this.maxCopy !== 0 && this.copied + size > this.maxCopy) {
+      throw new LimitError(offset, 'Total copy exceeds limit', {
+        expected: this.maxCopy,
+        actual: this.copied + size
+      }, this.consume);
+    }
+
+    this.copied += size;
+  }
+
+  /**
+   * Check the length of a string.
+   * @param {Number} offset
+   * @param {Number} size
+   * @throws {LimitError}
+   */
+
+  checkString(offset, size) {
+    if (this.maxString !== 0 && size > this.maxString) {
+      throw new LimitError(offset, 'String exceeds limit', {
+        expected: this.maxString,
+        actual: size
+      }, this.checkString);
+    }
+  }
+
+  /**
+   * Get the end of a NUL scan.
+   * @param {Number} offset
+   * @param {Number} end
+   * @returns {Number}
+   */
+
+  scanEnd(offset, end) {
+    if (this.maxScan !== 0)
+      return Math.min(end, offset + this.maxScan + 1);
+    return end;
+  }
+
+  /**
+   * Check the depth of a child reader.
+   * @param {Number} offset
+   * @param {Number} depth
+   * @throws {LimitError}
+   */
+
+  checkDepth(offset, depth) {
+    if (this.maxDepth !== 0 && depth > this.maxDepth) {
+      throw new LimitError(offset, 'Nesting exceeds limit', {
+        expected: this.maxDepth,
+        actual: depth
+      }, this.checkDepth);
+    }
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Limits;
@@ -0,0 +1,664 @@
+/*!
+ * msgpack.js - messagepack encoding for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const BufferReader = require('./reader');
+const BufferWriter = require('./writer');
+const itemreader = require('./itemreader');
+const {readString} = itemreader;
+const {
+  EncodingError,
+  NonCanonicalError,
+  OutOfBoundsError
+} = require('./error');
+
+/*
+ * Constants
+ */
+
+const TIMESTAMP = -1;
+
+const {MAX_DEPTH} = itemreader;
+
+const {MAX_SAFE_INTEGER} = Number;
+
+/**
+ * Registered extension types.
+ * @type {Map<Number, Object>}
+ */
+
+const extensions = new Map();
+
+/**
+ * Ext
+ * An extension value with no registered type.
+ */
+
+class Ext {
+  /**
+   * Create an extension value.
+   * @constructor
+   * @param {Number} type - Signed 8-bit type.
+   * @param {Uint8Array} data
+   */
+
+  constructor(type, data) {
+    enforce((type << 24 >> 24) === type, 'type', 'int8');
+    enforce(bytes.isBytes(data), 'data', 'buffer');
+
+    this.type = type;
+    this.data = data;
+  }
+}
+
+/**
+ * Timestamp
+ * A timestamp extension value (type -1).
+ */
+
+class Timestamp {
+  /**
+   * Create a timestamp.
+   * @constructor
+   * @param {Number|BigInt} [sec=0] - Seconds since the epoch.
+   * @param {Number} [nsec=0] - Nanoseconds.
+   */
+
+  constructor(sec = 0, nsec = 0) {
+    if (typeof sec === 'bigint') {
+      enforce(BigInt.asIntN(64, sec) === sec, 'sec', 'int64');
+    } else {
+      enforce(Number.isSafeInteger(sec), 'sec', 'integer');
+    }
+
+    enforce((nsec >>> 0) === nsec && nsec < 1e9, 'nsec', 'nanoseconds');
+
+    this.sec = sec;
+    this.nsec = nsec;
+  }
+
+  /**
+   * Convert the timestamp to a date (millisecond precision).
+   * @returns {Date}
+   */
+
+  toDate() {
+    return new Date(Number(this.sec) * 1000 + Math.floor(this.nsec / 1e6));
+  }
+
+  /**
+   * Instantiate a timestamp from a date.
+   * @param {Date} date
+   * @returns {Timestamp}
+   */
+
+  static fromDate(date) {
+    enforce(date instanceof Date, 'date', 'date');
+
+    const ms = date.getTime();
+
+    enforce(!isNaN(ms), 'date', 'valid date');
+
+    const sec = Math.floor(ms / 1000);
+
+    return new this(sec, (ms - sec * 1000) * 1e6);
+  }
+}
+
+/*
+ * Extensions
+ */
+
+/**
+ * Register an extension type. Instances of `ctor` are
+ * packed as `type` using `encode`, and `type` is unpacked
+ * using `decode`.
+ * @param {Number} type - Application type (0-127).
+ * @param {Function} ctor
+ * @param {Function} encode - Returns the ext data for a value.
+ * @param {Function} decode - Returns a value for the ext data.
+ */
+
+function register(type, ctor, encode, decode) {
+  enforce((type & 0x7f) === type, 'type', 'application type');
+  enforce(typeof ctor === 'function', 'ctor', 'function');
+  enforce(typeof encode === 'function', 'encode', 'function');
+  enforce(typeof decode === 'function', 'decode', 'function');
+
+  extensions.set(type, { ctor, encode, decode });
+}
+
+/**
+ * Unregister an extension type.
+ * @param {Number} type
+ * @returns {Boolean}
+ */
+
+function unregister(type) {
+  enforce((type & 0x7f) === type, 'type', 'application type');
+  return extensions.delete(type);
+}
+
+/*
+ * Encoding
+ */
+
+/**
+ * Pack a value as MessagePack. Integers (including
+ * BigInts in the 64-bit range) use the smallest format,
+ * other numbers are written as float64, byte arrays as
+ * bin, Maps and plain objects as maps and Dates as
+ * timestamps.
+ * @param {*} value
+ * @returns {Buffer}
+ */
+
+function pack(value) {
+  const bw = new BufferWriter();
+  write(bw, value);
+  return bw.render();
+}
+
+/**
+ * Write a MessagePack value to a buffer writer.
+ * @param {Object} bw - Buffer writer or static writer.
+ * @param {*} value
+ * @returns {Object} The writer.
+ */
+
+function write(bw, value) {
+  enforce(bw && typeof bw.writeU8 === 'function', 'bw', 'writer');
+
+  writeItem(bw, value, 0);
+
+  return bw;
+}
+
+function writeItem(bw, value, depth) {
+  enforce(depth <= MAX_DEPTH, 'value', 'acyclic object');
+
+  switch (typeof value) {
+    case 'boolean':
+      bw.writeU8(value ? 0xc3 : 0xc2);
+      return;
+    case 'undefined':
+      bw.writeU8(0xc0);
+      return;
+    case 'number':
+      if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+        writeInt(bw, value);
+      } else {
+        bw.writeU8(0xcb);
+        bw.writeDoubleBE(value);
+      }
+      return;
+    case 'bigint':
+      writeBigInt(bw, value);
+      return;
+    case 'string':
+      writeString(bw, value);
+      return;
+  }
+
+  if (value === null) {
+    bw.writeU8(0xc0);
+    return;
+  }
+
+  if (bytes.isBytes(value)) {
+    writeSize(bw, value.length, -1, 0xc4);
+    bw.writeBytes(value);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    writeSize(bw, value.length, 0x90, 0xdc);
+
+    for (const item of value)
+      writeItem(bw, item, depth + 1);
+
+    return;
+  }
+
+  if (value instanceof Ext) {
+    writeExt(bw, value.type, value.data);
+    return;
+  }
+
+  if (value instanceof Date)
+    value = Timestamp.fromDate(value);
+
+  if (value instanceof Timestamp) {
+    writeTimestamp(bw, value);
+    return;
+  }
+
+  for (const [type, {ctor, encode}] of extensions) {
+    if (value instanceof ctor) {
+      const data = encode(value);
+
+      enforce(bytes.isBytes(data), 'data', 'buffer');
+
+      writeExt(bw, type, data);
+
+      return;
+    }
+  }
+
+  enforce(typeof value === 'object', 'value', 'msgpack value');
+
+  const entries = value instanceof Map
+    ? Array.from(value)
+    : Object.keys(value).map(key => [key, value[key]]);
+
+  writeSize(bw, entries.length, 0x80, 0xde);
+
+  for (const [key, item] of entries) {
+    writeItem(bw, key, depth + 1);
+    writeItem(bw, item, depth + 1);
+  }
+}
+
+function writeInt(bw, num) {
+  if (num >= 0) {
+    if (num <= 0x7f) {
+      bw.writeU8(num);
+    } else if (num <= 0xff) {
+      bw.writeU8(0xcc);
+      bw.writeU8(num);
+    } else if (num <= 0xffff) {
+      bw.writeU8(0xcd);
+      bw.writeU16BE(num);
+    } else if (num <= 0xffffffff) {
+      bw.writeU8(0xce);
+      bw.writeU32BE(num);
+    } else {
+      bw.writeU8(0xcf);
+      bw.writeU64BE(num);
+    }
+    return;
+  }
+
+  if (num >= -0x20) {
+    bw.writeI8(num);
+  } else if (num >= -0x80) {
+    bw.writeU8(0xd0);
+    bw.writeI8(num);
+  } else if (num >= -0x8000) {
+    bw.writeU8(0xd1);
+    bw.writeI16BE(num);
+  } else if (num >= -0x80000000) {
+    bw.writeU8(0xd2);
+    bw.writeI32BE(num);
+  } else {
+    bw.writeU8(0xd3);
+    bw.writeI64BE(num);
+  }
+}
+
+function writeBigInt(bw, num) {
+  if (num >= -BigInt(MAX_SAFE_INTEGER) && num <= BigInt(MAX_SAFE_INTEGER)) {
+    writeInt(bw, Number(num));
+    return;
+  }
+
+  // @ts-ignore
+  if (num > BigInt(0)) {
+    enforce(BigInt.asUintN(64, num) === num, 'value', 'uint64');
+    bw.writeU8(0xcf);
+    bw.writeBigU64BE(num);
+  } else {
+    enforce(BigInt.asIntN(64, num) === num, 'value', 'int64');
+    bw.writeU8(0xd3);
+    bw.writeBigI64BE(num);
+  }
+}
+
+function writeString(bw, str) {
+  const size = bytes.byteLength(str, 'utf8');
+
+  if (size <= 0x1f)
+    bw.writeU8(0xa0 | size);
+  else
+    writeSize(bw, size, -1, 0xd9);
+
+  bw.writeString(str, 'utf8');
+}
+
+function writeSize(bw, size, fix, base) {
+  // Arrays and maps have no 8-bit format.
+  const wide = base === 0xdc || base === 0xde;
+
+  if (fix !== -1 && size <= 0x0f) {
+    bw.writeU8(fix | size);
+  } else if (!wide && size <= 0xff) {
+    bw.writeU8(base);
+    bw.writeU8(size);
+  } else if (size <= 0xffff) {
+    bw.writeU8(wide ? base : base + 1);
+    bw.writeU16BE(size);
+  } else {
+    enforce(size <= 0xffffffff, 'size', 'uint32');
+    bw.writeU8(wide ? base + 1 : base + 2);
+    bw.writeU32BE(size);
+  }
+}
+
+function writeExt(bw, type, data) {
+  switch (data.length) {
+    case 1:
+      bw.writeU8(0xd4);
+      break;
+    case 2:
+      bw.writeU8(0xd5);
+      break;
+    case 4:
+      bw.writeU8(0xd6);
+      break;
+    case 8:
+      bw.writeU8(0xd7);
+      break;
+    case 16:
+      bw.writeU8(0xd8);
+      break;
+    default:
+      writeSize(bw, data.length, -1, 0xc7);
+      break;
+  }
+
+  bw.writeI8(type);
+  bw.writeBytes(data);
+}
+
+function writeTimestamp(bw, ts) {
+  const {sec, nsec} = ts;
+
+  if (typeof sec === 'number' && sec >= 0 && sec < 2 ** 34) {
+    if (nsec === 0 && sec <= 0xffffffff) {
+      bw.writeU8(0xd6);
+      bw.writeI8(TIMESTAMP);
+      bw.writeU32BE(sec);
+      return;
+    }
+
+    // 30-bit nanoseconds and 34-bit seconds.
+    bw.writeU8(0xd7);
+    bw.writeI8(TIMESTAMP);
+    bw.writeU32BE(nsec * 4 + Math.floor(sec / 0x100000000));
+    bw.writeU32BE(sec % 0x100000000);
+    return;
+  }
+
+  bw.writeU8(0xc7);
+  bw.writeU8(12);
+  bw.writeI8(TIMESTAMP);
+  bw.writeU32BE(nsec);
+  bw.writeBigI64BE(BigInt(sec));
+}
+
+/*
+ * Decoding
+ */
+
+/**
+ * Unpack a single MessagePack value. 64-bit integers
+ * outside of the safe range are returned as BigInts,
+ * maps as Maps, timestamps as `Timestamp` objects and
+ * unregistered extensions as `Ext` objects. With the
+ * `zeroCopy` option, bin data is sliced from the input.
+ * @param {Uint8Array} data
+ * @param {Object} [options] - Reader options (`zeroCopy`,
+ * `limits` and `strict`).
+ * @returns {*}
+ * @throws {EncodingError}
+ */
+
+function unpack(data, options) {
+  return itemreader.decode(read, data, options);
+}
+
+/**
+ * Read a MessagePack value from a buffer reader.
+ * Nesting is bounded by the reader's `maxDepth` limit.
+ * Strict readers reject values not packed in their
+ * smallest format and duplicate map keys. Invalid
+ * UTF-8 is always rejected.
+ * @param {BufferReader} br
+ * @returns {*}
+ * @throws {EncodingError}
+ */
+
+function read(br) {
+  enforce(br instanceof BufferReader, 'br', 'reader');
+  return readItem(br, 0);
+}
+
+function readItem(br, depth) {
+  itemreader.checkDepth(br, depth);
+
+  const start = br.offset;
+  const ch = br.readU8();
+
+  if (ch <= 0x7f)
+    return ch;
+
+  if (ch >= 0xe0)
+    return ch - 0x100;
+
+  if (ch <= 0x8f)
+    return readMap(br, ch & 0x0f, depth, start);
+
+  if (ch <= 0x9f)
+    return readArray(br, ch & 0x0f, depth, start);
+
+  if (ch <= 0xbf)
+    return readString(br, ch & 0x1f);
+
+  switch (ch) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return br.readBytes(checkSize(br, br.readU8(), -1, start));
+    case 0xc5:
+      return br.readBytes(checkSize(br, br.readU16BE(), 0xff, start));
+    case 0xc6:
+      return br.readBytes(checkSize(br, br.readU32BE(), 0xffff, start));
+    case 0xc7:
+      return readExt(br, checkExtSize(br, br.readU8(), start), start);
+    case 0xc8:
+      return readExt(br, checkSize(br, br.readU16BE(), 0xff, start), start);
+    case 0xc9:
+      return readExt(br, checkSize(br, br.readU32BE(), 0xffff, start), start);
+    case 0xca:
+      return br.readFloatBE();
+    case 0xcb:
+      return br.readDoubleBE();
+    case 0xcc:
+      return checkInt(br, br.readU8(), 0x7f, start);
+    case 0xcd:
+      return checkInt(br, br.readU16BE(), 0xff, start);
+    case 0xce:
+      return checkInt(br, br.readU32BE(), 0xffff, start);
+    case 0xcf:
+      return checkInt(br, toNumber(br.readBigU64BE()), 0xffffffff, start);
+    case 0xd0:
+      return checkInt(br, br.readI8(), -0x21, start);
+    case 0xd1:
+      return checkInt(br, br.readI16BE(), -0x81, start);
+    case 0xd2:
+      return checkInt(br, br.readI32BE(), -0x8001, start);
+    case 0xd3:
+      return checkInt(br, toNumber(br.readBigI64BE()), -0x80000001, start);
+    case 0xd4:
+      return readExt(br, 1, start);
+    case 0xd5:
+      return readExt(br, 2, start);
+    case 0xd6:
+      return readExt(br, 4, start);
+    case 0xd7:
+      return readExt(br, 8, start);
+    case 0xd8:
+      return readExt(br, 16, start);
+    case 0xd9:
+      return readString(br, checkSize(br, br.readU8(), 0x1f, start));
+    case 0xda:
+      return readString(br, checkSize(br, br.readU16BE(), 0xff, start));
+    case 0xdb:
+      return readString(br, checkSize(br, br.readU32BE(), 0xffff, start));
+    case 0xdc:
+      return readArray(br, checkSize(br, br.readU16BE(), 0x0f, start),
+                       depth, start);
+    case 0xdd:
+      return readArray(br, checkSize(br, br.readU32BE(), 0xffff, start),
+                       depth, start);
+    case 0xde:
+      return readMap(br, checkSize(br, br.readU16BE(), 0x0f, start),
+                     depth, start);
+    case 0xdf:
+      return readMap(br, checkSize(br, br.readU32BE(), 0xffff, start),
+                     depth, start);
+  }
+
+  throw new EncodingError(start, 'Invalid format', readItem);
+}
+
+function readArray(br, size, depth, start) {
+  checkCount(br, size, 1, start);
+
+  const items = [];
+
+  for (let i = 0; i < size; i++)
+    items.push(readItem(br, depth + 1));
+
+  return items;
+}
+
+function readMap(br, size, depth, start) {
+  checkCount(br, size, 2, start);
+
+  const map = new Map();
+  const seen = br.strict ? new Set() : null;
+
+  for (let i = 0; i < size; i++) {
+    const pos = br.offset;
+    const key = readItem(br, depth + 1);
+
+    itemreader.checkKey(br, seen, pos);
+
+    map.set(key, readItem(br, depth + 1));
+  }
+
+  return map;
+}
+
+function readExt(br, size, start) {
+  const type = br.readI8();
+  const data = br.readBytes(size);
+
+  if (type === TIMESTAMP)
+    return readTimestamp(data, start);
+
+  const ext = extensions.get(type);
+
+  if (ext)
+    return ext.decode(data);
+
+  return new Ext(type, data);
+}
+
+function readTimestamp(data, start) {
+  const br = new BufferReader(data);
+
+  let sec, nsec;
+
+  switch (data.length) {
+    case 4:
+      sec = br.readU32BE();
+      nsec = 0;
+      break;
+    case 8: {
+      const hi = br.readU32BE();
+      const lo = br.readU32BE();
+
+      nsec = hi >>> 2;
+      sec = (hi & 3) * 0x100000000 + lo;
+
+      break;
+    }
+    case 12:
+      nsec = br.readU32BE();
+      sec = toNumber(br.readBigI64BE());
+      break;
+    default:
+      throw new EncodingError(start, 'Invalid timestamp', readTimestamp);
+  }
+
+  if (nsec >= 1e9)
+    throw new EncodingError(start, 'Invalid timestamp', readTimestamp);
+
+  return new Timestamp(sec, nsec);
+}
+
+/*
+ * Helpers
+ */
+
+function toNumber(num) {
+  if (num >= -BigInt(MAX_SAFE_INTEGER) && num <= BigInt(MAX_SAFE_INTEGER))
+    return Number(num);
+  return num;
+}
+
+function checkInt(br, num, max, start) {
+  // Negative formats are minimal below `max`.
+  const minimal = max < 0 ? num <= max : num > max;
+
+  if (br.strict && !minimal)
+    throw new NonCanonicalError(start, 'Non-minimal integer', checkInt);
+
+  return num;
+}
+
+function checkSize(br, size, max, start) {
+  if (br.strict && size <= max)
+    throw new NonCanonicalError(start, 'Non-minimal size', checkSize);
+
+  return size;
+}
+
+function checkExtSize(br, size, start) {
+  // Sizes with a fixext format.
+  if (br.strict && (size & (size - 1)) === 0 && size !== 0 && size <= 16)
+    throw new NonCanonicalError(start, 'Non-minimal size', checkExtSize);
+
+  return size;
+}
+
+function checkCount(br, size, width, start) {
+  // Every item takes at least one byte.
+  if (size * width > br.left())
+    throw new OutOfBoundsError(start, 'Out of bounds read', checkCount);
+}
+
+/*
+ * Expose
+ */
+
+exports.Ext = Ext;
+exports.Timestamp = Timestamp;
+exports.register = register;
+exports.unregister = unregister;
+exports.pack = pack;
+exports.write = write;
+exports.unpack = unpack;
+exports.read = read;
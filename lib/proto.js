@@ -0,0 +1,56 @@
+/*!
+ * proto.js - protobuf constants for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+/*
+ * Wire Types
+ */
+
+const types = {
+  VARINT: 0,
+  I64: 1,
+  LEN: 2,
+  SGROUP: 3,
+  EGROUP: 4,
+  I32: 5
+};
+
+/*
+ * Scalar Types
+ * Packable field types and their wire types.
+ */
+
+const scalars = {
+  int32: types.VARINT,
+  int64: types.VARINT,
+  uint32: types.VARINT,
+  uint64: types.VARINT,
+  sint32: types.VARINT,
+  sint64: types.VARINT,
+  bool: types.VARINT,
+  enum: types.VARINT,
+  fixed64: types.I64,
+  sfixed64: types.I64,
+  double: types.I64,
+  fixed32: types.I32,
+  sfixed32: types.I32,
+  float: types.I32
+};
+
+/*
+ * Field Numbers
+ */
+
+const MAX_FIELD = 0x1fffffff;
+
+/*
+ * Expose
+ */
+
+exports.types = types;
+exports.scalars = scalars;
+exports.MAX_FIELD = MAX_FIELD;
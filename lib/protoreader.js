@@ -0,0 +1,523 @@
+/*!
+ * protoreader.js - protobuf reader for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const BufferReader = require('./reader');
+const {types, scalars, MAX_FIELD} = require('./proto');
+const {
+  EncodingError,
+  OutOfBoundsError,
+  TrailingDataError
+} = require('./error');
+
+/**
+ * Protobuf Reader
+ * Reads protobuf wire-format fields from a buffer reader.
+ * Each value is read by first reading its tag with
+ * `readTag()` and then calling the reader for the field's
+ * type (or `skip()` for unknown fields). The wire type of
+ * the tag is checked against the type being read.
+ * Embedded messages are read with child readers, so they
+ * can never run past their declared length.
+ */
+
+class ProtoReader {
+  /**
+   * Create a protobuf reader.
+   * @constructor
+   * @param {BufferReader|Buffer|Uint8Array} br
+   */
+
+  constructor(br) {
+    if (br instanceof Uint8Array)
+      br = new BufferReader(br);
+
+    enforce(br && typeof br.readChild === 'function', 'br', 'reader');
+
+    this.br = br;
+    this.tag = null;
+  }
+
+  /**
+   * Calculate number of bytes left to read.
+   * @returns {Number}
+   */
+
+  left() {
+    return this.br.left();
+  }
+
+  /**
+   * Ensure all fields have been read.
+   * @returns {ProtoReader}
+   * @throws {TrailingDataError}
+   */
+
+  verifyEnd() {
+    if (this.br.left() !== 0) {
+      throw new TrailingDataError(this.br.offset, 'Trailing data',
+                                  this.verifyEnd);
+    }
+
+    return this;
+  }
+
+  /**
+   * Read a field tag (field number and wire type).
+   * @returns {Tag}
+   */
+
+  readTag() {
+    const start = this.br.offset;
+    const key = this.br.readULEB128();
+    const field = Math.floor(key / 8);
+    const type = key % 8;
+
+    if (type > types.I32)
+      throw new EncodingError(start, 'Invalid wire type', this.readTag);
+
+    if (field === 0 || field > MAX_FIELD)
+      throw new EncodingError(start, 'Invalid field number', this.readTag);
+
+    this.tag = new Tag(field, type);
+
+    return this.tag;
+  }
+
+  /**
+   * Read a field tag without consuming it.
+   * @returns {Tag}
+   */
+
+  peekTag() {
+    const {offset} = this.br;
+    const {tag} = this;
+
+    try {
+      return this.readTag();
+    } finally {
+      this.br.offset = offset;
+      this.tag = tag;
+    }
+  }
+
+  /**
+   * Skip over the value of the last tag (and over the
+   * contents of a group, up to its end tag).
+   * @returns {ProtoReader}
+   */
+
+  skip() {
+    const start = this.br.offset;
+    const {field, type} = this.expect(-1);
+
+    if (type === types.EGROUP)
+      throw new EncodingError(start, 'Unexpected end group', this.skip);
+
+    if (type !== types.SGROUP) {
+      skipValue(this, type);
+      this.tag = null;
+      return this;
+    }
+
+    const stack = [field];
+
+    while (stack.length > 0) {
+      const offset = this.br.offset;
+      const tag = this.readTag();
+
+      if (this.br.limits)
+        this.br.limits.checkDepth(offset, this.br.depth + stack.length);
+
+      switch (tag.type) {
+        case types.SGROUP:
+          stack.push(tag.field);
+          break;
+        case types.EGROUP:
+          if (tag.field !== stack.pop())
+            throw new EncodingError(offset, 'Mismatched end group', this.skip);
+          break;
+        default:
+          skipValue(this, tag.type);
+          break;
+      }
+    }
+
+    this.tag = null;
+
+    return this;
+  }
+
+  /**
+   * Read a scalar field.
+   * @param {String} type - Scalar type (e.g. `sint32`).
+   * @returns {*}
+   */
+
+  readField(type) {
+    enforce(isScalar(type), 'type', 'scalar type');
+
+    this.expect(scalars[type]);
+
+    const value = readScalar(this.br, type);
+
+    this.tag = null;
+
+    return value;
+  }
+
+  /**
+   * Read a repeated scalar field, packed or not.
+   * @param {String} type - Scalar type (e.g. `sint32`).
+   * @returns {Array} Values of this occurrence of the field.
+   */
+
+  readRepeated(type) {
+    enforce(isScalar(type), 'type', 'scalar type');
+
+    if (!this.tag || this.tag.type !== types.LEN)
+      return [this.readField(type)];
+
+    const br = this.br.readChild(this.readLength());
+    const items = [];
+
+    while (br.left() > 0)
+      items.push(readScalar(br, type));
+
+    this.tag = null;
+
+    return items;
+  }
+
+  /**
+   * Read an int32 field.
+   * @returns {Number}
+   */
+
+  readInt32() {
+    return this.readField('int32');
+  }
+
+  /**
+   * Read an int64 field.
+   * @returns {BigInt}
+   */
+
+  readInt64() {
+    return this.readField('int64');
+  }
+
+  /**
+   * Read a uint32 field.
+   * @returns {Number}
+   */
+
+  readUInt32() {
+    return this.readField('uint32');
+  }
+
+  /**
+   * Read a uint64 field.
+   * @returns {BigInt}
+   */
+
+  readUInt64() {
+    return this.readField('uint64');
+  }
+
+  /**
+   * Read a sint32 (zigzag) field.
+   * @returns {Number}
+   */
+
+  readSInt32() {
+    return this.readField('sint32');
+  }
+
+  /**
+   * Read a sint64 (zigzag) field.
+   * @returns {BigInt}
+   */
+
+  readSInt64() {
+    return this.readField('sint64');
+  }
+
+  /**
+   * Read a bool field.
+   * @returns {Boolean}
+   */
+
+  readBool() {
+    return this.readField('bool');
+  }
+
+  /**
+   * Read an enum field.
+   * @returns {Number}
+   */
+
+  readEnum() {
+    return this.readField('enum');
+  }
+
+  /**
+   * Read a fixed32 field.
+   * @returns {Number}
+   */
+
+  readFixed32() {
+    return this.readField('fixed32');
+  }
+
+  /**
+   * Read a sfixed32 field.
+   * @returns {Number}
+   */
+
+  readSFixed32() {
+    return this.readField('sfixed32');
+  }
+
+  /**
+   * Read a fixed64 field.
+   * @returns {BigInt}
+   */
+
+  readFixed64() {
+    return this.readField('fixed64');
+  }
+
+  /**
+   * Read a sfixed64 field.
+   * @returns {BigInt}
+   */
+
+  readSFixed64() {
+    return this.readField('sfixed64');
+  }
+
+  /**
+   * Read a float field.
+   * @returns {Number}
+   */
+
+  readFloat() {
+    return this.readField('float');
+  }
+
+  /**
+   * Read a double field.
+   * @returns {Number}
+   */
+
+  readDouble() {
+    return this.readField('double');
+  }
+
+  /**
+   * Read a bytes field.
+   * @returns {Buffer}
+   */
+
+  readBytes() {
+    this.expect(types.LEN);
+
+    const data = this.br.readBytes(this.readLength());
+
+    this.tag = null;
+
+    return data;
+  }
+
+  /**
+   * Read a string field.
+   * @returns {String}
+   */
+
+  readString() {
+    this.expect(types.LEN);
+
+    const size = this.readLength();
+    const {data, offset} = this.br;
+
+    if (!bytes.isUTF8(data, offset, offset + size))
+      throw new EncodingError(offset, 'Invalid UTF-8', this.readString);
+
+    const str = this.br.readString(size, 'utf8');
+
+    this.tag = null;
+
+    return str;
+  }
+
+  /**
+   * Read an embedded message field.
+   * @returns {ProtoReader} Reader over the message.
+   */
+
+  readMessage() {
+    this.expect(types.LEN);
+
+    const br = this.br.readChild(this.readLength());
+
+    this.tag = null;
+
+    // @ts-ignore
+    return new this.constructor(br);
+  }
+
+  /**
+   * Read an embedded message field into a struct.
+   * @param {Object} ctor - Struct class.
+   * @param {*} [extra]
+   * @returns {Object}
+   */
+
+  readStruct(ctor, extra) {
+    enforce(typeof ctor === 'function'
+            && typeof ctor.read === 'function', 'ctor', 'struct');
+
+    this.expect(types.LEN);
+
+    const br = this.br.readChild(this.readLength());
+
+    this.tag = null;
+
+    return ctor.read(br, extra);
+  }
+
+  /**
+   * Check the wire type of the last tag.
+   * @private
+   * @param {Number} type - Expected wire type (-1 for any).
+   * @returns {Tag}
+   */
+
+  expect(type) {
+    if (!this.tag)
+      throw new Error('Cannot read a value without a tag.');
+
+    if (type !== -1 && this.tag.type !== type) {
+      throw new EncodingError(this.br.offset, 'Unexpected wire type', {
+        expected: type,
+        actual: this.tag.type
+      }, this.expect);
+    }
+
+    return this.tag;
+  }
+
+  /**
+   * Read the length of a length-delimited value.
+   * @private
+   * @returns {Number}
+   */
+
+  readLength() {
+    const start = this.br.offset;
+    const size = this.br.readULEB128();
+
+    if (size > this.br.left()) {
+      throw new OutOfBoundsError(start, 'Out of bounds read', {
+        expected: size,
+        actual: this.br.left()
+      }, this.readLength);
+    }
+
+    return size;
+  }
+}
+
+/**
+ * Tag
+ * @property {Number} field - Field number.
+ * @property {Number} type - Wire type.
+ */
+
+class Tag {
+  constructor(field, type) {
+    this.field = field;
+    this.type = type;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function isScalar(type) {
+  return typeof type === 'string'
+    && Object.prototype.hasOwnProperty.call(scalars, type);
+}
+
+function readScalar(br, type) {
+  switch (type) {
+    case 'fixed32':
+      return br.readU32();
+    case 'sfixed32':
+      return br.readI32();
+    case 'fixed64':
+      return br.readBigU64();
+    case 'sfixed64':
+      return br.readBigI64();
+    case 'float':
+      return br.readFloat();
+    case 'double':
+      return br.readDouble();
+  }
+
+  const num = br.readBigULEB128();
+
+  switch (type) {
+    case 'int32':
+    case 'enum':
+      // Negative values are sign-extended to 64 bits.
+      return Number(BigInt.asIntN(32, num));
+    case 'uint32':
+      return Number(BigInt.asUintN(32, num));
+    case 'int64':
+      return BigInt.asIntN(64, num);
+    case 'uint64':
+      return num;
+    case 'sint32': {
+      const n = Number(BigInt.asUintN(32, num));
+      return (n >>> 1) ^ -(n & 1);
+    }
+    case 'sint64':
+      // @ts-ignore
+      return (num >> BigInt(1)) ^ -(num & BigInt(1));
+    default:
+      // @ts-ignore
+      return num !== BigInt(0);
+  }
+}
+
+function skipValue(pr, type) {
+  switch (type) {
+    case types.VARINT:
+      pr.br.readBigULEB128();
+      break;
+    case types.I64:
+      pr.br.seek(8);
+      break;
+    case types.LEN:
+      pr.br.seek(pr.readLength());
+      break;
+    case types.I32:
+      pr.br.seek(4);
+      break;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = ProtoReader;
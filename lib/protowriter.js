@@ -0,0 +1,465 @@
+/*!
+ * protowriter.js - protobuf writer for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const BufferWriter = require('./writer');
+const {types, scalars, MAX_FIELD} = require('./proto');
+
+/**
+ * Protobuf Writer
+ * Writes protobuf wire-format fields. Embedded messages
+ * are either written from their encoding or opened with
+ * `startMessage()` and closed with `end()`. Open messages
+ * are buffered in a child writer so the length can be
+ * back-filled once the message is closed.
+ */
+
+class ProtoWriter {
+  /**
+   * Create a protobuf writer.
+   * @constructor
+   * @param {Object} [bw] - Buffer writer or static writer.
+   */
+
+  constructor(bw) {
+    if (bw == null)
+      bw = new BufferWriter();
+
+    enforce(typeof bw.writeBytes === 'function', 'bw', 'writer');
+
+    this.bw = bw;
+    this.stack = [];
+  }
+
+  /**
+   * Get the writer for the innermost open message.
+   * @returns {Object}
+   */
+
+  writer() {
+    if (this.stack.length === 0)
+      return this.bw;
+
+    return this.stack[this.stack.length - 1].bw;
+  }
+
+  /**
+   * Render the underlying writer.
+   * @returns {Buffer}
+   * @throws if a message is still open.
+   */
+
+  render() {
+    if (this.stack.length !== 0)
+      throw new Error('Cannot render with an open message.');
+
+    return this.bw.render();
+  }
+
+  /**
+   * Write a field tag.
+   * @param {Number} field - Field number.
+   * @param {Number} type - Wire type.
+   * @returns {ProtoWriter}
+   */
+
+  writeTag(field, type) {
+    enforce((field >>> 0) === field && field >= 1 && field <= MAX_FIELD,
+            'field', 'field number');
+    enforce((type >>> 0) === type && type <= types.I32, 'type', 'wire type');
+
+    this.writer().writeULEB128(field * 8 + type);
+
+    return this;
+  }
+
+  /**
+   * Write a scalar field.
+   * @param {Number} field
+   * @param {String} type - Scalar type (e.g. `sint32`).
+   * @param {Number|BigInt|Boolean} value
+   * @returns {ProtoWriter}
+   */
+
+  writeField(field, type, value) {
+    enforce(isScalar(type), 'type', 'scalar type');
+
+    this.writeTag(field, scalars[type]);
+
+    writeScalar(this.writer(), type, value);
+
+    return this;
+  }
+
+  /**
+   * Write a packed repeated scalar field. Nothing
+   * is written for an empty array.
+   * @param {Number} field
+   * @param {String} type - Scalar type (e.g. `sint32`).
+   * @param {Array} values
+   * @returns {ProtoWriter}
+   */
+
+  writePacked(field, type, values) {
+    enforce(isScalar(type), 'type', 'scalar type');
+    enforce(Array.isArray(values), 'values', 'array');
+
+    if (values.length === 0)
+      return this;
+
+    const bw = new BufferWriter();
+
+    for (const value of values)
+      writeScalar(bw, type, value);
+
+    return this.writeBytes(field, bw.render());
+  }
+
+  /**
+   * Write an int32 field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeInt32(field, value) {
+    return this.writeField(field, 'int32', value);
+  }
+
+  /**
+   * Write an int64 field.
+   * @param {Number} field
+   * @param {BigInt|Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeInt64(field, value) {
+    return this.writeField(field, 'int64', value);
+  }
+
+  /**
+   * Write a uint32 field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeUInt32(field, value) {
+    return this.writeField(field, 'uint32', value);
+  }
+
+  /**
+   * Write a uint64 field.
+   * @param {Number} field
+   * @param {BigInt|Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeUInt64(field, value) {
+    return this.writeField(field, 'uint64', value);
+  }
+
+  /**
+   * Write a sint32 (zigzag) field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeSInt32(field, value) {
+    return this.writeField(field, 'sint32', value);
+  }
+
+  /**
+   * Write a sint64 (zigzag) field.
+   * @param {Number} field
+   * @param {BigInt|Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeSInt64(field, value) {
+    return this.writeField(field, 'sint64', value);
+  }
+
+  /**
+   * Write a bool field.
+   * @param {Number} field
+   * @param {Boolean} value
+   * @returns {ProtoWriter}
+   */
+
+  writeBool(field, value) {
+    return this.writeField(field, 'bool', value);
+  }
+
+  /**
+   * Write an enum field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeEnum(field, value) {
+    return this.writeField(field, 'enum', value);
+  }
+
+  /**
+   * Write a fixed32 field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeFixed32(field, value) {
+    return this.writeField(field, 'fixed32', value);
+  }
+
+  /**
+   * Write a sfixed32 field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeSFixed32(field, value) {
+    return this.writeField(field, 'sfixed32', value);
+  }
+
+  /**
+   * Write a fixed64 field.
+   * @param {Number} field
+   * @param {BigInt|Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeFixed64(field, value) {
+    return this.writeField(field, 'fixed64', value);
+  }
+
+  /**
+   * Write a sfixed64 field.
+   * @param {Number} field
+   * @param {BigInt|Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeSFixed64(field, value) {
+    return this.writeField(field, 'sfixed64', value);
+  }
+
+  /**
+   * Write a float field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeFloat(field, value) {
+    return this.writeField(field, 'float', value);
+  }
+
+  /**
+   * Write a double field.
+   * @param {Number} field
+   * @param {Number} value
+   * @returns {ProtoWriter}
+   */
+
+  writeDouble(field, value) {
+    return this.writeField(field, 'double', value);
+  }
+
+  /**
+   * Write a bytes field.
+   * @param {Number} field
+   * @param {Uint8Array} data
+   * @returns {ProtoWriter}
+   */
+
+  writeBytes(field, data) {
+    enforce(bytes.isBytes(data), 'data', 'buffer');
+
+    this.writeTag(field, types.LEN);
+
+    const bw = this.writer();
+
+    bw.writeULEB128(data.length);
+    bw.writeBytes(data);
+
+    return this;
+  }
+
+  /**
+   * Write a string field.
+   * @param {Number} field
+   * @param {String} str
+   * @returns {ProtoWriter}
+   */
+
+  writeString(field, str) {
+    enforce(typeof str === 'string', 'str', 'string');
+
+    this.writeTag(field, types.LEN);
+
+    const bw = this.writer();
+
+    bw.writeULEB128(bytes.byteLength(str, 'utf8'));
+    bw.writeString(str, 'utf8');
+
+    return this;
+  }
+
+  /**
+   * Write an embedded message field from its encoding.
+   * @param {Number} field
+   * @param {Uint8Array} data
+   * @returns {ProtoWriter}
+   */
+
+  writeMessage(field, data) {
+    return this.writeBytes(field, data);
+  }
+
+  /**
+   * Write a struct as an embedded message field.
+   * @param {Number} field
+   * @param {Object} struct
+   * @param {*} [extra]
+   * @returns {ProtoWriter}
+   */
+
+  writeStruct(field, struct, extra) {
+    enforce(struct && typeof struct.encode === 'function', 'struct', 'struct');
+    return this.writeBytes(field, struct.encode(extra));
+  }
+
+  /**
+   * Open an embedded message field.
+   * @param {Number} field
+   * @returns {ProtoWriter}
+   */
+
+  startMessage(field) {
+    enforce((field >>> 0) === field && field >= 1 && field <= MAX_FIELD,
+            'field', 'field number');
+
+    this.stack.push({
+      field,
+      bw: new BufferWriter()
+    });
+
+    return this;
+  }
+
+  /**
+   * Close the innermost open message and
+   * write it (with its length) to its parent.
+   * @returns {ProtoWriter}
+   * @throws on empty stack.
+   */
+
+  end() {
+    if (this.stack.length === 0)
+      throw new Error('Cannot end without an open message.');
+
+    const {field, bw} = this.stack.pop();
+
+    return this.writeBytes(field, bw.render());
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function isScalar(type) {
+  return typeof type === 'string'
+    && Object.prototype.hasOwnProperty.call(scalars, type);
+}
+
+function writeScalar(bw, type, value) {
+  switch (type) {
+    case 'int32':
+    case 'enum':
+      enforce((value | 0) === value, 'value', 'int32');
+
+      // Negative values are sign-extended to 64 bits.
+      if (value < 0)
+        bw.writeBigULEB128(BigInt.asUintN(64, BigInt(value)));
+      else
+        bw.writeULEB128(value);
+
+      break;
+    case 'int64':
+      bw.writeBigULEB128(BigInt.asUintN(64, toBigInt(value, true)));
+      break;
+    case 'uint32':
+      enforce((value >>> 0) === value, 'value', 'uint32');
+      bw.writeULEB128(value);
+      break;
+    case 'uint64':
+      bw.writeBigULEB128(toBigInt(value, false));
+      break;
+    case 'sint32':
+      enforce((value | 0) === value, 'value', 'int32');
+      bw.writeZigZag(value);
+      break;
+    case 'sint64':
+      bw.writeBigZigZag(toBigInt(value, true));
+      break;
+    case 'bool':
+      enforce(typeof value === 'boolean', 'value', 'boolean');
+      bw.writeU8(value ? 1 : 0);
+      break;
+    case 'fixed32':
+      enforce((value >>> 0) === value, 'value', 'uint32');
+      bw.writeU32(value);
+      break;
+    case 'sfixed32':
+      enforce((value | 0) === value, 'value', 'int32');
+      bw.writeI32(value);
+      break;
+    case 'fixed64':
+      bw.writeBigU64(toBigInt(value, false));
+      break;
+    case 'sfixed64':
+      bw.writeBigI64(toBigInt(value, true));
+      break;
+    case 'float':
+      enforce(typeof value === 'number', 'value', 'number');
+      bw.writeFloat(value);
+      break;
+    case 'double':
+      enforce(typeof value === 'number', 'value', 'number');
+      bw.writeDouble(value);
+      break;
+  }
+}
+
+function toBigInt(value, signed) {
+  if (typeof value === 'number') {
+    enforce(Number.isSafeInteger(value), 'value', 'integer');
+    value = BigInt(value);
+  }
+
+  enforce(typeof value === 'bigint', 'value', 'bigint');
+
+  if (signed)
+    enforce(BigInt.asIntN(64, value) === value, 'value', 'int64');
+  else
+    enforce(BigInt.asUintN(64, value) === value, 'value', 'uint64');
+
+  return value;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = ProtoWriter;
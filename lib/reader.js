@@ -9,13 +9,24 @@
 
 const enforce = require('./enforce');
 const encoding = require('./encoding');
-const EncodingError = require('./error');
+const bytes = require('./bytes');
+const checksum = require('./checksum');
+const {
+  EncodingError,
+  OutOfBoundsError,
+  NonCanonicalError,
+  ChecksumError,
+  LimitError,
+  TrailingDataError
+} = require('./error');
+const Limits = require('./limits');
+const state = require('./statemixin');
 
 /*
  * Constants
  */
 
-const EMPTY = Buffer.alloc(0);
+const EMPTY = bytes.alloc(0);
 
 /**
  * Buffer Reader
@@ -28,20 +39,67 @@ class BufferReader {
   /**
    * Create a buffer reader.
    * @constructor
-   * @param {Buffer} data
-   * @param {Boolean?} zeroCopy - Do not reallocate buffers when
-   * slicing. Note that this can lead to memory leaks if not used
-   * carefully.
-   */
-
-  constructor(data, zeroCopy = false) {
-    enforce(Buffer.isBuffer(data), 'data', 'buffer');
-    enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+   * @param {Buffer|Uint8Array|ArrayBuffer|ArrayBufferView} data
+   * @param {Boolean|Object} [options] - Either `zeroCopy` or an
+   * object containing `zeroCopy`, `limits`, `trace` and `strict`.
+   * Zero copy readers do not reallocate buffers when slicing. Note
+   * that this can lead to memory leaks if not used carefully. Limits
+   * may be a `Limits` object or its options. Tracing readers record
+   * every read in `trace` (which may be a caller-supplied array).
+   * Strict readers reject non-minimal integers, negative zero,
+   * non-canonical NaNs and invalid UTF-8.
+   */
+
+  constructor(data, options = false) {
+    let zeroCopy = false;
+    let limits = null;
+    let trace = null;
+    let strict = false;
+
+    if (typeof options === 'boolean') {
+      zeroCopy = options;
+    } else if (options != null) {
+      enforce(typeof options === 'object', 'options', 'object');
+
+      if (options.zeroCopy != null) {
+        enforce(typeof options.zeroCopy === 'boolean',
+                'zeroCopy', 'boolean');
+        zeroCopy = options.zeroCopy;
+      }
+
+      if (options.limits != null)
+        limits = Limits.from(options.limits);
+
+      if (options.trace != null) {
+        enforce(typeof options.trace === 'boolean'
+                || Array.isArray(options.trace), 'trace', 'boolean');
+
+        if (Array.isArray(options.trace))
+          trace = options.trace;
+        else if (options.trace)
+          trace = [];
+      }
+
+      if (options.strict != null) {
+        enforce(typeof options.strict === 'boolean', 'strict', 'boolean');
+        strict = options.strict;
+      }
+    }
 
-    this.data = data;
+    this.data = bytes.from(data);
     this.offset = 0;
     this.zeroCopy = zeroCopy;
     this.stack = [];
+    this.marks = new Map();
+    this.checkpoints = [];
+    this.limits = limits;
+    this.depth = 0;
+    this.trace = trace;
+    this.tag = null;
+    this.strict = strict;
+
+    if (this.trace)
+      traceMethods(this);
   }
 
   /**
@@ -50,8 +108,106 @@ class BufferReader {
    */
 
   check(size) {
-    if (this.offset + size > this.data.length)
-      throw new EncodingError(this.offset, 'Out of bounds read', this.check);
+    if (this.offset + size > this.data.length) {
+      throw new OutOfBoundsError(this.offset, 'Out of bounds read', {
+        expected: size,
+        actual: this.data.length - this.offset
+      }, this.check);
+    }
+  }
+
+  /**
+   * Check a read against the decode limits.
+   * @param {Number} size
+   * @param {Boolean} copy - Whether the data will be copied.
+   */
+
+  limit(size, copy) {
+    if (!this.limits)
+      return;
+
+    if (copy)
+      this.limits.consume(this.offset, size);
+    else
+      this.limits.checkAlloc(this.offset, size);
+  }
+
+  /**
+   * Ensure a variable width integer is minimally encoded.
+   * @param {Number} size
+   * @param {Boolean} be - Big endian.
+   * @param {Boolean} signed
+   */
+
+  checkMinimal(size, be, signed) {
+    if (size < 2)
+      return;
+
+    const hi = be ? this.offset : this.offset + size - 1;
+    const top = this.data[hi];
+    const next = this.data[be ? hi + 1 : hi - 1];
+
+    let minimal = top !== 0x00;
+
+    if (signed) {
+      minimal = !(top === 0x00 && (next & 0x80) === 0)
+             && !(top === 0xff && (next & 0x80) !== 0);
+    }
+
+    if (!minimal) {
+      throw new NonCanonicalError(this.offset, 'Non-minimal integer',
+                                  this.checkMinimal);
+    }
+  }
+
+  /**
+   * Reject negative zero and non-canonical NaNs.
+   * @param {Number} value
+   * @param {Number} size
+   * @param {Boolean} be - Big endian.
+   * @param {Number} [nan] - High 16 bits of the canonical NaN.
+   */
+
+  checkFloat(value, size, be, nan = size === 8 ? 0x7ff8 : 0x7fc0) {
+    if (value === 0 && 1 / value < 0) {
+      throw new NonCanonicalError(this.offset, 'Negative zero',
+                                  this.checkFloat);
+    }
+
+    if (value === value)
+      return;
+
+    const {data, offset} = this;
+    const hi = be
+      ? encoding.readU16BE(data, offset)
+      : encoding.readU16(data, offset + size - 2);
+
+    let lo = 0;
+
+    for (let i = 0; i < size - 2; i++)
+      lo |= data[be ? offset + 2 + i : offset + i];
+
+    if (hi !== nan || lo !== 0) {
+      throw new NonCanonicalError(offset, 'Non-canonical NaN',
+                                  this.checkFloat);
+    }
+  }
+
+  /**
+   * Ensure all data has been read.
+   * @returns {BufferReader}
+   * @throws on trailing data.
+   */
+
+  verifyEnd() {
+    if (this.offset < this.data.length) {
+      throw new TrailingDataError(this.offset, 'Trailing data', {
+        expected: this.offset,
+        actual: this.data.length
+      }, this.verifyEnd);
+    }
+
+    return this;
   }
 
   /**
@@ -82,7 +238,7 @@ class BufferReader {
     enforce(Number.isSafeInteger(off), 'off', 'integer');
 
     if (this.offset + off < 0)
-      throw new EncodingError(this.offset, 'Out of bounds read');
+      throw new OutOfBoundsError(this.offset, 'Out of bounds read');
 
     this.check(off);
     this.offset += off;
@@ -90,6 +246,21 @@ class BufferReader {
     return this;
   }
 
+  /**
+   * Label the next read in trace mode.
+   * @param {String} name
+   * @returns {this}
+   */
+
+  label(name) {
+    enforce(typeof name === 'string', 'name', 'string');
+
+    if (this.trace)
+      this.tag = name;
+
+    return this;
+  }
+
   /**
    * Mark the current starting position.
    */
@@ -140,13 +311,9 @@ class BufferReader {
       return data;
 
     if (this.zeroCopy || zeroCopy)
-      return data.slice(start, end);
-
-    const ret = Buffer.allocUnsafeSlow(size);
+      return bytes.slice(data, start, end);
 
-    data.copy(ret, 0, start, end);
-
-    return ret;
+    return bytes.clone(data, start, end);
   }
 
   /**
@@ -157,6 +324,8 @@ class BufferReader {
     this.data = EMPTY;
     this.offset = 0;
     this.stack.length = 0;
+    this.marks.clear();
+    this.checkpoints.length = 0;
     return this;
   }
 
@@ -507,6 +676,35 @@ class BufferReader {
     return ret;
   }
 
+  /**
+   * Read a fixed-point amount stored as an unsigned
+   * integer of base units (e.g. satoshis).
+   * @param {Number} decimals - Decimal places.
+   * @param {Number} [size=8] - Integer width (8, 16 or 32).
+   * @returns {String} Exact decimal string.
+   */
+
+  readAmount(decimals, size = 8) {
+    enforce((decimals >>> 0) === decimals, 'decimals', 'integer');
+    enforce(size === 8 || size === 16 || size === 32, 'size', '8, 16 or 32');
+
+    let num;
+
+    switch (size) {
+      case 8:
+        num = this.readBigU64();
+        break;
+      case 16:
+        num = this.readBigU128();
+        break;
+      default:
+        num = this.readBigU256();
+        break;
+    }
+
+    return encoding.formatAmount(num, decimals);
+  }
+
   /**
    * Read int8.
    * @returns {Number}
@@ -794,6 +992,66 @@ class BufferReader {
     return ret;
   }
 
+  /**
+   * Read int128le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigI128() {
+    this.check(16);
+
+    const ret = encoding.readBigI128(this.data, this.offset);
+
+    this.offset += 16;
+
+    return ret;
+  }
+
+  /**
+   * Read int128be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigI128BE() {
+    this.check(16);
+
+    const ret = encoding.readBigI128BE(this.data, this.offset);
+
+    this.offset += 16;
+
+    return ret;
+  }
+
+  /**
+   * Read int256le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigI256() {
+    this.check(32);
+
+    const ret = encoding.readBigI256(this.data, this.offset);
+
+    this.offset += 32;
+
+    return ret;
+  }
+
+  /**
+   * Read int256be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigI256BE() {
+    this.check(32);
+
+    const ret = encoding.readBigI256BE(this.data, this.offset);
+
+    this.offset += 32;
+
+    return ret;
+  }
+
   /**
    * Read float le.
    * @returns {Number}
@@ -804,6 +1062,9 @@ class BufferReader {
 
     const ret = encoding.readFloat(this.data, this.offset);
 
+    if (this.strict)
+      this.checkFloat(ret, 4, false);
+
     this.offset += 4;
 
     return ret;
@@ -819,6 +1080,9 @@ class BufferReader {
 
     const ret = encoding.readFloatBE(this.data, this.offset);
 
+    if (this.strict)
+      this.checkFloat(ret, 4, true);
+
     this.offset += 4;
 
     return ret;
@@ -834,6 +1098,9 @@ class BufferReader {
 
     const ret = encoding.readDouble(this.data, this.offset);
 
+    if (this.strict)
+      this.checkFloat(ret, 8, false);
+
     this.offset += 8;
 
     return ret;
@@ -849,117 +1116,122 @@ class BufferReader {
 
     const ret = encoding.readDoubleBE(this.data, this.offset);
 
+    if (this.strict)
+      this.checkFloat(ret, 8, true);
+
     this.offset += 8;
 
     return ret;
   }
 
   /**
-   * Read a varint.
+   * Read half float le.
    * @returns {Number}
    */
 
-  readVarint() {
-    const {size, value} = encoding.readVarint(this.data, this.offset);
+  readFloat16() {
+    this.check(2);
 
-    this.offset += size;
+    const ret = encoding.readFloat16(this.data, this.offset);
 
-    return value;
+    if (this.strict)
+      this.checkFloat(ret, 2, false, 0x7e00);
+
+    this.offset += 2;
+
+    return ret;
   }
 
   /**
-   * Read a varint (type 2).
+   * Read half float be.
    * @returns {Number}
    */
 
-  readVarint2() {
-    const {size, value} = encoding.readVarint2(this.data, this.offset);
+  readFloat16BE() {
+    this.check(2);
 
-    this.offset += size;
+    const ret = encoding.readFloat16BE(this.data, this.offset);
 
-    return value;
+    if (this.strict)
+      this.checkFloat(ret, 2, true, 0x7e00);
+
+    this.offset += 2;
+
+    return ret;
   }
 
   /**
-   * Read N bytes (will do a fast slice if zero copy).
-   * @param {Number} size
-   * @param {Boolean?} [zeroCopy = false] - Do a fast buffer
-   * slice instead of allocating a new buffer (warning:
-   * may cause memory leaks if not used with care).
-   * @returns {Buffer}
+   * Read bfloat16 le.
+   * @returns {Number}
    */
 
-  readBytes(size, zeroCopy = false) {
-    enforce((size >>> 0) === size, 'size', 'integer');
-    enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
-
-    this.check(size);
+  readBFloat16() {
+    this.check(2);
 
-    let ret;
+    const ret = encoding.readBFloat16(this.data, this.offset);
 
-    if (this.zeroCopy || zeroCopy) {
-      ret = this.data.slice(this.offset, this.offset + size);
-    } else {
-      ret = Buffer.allocUnsafeSlow(size);
-      this.data.copy(ret, 0, this.offset, this.offset + size);
-    }
+    if (this.strict)
+      this.checkFloat(ret, 2, false);
 
-    this.offset += size;
+    this.offset += 2;
 
     return ret;
   }
 
   /**
-   * Read a varint number of bytes (will do a fast slice if zero copy).
-   * @param {Boolean} [zeroCopy=false] - Do a fast buffer
-   * slice instead of allocating a new buffer (warning:
-   * may cause memory leaks if not used with care).
-   * @returns {Buffer}
+   * Read bfloat16 be.
+   * @returns {Number}
    */
 
-  readVarBytes(zeroCopy = false) {
-    return this.readBytes(this.readVarint(), zeroCopy);
+  readBFloat16BE() {
+    this.check(2);
+
+    const ret = encoding.readBFloat16BE(this.data, this.offset);
+
+    if (this.strict)
+      this.checkFloat(ret, 2, true);
+
+    this.offset += 2;
+
+    return ret;
   }
 
   /**
-   * Slice N bytes and create a child reader.
+   * Read a variable width uint le (1-8 bytes).
    * @param {Number} size
-   * @returns {BufferReader}
+   * @returns {Number}
    */
 
-  readChild(size) {
+  readU(size) {
     enforce((size >>> 0) === size, 'size', 'integer');
 
     this.check(size);
 
-    const data = this.data.slice(0, this.offset + size);
-    // @ts-ignore
-    const br = new this.constructor(data);
+    if (this.strict)
+      this.checkMinimal(size, false, false);
 
-    br.offset = this.offset;
+    const ret = encoding.readU(this.data, this.offset, size);
 
     this.offset += size;
 
-    return br;
+    return ret;
   }
 
   /**
-   * Read a string.
+   * Read a variable width uint be (1-8 bytes).
    * @param {Number} size
-   * @param {BufferEncoding?} [enc] - Any buffer-supported encoding.
-   * @returns {String}
+   * @returns {Number}
    */
 
-  readString(size, enc) {
-    if (enc == null)
-      enc = 'binary';
-
+  readUBE(size) {
     enforce((size >>> 0) === size, 'size', 'integer');
-    enforce(typeof enc === 'string', 'enc', 'string');
 
     this.check(size);
 
-    const ret = this.data.toString(enc, this.offset, this.offset + size);
+    if (this.strict)
+      this.checkMinimal(size, true, false);
+
+    const ret = encoding.readUBE(this.data, this.offset, size);
 
     this.offset += size;
 
@@ -967,104 +1239,1344 @@ class BufferReader {
   }
 
   /**
-   * Read a 32-byte hash.
-   * @param {BufferEncoding} [enc] - `"hex"` or `null`.
-   * @returns {Buffer|String}
+   * Read a variable width int le (1-8 bytes).
+   * @param {Number} size
+   * @returns {Number}
    */
 
-  readHash(enc) {
-    if (enc)
-      return this.readString(32, enc);
-    return this.readBytes(32);
+  readI(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    this.check(size);
+
+    if (this.strict)
+      this.checkMinimal(size, false, true);
+
+    const ret = encoding.readI(this.data, this.offset, size);
+
+    this.offset += size;
+
+    return ret;
   }
 
   /**
-   * Read string of a varint length.
-   * @param {BufferEncoding} enc - Any buffer-supported encoding.
-   * @param {Number?} limit - Size limit.
-   * @returns {String}
+   * Read a variable width int be (1-8 bytes).
+   * @param {Number} size
+   * @returns {Number}
    */
 
-  readVarString(enc, limit = 0) {
-    if (enc == null)
-      enc = 'binary';
+  readIBE(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
 
-    enforce(typeof enc === 'string', 'enc', 'string');
-    enforce((limit >>> 0) === limit, 'limit', 'integer');
+    this.check(size);
 
-    const size = this.readVarint();
+    if (this.strict)
+      this.checkMinimal(size, true, true);
 
-    if (limit !== 0 && size > limit)
-      throw new EncodingError(this.offset, 'String exceeds limit');
+    const ret = encoding.readIBE(this.data, this.offset, size);
 
-    return this.readString(size, enc);
+    this.offset += size;
+
+    return ret;
   }
 
   /**
-   * Read a null-terminated string.
-   * @param {BufferEncoding} enc - Any buffer-supported encoding.
-   * @returns {String}
+   * Read a variable width uint le as a BigInt (1-64 bytes).
+   * @param {Number} size
+   * @returns {BigInt}
    */
 
-  readNullString(enc) {
-    if (enc == null)
-      enc = 'binary';
-
-    enforce(typeof enc === 'string', 'enc', 'string');
-
-    let i = this.offset;
+  readBigU(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
 
-    for (; i < this.data.length; i++) {
-      if (this.data[i] === 0)
-        break;
-    }
+    this.check(size);
 
-    if (i === this.data.length)
-      throw new EncodingError(this.offset, 'No NUL terminator');
+    if (this.strict)
+      this.checkMinimal(size, false, false);
 
-    const ret = this.readString(i - this.offset, enc);
+    const ret = encoding.readBigU(this.data, this.offset, size);
 
-    this.offset = i + 1;
+    this.offset += size;
 
     return ret;
   }
 
   /**
-   * Create a checksum from the last start position.
-   * @param {Function|Object} hash
-   * @returns {Number} Checksum.
+   * Read a variable width uint be as a BigInt (1-64 bytes).
+   * @param {Number} size
+   * @returns {BigInt}
    */
 
-  createChecksum(hash) {
-    if (!hash || typeof hash.digest !== 'function')
-      enforce(typeof hash === 'function', 'hash', 'function');
+  readBigUBE(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    this.check(size);
 
-    let start = 0;
+    if (this.strict)
+      this.checkMinimal(size, true, false);
 
-    if (this.stack.length > 0)
-      start = this.stack[this.stack.length - 1];
+    const ret = encoding.readBigUBE(this.data, this.offset, size);
 
-    const data = this.data.slice(start, this.offset);
-    const raw = hash.digest ? hash.digest(data) : hash(data);
+    this.offset += size;
 
-    return encoding.readU32(raw, 0);
+    return ret;
   }
 
   /**
-   * Verify a 4-byte checksum against a calculated checksum.
-   * @param {Function} hash
-   * @returns {Number} checksum
-   * @throws on bad checksum
+   * Read a variable width int le as a BigInt (1-64 bytes).
+   * @param {Number} size
+   * @returns {BigInt}
    */
 
-  verifyChecksum(hash) {
-    const checksum = this.createChecksum(hash);
-    const expect = this.readU32();
+  readBigI(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
 
-    if (checksum !== expect)
-      throw new EncodingError(this.offset, 'Checksum mismatch');
+    this.check(size);
+
+    if (this.strict)
+      this.checkMinimal(size, false, true);
+
+    const ret = encoding.readBigI(this.data, this.offset, size);
+
+    this.offset += size;
+
+    return ret;
+  }
+
+  /**
+   * Read a variable width int be as a BigInt (1-64 bytes).
+   * @param {Number} size
+   * @returns {BigInt}
+   */
+
+  readBigIBE(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    this.check(size);
+
+    if (this.strict)
+      this.checkMinimal(size, true, true);
+
+    const ret = encoding.readBigIBE(this.data, this.offset, size);
+
+    this.offset += size;
+
+    return ret;
+  }
+
+  /**
+   * Read a varint.
+   * @returns {Number}
+   */
+
+  readVarint() {
+    const {size, value} = encoding.readVarint(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a varint (type 2).
+   * @returns {Number}
+   */
+
+  readVarint2() {
+    const {size, value} = encoding.readVarint2(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigVarint() {
+    const {size, value} = encoding.readBigVarint(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a varint (type 2) as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigVarint2() {
+    const {size, value} = encoding.readBigVarint2(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read an unsigned LEB128 varint.
+   * @returns {Number}
+   */
+
+  readULEB128() {
+    const {size, value} = encoding.readULEB128(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a signed LEB128 varint.
+   * @returns {Number}
+   */
+
+  readSLEB128() {
+    const {size, value} = encoding.readSLEB128(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a zigzag-encoded LEB128 varint.
+   * @returns {Number}
+   */
+
+  readZigZag() {
+    const {size, value} = encoding.readZigZag(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read an unsigned LEB128 varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigULEB128() {
+    const {size, value} = encoding.readBigULEB128(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a signed LEB128 varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigSLEB128() {
+    const {size, value} = encoding.readBigSLEB128(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a zigzag-encoded LEB128 varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  readBigZigZag() {
+    const {size, value} = encoding.readBigZigZag(this.data, this.offset);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Read a script number push (CScriptNum).
+   * @param {Number} [maxSize=4] - Max size of the number in bytes.
+   * @param {Boolean} [minimal=true] - Require minimal encoding.
+   * @returns {Number}
+   */
+
+  readScriptNum(maxSize = 4, minimal = true) {
+    const {size, value} = encoding.readScriptNum(this.data, this.offset,
+                                                 maxSize, minimal);
+
+    this.offset += size;
+
+    return value;
+  }
+
+  /**
+   * Peek uint8.
+   * @returns {Number}
+   */
+
+  peekU8() {
+    this.check(1);
+    return this.data[this.offset];
+  }
+
+  /**
+   * Peek uint16le.
+   * @returns {Number}
+   */
+
+  peekU16() {
+    this.check(2);
+    return encoding.readU16(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint16be.
+   * @returns {Number}
+   */
+
+  peekU16BE() {
+    this.check(2);
+    return encoding.readU16BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint24le.
+   * @returns {Number}
+   */
+
+  peekU24() {
+    this.check(3);
+    return encoding.readU24(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint24be.
+   * @returns {Number}
+   */
+
+  peekU24BE() {
+    this.check(3);
+    return encoding.readU24BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint32le.
+   * @returns {Number}
+   */
+
+  peekU32() {
+    this.check(4);
+    return encoding.readU32(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint32be.
+   * @returns {Number}
+   */
+
+  peekU32BE() {
+    this.check(4);
+    return encoding.readU32BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint40le.
+   * @returns {Number}
+   */
+
+  peekU40() {
+    this.check(5);
+    return encoding.readU40(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint40be.
+   * @returns {Number}
+   */
+
+  peekU40BE() {
+    this.check(5);
+    return encoding.readU40BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint48le.
+   * @returns {Number}
+   */
+
+  peekU48() {
+    this.check(6);
+    return encoding.readU48(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint48be.
+   * @returns {Number}
+   */
+
+  peekU48BE() {
+    this.check(6);
+    return encoding.readU48BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint56le.
+   * @returns {Number}
+   */
+
+  peekU56() {
+    this.check(7);
+    return encoding.readU56(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint56be.
+   * @returns {Number}
+   */
+
+  peekU56BE() {
+    this.check(7);
+    return encoding.readU56BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint56le.
+   * @returns {BigInt}
+   */
+
+  peekBigU56() {
+    this.check(7);
+    return encoding.readBigU56(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint56be.
+   * @returns {BigInt}
+   */
+
+  peekBigU56BE() {
+    this.check(7);
+    return encoding.readBigU56BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint64le as a js number.
+   * @returns {Number}
+   * @throws on num > MAX_SAFE_INTEGER
+   */
+
+  peekU64() {
+    this.check(8);
+    return encoding.readU64(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint64be as a js number.
+   * @returns {Number}
+   * @throws on num > MAX_SAFE_INTEGER
+   */
+
+  peekU64BE() {
+    this.check(8);
+    return encoding.readU64BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint64le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigU64() {
+    this.check(8);
+    return encoding.readBigU64(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint64be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigU64BE() {
+    this.check(8);
+    return encoding.readBigU64BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint128le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigU128() {
+    this.check(16);
+    return encoding.readBigU128(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint128be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigU128BE() {
+    this.check(16);
+    return encoding.readBigU128BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint256le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigU256() {
+    this.check(32);
+    return encoding.readBigU256(this.data, this.offset);
+  }
+
+  /**
+   * Peek uint256be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigU256BE() {
+    this.check(32);
+    return encoding.readBigU256BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int8.
+   * @returns {Number}
+   */
+
+  peekI8() {
+    this.check(1);
+    return encoding.readI8(this.data, this.offset);
+  }
+
+  /**
+   * Peek int16le.
+   * @returns {Number}
+   */
+
+  peekI16() {
+    this.check(2);
+    return encoding.readI16(this.data, this.offset);
+  }
+
+  /**
+   * Peek int16be.
+   * @returns {Number}
+   */
+
+  peekI16BE() {
+    this.check(2);
+    return encoding.readI16BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int24le.
+   * @returns {Number}
+   */
+
+  peekI24() {
+    this.check(3);
+    return encoding.readI24(this.data, this.offset);
+  }
+
+  /**
+   * Peek int24be.
+   * @returns {Number}
+   */
+
+  peekI24BE() {
+    this.check(3);
+    return encoding.readI24BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int32le.
+   * @returns {Number}
+   */
+
+  peekI32() {
+    this.check(4);
+    return encoding.readI32(this.data, this.offset);
+  }
+
+  /**
+   * Peek int32be.
+   * @returns {Number}
+   */
+
+  peekI32BE() {
+    this.check(4);
+    return encoding.readI32BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int40le.
+   * @returns {Number}
+   */
+
+  peekI40() {
+    this.check(5);
+    return encoding.readI40(this.data, this.offset);
+  }
+
+  /**
+   * Peek int40be.
+   * @returns {Number}
+   */
+
+  peekI40BE() {
+    this.check(5);
+    return encoding.readI40BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int48le.
+   * @returns {Number}
+   */
+
+  peekI48() {
+    this.check(6);
+    return encoding.readI48(this.data, this.offset);
+  }
+
+  /**
+   * Peek int48be.
+   * @returns {Number}
+   */
+
+  peekI48BE() {
+    this.check(6);
+    return encoding.readI48BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int56le.
+   * @returns {Number}
+   */
+
+  peekI56() {
+    this.check(7);
+    return encoding.readI56(this.data, this.offset);
+  }
+
+  /**
+   * Peek int56be.
+   * @returns {Number}
+   */
+
+  peekI56BE() {
+    this.check(7);
+    return encoding.readI56BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int56le.
+   * @returns {BigInt}
+   */
+
+  peekBigI56() {
+    this.check(7);
+    return encoding.readBigI56(this.data, this.offset);
+  }
+
+  /**
+   * Peek int56be.
+   * @returns {BigInt}
+   */
+
+  peekBigI56BE() {
+    this.check(7);
+    return encoding.readBigI56BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int64le as a js number.
+   * @returns {Number}
+   * @throws on num > MAX_SAFE_INTEGER
+   */
+
+  peekI64() {
+    this.check(8);
+    return encoding.readI64(this.data, this.offset);
+  }
+
+  /**
+   * Peek int64be as a js number.
+   * @returns {Number}
+   * @throws on num > MAX_SAFE_INTEGER
+   */
+
+  peekI64BE() {
+    this.check(8);
+    return encoding.readI64BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int64le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigI64() {
+    this.check(8);
+    return encoding.readBigI64(this.data, this.offset);
+  }
+
+  /**
+   * Peek int64be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigI64BE() {
+    this.check(8);
+    return encoding.readBigI64BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int128le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigI128() {
+    this.check(16);
+    return encoding.readBigI128(this.data, this.offset);
+  }
+
+  /**
+   * Peek int128be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigI128BE() {
+    this.check(16);
+    return encoding.readBigI128BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek int256le as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigI256() {
+    this.check(32);
+    return encoding.readBigI256(this.data, this.offset);
+  }
+
+  /**
+   * Peek int256be as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigI256BE() {
+    this.check(32);
+    return encoding.readBigI256BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek float le.
+   * @returns {Number}
+   */
+
+  peekFloat() {
+    this.check(4);
+    return encoding.readFloat(this.data, this.offset);
+  }
+
+  /**
+   * Peek float be.
+   * @returns {Number}
+   */
+
+  peekFloatBE() {
+    this.check(4);
+    return encoding.readFloatBE(this.data, this.offset);
+  }
+
+  /**
+   * Peek double float le.
+   * @returns {Number}
+   */
+
+  peekDouble() {
+    this.check(8);
+    return encoding.readDouble(this.data, this.offset);
+  }
+
+  /**
+   * Peek double float be.
+   * @returns {Number}
+   */
+
+  peekDoubleBE() {
+    this.check(8);
+    return encoding.readDoubleBE(this.data, this.offset);
+  }
+
+  /**
+   * Peek half float le.
+   * @returns {Number}
+   */
+
+  peekFloat16() {
+    this.check(2);
+    return encoding.readFloat16(this.data, this.offset);
+  }
+
+  /**
+   * Peek half float be.
+   * @returns {Number}
+   */
+
+  peekFloat16BE() {
+    this.check(2);
+    return encoding.readFloat16BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek bfloat16 le.
+   * @returns {Number}
+   */
+
+  peekBFloat16() {
+    this.check(2);
+    return encoding.readBFloat16(this.data, this.offset);
+  }
+
+  /**
+   * Peek bfloat16 be.
+   * @returns {Number}
+   */
+
+  peekBFloat16BE() {
+    this.check(2);
+    return encoding.readBFloat16BE(this.data, this.offset);
+  }
+
+  /**
+   * Peek a varint.
+   * @returns {Number}
+   */
+
+  peekVarint() {
+    return encoding.readVarint(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a varint (type 2).
+   * @returns {Number}
+   */
+
+  peekVarint2() {
+    return encoding.readVarint2(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigVarint() {
+    return encoding.readBigVarint(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a varint (type 2) as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigVarint2() {
+    return encoding.readBigVarint2(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek an unsigned LEB128 varint.
+   * @returns {Number}
+   */
+
+  peekULEB128() {
+    return encoding.readULEB128(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a signed LEB128 varint.
+   * @returns {Number}
+   */
+
+  peekSLEB128() {
+    return encoding.readSLEB128(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a zigzag-encoded LEB128 varint.
+   * @returns {Number}
+   */
+
+  peekZigZag() {
+    return encoding.readZigZag(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek an unsigned LEB128 varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigULEB128() {
+    return encoding.readBigULEB128(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a signed LEB128 varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigSLEB128() {
+    return encoding.readBigSLEB128(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a zigzag-encoded LEB128 varint as a BigInt.
+   * @returns {BigInt}
+   */
+
+  peekBigZigZag() {
+    return encoding.readBigZigZag(this.data, this.offset).value;
+  }
+
+  /**
+   * Peek a script number push (CScriptNum).
+   * @param {Number} [maxSize=4] - Max size of the number in bytes.
+   * @param {Boolean} [minimal=true] - Require minimal encoding.
+   * @returns {Number}
+   */
+
+  peekScriptNum(maxSize = 4, minimal = true) {
+    return encoding.readScriptNum(this.data, this.offset,
+                                  maxSize, minimal).value;
+  }
+
+  /**
+   * Peek N bytes (will do a fast slice if zero copy).
+   * @param {Number} size
+   * @param {Boolean?} [zeroCopy = false] - Do a fast buffer
+   * slice instead of allocating a new buffer (warning:
+   * may cause memory leaks if not used with care).
+   * @returns {Buffer}
+   */
+
+  peekBytes(size, zeroCopy = false) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+    enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+
+    this.check(size);
+    this.limit(size, !this.zeroCopy && !zeroCopy);
+
+    if (this.zeroCopy || zeroCopy)
+      return bytes.slice(this.data, this.offset, this.offset + size);
+
+    return bytes.clone(this.data, this.offset, this.offset + size);
+  }
+
+  /**
+   * Read N bytes (will do a fast slice if zero copy).
+   * @param {Number} size
+   * @param {Boolean?} [zeroCopy = false] - Do a fast buffer
+   * slice instead of allocating a new buffer (warning:
+   * may cause memory leaks if not used with care).
+   * @returns {Buffer}
+   */
+
+  readBytes(size, zeroCopy = false) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+    enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+
+    this.check(size);
+    this.limit(size, !this.zeroCopy && !zeroCopy);
+
+    let ret;
+
+    if (this.zeroCopy || zeroCopy)
+      ret = bytes.slice(this.data, this.offset, this.offset + size);
+    else
+      ret = bytes.clone(this.data, this.offset, this.offset + size);
+
+    this.offset += size;
+
+    return ret;
+  }
+
+  /**
+   * Read a varint number of bytes (will do a fast slice if zero copy).
+   * @param {Boolean} [zeroCopy=false] - Do a fast buffer
+   * slice instead of allocating a new buffer (warning:
+   * may cause memory leaks if not used with care).
+   * @returns {Buffer}
+   */
+
+  readVarBytes(zeroCopy = false) {
+    return this.readBytes(this.readVarint(), zeroCopy);
+  }
+
+  /**
+   * Slice N bytes and create a child reader.
+   * @param {Number} size
+   * @returns {BufferReader}
+   */
+
+  readChild(size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    if (this.limits)
+      this.limits.checkDepth(this.offset, this.depth + 1);
+
+    this.check(size);
+
+    const data = bytes.slice(this.data, 0, this.offset + size);
+    // @ts-ignore
+    const br = new this.constructor(data, {
+      limits: this.limits,
+      trace: this.trace,
+      strict: this.strict
+    });
+
+    br.offset = this.offset;
+    br.depth = this.depth + 1;
+
+    this.offset += size;
+
+    return br;
+  }
+
+  /**
+   * Read a string.
+   * @param {Number} size
+   * @param {BufferEncoding?} [enc] - Any buffer-supported encoding.
+   * @returns {String}
+   */
+
+  readString(size, enc) {
+    if (enc == null)
+      enc = 'binary';
+
+    enforce((size >>> 0) === size, 'size', 'integer');
+    enforce(typeof enc === 'string', 'enc', 'string');
+
+    this.check(size);
+
+    if (this.limits) {
+      this.limits.checkString(this.offset, size);
+      this.limits.consume(this.offset, size);
+    }
+
+    if (this.strict && (enc === 'utf8' || enc === 'utf-8')) {
+      if (!bytes.isUTF8(this.data, this.offset, this.offset + size))
+        throw new NonCanonicalError(this.offset, 'Invalid UTF-8');
+    }
+
+    const ret = bytes.toString(this.data, enc, this.offset,
+                               this.offset + size);
+
+    this.offset += size;
+
+    return ret;
+  }
+
+  /**
+   * Read a hash.
+   * @param {String} [enc] - `"hex"`, `"rhex"` (byte-reversed
+   * hex, as displayed for bitcoin hashes) or `null`.
+   * @param {Number} [size=32] - Hash size (e.g. 20, 32 or 64).
+   * @returns {Buffer|String}
+   */
+
+  readHash(enc, size = 32) {
+    enforce((size >>> 0) === size && size > 0, 'size', 'hash size');
+
+    if (enc === 'rhex')
+      return encoding.readHash(this.readBytes(size, true), 0, enc, size);
+
+    if (enc)
+      return this.readString(size, /** @type {BufferEncoding} */ (enc));
+
+    return this.readBytes(size);
+  }
+
+  /**
+   * Read string of a varint length.
+   * @param {BufferEncoding} enc - Any buffer-supported encoding.
+   * @param {Number?} limit - Size limit.
+   * @returns {String}
+   */
+
+  readVarString(enc, limit = 0) {
+    if (enc == null)
+      enc = 'binary';
+
+    enforce(typeof enc === 'string', 'enc', 'string');
+    enforce((limit >>> 0) === limit, 'limit', 'integer');
+
+    const size = this.readVarint();
+
+    if (limit !== 0 && size > limit)
+      throw new LimitError(this.offset, 'String exceeds limit', {
+        expected: limit,
+        actual: size
+      });
+
+    return this.readString(size, enc);
+  }
+
+  /**
+   * Read a null-terminated string.
+   * @param {BufferEncoding} enc - Any buffer-supported encoding.
+   * @returns {String}
+   */
+
+  readNullString(enc) {
+    if (enc == null)
+      enc = 'binary';
+
+    enforce(typeof enc === 'string', 'enc', 'string');
+
+    let end = this.data.length;
+
+    if (this.limits)
+      end = this.limits.scanEnd(this.offset, end);
+
+    let i = this.offset;
+
+    for (; i < end; i++) {
+      if (this.data[i] === 0)
+        break;
+    }
+
+    if (i === this.data.length)
+      throw new OutOfBoundsError(this.offset, 'No NUL terminator');
+
+    if (i === end)
+      throw new LimitError(this.offset, 'NUL scan exceeds limit');
+
+    const ret = this.readString(i - this.offset, enc);
+
+    this.offset = i + 1;
+
+    return ret;
+  }
+
+  /**
+   * Read a count-prefixed array.
+   * @param {Function} type - Struct class or `(br) => item`.
+   * @param {Object} [options]
+   * @param {Number} [options.count] - Known item count (no prefix).
+   * @param {Number} [options.max=0] - Max item count.
+   * @param {*} [options.extra] - Extra argument for `Struct.read`.
+   * @returns {Array}
+   */
+
+  readArray(type, options = {}) {
+    enforce(typeof type === 'function', 'type', 'function');
+    enforce(options && typeof options === 'object', 'options', 'object');
+
+    const {max = 0, extra} = options;
+
+    enforce((max >>> 0) === max, 'max', 'integer');
+
+    let count = options.count;
+
+    if (count == null)
+      count = this.readVarint();
+    else
+      enforce((count >>> 0) === count, 'count', 'integer');
+
+    if (max !== 0 && count > max)
+      throw new LimitError(this.offset, 'Array exceeds limit', {
+        expected: max,
+        actual: count
+      });
+
+    const items = [];
+    // @ts-ignore
+    const read = typeof type.read === 'function'
+      // @ts-ignore
+      ? br => type.read(br, extra)
+      : type;
+
+    for (let i = 0; i < count; i++) {
+      try {
+        items.push(read(this));
+      } catch (e) {
+        if (e instanceof EncodingError)
+          e.prependPath(i);
+        throw e;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Read a count-prefixed map.
+   * @param {Function} readKey - `(br) => key`.
+   * @param {Function} readValue - `(br) => value`.
+   * @param {Object} [options]
+   * @param {Number} [options.max=0] - Max entry count.
+   * @returns {Map}
+   */
+
+  readMap(readKey, readValue, options = {}) {
+    enforce(typeof readKey === 'function', 'readKey', 'function');
+    enforce(typeof readValue === 'function', 'readValue', 'function');
+    enforce(options && typeof options === 'object', 'options', 'object');
+
+    const {max = 0} = options;
+
+    enforce((max >>> 0) === max, 'max', 'integer');
+
+    const count = this.readVarint();
+
+    if (max !== 0 && count > max)
+      throw new LimitError(this.offset, 'Map exceeds limit', {
+        expected: max,
+        actual: count
+      });
+
+    const map = new Map();
+    const seen = new Set();
+
+    for (let i = 0; i < count; i++) {
+      const offset = this.offset;
+      const key = readKey(this);
+
+      // Byte keys are compared by content.
+      const id = bytes.isBytes(key)
+        ? bytes.toString(key, 'hex')
+        : null;
+
+      if (id !== null ? seen.has(id) : map.has(key))
+        throw new NonCanonicalError(offset, 'Duplicate map key');
+
+      if (id !== null)
+        seen.add(id);
+
+      map.set(key, readValue(this));
+    }
+
+    return map;
+  }
+
+  /**
+   * Create a checksum from the last start position,
+   * or from the position given by `options.from`.
+   * @param {Function|Object|String} hash - Hash function
+   * or built-in algorithm (`crc32`, `crc32c` or `adler32`).
+   * @param {Object} [options]
+   * @param {Number} [options.size=4] - Checksum width (1-32).
+   * @param {String} [options.order='le'] - Byte order.
+   * @param {String|Number} [options.from] - Mark name or offset.
+   * @returns {Number|Buffer} Checksum (bytes if wider than 4).
+   */
+
+  createChecksum(hash, options) {
+    const func = checksum.resolve(hash);
+    const {size, order, from} = checksum.parseOptions(options);
+
+    // @ts-ignore
+    const start = this.checksumStart(from);
+    const data = bytes.slice(this.data, start, this.offset);
+
+    return checksum.value(checksum.digest(func, data, size, order), order);
+  }
+
+  /**
+   * Verify a checksum against a calculated checksum.
+   * @param {Function|Object|String} hash
+   * @param {Object} [options] - See {@link BufferReader#createChecksum}.
+   * @returns {Number|Buffer} checksum
+   * @throws on bad checksum
+   */
+
+  verifyChecksum(hash, options) {
+    const {size, order} = checksum.parseOptions(options);
+    const actual = this.createChecksum(hash, options);
+    const expect = checksum.value(this.readBytes(size), order);
+
+    if (typeof actual === 'number'
+        ? actual !== expect
+        : bytes.compare(actual, /** @type {Buffer} */ (expect)) !== 0) {
+      throw new ChecksumError(this.offset, 'Checksum mismatch', {
+        expected: expect,
+        actual
+      });
+    }
+
+    return actual;
+  }
+}
+
+/*
+ * Mixins
+ */
+
+state.mixin(BufferReader);
+
+/*
+ * Helpers
+ */
+
+/**
+ * Wrap every read method of a reader so that
+ * each top-level read is recorded in its trace.
+ * @param {BufferReader} br
+ */
+
+function traceMethods(br) {
+  const names = new Set();
+
+  let depth = 0;
+
+  for (let proto = Object.getPrototypeOf(br);
+       proto && proto !== Object.prototype;
+       proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name.startsWith('read') && typeof proto[name] === 'function')
+        names.add(name);
+    }
+  }
 
-    return checksum;
+  for (const name of names) {
+    const method = br[name];
+
+    br[name] = function(...args) {
+      if (depth > 0)
+        return method.apply(br, args);
+
+      const record = {
+        offset: br.offset,
+        size: 0,
+        depth: br.depth,
+        method: name,
+        label: br.tag,
+        value: undefined,
+        error: null
+      };
+
+      br.tag = null;
+      depth += 1;
+
+      try {
+        record.value = method.apply(br, args);
+      } catch (e) {
+        record.error = e;
+        throw e;
+      } finally {
+        depth -= 1;
+        record.size = br.offset - record.offset;
+        br.trace.push(record);
+      }
+
+      return record.value;
+    };
   }
 }
 
@@ -0,0 +1,790 @@
+/*!
+ * readermixin.js - shared reader methods for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const encoding = require('./encoding');
+const bytes = require('./bytes');
+const checksum = require('./checksum');
+const Limits = require('./limits');
+const state = require('./statemixin');
+const {
+  EncodingError,
+  OutOfBoundsError,
+  NonCanonicalError,
+  ChecksumError,
+  LimitError,
+  TrailingDataError
+} = require('./error');
+
+/*
+ * Constants
+ */
+
+const {MAX_SAFE_INTEGER} = Number;
+
+// Anything longer overflows 64 bits.
+const MAX_VARINT2_SIZE = 10;
+
+/*
+ * Fixed-width Reads
+ * [method, size, decoder, float byte order, canonical NaN]
+ */
+
+/** @type {Array<[String, Number, Function, String?, Number?]>} */
+const FIXED = [
+  ['readU8', 1, encoding.readU8],
+  ['readU16', 2, encoding.readU16],
+  ['readU16BE', 2, encoding.readU16BE],
+  ['readU24', 3, encoding.readU24],
+  ['readU24BE', 3, encoding.readU24BE],
+  ['readU32', 4, encoding.readU32],
+  ['readU32BE', 4, encoding.readU32BE],
+  ['readU40', 5, encoding.readU40],
+  ['readU40BE', 5, encoding.readU40BE],
+  ['readU48', 6, encoding.readU48],
+  ['readU48BE', 6, encoding.readU48BE],
+  ['readU56', 7, encoding.readU56],
+  ['readU56BE', 7, encoding.readU56BE],
+  ['readBigU56', 7, encoding.readBigU56],
+  ['readBigU56BE', 7, encoding.readBigU56BE],
+  ['readU64', 8, encoding.readU64],
+  ['readU64BE', 8, encoding.readU64BE],
+  ['readBigU64', 8, encoding.readBigU64],
+  ['readBigU64BE', 8, encoding.readBigU64BE],
+  ['readBigU128', 16, encoding.readBigU128],
+  ['readBigU128BE', 16, encoding.readBigU128BE],
+  ['readBigU256', 32, encoding.readBigU256],
+  ['readBigU256BE', 32, encoding.readBigU256BE],
+  ['readI8', 1, encoding.readI8],
+  ['readI16', 2, encoding.readI16],
+  ['readI16BE', 2, encoding.readI16BE],
+  ['readI24', 3, encoding.readI24],
+  ['readI24BE', 3, encoding.readI24BE],
+  ['readI32', 4, encoding.readI32],
+  ['readI32BE', 4, encoding.readI32BE],
+  ['readI40', 5, encoding.readI40],
+  ['readI40BE', 5, encoding.readI40BE],
+  ['readI48', 6, encoding.readI48],
+  ['readI48BE', 6, encoding.readI48BE],
+  ['readI56', 7, encoding.readI56],
+  ['readI56BE', 7, encoding.readI56BE],
+  ['readBigI56', 7, encoding.readBigI56],
+  ['readBigI56BE', 7, encoding.readBigI56BE],
+  ['readI64', 8, encoding.readI64],
+  ['readI64BE', 8, encoding.readI64BE],
+  ['readBigI64', 8, encoding.readBigI64],
+  ['readBigI64BE', 8, encoding.readBigI64BE],
+  ['readBigI128', 16, encoding.readBigI128],
+  ['readBigI128BE', 16, encoding.readBigI128BE],
+  ['readBigI256', 32, encoding.readBigI256],
+  ['readBigI256BE', 32, encoding.readBigI256BE],
+  ['readFloat', 4, encoding.readFloat, 'le'],
+  ['readFloatBE', 4, encoding.readFloatBE, 'be'],
+  ['readDouble', 8, encoding.readDouble, 'le'],
+  ['readDoubleBE', 8, encoding.readDoubleBE, 'be'],
+  ['readFloat16', 2, encoding.readFloat16, 'le', 0x7e00],
+  ['readFloat16BE', 2, encoding.readFloat16BE, 'be', 0x7e00],
+  ['readBFloat16', 2, encoding.readBFloat16, 'le'],
+  ['readBFloat16BE', 2, encoding.readBFloat16BE, 'be']
+];
+
+/*
+ * Variable-width Reads
+ * Written once as generators over the reader. Nested
+ * reads are yielded: a synchronous reader gets the
+ * value straight back, an asynchronous one awaits it.
+ * Each value is measured first, then handed to the
+ * matching `encoding` decoder in one piece.
+ */
+
+function* view(br, off, size) {
+  yield br.check(off + size);
+
+  const start = br.offset + off;
+
+  return br.slice(start, start + size, true);
+}
+
+function* varintSize(br) {
+  const [prefix] = yield* view(br, 0, 1);
+
+  switch (prefix) {
+    case 0xff:
+      return 9;
+    case 0xfe:
+      return 5;
+    case 0xfd:
+      return 3;
+    default:
+      return 1;
+  }
+}
+
+function* lebSize(br, max = MAX_SAFE_INTEGER) {
+  let size = 0;
+
+  while (size < max) {
+    const [ch] = yield* view(br, size, 1);
+
+    size += 1;
+
+    if ((ch & 0x80) === 0)
+      break;
+  }
+
+  return size;
+}
+
+function* varint2Size(br) {
+  return yield* lebSize(br, MAX_VARINT2_SIZE);
+}
+
+function* scriptNumSize(br, maxSize = 4) {
+  const [op] = yield* view(br, 0, 1);
+
+  let size = 1;
+  let len = 0;
+
+  switch (op) {
+    case 0x4c:
+      len = encoding.readU8(yield* view(br, 1, 1), 0);
+      size += 1;
+      break;
+    case 0x4d:
+      len = encoding.readU16(yield* view(br, 1, 2), 0);
+      size += 2;
+      break;
+    case 0x4e:
+      len = encoding.readU32(yield* view(br, 1, 4), 0);
+      size += 4;
+      break;
+    default:
+      if (op <= 0x4b)
+        len = op;
+      break;
+  }
+
+  // Oversized pushes are rejected before the payload.
+  if (len > maxSize)
+    return size;
+
+  return size + len;
+}
+
+function* decode(br, func, measure, ...args) {
+  const size = yield* measure(br, ...args);
+  const data = yield* view(br, 0, size);
+
+  let ret;
+
+  try {
+    ret = func(data, 0, ...args);
+  } catch (e) {
+    if (e instanceof EncodingError) {
+      e.offset += br.offset;
+      e.format();
+    }
+    throw e;
+  }
+
+  yield br.advance(ret.size);
+
+  return ret.value;
+}
+
+/** @type {Array<[String, Function, Function]>} */
+const VARIABLE = [
+  ['readVarint', encoding.readVarint, varintSize],
+  ['readVarint2', encoding.readVarint2, varint2Size],
+  ['readBigVarint', encoding.readBigVarint, varintSize],
+  ['readBigVarint2', encoding.readBigVarint2, varint2Size],
+  ['readULEB128', encoding.readULEB128, lebSize],
+  ['readSLEB128', encoding.readSLEB128, lebSize],
+  ['readZigZag', encoding.readZigZag, lebSize],
+  ['readBigULEB128', encoding.readBigULEB128, lebSize],
+  ['readBigSLEB128', encoding.readBigSLEB128, lebSize],
+  ['readBigZigZag', encoding.readBigZigZag, lebSize],
+  ['readScriptNum', encoding.readScriptNum, scriptNumSize]
+];
+
+/*
+ * Sized Reads
+ * [method, decoder, big endian, signed]
+ */
+
+/** @type {Array<[String, Function, Boolean, Boolean]>} */
+const SIZED = [
+  ['readU', encoding.readU, false, false],
+  ['readUBE', encoding.readUBE, true, false],
+  ['readI', encoding.readI, false, true],
+  ['readIBE', encoding.readIBE, true, true],
+  ['readBigU', encoding.readBigU, false, false],
+  ['readBigUBE', encoding.readBigUBE, true, false],
+  ['readBigI', encoding.readBigI, false, true],
+  ['readBigIBE', encoding.readBigIBE, true, true]
+];
+
+/*
+ * Reads
+ */
+
+function* readAmount(br, decimals, size = 8) {
+  enforce((decimals >>> 0) === decimals, 'decimals', 'integer');
+  enforce(size === 8 || size === 16 || size === 32, 'size', '8, 16 or 32');
+
+  let num;
+
+  switch (size) {
+    case 8:
+      num = yield br.readBigU64();
+      break;
+    case 16:
+      num = yield br.readBigU128();
+      break;
+    default:
+      num = yield br.readBigU256();
+      break;
+  }
+
+  return encoding.formatAmount(num, decimals);
+}
+
+function* readBytes(br, size, zeroCopy = false) {
+  enforce((size >>> 0) === size, 'size', 'integer');
+  enforce(typeof zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+
+  zeroCopy = br.zeroCopy || zeroCopy;
+
+  yield br.check(size);
+
+  br.limit(size, !zeroCopy);
+
+  const start = yield br.advance(size);
+
+  return br.slice(start, start + size, zeroCopy);
+}
+
+function* readVarBytes(br, zeroCopy = false) {
+  return yield br.readBytes(yield br.readVarint(), zeroCopy);
+}
+
+function* readString(br, size, enc) {
+  if (enc == null)
+    enc = 'binary';
+
+  enforce((size >>> 0) === size, 'size', 'integer');
+  enforce(typeof enc === 'string', 'enc', 'string');
+
+  yield br.check(size);
+
+  if (br.limits) {
+    br.limits.checkString(br.offset, size);
+    br.limits.consume(br.offset, size);
+  }
+
+  const start = yield br.advance(size);
+  const data = br.slice(start, start + size, true);
+
+  if (br.strict && (enc === 'utf8' || enc === 'utf-8')) {
+    if (!bytes.isUTF8(data))
+      throw new NonCanonicalError(start, 'Invalid UTF-8');
+  }
+
+  return bytes.toString(data, enc);
+}
+
+function* readHash(br, enc, size = 32) {
+  enforce((size >>> 0) === size && size > 0, 'size', 'hash size');
+
+  if (enc === 'rhex')
+    return encoding.readHash(yield br.readBytes(size, true), 0, enc, size);
+
+  if (enc)
+    return yield br.readString(size, enc);
+
+  return yield br.readBytes(size);
+}
+
+function* readVarString(br, enc, limit = 0) {
+  if (enc == null)
+    enc = 'binary';
+
+  enforce(typeof enc === 'string', 'enc', 'string');
+  enforce((limit >>> 0) === limit, 'limit', 'integer');
+
+  const size = yield br.readVarint();
+
+  if (limit !== 0 && size > limit)
+    throw new LimitError(br.offset, 'String exceeds limit', {
+      expected: limit,
+      actual: size
+    });
+
+  return yield br.readString(size, enc);
+}
+
+function* readNullString(br, enc) {
+  if (enc == null)
+    enc = 'binary';
+
+  enforce(typeof enc === 'string', 'enc', 'string');
+
+  let end = MAX_SAFE_INTEGER;
+
+  if (br.limits)
+    end = br.limits.scanEnd(br.offset, end);
+
+  const pos = yield br.scan(end);
+
+  if (pos === -1)
+    throw new OutOfBoundsError(br.offset, 'No NUL terminator');
+
+  if (pos === end)
+    throw new LimitError(br.offset, 'NUL scan exceeds limit');
+
+  const ret = yield br.readString(pos - br.offset, enc);
+
+  yield br.advance(1);
+
+  return ret;
+}
+
+function* readArray(br, type, options = {}) {
+  enforce(typeof type === 'function', 'type', 'function');
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  const {max = 0, extra} = options;
+
+  enforce((max >>> 0) === max, 'max', 'integer');
+
+  let count = options.count;
+
+  if (count == null)
+    count = yield br.readVarint();
+  else
+    enforce((count >>> 0) === count, 'count', 'integer');
+
+  if (max !== 0 && count > max)
+    throw new LimitError(br.offset, 'Array exceeds limit', {
+      expected: max,
+      actual: count
+    });
+
+  const items = [];
+  // @ts-ignore
+  const read = typeof type.read === 'function'
+    // @ts-ignore
+    ? br => type.read(br, extra)
+    : type;
+
+  for (let i = 0; i < count; i++) {
+    try {
+      items.push(yield read(br));
+    } catch (e) {
+      if (e instanceof EncodingError)
+        e.prependPath(i);
+      throw e;
+    }
+  }
+
+  return items;
+}
+
+function* readMap(br, readKey, readValue, options = {}) {
+  enforce(typeof readKey === 'function', 'readKey', 'function');
+  enforce(typeof readValue === 'function', 'readValue', 'function');
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  const {max = 0} = options;
+
+  enforce((max >>> 0) === max, 'max', 'integer');
+
+  const count = yield br.readVarint();
+
+  if (max !== 0 && count > max)
+    throw new LimitError(br.offset, 'Map exceeds limit', {
+      expected: max,
+      actual: count
+    });
+
+  const map = new Map();
+  const seen = new Set();
+
+  for (let i = 0; i < count; i++) {
+    const offset = br.offset;
+    const key = yield readKey(br);
+
+    // Byte keys are compared by content.
+    const id = bytes.isBytes(key)
+      ? bytes.toString(key, 'hex')
+      : null;
+
+    if (id !== null ? seen.has(id) : map.has(key))
+      throw new NonCanonicalError(offset, 'Duplicate map key');
+
+    if (id !== null)
+      seen.add(id);
+
+    map.set(key, yield readValue(br));
+  }
+
+  return map;
+}
+
+function* verifyChecksum(br, hash, options) {
+  const {size, order} = checksum.parseOptions(options);
+  const actual = br.createChecksum(hash, options);
+  const expect = checksum.value(yield br.readBytes(size), order);
+
+  if (typeof actual === 'number'
+      ? actual !== expect
+      : bytes.compare(actual, /** @type {Buffer} */ (expect)) !== 0) {
+    throw new ChecksumError(br.offset, 'Checksum mismatch', {
+      expected: expect,
+      actual
+    });
+  }
+
+  return actual;
+}
+
+function* verifyEnd(br) {
+  if (yield br.more(1)) {
+    throw new TrailingDataError(br.offset, 'Trailing data', {
+      expected: br.offset,
+      actual: br.size
+    });
+  }
+
+  return br;
+}
+
+function* checkMinimal(br, size, be, signed) {
+  if (size < 2)
+    return;
+
+  verifyMinimal(yield* view(br, 0, size), size, be, signed, br.offset);
+}
+
+function* checkFloat(br, value, size, be, nan) {
+  verifyFloat(value, yield* view(br, 0, size), 0, size, be, nan, br.offset);
+}
+
+/** @type {Array<[String, Function]>} */
+const READS = [
+  ['readAmount', readAmount],
+  ['readBytes', readBytes],
+  ['readVarBytes', readVarBytes],
+  ['readString', readString],
+  ['readHash', readHash],
+  ['readVarString', readVarString],
+  ['readNullString', readNullString],
+  ['readArray', readArray],
+  ['readMap', readMap],
+  ['verifyChecksum', verifyChecksum],
+  ['verifyEnd', verifyEnd],
+  ['checkMinimal', checkMinimal],
+  ['checkFloat', checkFloat]
+];
+
+/*
+ * Methods
+ */
+
+/**
+ * @this {any}
+ * @param {Number} size
+ * @param {Boolean} copy - Whether the data will be copied.
+ */
+
+function limit(size, copy) {
+  if (!this.limits)
+    return;
+
+  if (copy)
+    this.limits.consume(this.offset, size);
+  else
+    this.limits.checkAlloc(this.offset, size);
+}
+
+/**
+ * @this {any}
+ * @param {Function|Object|String} hash
+ * @param {Object} [options]
+ * @returns {Number|Buffer}
+ */
+
+function createChecksum(hash, options) {
+  const func = checksum.resolve(hash);
+  const {size, order, from} = checksum.parseOptions(options);
+  const start = this.checksumStart(from);
+  const data = this.slice(start, this.offset, true);
+
+  return checksum.value(checksum.digest(func, data, size, order), order);
+}
+
+/** @type {Array<[String, Function]>} */
+const METHODS = [
+  ['limit', limit],
+  ['createChecksum', createChecksum]
+];
+
+/**
+ * Define the shared read, peek, mark and checkpoint
+ * methods on a reader class.
+ *
+ * The class must provide `offset`, `size`, `stack`,
+ * `marks`, `checkpoints`, `view`, `zeroCopy`, `limits`
+ * and `strict` properties, along with the following
+ * primitives (which return promises on an asynchronous
+ * reader):
+ *
+ *   - `check(size)` throws unless `size` more bytes
+ *     are available.
+ *   - `more(size)` returns whether they are.
+ *   - `take(size)` consumes up to 32 bytes and returns
+ *     their offset in `view`.
+ *   - `advance(size)` consumes `size` bytes, keeping them
+ *     available to `slice()`, and returns their position.
+ *   - `scan(end)` returns the position of the next NUL
+ *     byte before `end`, `end` if there is none, or -1
+ *     if the data ends first.
+ *
+ * and `slice(start, end, zeroCopy)`, which returns
+ * available data by position.
+ *
+ * @param {Function} ctor - Reader class.
+ * @param {Boolean} [async=false]
+ * @returns {Function}
+ */
+
+function mixin(ctor, async = false) {
+  enforce(typeof ctor === 'function', 'ctor', 'function');
+  enforce(typeof async === 'boolean', 'async', 'boolean');
+
+  const proto = ctor.prototype;
+  const wrap = async ? runAsync : run;
+  const peeks = ['readBytes'];
+
+  for (const [name, size, read, order, nan] of FIXED) {
+    proto[name] = async
+      ? fixedAsync(size, read, order, nan)
+      : fixed(size, read, order, nan);
+    peeks.push(name);
+  }
+
+  for (const [name, func, measure] of VARIABLE) {
+    proto[name] = wrap(variable(func, measure));
+    peeks.push(name);
+  }
+
+  for (const [name, func, be, signed] of SIZED)
+    proto[name] = wrap(sized(func, be, signed));
+
+  for (const [name, gen] of READS)
+    proto[name] = wrap(gen);
+
+  for (const name of peeks)
+    proto[`peek${name.substring(4)}`] = wrap(peek(name));
+
+  for (const [name, func] of METHODS)
+    proto[name] = func;
+
+  state.mixin(ctor);
+
+  return ctor;
+}
+
+/**
+ * Parse the options common to all readers. A boolean
+ * enables zero copy. An object may contain `zeroCopy`,
+ * `limits` (a `Limits` object or its options) and
+ * `strict`.
+ * @param {Boolean|Object} [options=false]
+ * @returns {Object}
+ */
+
+function parseOptions(options = false) {
+  let zeroCopy = false;
+  let limits = null;
+  let strict = false;
+
+  if (typeof options === 'boolean') {
+    zeroCopy = options;
+  } else if (options != null) {
+    enforce(typeof options === 'object', 'options', 'object');
+
+    if (options.zeroCopy != null) {
+      enforce(typeof options.zeroCopy === 'boolean', 'zeroCopy', 'boolean');
+      zeroCopy = options.zeroCopy;
+    }
+
+    if (options.limits != null)
+      limits = Limits.from(options.limits);
+
+    if (options.strict != null) {
+      enforce(typeof options.strict === 'boolean', 'strict', 'boolean');
+      strict = options.strict;
+    }
+  }
+
+  return { zeroCopy, limits, strict };
+}
+
+/*
+ * Helpers
+ */
+
+function fixed(size, read, order, nan) {
+  return /** @this {any} */ function() {
+    const off = this.take(size);
+    const value = read(this.view, off);
+
+    // The value has already been consumed.
+    if (order && this.strict) {
+      verifyFloat(value, this.view, off, size,
+                  order === 'be', nan, this.offset - size);
+    }
+
+    return value;
+  };
+}
+
+function fixedAsync(size, read, order, nan) {
+  return /** @this {any} */ async function() {
+    const off = await this.take(size);
+    const value = read(this.view, off);
+
+    if (order && this.strict) {
+      verifyFloat(value, this.view, off, size,
+                  order === 'be', nan, this.offset - size);
+    }
+
+    return value;
+  };
+}
+
+function variable(func, measure) {
+  return function*(br, ...args) {
+    return yield* decode(br, func, measure, ...args);
+  };
+}
+
+function sized(func, be, signed) {
+  return function*(br, size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+
+    const data = yield* view(br, 0, size);
+
+    if (br.strict)
+      verifyMinimal(data, size, be, signed, br.offset);
+
+    const ret = func(data, 0, size);
+
+    yield br.advance(size);
+
+    return ret;
+  };
+}
+
+function peek(name) {
+  return function*(br, ...args) {
+    const offset = br.start();
+
+    try {
+      return yield br[name](...args);
+    } finally {
+      br.end();
+      br.offset = offset;
+    }
+  };
+}
+
+function run(gen) {
+  return /** @this {any} */ function(...args) {
+    const iter = gen(this, ...args);
+
+    let res = iter.next();
+
+    while (!res.done)
+      res = iter.next(res.value);
+
+    return res.value;
+  };
+}
+
+function runAsync(gen) {
+  return /** @this {any} */ async function(...args) {
+    const iter = gen(this, ...args);
+
+    let res = iter.next();
+
+    while (!res.done) {
+      let value;
+
+      try {
+        value = await res.value;
+      } catch (e) {
+        res = iter.throw(e);
+        continue;
+      }
+
+      res = iter.next(value);
+    }
+
+    return res.value;
+  };
+}
+
+function verifyMinimal(data, size, be, signed, offset) {
+  if (size < 2)
+    return;
+
+  const top = data[be ? 0 : size - 1];
+  const next = data[be ? 1 : size - 2];
+
+  let minimal = top !== 0x00;
+
+  if (signed) {
+    minimal = !(top === 0x00 && (next & 0x80) === 0)
+           && !(top === 0xff && (next & 0x80) !== 0);
+  }
+
+  if (!minimal)
+    throw new NonCanonicalError(offset, 'Non-minimal integer', verifyMinimal);
+}
+
+function verifyFloat(value, data, off, size, be, nan, offset) {
+  if (value === 0 && 1 / value < 0)
+    throw new NonCanonicalError(offset, 'Negative zero', verifyFloat);
+
+  if (value === value)
+    return;
+
+  if (nan == null)
+    nan = size === 8 ? 0x7ff8 : 0x7fc0;
+
+  const hi = be
+    ? encoding.readU16BE(data, off)
+    : encoding.readU16(data, off + size - 2);
+
+  let lo = 0;
+
+  for (let i = 0; i < size - 2; i++)
+    lo |= data[be ? off + 2 + i : off + i];
+
+  if (hi !== nan || lo !== 0)
+    throw new NonCanonicalError(offset, 'Non-canonical NaN', verifyFloat);
+}
+
+/*
+ * Expose
+ */
+
+exports.mixin = mixin;
+exports.parseOptions = parseOptions;
@@ -0,0 +1,205 @@
+/*!
+ * statemixin.js - shared mark and checkpoint methods for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+
+/*
+ * Methods
+ * Shared by the readers and writers. Each must have
+ * `offset`, `marks` (a map) and `checkpoints` (an array)
+ * properties. A reader's `stack` and a writer's pending
+ * `ops` are saved by checkpoints as well.
+ */
+
+/**
+ * Mark the current position under a name.
+ * @this {any}
+ * @param {String} name
+ * @returns {Number}
+ */
+
+function mark(name) {
+  enforce(typeof name === 'string', 'name', 'string');
+  this.marks.set(name, this.offset);
+  return this.offset;
+}
+
+/**
+ * Get the position of a named mark.
+ * @this {any}
+ * @param {String} name
+ * @returns {Number}
+ * @throws on unknown mark.
+ */
+
+function getMark(name) {
+  const offset = this.marks.get(name);
+
+  if (offset == null)
+    throw new Error(`Unknown mark: ${name}.`);
+
+  return offset;
+}
+
+/**
+ * Save the current position and marks (along with the
+ * start stack or pending writes). Must be followed by
+ * either `rollback()` or `commit()`.
+ * @this {any}
+ * @returns {Number}
+ */
+
+function checkpoint() {
+  this.checkpoints.push({
+    offset: this.offset,
+    stack: this.stack ? this.stack.slice() : null,
+    ops: this.ops ? this.ops.length : 0,
+    marks: new Map(this.marks)
+  });
+  return this.offset;
+}
+
+/**
+ * Restore the last checkpoint.
+ * @this {any}
+ * @returns {Object}
+ * @throws on empty checkpoint stack.
+ */
+
+function rollback() {
+  if (this.checkpoints.length === 0)
+    throw new Error('Cannot rollback without a checkpoint.');
+
+  const cp = this.checkpoints.pop();
+
+  if (cp.stack)
+    this.stack = cp.stack;
+
+  if (this.ops)
+    this.ops.length = cp.ops;
+
+  this.offset = cp.offset;
+  this.marks = cp.marks;
+
+  return this;
+}
+
+/**
+ * Discard the last checkpoint, keeping the current state.
+ * @this {any}
+ * @returns {Object}
+ * @throws on empty checkpoint stack.
+ */
+
+function commit() {
+  if (this.checkpoints.length === 0)
+    throw new Error('Cannot commit without a checkpoint.');
+
+  this.checkpoints.pop();
+
+  return this;
+}
+
+/**
+ * Call a function, rolling back any changes if it throws
+ * (or if the promise it returns is rejected). Checkpoints
+ * opened by the function are discarded either way.
+ * @this {any}
+ * @param {Function} func - Called with the reader or writer.
+ * @returns {*} Return value of `func`.
+ */
+
+function attempt(func) {
+  enforce(typeof func === 'function', 'func', 'function');
+
+  const depth = this.checkpoints.length;
+
+  const done = (ret) => {
+    this.checkpoints.splice(depth);
+    return ret;
+  };
+
+  const fail = (err) => {
+    // Discard any checkpoints left open by `func`.
+    this.checkpoints.splice(depth + 1);
+    this.rollback();
+    throw err;
+  };
+
+  this.checkpoint();
+
+  let ret;
+
+  try {
+    ret = func(this);
+  } catch (e) {
+    return fail(e);
+  }
+
+  if (ret instanceof Promise)
+    return ret.then(done, fail);
+
+  return done(ret);
+}
+
+/**
+ * Get the start of a checksum range: a mark, an offset,
+ * or by default the last start position of a reader
+ * (the beginning of the data for a writer).
+ * @private
+ * @this {any}
+ * @param {String|Number} [from]
+ * @returns {Number}
+ */
+
+function checksumStart(from) {
+  if (typeof from === 'string')
+    return this.getMark(from);
+
+  if (from == null) {
+    if (this.stack && this.stack.length > 0)
+      return this.stack[this.stack.length - 1];
+    return 0;
+  }
+
+  enforce((from >>> 0) === from && from <= this.offset, 'from', 'offset');
+
+  return from;
+}
+
+/** @type {Array<[String, Function]>} */
+const METHODS = [
+  ['mark', mark],
+  ['getMark', getMark],
+  ['checkpoint', checkpoint],
+  ['rollback', rollback],
+  ['commit', commit],
+  ['attempt', attempt],
+  ['checksumStart', checksumStart]
+];
+
+/**
+ * Define the mark and checkpoint methods on a class.
+ * @param {Function} ctor
+ * @returns {Function}
+ */
+
+function mixin(ctor) {
+  enforce(typeof ctor === 'function', 'ctor', 'function');
+
+  for (const [name, func] of METHODS)
+    ctor.prototype[name] = func;
+
+  return ctor;
+}
+
+/*
+ * Expose
+ */
+
+exports.mixin = mixin;
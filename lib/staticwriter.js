@@ -8,13 +8,18 @@
 
 const enforce = require('./enforce');
 const encoding = require('./encoding');
-const EncodingError = require('./error');
+const bytes = require('./bytes');
+const checksum = require('./checksum');
+const {OutOfBoundsError} = require('./error');
+const state = require('./statemixin');
+const writes = require('./writermixin');
+const BufferWriter = require('./writer');
 
 /*
  * Constants
  */
 
-const EMPTY = Buffer.alloc(0);
+const EMPTY = bytes.alloc(0);
 const POOL_SIZE = 100 << 10;
 
 let POOL = null;
@@ -26,13 +31,14 @@ let POOL = null;
 class StaticWriter {
   /**
    * Statically allocated buffer writer.
-   * @constructor
-   * @param {Number|Buffer} [options]
+   * @param {Number|Buffer|Uint8Array|ArrayBuffer} [options]
    */
 
   constructor(options) {
     this.data = EMPTY;
     this.offset = 0;
+    this.marks = new Map();
+    this.checkpoints = [];
 
     if (options != null)
       this.init(options);
@@ -44,26 +50,30 @@ class StaticWriter {
    */
 
   check(size) {
-    if (this.offset + size > this.data.length)
-      throw new EncodingError(this.offset, 'Out of bounds write', this.check);
+    if (this.offset + size > this.data.length) {
+      throw new OutOfBoundsError(this.offset, 'Out of bounds write', {
+        expected: size,
+        actual: this.data.length - this.offset
+      }, this.check);
+    }
   }
 
   /**
    * Initialize options.
-   * @param {Number|Buffer} options
+   * @param {Number|Buffer|Uint8Array|ArrayBuffer} options
    * @returns {StaticWriter}
    */
 
   init(options) {
-    if (Buffer.isBuffer(options)) {
-      this.data = options;
+    if (options instanceof ArrayBuffer || ArrayBuffer.isView(options)) {
+      this.data = bytes.from(options);
       this.offset = 0;
       return this;
     }
 
     enforce((options >>> 0) === options, 'size', 'integer');
 
-    this.data = Buffer.allocUnsafeSlow(options);
+    this.data = bytes.alloc(options);
     this.offset = 0;
 
     return this;
@@ -80,11 +90,11 @@ class StaticWriter {
 
     if (size <= POOL_SIZE) {
       if (!POOL)
-        POOL = Buffer.allocUnsafeSlow(POOL_SIZE);
+        POOL = bytes.alloc(POOL_SIZE);
 
       const bw = new StaticWriter();
 
-      bw.data = POOL.slice(0, size);
+      bw.data = bytes.slice(POOL, 0, size);
 
       return bw;
     }
@@ -101,7 +111,7 @@ class StaticWriter {
     const {data, offset} = this;
 
     if (offset !== data.length)
-      throw new EncodingError(offset, 'Out of bounds write');
+      throw new OutOfBoundsError(offset, 'Out of bounds write');
 
     this.destroy();
 
@@ -126,11 +136,11 @@ class StaticWriter {
     const {data, offset} = this;
 
     if (offset > data.length)
-      throw new EncodingError(offset, 'Out of bounds write');
+      throw new OutOfBoundsError(offset, 'Out of bounds write');
 
     this.destroy();
 
-    return data.slice(0, offset);
+    return bytes.slice(data, 0, offset);
   }
 
   /**
@@ -143,7 +153,7 @@ class StaticWriter {
     const {data, offset} = this;
 
     if (offset > data.length)
-      throw new EncodingError(offset, 'Out of bounds write');
+      throw new OutOfBoundsError(offset, 'Out of bounds write');
 
     data.fill(0, offset, data.length);
 
@@ -171,7 +181,7 @@ class StaticWriter {
     enforce(Number.isSafeInteger(off), 'off', 'integer');
 
     if (this.offset + off < 0)
-      throw new EncodingError(this.offset, 'Out of bounds write');
+      throw new OutOfBoundsError(this.offset, 'Out of bounds write');
 
     this.check(off);
     this.offset += off;
@@ -187,6 +197,8 @@ class StaticWriter {
   destroy() {
     this.data = EMPTY;
     this.offset = 0;
+    this.marks.clear();
+    this.checkpoints.length = 0;
     return this;
   }
 
@@ -466,6 +478,31 @@ class StaticWriter {
     return this;
   }
 
+  /**
+   * Write a fixed-point amount as an unsigned
+   * integer of base units (e.g. satoshis).
+   * @param {String|BigInt} value - Decimal string
+   * or a bigint of base units.
+   * @param {Number} decimals - Decimal places.
+   * @param {Number} [size=8] - Integer width (8, 16 or 32).
+   * @returns {StaticWriter}
+   */
+
+  writeAmount(value, decimals, size = 8) {
+    enforce(size === 8 || size === 16 || size === 32, 'size', '8, 16 or 32');
+
+    const num = encoding.parseAmount(value, decimals, size);
+
+    switch (size) {
+      case 8:
+        return this.writeBigU64(num);
+      case 16:
+        return this.writeBigU128(num);
+      default:
+        return this.writeBigU256(num);
+    }
+  }
+
   /**
    * Write int8.
    * @param {Number} value
@@ -694,6 +731,110 @@ class StaticWriter {
     return this;
   }
 
+  /**
+   * Write int128le.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigI128(value) {
+    this.check(16);
+    this.offset = encoding.writeBigI128(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write int128be.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigI128BE(value) {
+    this.check(16);
+    this.offset = encoding.writeBigI128BE(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write int256le.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigI256(value) {
+    this.check(32);
+    this.offset = encoding.writeBigI256(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write int256be.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigI256BE(value) {
+    this.check(32);
+    this.offset = encoding.writeBigI256BE(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a variable width uint le (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {StaticWriter}
+   */
+
+  writeBigU(value, size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+    this.check(size);
+    this.offset = encoding.writeBigU(this.data, value, this.offset, size);
+    return this;
+  }
+
+  /**
+   * Write a variable width uint be (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {StaticWriter}
+   */
+
+  writeBigUBE(value, size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+    this.check(size);
+    this.offset = encoding.writeBigUBE(this.data, value, this.offset, size);
+    return this;
+  }
+
+  /**
+   * Write a variable width int le (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {StaticWriter}
+   */
+
+  writeBigI(value, size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+    this.check(size);
+    this.offset = encoding.writeBigI(this.data, value, this.offset, size);
+    return this;
+  }
+
+  /**
+   * Write a variable width int be (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {StaticWriter}
+   */
+
+  writeBigIBE(value, size) {
+    enforce((size >>> 0) === size, 'size', 'integer');
+    this.check(size);
+    this.offset = encoding.writeBigIBE(this.data, value, this.offset, size);
+    return this;
+  }
+
   /**
    * Write float le.
    * @param {Number} value
@@ -742,6 +883,54 @@ class StaticWriter {
     return this;
   }
 
+  /**
+   * Write half float le.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeFloat16(value) {
+    this.check(2);
+    this.offset = encoding.writeFloat16(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write half float be.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeFloat16BE(value) {
+    this.check(2);
+    this.offset = encoding.writeFloat16BE(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write bfloat16 le.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeBFloat16(value) {
+    this.check(2);
+    this.offset = encoding.writeBFloat16(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write bfloat16 be.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeBFloat16BE(value) {
+    this.check(2);
+    this.offset = encoding.writeBFloat16BE(this.data, value, this.offset);
+    return this;
+  }
+
   /**
    * Write a varint.
    * @param {Number} value
@@ -764,6 +953,114 @@ class StaticWriter {
     return this;
   }
 
+  /**
+   * Write a varint.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigVarint(value) {
+    this.check(encoding.sizeBigVarint(value));
+    this.offset = encoding.writeBigVarint(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a varint (type 2).
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigVarint2(value) {
+    this.check(encoding.sizeBigVarint2(value));
+    this.offset = encoding.writeBigVarint2(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write an unsigned LEB128 varint.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeULEB128(value) {
+    this.check(encoding.sizeULEB128(value));
+    this.offset = encoding.writeULEB128(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a signed LEB128 varint.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeSLEB128(value) {
+    this.check(encoding.sizeSLEB128(value));
+    this.offset = encoding.writeSLEB128(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a zigzag-encoded LEB128 varint.
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeZigZag(value) {
+    this.check(encoding.sizeZigZag(value));
+    this.offset = encoding.writeZigZag(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write an unsigned LEB128 varint.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigULEB128(value) {
+    this.check(encoding.sizeBigULEB128(value));
+    this.offset = encoding.writeBigULEB128(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a signed LEB128 varint.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigSLEB128(value) {
+    this.check(encoding.sizeBigSLEB128(value));
+    this.offset = encoding.writeBigSLEB128(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a zigzag-encoded LEB128 varint.
+   * @param {BigInt} value
+   * @returns {StaticWriter}
+   */
+
+  writeBigZigZag(value) {
+    this.check(encoding.sizeBigZigZag(value));
+    this.offset = encoding.writeBigZigZag(this.data, value, this.offset);
+    return this;
+  }
+
+  /**
+   * Write a script number as a minimal push (CScriptNum).
+   * @param {Number} value
+   * @returns {StaticWriter}
+   */
+
+  writeScriptNum(value) {
+    this.check(encoding.sizeScriptNum(value));
+    this.offset = encoding.writeScriptNum(this.data, value, this.offset);
+    return this;
+  }
+
   /**
    * Write bytes.
    * @param {Buffer} value
@@ -771,10 +1068,10 @@ class StaticWriter {
    */
 
   writeBytes(value) {
-    enforce(Buffer.isBuffer(value), 'value', 'buffer');
+    enforce(bytes.isBytes(value), 'value', 'buffer');
 
     this.check(value.length);
-    this.offset += value.copy(this.data, this.offset);
+    this.offset += bytes.copy(value, this.data, this.offset);
 
     return this;
   }
@@ -786,7 +1083,7 @@ class StaticWriter {
    */
 
   writeVarBytes(value) {
-    enforce(Buffer.isBuffer(value), 'value', 'buffer');
+    enforce(bytes.isBytes(value), 'value', 'buffer');
 
     this.writeVarint(value.length);
     this.writeBytes(value);
@@ -803,13 +1100,13 @@ class StaticWriter {
    */
 
   copy(value, start, end) {
-    enforce(Buffer.isBuffer(value), 'value', 'buffer');
+    enforce(bytes.isBytes(value), 'value', 'buffer');
     enforce((start >>> 0) === start, 'start', 'integer');
     enforce((end >>> 0) === end, 'end', 'integer');
     enforce(end >= start, 'start', 'integer');
 
     this.check(end - start);
-    this.offset += value.copy(this.data, this.offset, start, end);
+    this.offset += bytes.copy(value, this.data, this.offset, start, end);
 
     return this;
   }
@@ -831,33 +1128,30 @@ class StaticWriter {
     if (value.length === 0)
       return this;
 
-    const size = Buffer.byteLength(value, enc);
+    const size = bytes.byteLength(value, enc);
 
     this.check(size);
 
-    this.offset += this.data.write(value, this.offset, enc);
+    this.offset += bytes.write(this.data, value, this.offset, enc);
 
     return this;
   }
 
   /**
-   * Write a 32 byte hash.
+   * Write a hash.
    * @param {Buffer|String} value
+   * @param {String} [enc='hex'] - String encoding: `"hex"` or
+   * `"rhex"` (byte-reversed hex, as displayed for bitcoin hashes).
+   * @param {Number} [size=32] - Hash size (e.g. 20, 32 or 64).
    * @returns {StaticWriter}
    */
 
-  writeHash(value) {
-    if (typeof value !== 'string') {
-      enforce(Buffer.isBuffer(value), 'value', 'buffer');
-      enforce(value.length === 32, 'value', '32-byte hash');
-      this.writeBytes(value);
-      return this;
-    }
-
-    enforce(value.length === 64, 'value', '32-byte hash');
+  writeHash(value, enc, size = 32) {
+    enforce((size >>> 0) === size && size > 0, 'size', 'hash size');
 
-    this.check(32);
-    this.offset += this.data.write(value, this.offset, 'hex');
+    this.check(size);
+    this.offset += encoding.writeHash(this.data, value, this.offset,
+                                      enc, size);
 
     return this;
   }
@@ -881,11 +1175,11 @@ class StaticWriter {
       return this;
     }
 
-    const size = Buffer.byteLength(value, enc);
+    const size = bytes.byteLength(value, enc);
 
     this.writeVarint(size);
     this.check(size);
-    this.offset += this.data.write(value, this.offset, enc);
+    this.offset += bytes.write(this.data, value, this.offset, enc);
 
     return this;
   }
@@ -904,23 +1198,31 @@ class StaticWriter {
   }
 
   /**
-   * Calculate and write a checksum for the data written so far.
-   * @param {Function|Object} hash
+   * Calculate and write a checksum for the data written so far,
+   * or for the data written since `options.from`.
+   * @param {Function|Object|String} hash - Hash function
+   * or built-in algorithm (`crc32`, `crc32c` or `adler32`).
+   * @param {Object} [options]
+   * @param {Number} [options.size=4] - Checksum width (1-32).
+   * @param {String} [options.order='le'] - Byte order.
+   * @param {String|Number} [options.from] - Mark name or offset.
    * @returns {StaticWriter}
    */
 
-  writeChecksum(hash) {
-    if (!hash || typeof hash.digest !== 'function')
-      enforce(typeof hash === 'function', 'hash', 'function');
+  writeChecksum(hash, options) {
+    const func = checksum.resolve(hash);
+    const {size, order, from} = checksum.parseOptions(options);
+    // @ts-ignore
+    const start = this.checksumStart(from);
 
-    this.check(4);
+    this.check(size);
 
-    const data = this.data.slice(0, this.offset);
-    const raw = hash.digest ? hash.digest(data) : hash(data);
+    const data = bytes.slice(this.data, start, this.offset);
+    const raw = checksum.digest(func, data, size, order);
 
-    raw.copy(this.data, this.offset, 0, 4);
+    bytes.copy(raw, this.data, this.offset);
 
-    this.offset += 4;
+    this.offset += size;
 
     return this;
   }
@@ -959,6 +1261,13 @@ class StaticWriter {
   }
 }
 
+/*
+ * Mixins
+ */
+
+state.mixin(StaticWriter);
+writes.mixin(StaticWriter, BufferWriter);
+
 /*
  * Expose
  */
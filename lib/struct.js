@@ -7,7 +7,9 @@
 'use strict';
 
 const enforce = require('./enforce');
+const bytes = require('./bytes');
 const BufferReader = require('./reader');
+const AsyncReader = require('./asyncreader');
 const BufferWriter = require('./writer');
 const StaticWriter = require('./staticwriter');
 const {custom} = require('./custom');
@@ -160,14 +162,40 @@ class Struct {
   /**
    * @param {Buffer} data
    * @param {*} [extra]
+   * @param {Object} [options] - Reader options (see
+   * {@link BufferReader}).
+   * @param {Boolean} [options.strict=false] - Reject trailing
+   * data and non-canonical encodings.
    * @returns {this}
    */
 
-  decode(data, extra) {
-    const br = new BufferReader(data);
+  decode(data, extra, options) {
+    const br = new BufferReader(data, options);
 
     this.read(br, extra);
 
+    if (br.strict)
+      br.verifyEnd();
+
+    return this;
+  }
+
+  /**
+   * Decode from a stream or file handle. The struct's
+   * `read` method must `await` each read for this to work.
+   * @param {AsyncReader|Object} source
+   * @param {*} [extra]
+   * @returns {Promise<this>}
+   */
+
+  async decodeAsync(source, extra) {
+    const br = source instanceof AsyncReader
+      ? source
+      : new AsyncReader(source);
+
+    // @ts-ignore
+    await this.read(br, extra);
+
     return this;
   }
 
@@ -177,7 +205,8 @@ class Struct {
    */
 
   toHex(extra) {
-    return this.encode(extra).toString('hex');
+    const data = this.encode(extra);
+    return bytes.toString(data, 'hex');
   }
 
   /**
@@ -190,7 +219,7 @@ class Struct {
     enforce(typeof str === 'string', 'str', 'string');
 
     const size = str.length >>> 1;
-    const data = Buffer.from(str, 'hex');
+    const data = bytes.fromString(str, 'hex');
 
     if (data.length !== size)
       throw new Error('Invalid hex string.');
@@ -204,7 +233,8 @@ class Struct {
    */
 
   toBase64(extra) {
-    return this.encode(extra).toString('base64');
+    const data = this.encode(extra);
+    return bytes.toString(data, 'base64');
   }
 
   /**
@@ -216,7 +246,7 @@ class Struct {
   fromBase64(str, extra) {
     enforce(typeof str === 'string', 'str', 'string');
 
-    const data = Buffer.from(str, 'base64');
+    const data = bytes.fromString(str, 'base64');
 
     if (str.length > size64(data.length))
       throw new Error('Invalid base64 string.');
@@ -257,11 +287,25 @@ class Struct {
    * @this {new (...args: any[]) => T}
    * @param {Buffer} data
    * @param {*} [extra]
+   * @param {Object} [options]
+   * @param {Boolean} [options.strict=false]
    * @returns {T}
    */
 
-  static decode(data, extra) {
-    return new this().decode(data, extra);
+  static decode(data, extra, options) {
+    return new this().decode(data, extra, options);
+  }
+
+  /**
+   * @template {Struct} T
+   * @this {new (...args: any[]) => T}
+   * @param {AsyncReader|Object} source
+   * @param {*} [extra]
+   * @returns {Promise<T>}
+   */
+
+  static decodeAsync(source, extra) {
+    return new this().decodeAsync(source, extra);
   }
 
   /**
@@ -9,7 +9,11 @@
 
 const enforce = require('./enforce');
 const encoding = require('./encoding');
-const EncodingError = require('./error');
+const bytes = require('./bytes');
+const checksum = require('./checksum');
+const {OutOfBoundsError} = require('./error');
+const state = require('./statemixin');
+const writes = require('./writermixin');
 
 /*
  * Constants
@@ -68,6 +72,27 @@ const BIG_U128 = 49;
 const BIG_U128BE = 50;
 const BIG_U256 = 51;
 const BIG_U256BE = 52;
+const ULEB128 = 53;
+const SLEB128 = 54;
+const ZIGZAG = 55;
+const BIG_ULEB128 = 56;
+const BIG_SLEB128 = 57;
+const BIG_ZIGZAG = 58;
+const F16 = 59;
+const F16BE = 60;
+const BF16 = 61;
+const BF16BE = 62;
+const BIG_I128 = 63;
+const BIG_I128BE = 64;
+const BIG_I256 = 65;
+const BIG_I256BE = 66;
+const BIG_U = 67;
+const BIG_UBE = 68;
+const BIG_I = 69;
+const BIG_IBE = 70;
+const BIG_VARINT = 71;
+const BIG_VARINT2 = 72;
+const SCRIPTNUM = 73;
 
 /**
  * Buffer Writer
@@ -82,6 +107,8 @@ class BufferWriter {
   constructor() {
     this.ops = [];
     this.offset = 0;
+    this.marks = new Map();
+    this.checkpoints = [];
   }
 
   /**
@@ -90,7 +117,7 @@ class BufferWriter {
    */
 
   render() {
-    const data = Buffer.allocUnsafeSlow(this.offset);
+    const data = bytes.alloc(this.offset);
 
     let off = 0;
 
@@ -201,21 +228,42 @@ class BufferWriter {
         case DBLBE:
           off = encoding.writeDoubleBE(data, op.value, off);
           break;
+        case F16:
+          off = encoding.writeFloat16(data, op.value, off);
+          break;
+        case F16BE:
+          off = encoding.writeFloat16BE(data, op.value, off);
+          break;
+        case BF16:
+          off = encoding.writeBFloat16(data, op.value, off);
+          break;
+        case BF16BE:
+          off = encoding.writeBFloat16BE(data, op.value, off);
+          break;
         case VARINT:
           off = encoding.writeVarint(data, op.value, off);
           break;
         case VARINT2:
           off = encoding.writeVarint2(data, op.value, off);
           break;
+        case BIG_VARINT:
+          off = encoding.writeBigVarint(data, op.value, off);
+          break;
+        case BIG_VARINT2:
+          off = encoding.writeBigVarint2(data, op.value, off);
+          break;
         case BYTES:
-          off += op.data.copy(data, off);
+          off += bytes.copy(op.data, data, off);
           break;
         case STR:
-          off += data.write(op.value, off, op.enc);
+          off += bytes.write(data, op.value, off, op.enc);
           break;
-        case CHECKSUM:
-          off += op.func(data.slice(0, off)).copy(data, off, 0, 4);
+        case CHECKSUM: {
+          const raw = bytes.slice(data, op.start, off);
+          off += bytes.copy(checksum.digest(op.func, raw, op.size, op.order),
+                            data, off);
           break;
+        }
         case FILL:
           data.fill(op.value, off, off + op.size);
           off += op.size;
@@ -244,6 +292,30 @@ class BufferWriter {
         case BIG_I64BE:
           off = encoding.writeBigI64BE(data, op.value, off);
           break;
+        case BIG_I128:
+          off = encoding.writeBigI128(data, op.value, off);
+          break;
+        case BIG_I128BE:
+          off = encoding.writeBigI128BE(data, op.value, off);
+          break;
+        case BIG_I256:
+          off = encoding.writeBigI256(data, op.value, off);
+          break;
+        case BIG_I256BE:
+          off = encoding.writeBigI256BE(data, op.value, off);
+          break;
+        case BIG_U:
+          off = encoding.writeBigU(data, op.value, off, op.size);
+          break;
+        case BIG_UBE:
+          off = encoding.writeBigUBE(data, op.value, off, op.size);
+          break;
+        case BIG_I:
+          off = encoding.writeBigI(data, op.value, off, op.size);
+          break;
+        case BIG_IBE:
+          off = encoding.writeBigIBE(data, op.value, off, op.size);
+          break;
         case BIG_U128:
           off = encoding.writeBigU128(data, op.value, off);
           break;
@@ -256,13 +328,34 @@ class BufferWriter {
         case BIG_U256BE:
           off = encoding.writeBigU256BE(data, op.value, off);
           break;
+        case ULEB128:
+          off = encoding.writeULEB128(data, op.value, off);
+          break;
+        case SLEB128:
+          off = encoding.writeSLEB128(data, op.value, off);
+          break;
+        case ZIGZAG:
+          off = encoding.writeZigZag(data, op.value, off);
+          break;
+        case BIG_ULEB128:
+          off = encoding.writeBigULEB128(data, op.value, off);
+          break;
+        case BIG_SLEB128:
+          off = encoding.writeBigSLEB128(data, op.value, off);
+          break;
+        case BIG_ZIGZAG:
+          off = encoding.writeBigZigZag(data, op.value, off);
+          break;
+        case SCRIPTNUM:
+          off = encoding.writeScriptNum(data, op.value, off);
+          break;
         default:
           throw new Error('Invalid type.');
       }
     }
 
     if (off !== data.length)
-      throw new EncodingError(off, 'Out of bounds write');
+      throw new OutOfBoundsError(off, 'Out of bounds write');
 
     this.destroy();
 
@@ -289,7 +382,7 @@ class BufferWriter {
     enforce((size >>> 0) === size, 'size', 'integer');
 
     if (this.offset > size)
-      throw new EncodingError(this.offset, 'Out of bounds write');
+      throw new OutOfBoundsError(this.offset, 'Out of bounds write');
 
     this.fill(0x00, size - this.offset);
 
@@ -315,7 +408,7 @@ class BufferWriter {
     enforce(Number.isSafeInteger(off), 'off', 'integer');
 
     if (this.offset + off < 0)
-      throw new EncodingError(this.offset, 'Out of bounds write');
+      throw new OutOfBoundsError(this.offset, 'Out of bounds write');
 
     this.offset += off;
     this.ops.push(new NumberOp(SEEK, off));
@@ -331,6 +424,8 @@ class BufferWriter {
   destroy() {
     this.ops.length = 0;
     this.offset = 0;
+    this.marks.clear();
+    this.checkpoints.length = 0;
     return this;
   }
 
@@ -610,6 +705,31 @@ class BufferWriter {
     return this;
   }
 
+  /**
+   * Write a fixed-point amount as an unsigned
+   * integer of base units (e.g. satoshis).
+   * @param {String|BigInt} value - Decimal string
+   * or a bigint of base units.
+   * @param {Number} decimals - Decimal places.
+   * @param {Number} [size=8] - Integer width (8, 16 or 32).
+   * @returns {BufferWriter}
+   */
+
+  writeAmount(value, decimals, size = 8) {
+    enforce(size === 8 || size === 16 || size === 32, 'size', '8, 16 or 32');
+
+    const num = encoding.parseAmount(value, decimals, size);
+
+    switch (size) {
+      case 8:
+        return this.writeBigU64(num);
+      case 16:
+        return this.writeBigU128(num);
+      default:
+        return this.writeBigU256(num);
+    }
+  }
+
   /**
    * Write int8.
    * @param {Number} value
@@ -838,6 +958,114 @@ class BufferWriter {
     return this;
   }
 
+  /**
+   * Write int128le.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigI128(value) {
+    this.offset += 16;
+    this.ops.push(new BigOp(BIG_I128, value));
+    return this;
+  }
+
+  /**
+   * Write int128be.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigI128BE(value) {
+    this.offset += 16;
+    this.ops.push(new BigOp(BIG_I128BE, value));
+    return this;
+  }
+
+  /**
+   * Write int256le.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigI256(value) {
+    this.offset += 32;
+    this.ops.push(new BigOp(BIG_I256, value));
+    return this;
+  }
+
+  /**
+   * Write int256be.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigI256BE(value) {
+    this.offset += 32;
+    this.ops.push(new BigOp(BIG_I256BE, value));
+    return this;
+  }
+
+  /**
+   * Write a variable width uint le (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {BufferWriter}
+   */
+
+  writeBigU(value, size) {
+    enforce((size >>> 0) === size && size >= 1 && size <= 64,
+            'size', 'integer between 1 and 64');
+    this.offset += size;
+    this.ops.push(new SizedBigOp(BIG_U, value, size));
+    return this;
+  }
+
+  /**
+   * Write a variable width uint be (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {BufferWriter}
+   */
+
+  writeBigUBE(value, size) {
+    enforce((size >>> 0) === size && size >= 1 && size <= 64,
+            'size', 'integer between 1 and 64');
+    this.offset += size;
+    this.ops.push(new SizedBigOp(BIG_UBE, value, size));
+    return this;
+  }
+
+  /**
+   * Write a variable width int le (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {BufferWriter}
+   */
+
+  writeBigI(value, size) {
+    enforce((size >>> 0) === size && size >= 1 && size <= 64,
+            'size', 'integer between 1 and 64');
+    this.offset += size;
+    this.ops.push(new SizedBigOp(BIG_I, value, size));
+    return this;
+  }
+
+  /**
+   * Write a variable width int be (1-64 bytes).
+   * @param {BigInt} value
+   * @param {Number} size
+   * @returns {BufferWriter}
+   */
+
+  writeBigIBE(value, size) {
+    enforce((size >>> 0) === size && size >= 1 && size <= 64,
+            'size', 'integer between 1 and 64');
+    this.offset += size;
+    this.ops.push(new SizedBigOp(BIG_IBE, value, size));
+    return this;
+  }
+
   /**
    * Write float le.
    * @param {Number} value
@@ -886,6 +1114,54 @@ class BufferWriter {
     return this;
   }
 
+  /**
+   * Write half float le.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeFloat16(value) {
+    this.offset += 2;
+    this.ops.push(new NumberOp(F16, value));
+    return this;
+  }
+
+  /**
+   * Write half float be.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeFloat16BE(value) {
+    this.offset += 2;
+    this.ops.push(new NumberOp(F16BE, value));
+    return this;
+  }
+
+  /**
+   * Write bfloat16 le.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeBFloat16(value) {
+    this.offset += 2;
+    this.ops.push(new NumberOp(BF16, value));
+    return this;
+  }
+
+  /**
+   * Write bfloat16 be.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeBFloat16BE(value) {
+    this.offset += 2;
+    this.ops.push(new NumberOp(BF16BE, value));
+    return this;
+  }
+
   /**
    * Write a varint.
    * @param {Number} value
@@ -910,6 +1186,114 @@ class BufferWriter {
     return this;
   }
 
+  /**
+   * Write a varint.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigVarint(value) {
+    this.offset += encoding.sizeBigVarint(value);
+    this.ops.push(new BigOp(BIG_VARINT, value));
+    return this;
+  }
+
+  /**
+   * Write a varint (type 2).
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigVarint2(value) {
+    this.offset += encoding.sizeBigVarint2(value);
+    this.ops.push(new BigOp(BIG_VARINT2, value));
+    return this;
+  }
+
+  /**
+   * Write an unsigned LEB128 varint.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeULEB128(value) {
+    this.offset += encoding.sizeULEB128(value);
+    this.ops.push(new NumberOp(ULEB128, value));
+    return this;
+  }
+
+  /**
+   * Write a signed LEB128 varint.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeSLEB128(value) {
+    this.offset += encoding.sizeSLEB128(value);
+    this.ops.push(new NumberOp(SLEB128, value));
+    return this;
+  }
+
+  /**
+   * Write a zigzag-encoded LEB128 varint.
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeZigZag(value) {
+    this.offset += encoding.sizeZigZag(value);
+    this.ops.push(new NumberOp(ZIGZAG, value));
+    return this;
+  }
+
+  /**
+   * Write an unsigned LEB128 varint.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigULEB128(value) {
+    this.offset += encoding.sizeBigULEB128(value);
+    this.ops.push(new BigOp(BIG_ULEB128, value));
+    return this;
+  }
+
+  /**
+   * Write a signed LEB128 varint.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigSLEB128(value) {
+    this.offset += encoding.sizeBigSLEB128(value);
+    this.ops.push(new BigOp(BIG_SLEB128, value));
+    return this;
+  }
+
+  /**
+   * Write a zigzag-encoded LEB128 varint.
+   * @param {BigInt} value
+   * @returns {BufferWriter}
+   */
+
+  writeBigZigZag(value) {
+    this.offset += encoding.sizeBigZigZag(value);
+    this.ops.push(new BigOp(BIG_ZIGZAG, value));
+    return this;
+  }
+
+  /**
+   * Write a script number as a minimal push (CScriptNum).
+   * @param {Number} value
+   * @returns {BufferWriter}
+   */
+
+  writeScriptNum(value) {
+    this.offset += encoding.sizeScriptNum(value);
+    this.ops.push(new NumberOp(SCRIPTNUM, value));
+    return this;
+  }
+
   /**
    * Write bytes.
    * @param {Buffer} value
@@ -917,7 +1301,7 @@ class BufferWriter {
    */
 
   writeBytes(value) {
-    enforce(Buffer.isBuffer(value), 'value', 'buffer');
+    enforce(bytes.isBytes(value), 'value', 'buffer');
 
     if (value.length === 0)
       return this;
@@ -935,7 +1319,7 @@ class BufferWriter {
    */
 
   writeVarBytes(value) {
-    enforce(Buffer.isBuffer(value), 'value', 'buffer');
+    enforce(bytes.isBytes(value), 'value', 'buffer');
 
     this.offset += encoding.sizeVarint(value.length);
     this.ops.push(new NumberOp(VARINT, value.length));
@@ -958,12 +1342,12 @@ class BufferWriter {
    */
 
   copy(value, start, end) {
-    enforce(Buffer.isBuffer(value), 'value', 'buffer');
+    enforce(bytes.isBytes(value), 'value', 'buffer');
     enforce((start >>> 0) === start, 'start', 'integer');
     enforce((end >>> 0) === end, 'end', 'integer');
     enforce(end >= start, 'start', 'integer');
 
-    const buf = value.slice(start, end);
+    const buf = bytes.slice(value, start, end);
 
     this.writeBytes(buf);
 
@@ -987,29 +1371,34 @@ class BufferWriter {
     if (value.length === 0)
       return this;
 
-    this.offset += Buffer.byteLength(value, enc);
+    this.offset += bytes.byteLength(value, enc);
     this.ops.push(new StringOp(STR, value, enc));
 
     return this;
   }
 
   /**
-   * Write a 32 byte hash.
+   * Write a hash.
    * @param {Buffer|String} value
+   * @param {String} [enc='hex'] - String encoding: `"hex"` or
+   * `"rhex"` (byte-reversed hex, as displayed for bitcoin hashes).
+   * @param {Number} [size=32] - Hash size (e.g. 20, 32 or 64).
    * @returns {BufferWriter}
    */
 
-  writeHash(value) {
+  writeHash(value, enc, size = 32) {
     if (typeof value !== 'string') {
-      enforce(Buffer.isBuffer(value), 'value', 'buffer');
-      enforce(value.length === 32, 'value', '32-byte hash');
+      enforce(bytes.isBytes(value), 'value', 'buffer');
+      enforce(value.length === size, 'value', `${size}-byte hash`);
       this.writeBytes(value);
       return this;
     }
 
-    enforce(value.length === 64, 'value', '32-byte hash');
+    const data = bytes.alloc(size);
 
-    this.writeString(value, 'hex');
+    encoding.writeHash(data, value, 0, enc, size);
+
+    this.writeBytes(data);
 
     return this;
   }
@@ -1033,7 +1422,7 @@ class BufferWriter {
       return this;
     }
 
-    const size = Buffer.byteLength(value, enc);
+    const size = bytes.byteLength(value, enc);
 
     this.offset += encoding.sizeVarint(size);
     this.offset += size;
@@ -1058,20 +1447,25 @@ class BufferWriter {
   }
 
   /**
-   * Calculate and write a checksum for the data written so far.
-   * @param {Function|Object} hash
+   * Calculate and write a checksum for the data written so far,
+   * or for the data written since `options.from`.
+   * @param {Function|Object|String} hash - Hash function
+   * or built-in algorithm (`crc32`, `crc32c` or `adler32`).
+   * @param {Object} [options]
+   * @param {Number} [options.size=4] - Checksum width (1-32).
+   * @param {String} [options.order='le'] - Byte order.
+   * @param {String|Number} [options.from] - Mark name or offset.
    * @returns {BufferWriter}
    */
 
-  writeChecksum(hash) {
-    if (hash && typeof hash.digest === 'function') {
-      hash = hash.digest.bind(hash);
-    }
-
-    enforce(typeof hash === 'function', 'hash', 'function');
+  writeChecksum(hash, options) {
+    const func = checksum.resolve(hash);
+    const {size, order, from} = checksum.parseOptions(options);
+    // @ts-ignore
+    const start = this.checksumStart(from);
 
-    this.offset += 4;
-    this.ops.push(new FunctionOp(CHECKSUM, hash));
+    this.offset += size;
+    this.ops.push(new ChecksumOp(CHECKSUM, func, start, size, order));
 
     return this;
   }
@@ -1108,6 +1502,13 @@ class BufferWriter {
   }
 }
 
+/*
+ * Mixins
+ */
+
+state.mixin(BufferWriter);
+writes.mixin(BufferWriter);
+
 /*
  * Helpers
  */
@@ -1136,6 +1537,14 @@ class BigOp extends WriteOp {
   }
 }
 
+class SizedBigOp extends WriteOp {
+  constructor(type, value, size) {
+    super(type);
+    this.value = value;
+    this.size = size;
+  }
+}
+
 class BufferOp extends WriteOp {
   constructor(type, data) {
     super(type);
@@ -1151,10 +1560,13 @@ class StringOp extends WriteOp {
   }
 }
 
-class FunctionOp extends WriteOp {
-  constructor(type, func) {
+class ChecksumOp extends WriteOp {
+  constructor(type, func, start, size, order) {
     super(type);
     this.func = func;
+    this.start = start;
+    this.size = size;
+    this.order = order;
   }
 }
 
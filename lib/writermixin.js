@@ -0,0 +1,142 @@
+/*!
+ * writermixin.js - shared writer methods for bcoin
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * https://github.com/bcoin-org/bcoin
+ */
+
+'use strict';
+
+const enforce = require('./enforce');
+const bytes = require('./bytes');
+const {NonCanonicalError} = require('./error');
+
+/*
+ * Writes
+ */
+
+/**
+ * Write an array with a varint count before it.
+ * @this {any}
+ * @param {Array} items
+ * @param {Function} [write] - `(bw, item) => void`. Calls
+ * `item.write(bw)` if not passed.
+ * @param {Boolean} [prefix=true] - Write the count prefix.
+ * @returns {Object}
+ */
+
+function writeArray(items, write, prefix = true) {
+  enforce(Array.isArray(items), 'items', 'array');
+  enforce(write == null || typeof write === 'function', 'write', 'function');
+  enforce(typeof prefix === 'boolean', 'prefix', 'boolean');
+
+  if (prefix)
+    this.writeVarint(items.length);
+
+  for (const item of items) {
+    if (write)
+      write(this, item);
+    else
+      item.write(this);
+  }
+
+  return this;
+}
+
+/**
+ * Create a map writer which encodes keys with `KeyWriter`.
+ * @param {Function} KeyWriter - Growable writer class.
+ * @returns {Function}
+ */
+
+function mapWriter(KeyWriter) {
+  /**
+   * Write a map with a varint count before it. Entries
+   * are sorted by their encoded keys.
+   * @this {any}
+   * @param {Map|Object} map
+   * @param {Function} writeKey - `(bw, key) => void`.
+   * @param {Function} writeValue - `(bw, value) => void`.
+   * @returns {Object}
+   */
+
+  return function writeMap(map, writeKey, writeValue) {
+    enforce(typeof writeKey === 'function', 'writeKey', 'function');
+    enforce(typeof writeValue === 'function', 'writeValue', 'function');
+
+    const items = sortMap(map, writeKey, this.offset, KeyWriter);
+
+    this.writeVarint(items.length);
+
+    for (const [key, value] of items) {
+      this.writeBytes(key);
+      writeValue(this, value);
+    }
+
+    return this;
+  };
+}
+
+/**
+ * Define the shared write methods on a writer class.
+ * @param {Function} ctor - Writer class.
+ * @param {Function} [KeyWriter=ctor] - Growable writer
+ * class used to encode map keys.
+ * @returns {Function}
+ */
+
+function mixin(ctor, KeyWriter = ctor) {
+  enforce(typeof ctor === 'function', 'ctor', 'function');
+  enforce(typeof KeyWriter === 'function', 'KeyWriter', 'function');
+
+  const proto = ctor.prototype;
+
+  proto.writeArray = writeArray;
+  proto.writeMap = mapWriter(KeyWriter);
+
+  return ctor;
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Encode map keys and sort the entries canonically.
+ * @param {Map|Object} map
+ * @param {Function} writeKey
+ * @param {Number} offset
+ * @param {Function} KeyWriter
+ * @returns {Array}
+ */
+
+function sortMap(map, writeKey, offset, KeyWriter) {
+  if (!(map instanceof Map))
+    enforce(map && typeof map === 'object', 'map', 'map');
+
+  const entries = map instanceof Map ? map : Object.entries(map);
+  const items = [];
+
+  for (const [key, value] of entries) {
+    // @ts-ignore
+    const bw = new KeyWriter();
+
+    writeKey(bw, key);
+
+    items.push([bw.render(), value]);
+  }
+
+  items.sort((a, b) => bytes.compare(a[0], b[0]));
+
+  for (let i = 1; i < items.length; i++) {
+    if (bytes.compare(items[i - 1][0], items[i][0]) === 0)
+      throw new NonCanonicalError(offset, 'Duplicate map key');
+  }
+
+  return items;
+}
+
+/*
+ * Expose
+ */
+
+exports.mixin = mixin;
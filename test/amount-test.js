@@ -0,0 +1,106 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+class Output extends bio.Struct {
+  constructor() {
+    super();
+    this.value = BigInt(0);
+  }
+
+  getSize() {
+    return 8;
+  }
+
+  write(bw) {
+    bw.writeBigU64(this.value);
+    return bw;
+  }
+
+  read(br) {
+    this.value = br.readBigU64();
+    return this;
+  }
+
+  getJSON() {
+    return { value: bio.formatAmount(this.value, 8) };
+  }
+
+  fromJSON(json) {
+    this.value = bio.parseAmount(json.value, 8, 8);
+    return this;
+  }
+}
+
+describe('Amount', function() {
+  it('should format amounts', () => {
+    assert.strictEqual(bio.formatAmount(BigInt(0), 8), '0');
+    assert.strictEqual(bio.formatAmount(BigInt(1), 8), '0.00000001');
+    assert.strictEqual(bio.formatAmount(BigInt(150000000), 8), '1.5');
+    assert.strictEqual(bio.formatAmount(BigInt(2100000000000000), 8),
+                       '21000000');
+    assert.strictEqual(bio.formatAmount(BigInt(1234), 0), '1234');
+    assert.strictEqual(bio.formatAmount(BigInt('9007199254740993'), 18),
+                       '0.009007199254740993');
+
+    assert.throws(() => bio.formatAmount(BigInt(-1), 8), TypeError);
+    assert.throws(() => bio.formatAmount(1, 8), TypeError);
+  });
+
+  it('should parse amounts', () => {
+    assert.strictEqual(bio.parseAmount('1.5', 8), BigInt(150000000));
+    assert.strictEqual(bio.parseAmount('0.00000001', 8), BigInt(1));
+    assert.strictEqual(bio.parseAmount('1.10000000000', 8),
+                       BigInt(110000000));
+    assert.strictEqual(bio.parseAmount('7', 0), BigInt(7));
+    assert.strictEqual(bio.parseAmount(BigInt(5), 8), BigInt(5));
+    assert.strictEqual(bio.parseAmount('18446744073709551615', 0, 8),
+                       BigInt('18446744073709551615'));
+
+    for (const str of ['', '.1', '1.', '-1', '1e8', ' 1', '0x10', '1.5.0'])
+      assert.throws(() => bio.parseAmount(str, 8), TypeError, str);
+
+    assert.throws(() => bio.parseAmount('0.000000001', 8), /at most 8/);
+    assert.throws(() => bio.parseAmount('1.5', 0), /at most 0/);
+    assert.throws(() => bio.parseAmount('18446744073709551616', 0, 8),
+                  /8-byte amount/);
+    assert.throws(() => bio.parseAmount(BigInt(-1), 8), TypeError);
+  });
+
+  it('should read and write amounts', () => {
+    const wei = '115792089237316195423570985008687907853269984665640564039457.'
+              + '584007913129639935';
+
+    for (const bw of [bio.write(), bio.write(8 + 16 + 32)]) {
+      bw.writeAmount('20999999.9769', 8);
+      bw.writeAmount(BigInt(1), 18, 16);
+      bw.writeAmount(wei, 18, 32);
+
+      const br = bio.read(bw.render());
+
+      assert.strictEqual(br.readAmount(8), '20999999.9769');
+      assert.strictEqual(br.readAmount(18, 16), '0.000000000000000001');
+      assert.strictEqual(br.readAmount(18, 32), wei);
+    }
+
+    assert.throws(() => bio.write().writeAmount('184467440737.09551616', 8),
+                  /8-byte amount/);
+    assert.throws(() => bio.write().writeAmount('1', 8, 4), TypeError);
+    assert.throws(() => bio.read(Buffer.alloc(8)).readAmount(8, 4), TypeError);
+    assert.strictEqual(bio.read(Buffer.alloc(8, 0xff)).readAmount(0),
+                       '18446744073709551615');
+  });
+
+  it('should convert amounts in JSON', () => {
+    const output = Output.fromJSON({ value: '92233720368.54775807' });
+
+    assert.strictEqual(output.value, BigInt('9223372036854775807'));
+    assert.deepStrictEqual(output.toJSON(), { value: '92233720368.54775807' });
+    assert.deepStrictEqual(Output.decode(output.encode()).getJSON(),
+                           output.getJSON());
+  });
+});
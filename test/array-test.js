@@ -0,0 +1,136 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+class Output extends bio.Struct {
+  constructor(value = 0, script = '') {
+    super();
+    this.value = value;
+    this.script = script;
+  }
+
+  getSize() {
+    return 4 + bio.sizeVarString(this.script, 'ascii');
+  }
+
+  write(bw) {
+    bw.writeU32(this.value);
+    bw.writeVarString(this.script, 'ascii');
+    return bw;
+  }
+
+  read(br, extra) {
+    this.value = br.readU32() + (extra || 0);
+    this.script = br.readVarString('ascii');
+    return this;
+  }
+}
+
+class Tx extends bio.Struct {
+  constructor() {
+    super();
+    this.outputs = [];
+    this.meta = new Map();
+  }
+
+  getSize() {
+    return bio.sizeArray(this.outputs)
+         + bio.sizeMap(this.meta,
+                       key => bio.sizeVarString(key, 'ascii'),
+                       () => 2);
+  }
+
+  write(bw) {
+    bw.writeArray(this.outputs);
+    bw.writeMap(this.meta,
+                (bw, key) => bw.writeVarString(key, 'ascii'),
+                (bw, value) => bw.writeU16(value));
+    return bw;
+  }
+
+  read(br) {
+    this.outputs = br.readArray(Output, { max: 10 });
+    this.meta = br.readMap(br => br.readVarString('ascii'),
+                           br => br.readU16());
+    return this;
+  }
+}
+
+describe('Arrays and Maps', function() {
+  const tx = new Tx();
+
+  tx.outputs.push(new Output(1, 'a'), new Output(2, 'bc'));
+  tx.meta.set('zz', 1);
+  tx.meta.set('b', 2);
+  tx.meta.set('aa', 3);
+
+  it('should write+read arrays and maps of structs', () => {
+    const raw = tx.encode();
+
+    assert.strictEqual(raw.length, tx.getSize());
+    assert.strictEqual(raw.toString('hex'), [
+      '02', '01000000', '0161', '02000000', '026263',
+      '03', '0162', '0200', '026161', '0300', '027a7a', '0100'
+    ].join(''));
+    assert.deepStrictEqual(bio.write().writeMap(tx.meta,
+      (bw, key) => bw.writeVarString(key, 'ascii'),
+      (bw, value) => bw.writeU16(value)).render(), raw.slice(14));
+
+    const obj = Tx.decode(raw);
+
+    assert.deepStrictEqual(obj.outputs, tx.outputs);
+    assert.deepStrictEqual(Array.from(obj.meta.keys()), ['b', 'aa', 'zz']);
+    assert.strictEqual(obj.meta.get('zz'), 1);
+  });
+
+  it('should read arrays with a known count', () => {
+    const raw = bio.write()
+      .writeArray([1, 2, 3], (bw, n) => bw.writeU8(n), false)
+      .render();
+
+    const br = bio.read(raw);
+
+    assert.deepStrictEqual(br.readArray(br => br.readU8(), { count: 3 }),
+                           [1, 2, 3]);
+
+    const outputs = bio.read(bio.write().writeArray(tx.outputs).render())
+      .readArray(Output, { extra: 10 });
+
+    assert.deepStrictEqual(outputs.map(o => o.value), [11, 12]);
+  });
+
+  it('should reject bad counts and duplicate keys', () => {
+    const big = bio.write().writeVarint(11).render();
+
+    assert.throws(() => bio.read(big).readArray(Output, { max: 10 }),
+                  /Array exceeds limit/);
+    assert.throws(() => bio.read(big).readMap(br => br.readU8(),
+                                              br => br.readU8(),
+                                              { max: 10 }),
+                  /Map exceeds limit/);
+
+    const dup = Buffer.from('020101', 'hex');
+
+    assert.throws(() => bio.read(Buffer.concat([dup, dup.slice(1)]))
+      .readMap(br => br.readU8(), br => 0), /Duplicate map key/);
+
+    const keys = Buffer.from('02' + '0100' + '0200', 'hex');
+
+    assert.strictEqual(bio.read(keys)
+      .readMap(br => br.readBytes(1), br => br.readU8()).size, 2);
+
+    assert.throws(() => bio.read(Buffer.from('02' + '0101' + '0101', 'hex'))
+      .readMap(br => br.readBytes(1), br => 0), {
+      name: 'NonCanonicalError',
+      message: /Duplicate map key/
+    });
+
+    assert.throws(() => bio.write(10).writeMap({ a: 1, b: 2 },
+      (bw, key) => bw.writeU8(1),
+      (bw, value) => bw.writeU8(value)), /Duplicate map key/);
+  });
+});
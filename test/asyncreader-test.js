@@ -0,0 +1,144 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {Readable} = require('stream');
+const bio = require('../lib/bufio');
+
+class Item extends bio.Struct {
+  constructor() {
+    super();
+    this.version = 0;
+    this.name = '';
+    this.data = Buffer.alloc(0);
+    this.child = 0;
+  }
+
+  write(bw) {
+    bw.writeU32(this.version);
+    bw.writeVarString(this.name, 'ascii');
+    bw.writeVarBytes(this.data);
+    bw.writeU8(2);
+    bw.writeU16BE(this.child);
+    return bw;
+  }
+
+  async read(br) {
+    this.version = await br.readU32();
+    this.name = await br.readVarString('ascii');
+    this.data = await br.readVarBytes();
+
+    const child = await br.readChild(await br.readU8());
+
+    this.child = child.readU16BE();
+
+    return this;
+  }
+}
+
+function chunk(data, size) {
+  const chunks = [];
+
+  for (let i = 0; i < data.length; i += size)
+    chunks.push(data.slice(i, i + size));
+
+  return chunks;
+}
+
+describe('AsyncReader', function() {
+  const item = new Item();
+
+  item.version = 0xdeadbeef;
+  item.name = 'hello';
+  item.data = Buffer.alloc(300, 0xaa);
+  item.child = 0x1234;
+
+  const raw = item.encode();
+
+  it('should decode a struct from a stream', async () => {
+    for (const size of [1, 3, 7, 1000]) {
+      const stream = Readable.from(chunk(raw, size));
+      const obj = await Item.decodeAsync(stream);
+
+      assert.deepStrictEqual(obj, item);
+    }
+  });
+
+  it('should decode a struct from a file handle', async () => {
+    const file = path.join(os.tmpdir(), `bufio-${process.pid}.bin`);
+
+    fs.writeFileSync(file, Buffer.concat([Buffer.alloc(10), raw]));
+
+    const fd = await fs.promises.open(file, 'r');
+
+    try {
+      const br = new bio.AsyncReader(fd, { position: 10, chunkSize: 16 });
+      const obj = await Item.decodeAsync(br);
+
+      assert.deepStrictEqual(obj, item);
+      await assert.rejects(br.readU8(), bio.EncodingError);
+    } finally {
+      await fd.close();
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should seek over a file handle', async () => {
+    const file = path.join(os.tmpdir(), `bufio-${process.pid}.bin`);
+
+    fs.writeFileSync(file, Buffer.concat([Buffer.alloc(100), raw]));
+
+    const fd = await fs.promises.open(file, 'r');
+
+    try {
+      const br = new bio.AsyncReader(fd, { chunkSize: 16 });
+
+      assert.strictEqual(await br.readU8(), 0);
+
+      await assert.rejects(br.seek(100 + raw.length), bio.EncodingError);
+
+      await br.seek(99);
+
+      assert.strictEqual(br.chunks.length, 0);
+      assert.deepStrictEqual(await Item.read(br), item);
+      await assert.rejects(br.readU8(), bio.EncodingError);
+    } finally {
+      await fd.close();
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should read strings and marked data', async () => {
+    const br = new bio.AsyncReader(Readable.from(chunk(raw, 2)));
+
+    br.start();
+
+    assert.strictEqual(await br.readU32(), 0xdeadbeef);
+
+    await br.seek(1);
+
+    assert.strictEqual(await br.readString(5, 'ascii'), 'hello');
+    assert.deepStrictEqual(br.endData(), raw.slice(0, 10));
+  });
+
+  it('should enforce limits', async () => {
+    const limits = { maxAlloc: 64, maxDepth: 1 };
+    const br = new bio.AsyncReader(Readable.from(chunk(raw, 2)), { limits });
+
+    assert.strictEqual(await br.readU32(), 0xdeadbeef);
+    assert.strictEqual(await br.readVarString('ascii'), 'hello');
+    await assert.rejects(br.readVarBytes(), bio.LimitError);
+
+    await br.seek(raw.length - br.offset - 3);
+
+    const child = await br.readChild(3);
+
+    assert.strictEqual(child.limits, br.limits);
+    assert.throws(() => child.readChild(1), bio.LimitError);
+  });
+});
@@ -0,0 +1,241 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+const I128_MAX = (1n << 127n) - 1n;
+const I128_MIN = -(1n << 127n);
+const I256_MAX = (1n << 255n) - 1n;
+const I256_MIN = -(1n << 255n);
+
+const I128 = [
+  0n,
+  1n,
+  -1n,
+  0x0123456789abcdef0123456789abcdefn,
+  -0x0123456789abcdef0123456789abcdefn,
+  -(1n << 64n),
+  (1n << 64n) - 1n,
+  I128_MAX,
+  I128_MIN
+];
+
+const I256 = [
+  0n,
+  1n,
+  -1n,
+  -(1n << 128n),
+  (1n << 128n) - 1n,
+  -(1n << 200n) + 12345n,
+  I256_MAX,
+  I256_MIN
+];
+
+function encode(num, size) {
+  const mask = (1n << BigInt(size * 8)) - 1n;
+  const hex = (num & mask).toString(16).padStart(size * 2, '0');
+  return Buffer.from(hex, 'hex');
+}
+
+describe('BigInt', function() {
+  for (const [bits, size, values] of [[128, 16, I128], [256, 32, I256]]) {
+    const name = `BigI${bits}`;
+
+    it(`should encode int${bits}`, () => {
+      for (const num of values) {
+        const be = encode(num, size);
+        const le = Buffer.from(be).reverse();
+
+        const data = Buffer.alloc(size);
+
+        assert.strictEqual(bio[`write${name}`](data, num, 0), size);
+        assert.deepStrictEqual(data, le);
+        assert.strictEqual(bio[`write${name}BE`](data, num, 0), size);
+        assert.deepStrictEqual(data, be);
+
+        assert.strictEqual(bio[`read${name}`](le, 0), num);
+        assert.strictEqual(bio[`read${name}BE`](be, 0), num);
+      }
+    });
+
+    it(`should read and write int${bits} with readers and writers`, () => {
+      const bw = bio.write();
+      const sw = bio.write(values.length * size * 2);
+
+      for (const num of values) {
+        bw[`write${name}`](num);
+        bw[`write${name}BE`](num);
+        sw[`write${name}`](num);
+        sw[`write${name}BE`](num);
+      }
+
+      const data = bw.render();
+
+      assert.deepStrictEqual(sw.render(), data);
+
+      const br = bio.read(data);
+
+      for (const num of values) {
+        assert.strictEqual(br[`peek${name}`](), num);
+        assert.strictEqual(br[`read${name}`](), num);
+        assert.strictEqual(br[`peek${name}BE`](), num);
+        assert.strictEqual(br[`read${name}BE`](), num);
+      }
+
+      assert.strictEqual(br.left(), 0);
+
+      const cr = new bio.ChunkedReader([data.slice(0, 7), data.slice(7)]);
+
+      for (const num of values) {
+        assert.strictEqual(cr[`read${name}`](), num);
+        assert.strictEqual(cr[`read${name}BE`](), num);
+      }
+    });
+  }
+
+  it('should reject out of range values', () => {
+    const data = Buffer.alloc(32);
+
+    assert.throws(() => bio.writeBigI128(data, I128_MAX + 1n, 0), TypeError);
+    assert.throws(() => bio.writeBigI128BE(data, I128_MIN - 1n, 0),
+                  TypeError);
+    assert.throws(() => bio.writeBigI256(data, I256_MAX + 1n, 0), TypeError);
+    assert.throws(() => bio.writeBigI256BE(data, I256_MIN - 1n, 0),
+                  TypeError);
+    assert.throws(() => bio.writeBigI128(data, 1, 0), TypeError);
+
+    const sw = bio.write(16);
+
+    assert.throws(() => sw.writeBigI128(1n << 127n), TypeError);
+
+    const bw = bio.write();
+
+    bw.writeBigI256(I256_MIN - 1n);
+
+    assert.throws(() => bw.render(), TypeError);
+  });
+
+  it('should check bounds', () => {
+    assert.throws(() => bio.readBigI128(Buffer.alloc(15), 0), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => bio.writeBigI256(Buffer.alloc(31), 0n, 0), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => bio.read(Buffer.alloc(31)).readBigI256BE(), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+  });
+
+  it('should encode arbitrary widths', () => {
+    for (const size of [1, 3, 9, 20, 33, 64]) {
+      const bits = BigInt(size * 8);
+      const values = [
+        0n,
+        1n,
+        -1n,
+        (1n << (bits - 1n)) - 1n,
+        -(1n << (bits - 1n))
+      ];
+
+      for (const num of values) {
+        const be = encode(num, size);
+        const le = Buffer.from(be).reverse();
+        const data = Buffer.alloc(size);
+        const unsigned = BigInt.asUintN(size * 8, num);
+
+        assert.strictEqual(bio.writeBigI(data, num, 0, size), size);
+        assert.deepStrictEqual(data, le);
+        assert.strictEqual(bio.writeBigIBE(data, num, 0, size), size);
+        assert.deepStrictEqual(data, be);
+        assert.strictEqual(bio.writeBigU(data, unsigned, 0, size), size);
+        assert.deepStrictEqual(data, le);
+        assert.strictEqual(bio.writeBigUBE(data, unsigned, 0, size), size);
+        assert.deepStrictEqual(data, be);
+
+        assert.strictEqual(bio.readBigI(le, 0, size), num);
+        assert.strictEqual(bio.readBigIBE(be, 0, size), num);
+        assert.strictEqual(bio.readBigU(le, 0, size), unsigned);
+        assert.strictEqual(bio.readBigUBE(be, 0, size), unsigned);
+      }
+    }
+  });
+
+  it('should match fixed widths', () => {
+    const num = -0x0123456789abcdef0123456789abcdefn;
+    const data = Buffer.alloc(16);
+
+    bio.writeBigI128(data, num, 0);
+
+    assert.strictEqual(bio.readBigI(data, 0, 16), num);
+    assert.strictEqual(bio.readBigU(data, 0, 8), bio.readBigU64(data, 0));
+    assert.strictEqual(bio.readBigUBE(data, 1, 7),
+                       bio.readBigU56BE(data, 1));
+  });
+
+  it('should read and write arbitrary widths with readers and writers', () => {
+    const u72 = (1n << 72n) - 2n;
+    const i160 = -(1n << 150n) + 7n;
+
+    const bw = bio.write();
+
+    bw.writeBigU(u72, 9);
+    bw.writeBigUBE(u72, 9);
+    bw.writeBigI(i160, 20);
+    bw.writeBigIBE(i160, 20);
+
+    const data = bw.render();
+    const sw = bio.write(58);
+
+    sw.writeBigU(u72, 9);
+    sw.writeBigUBE(u72, 9);
+    sw.writeBigI(i160, 20);
+    sw.writeBigIBE(i160, 20);
+
+    assert.deepStrictEqual(sw.render(), data);
+
+    const br = bio.read(data);
+
+    assert.strictEqual(br.readBigU(9), u72);
+    assert.strictEqual(br.readBigUBE(9), u72);
+    assert.strictEqual(br.readBigI(20), i160);
+    assert.strictEqual(br.readBigIBE(20), i160);
+    assert.strictEqual(br.left(), 0);
+  });
+
+  it('should check arbitrary widths', () => {
+    const data = Buffer.alloc(65);
+
+    assert.throws(() => bio.readBigU(data, 0, 0), {
+      name: 'EncodingError',
+      message: /Invalid read length/
+    });
+    assert.throws(() => bio.readBigIBE(data, 0, 65), {
+      name: 'EncodingError',
+      message: /Invalid read length/
+    });
+    assert.throws(() => bio.writeBigU(data, 0n, 0, 65), {
+      name: 'EncodingError',
+      message: /Invalid write length/
+    });
+    assert.throws(() => bio.readBigU(data, 60, 9), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+
+    assert.throws(() => bio.writeBigU(data, 1n << 72n, 0, 9), TypeError);
+    assert.throws(() => bio.writeBigUBE(data, -1n, 0, 9), TypeError);
+    assert.throws(() => bio.writeBigI(data, 1n << 71n, 0, 9), TypeError);
+    assert.throws(() => bio.writeBigIBE(data, -(1n << 71n) - 1n, 0, 9),
+                  TypeError);
+    assert.throws(() => bio.write().writeBigU(0n, 65), TypeError);
+
+    const br = bio.read(Buffer.from('0000ff', 'hex'), { strict: true });
+
+    assert.throws(() => br.readBigUBE(3), {
+      name: 'NonCanonicalError'
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const {Readable} = require('stream');
+const bio = require('../lib/bufio');
+
+const U64_MAX = (1n << 64n) - 1n;
+
+const VARINT = [
+  [0n, '00'],
+  [0xfcn, 'fc'],
+  [0xfdn, 'fdfd00'],
+  [0xffffn, 'fdffff'],
+  [0x10000n, 'fe00000100'],
+  [0xffffffffn, 'feffffffff'],
+  [0x100000000n, 'ff0000000001000000'],
+  [0x20000000000000n, 'ff0000000000002000'],
+  [U64_MAX, 'ffffffffffffffffff']
+];
+
+const VARINT2 = [
+  [0n, '00'],
+  [0x7fn, '7f'],
+  [0x80n, '8000'],
+  [0x1234n, 'a334'],
+  [0xffffn, '82fe7f'],
+  [0x123456n, 'c7e756'],
+  [0x80123456n, '86ffc7e756'],
+  [0xffffffffn, '8efefefe7f'],
+  [0x7fffffffffffffffn, 'fefefefefefefefe7f'],
+  [U64_MAX, '80fefefefefefefefe7f']
+];
+
+describe('BigVarint', function() {
+  for (const [name, vectors] of [['BigVarint', VARINT],
+                                 ['BigVarint2', VARINT2]]) {
+    it(`should encode ${name}`, () => {
+      for (const [num, hex] of vectors) {
+        const raw = Buffer.from(hex, 'hex');
+        const data = Buffer.alloc(raw.length);
+
+        assert.strictEqual(bio[`size${name}`](num), raw.length);
+        assert.strictEqual(bio[`write${name}`](data, num, 0), raw.length);
+        assert.deepStrictEqual(data, raw);
+
+        const {size, value} = bio[`read${name}`](raw, 0);
+
+        assert.strictEqual(size, raw.length);
+        assert.strictEqual(value, num);
+      }
+    });
+
+    it(`should match ${name.slice(3)} below 2^53`, () => {
+      for (const [num, hex] of vectors) {
+        if (num > BigInt(Number.MAX_SAFE_INTEGER))
+          continue;
+
+        const raw = Buffer.from(hex, 'hex');
+        const {value} = bio[`read${name.slice(3)}`](raw, 0);
+
+        assert.strictEqual(value, Number(num));
+      }
+    });
+
+    it(`should read and write ${name} with readers and writers`, () => {
+      const bw = bio.write();
+
+      let total = 0;
+
+      for (const [num] of vectors) {
+        bw[`write${name}`](num);
+        total += bio[`size${name}`](num);
+      }
+
+      const data = bw.render();
+      const sw = bio.write(total);
+
+      for (const [num] of vectors)
+        sw[`write${name}`](num);
+
+      assert.deepStrictEqual(sw.render(), data);
+
+      const br = bio.read(data);
+      const cr = new bio.ChunkedReader([data.slice(0, 5), data.slice(5)]);
+
+      for (const [num] of vectors) {
+        assert.strictEqual(br[`peek${name}`](), num);
+        assert.strictEqual(br[`read${name}`](), num);
+        assert.strictEqual(cr[`read${name}`](), num);
+      }
+
+      assert.strictEqual(br.left(), 0);
+    });
+  }
+
+  it('should read from an async reader', async () => {
+    const data = bio.write()
+      .writeBigVarint(U64_MAX)
+      .writeBigVarint2(U64_MAX)
+      .render();
+
+    const ar = new bio.AsyncReader(Readable.from([data]));
+
+    assert.strictEqual(await ar.readBigVarint(), U64_MAX);
+    assert.strictEqual(await ar.readBigVarint2(), U64_MAX);
+  });
+
+  it('should reject non-canonical varints', () => {
+    for (const hex of ['fdfc00', 'feffff0000', 'ffffffffff00000000']) {
+      const raw = Buffer.from(hex, 'hex');
+
+      assert.throws(() => bio.readBigVarint(raw, 0), {
+        name: 'NonCanonicalError'
+      });
+
+      assert.throws(() => new bio.ChunkedReader([raw]).readBigVarint(), {
+        name: 'NonCanonicalError'
+      });
+    }
+  });
+
+  it('should reject overflowing varints', () => {
+    for (const hex of ['80fefefefefefefefeff00', '81fefefefefefefefefe7f']) {
+      const raw = Buffer.from(hex, 'hex');
+
+      assert.throws(() => bio.readBigVarint2(raw, 0), {
+        name: 'EncodingError',
+        message: /Number exceeds 2\^64-1/
+      });
+
+      assert.throws(() => new bio.ChunkedReader([raw]).readBigVarint2(), {
+        name: 'EncodingError',
+        message: /Number exceeds 2\^64-1/
+      });
+    }
+
+    assert.throws(() => bio.sizeBigVarint(U64_MAX + 1n), TypeError);
+    assert.throws(() => bio.write().writeBigVarint2(-1n), TypeError);
+    assert.throws(() => bio.write(9).writeBigVarint(1), TypeError);
+  });
+
+  it('should check bounds', () => {
+    assert.throws(() => bio.readBigVarint(Buffer.from('ff0000', 'hex'), 0), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => bio.readBigVarint2(Buffer.from('80', 'hex'), 0), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => bio.writeBigVarint(Buffer.alloc(8), U64_MAX, 0), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => bio.write(2).writeBigVarint2(0x4080n), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+  });
+});
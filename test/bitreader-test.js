@@ -0,0 +1,89 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+describe('BitReader', function() {
+  it('should write+read msb-first bits', () => {
+    const bw = new bio.BitWriter();
+
+    bw.writeBits(5, 3);
+    bw.writeBool(true);
+    bw.writeBits(0x3ff, 10);
+    bw.writeBits(Number.MAX_SAFE_INTEGER, 53);
+
+    const data = bw.render();
+
+    assert.strictEqual(data.length, 9);
+    assert.strictEqual(data[0], 0xbf);
+
+    const br = new bio.BitReader(data);
+
+    assert.strictEqual(br.readBits(3), 5);
+    assert.strictEqual(br.readBool(), true);
+    assert.strictEqual(br.readBits(10), 0x3ff);
+    assert.strictEqual(br.readBits(53), Number.MAX_SAFE_INTEGER);
+    assert.strictEqual(br.bitsLeft(), 5);
+    assert.strictEqual(br.readBits(5), 0);
+    assert.throws(() => br.readBit(), bio.EncodingError);
+  });
+
+  it('should write+read lsb-first bits', () => {
+    const bw = new bio.BitWriter(null, 'lsb');
+
+    bw.writeBits(5, 3);
+    bw.writeBits(0x1e, 5);
+    bw.writeBits(0xabc, 12);
+
+    const data = bw.render();
+
+    assert.strictEqual(data.toString('hex'), 'f5bc0a');
+
+    const br = new bio.BitReader(data, 'lsb');
+
+    assert.strictEqual(br.readBits(3), 5);
+    assert.strictEqual(br.readBits(5), 0x1e);
+    assert.strictEqual(br.readBits(12), 0xabc);
+  });
+
+  it('should write+read bigint bits', () => {
+    const num = (BigInt(1) << BigInt(99)) + BigInt(0x1234567);
+
+    for (const order of ['msb', 'lsb']) {
+      const bw = new bio.BitWriter(bio.write(13), order);
+
+      bw.writeBits(1, 1);
+      bw.writeBigBits(num, 100);
+
+      const br = new bio.BitReader(bw.render(), order);
+
+      assert.strictEqual(br.readBit(), 1);
+      assert.strictEqual(br.readBigBits(100), num);
+    }
+
+    assert.throws(() => new bio.BitWriter().writeBigBits(num, 99));
+  });
+
+  it('should interleave bit and byte reads', () => {
+    const w = bio.write();
+    const bw = new bio.BitWriter(w);
+
+    bw.writeBits(3, 2);
+    bw.alignToByte();
+    w.writeU32(0xdeadbeef);
+    bw.writeBits(1, 4);
+
+    const r = bio.read(bw.render());
+    const br = new bio.BitReader(r);
+
+    assert.strictEqual(br.readBits(2), 3);
+    br.alignToByte();
+    assert.strictEqual(r.readU32(), 0xdeadbeef);
+    assert.strictEqual(br.readBits(4), 1);
+    assert.strictEqual(r.left(), 0);
+    assert.throws(() => bw.writeBits(16, 4));
+  });
+});
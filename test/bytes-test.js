@@ -0,0 +1,185 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const bio = require('../lib/bufio');
+
+// Load a copy of the byte helpers with no Buffer global.
+function loadNative() {
+  const dir = path.resolve(__dirname, '..', 'lib');
+  const code = fs.readFileSync(path.join(dir, 'bytes.js'), 'utf8');
+  const func = new Function('exports', 'require', 'Buffer', code);
+  const exports = {};
+
+  func(exports, name => require(path.join(dir, name)), undefined);
+
+  return exports;
+}
+
+// Load a fresh copy of bufio with no Buffer global.
+function loadBufio(func) {
+  const dir = path.resolve(__dirname, '..', 'lib') + path.sep;
+  const saved = new Map();
+
+  for (const key of Object.keys(require.cache)) {
+    if (key.startsWith(dir)) {
+      saved.set(key, require.cache[key]);
+      delete require.cache[key];
+    }
+  }
+
+  const desc = Object.getOwnPropertyDescriptor(global, 'Buffer');
+
+  delete global.Buffer;
+
+  const restore = () => {
+    Object.defineProperty(global, 'Buffer', desc);
+
+    for (const key of Object.keys(require.cache)) {
+      if (key.startsWith(dir))
+        delete require.cache[key];
+    }
+
+    for (const [key, mod] of saved)
+      require.cache[key] = mod;
+  };
+
+  let result;
+
+  try {
+    result = func(require('../lib/bufio'));
+  } catch (e) {
+    restore();
+    throw e;
+  }
+
+  return Promise.resolve(result).finally(restore);
+}
+
+describe('Bytes', function() {
+  const native = loadNative();
+
+  const strings = [
+    ['hex', '00ff10abcdef'],
+    ['utf8', 'héllo ☃ 😀'],
+    ['binary', 'abcÿ\u0080'],
+    ['ascii', 'abc'],
+    ['ucs2', 'héllo'],
+    ['base64', ''],
+    ['base64', 'YQ=='],
+    ['base64', 'YWI='],
+    ['base64', 'YWJj'],
+    ['base64', '/+/+AAEC']
+  ];
+
+  it('should encode strings without Buffer', () => {
+    assert.strictEqual(native.HAS_BUFFER, false);
+
+    for (const [enc, str] of strings) {
+      const expect = Buffer.from(str, enc);
+      const data = native.fromString(str, enc);
+
+      assert(!Buffer.isBuffer(data));
+      assert.deepStrictEqual(Buffer.from(data), expect);
+      assert.strictEqual(native.byteLength(str, enc), expect.length);
+      assert.strictEqual(native.toString(data, enc), expect.toString(enc));
+    }
+
+    assert.deepStrictEqual(native.fromString('abzz', 'hex'),
+                           new Uint8Array([0xab]));
+  });
+
+  it('should read from plain byte arrays', () => {
+    const raw = bio.write()
+      .writeU32(0xdeadbeef)
+      .writeVarString('héllo', 'utf8')
+      .writeVarBytes(Buffer.from([1, 2, 3]))
+      .render();
+
+    const copy = new Uint8Array(raw.length + 2);
+
+    copy.set(raw, 2);
+
+    const inputs = [
+      new Uint8Array(raw),
+      new Uint8Array(raw).buffer,
+      new DataView(copy.buffer, 2)
+    ];
+
+    for (const data of inputs) {
+      const br = bio.read(data);
+
+      assert.strictEqual(br.readU32(), 0xdeadbeef);
+      assert.strictEqual(br.readVarString('utf8'), 'héllo');
+
+      const bytes = br.readVarBytes();
+
+      assert(!Buffer.isBuffer(bytes));
+      assert.deepStrictEqual(bytes, new Uint8Array([1, 2, 3]));
+      assert.strictEqual(br.left(), 0);
+    }
+  });
+
+  it('should write to plain byte arrays', () => {
+    const data = new Uint8Array(10);
+    const bw = bio.write(data);
+
+    bw.writeU16BE(0x0102);
+    bw.writeBytes(new Uint8Array([3, 4]));
+    bw.writeString('ab', 'ascii');
+    bw.fill(0, 4);
+
+    assert.strictEqual(bw.render(), data);
+    assert.deepStrictEqual(Array.from(data),
+                           [1, 2, 3, 4, 0x61, 0x62, 0, 0, 0, 0]);
+
+    const raw = bio.write()
+      .writeBytes(new Uint8Array([5, 6]))
+      .writeVarString('☃', 'utf8')
+      .render();
+
+    assert.strictEqual(raw.toString('hex'), '050603e29883');
+  });
+
+  it('should load and read without Buffer', async () => {
+    const raw = new Uint8Array(bio.write()
+      .writeU32(0xdeadbeef)
+      .writeVarString('héllo', 'utf8')
+      .writeNullString('abc', 'ascii')
+      .writeU8(2)
+      .writeU16(0x1234)
+      .render());
+
+    async function* source() {
+      for (let i = 0; i < raw.length; i += 3)
+        yield raw.subarray(i, i + 3);
+    }
+
+    await loadBufio(async (bio) => {
+      assert.strictEqual(typeof Buffer, 'undefined');
+
+      const check = async (br) => {
+        br.start();
+
+        assert.strictEqual(await br.readU32(), 0xdeadbeef);
+        assert.strictEqual(await br.readVarString('utf8'), 'héllo');
+        assert.strictEqual(await br.readNullString('ascii'), 'abc');
+
+        const child = await br.readChild(await br.readU8());
+
+        assert.strictEqual(child.readU16(), 0x1234);
+        assert.deepStrictEqual(Array.from(br.endData()), Array.from(raw));
+      };
+
+      await check(bio.read(raw));
+      await check(bio.read([raw.subarray(0, 5), raw.subarray(5)]));
+      await check(new bio.AsyncReader(source()));
+    });
+
+    assert.strictEqual(typeof Buffer, 'function');
+  });
+});
@@ -0,0 +1,297 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+const {cbor} = bio;
+const {Tag, Simple} = cbor;
+
+// RFC 8949, Appendix A.
+const VECTORS = [
+  [0, '00'],
+  [1, '01'],
+  [10, '0a'],
+  [23, '17'],
+  [24, '1818'],
+  [25, '1819'],
+  [100, '1864'],
+  [1000, '1903e8'],
+  [1000000, '1a000f4240'],
+  [1000000000000, '1b000000e8d4a51000'],
+  [18446744073709551615n, '1bffffffffffffffff'],
+  [18446744073709551616n, 'c249010000000000000000'],
+  [-18446744073709551616n, '3bffffffffffffffff'],
+  [-18446744073709551617n, 'c349010000000000000000'],
+  [-1, '20'],
+  [-10, '29'],
+  [-100, '3863'],
+  [-1000, '3903e7'],
+  [-0, 'f98000'],
+  [1.0000000116860974e-7, 'fa33d6bf95'],
+  [1.1, 'fb3ff199999999999a'],
+  [1.5, 'f93e00'],
+  [3.4028234663852886e+38, 'fa7f7fffff'],
+  [1.0e+300, 'fb7e37e43c8800759c'],
+  [5.960464477539063e-8, 'f90001'],
+  [0.00006103515625, 'f90400'],
+  [-4.1, 'fbc010666666666666'],
+  [Infinity, 'f97c00'],
+  [NaN, 'f97e00'],
+  [-Infinity, 'f9fc00'],
+  [false, 'f4'],
+  [true, 'f5'],
+  [null, 'f6'],
+  [undefined, 'f7'],
+  [new Simple(16), 'f0'],
+  [new Simple(255), 'f8ff'],
+  [new Tag(1, 1363896240), 'c11a514b67b0'],
+  [new Tag(23, Buffer.from('01020304', 'hex')), 'd74401020304'],
+  [Buffer.alloc(0), '40'],
+  [Buffer.from('01020304', 'hex'), '4401020304'],
+  ['', '60'],
+  ['a', '6161'],
+  ['IETF', '6449455446'],
+  ['"\\', '62225c'],
+  ['ü', '62c3bc'],
+  ['水', '63e6b0b4'],
+  ['𐅑', '64f0908591'],
+  [[], '80'],
+  [[1, 2, 3], '83010203'],
+  [[1, [2, 3], [4, 5]], '8301820203820405'],
+  [new Map(), 'a0'],
+  [new Map([[1, 2], [3, 4]]), 'a201020304'],
+  [new Map([['a', 1], ['b', [2, 3]]]), 'a26161016162820203'],
+  [['a', new Map([['b', 'c']])], '826161a161626163']
+];
+
+// Indefinite-length items (RFC 8949, Appendix A).
+const INDEFINITE = [
+  [Buffer.from('0102030405', 'hex'), '5f42010243030405ff'],
+  ['streaming', '7f657374726561646d696e67ff'],
+  [[], '9fff'],
+  [[1, [2, 3], [4, 5]], '9f018202039f0405ffff'],
+  [[1, [2, 3], [4, 5]], '83018202039f0405ff'],
+  [new Map([['a', 1], ['b', [2, 3]]]), 'bf61610161629f0203ffff'],
+  [new Map([['Fun', true], ['Amt', -2]]), 'bf6346756ef563416d7421ff']
+];
+
+describe('CBOR', function() {
+  it('should encode and decode test vectors', () => {
+    for (const [value, hex] of VECTORS) {
+      assert.strictEqual(cbor.encode(value).toString('hex'), hex, hex);
+      assert.deepStrictEqual(cbor.decode(Buffer.from(hex, 'hex')), value);
+    }
+  });
+
+  it('should encode integral numbers as integers', () => {
+    const vectors = [
+      [65504, 'f97bff', '19ffe0'],
+      [100000, 'fa47c35000', '1a000186a0'],
+      [-4, 'f9c400', '23']
+    ];
+
+    for (const [num, hex, int] of vectors) {
+      assert.strictEqual(cbor.decode(Buffer.from(hex, 'hex')), num);
+      assert.strictEqual(cbor.encode(num).toString('hex'), int);
+    }
+
+    assert.strictEqual(cbor.encode(2 ** 64).toString('hex'), 'fa5f800000');
+  });
+
+  it('should decode indefinite-length items', () => {
+    for (const [value, hex] of INDEFINITE) {
+      const data = Buffer.from(hex, 'hex');
+
+      assert.deepStrictEqual(cbor.decode(data), value);
+
+      assert.throws(() => cbor.decode(data, { strict: true }), {
+        name: 'NonCanonicalError',
+        message: /Indefinite length/
+      });
+    }
+  });
+
+  it('should encode objects as maps', () => {
+    const data = cbor.encode({ b: 1, a: [true, null] });
+
+    assert.strictEqual(data.toString('hex'), 'a2616201616182f5f6');
+    assert.deepStrictEqual(cbor.decode(data),
+                           new Map([['b', 1], ['a', [true, null]]]));
+  });
+
+  it('should encode canonically', () => {
+    const map = new Map([
+      [[1], 0],
+      ['aa', 1],
+      [100, 2],
+      [-1, 3],
+      ['z', 4],
+      [10, 5],
+      [false, 6]
+    ]);
+
+    const data = cbor.encode(map, { canonical: true });
+
+    assert.strictEqual(data.toString('hex'),
+      'a7' + '0a05' + '186402' + '2003' + '617a04'
+      + '62616101' + '810100' + 'f406');
+
+    assert.throws(() => cbor.encode(new Map([[1, 0], [1n, 1]]), {
+      canonical: true
+    }), TypeError);
+
+    // Duplicate encodings are allowed when not canonical.
+    assert.strictEqual(cbor.encode(new Map([[1, 0], [1n, 1]]))
+      .toString('hex'), 'a201000101');
+  });
+
+  it('should write to an existing writer', () => {
+    const bw = bio.write();
+
+    bw.writeU8(0xff);
+    cbor.write(bw, [1, 'a']);
+
+    assert.strictEqual(bw.render().toString('hex'), 'ff82016161');
+
+    const br = bio.read(Buffer.from('0102', 'hex'));
+
+    assert.strictEqual(cbor.read(br), 1);
+    assert.strictEqual(cbor.read(br), 2);
+    assert.strictEqual(br.left(), 0);
+  });
+
+  it('should decode large integers as bigints', () => {
+    assert.strictEqual(cbor.decode(Buffer.from('1b001fffffffffffff', 'hex')),
+                       Number.MAX_SAFE_INTEGER);
+    assert.strictEqual(cbor.decode(Buffer.from('1b0020000000000000', 'hex')),
+                       2n ** 53n);
+    assert.strictEqual(cbor.decode(Buffer.from('3b0020000000000000', 'hex')),
+                       -(2n ** 53n) - 1n);
+    assert.strictEqual(cbor.encode(2n ** 53n).toString('hex'),
+                       '1b0020000000000000');
+    assert.strictEqual(cbor.encode(5n).toString('hex'), '05');
+  });
+
+  it('should reject non-minimal encodings in strict mode', () => {
+    const vectors = [
+      ['1800', 'Non-minimal head'],
+      ['190017', 'Non-minimal head'],
+      ['5a00000001ff', 'Non-minimal head'],
+      ['fa3fc00000', 'Non-minimal float'],
+      ['fb3ff8000000000000', 'Non-minimal float'],
+      ['a201020103', 'Duplicate map key'],
+      ['a2410102410103', 'Duplicate map key'],
+      ['a2616101616102', 'Duplicate map key'],
+      ['62c328', 'Invalid UTF-8']
+    ];
+
+    for (const [hex, reason] of vectors) {
+      const data = Buffer.from(hex, 'hex');
+
+      assert.throws(() => cbor.decode(data, { strict: true }), {
+        name: hex === '62c328' ? 'EncodingError' : 'NonCanonicalError',
+        message: new RegExp(reason)
+      });
+
+      if (hex !== '62c328')
+        cbor.decode(data);
+    }
+  });
+
+  it('should accept distinct map keys in strict mode', () => {
+    const data = Buffer.from('a30102410103410204', 'hex');
+
+    assert.deepStrictEqual(cbor.decode(data, { strict: true }), new Map([
+      [1, 2],
+      [Buffer.from('01', 'hex'), 3],
+      [Buffer.from('02', 'hex'), 4]
+    ]));
+
+    assert.deepStrictEqual(cbor.decode(Buffer.from('a201020103', 'hex')),
+                           new Map([[1, 3]]));
+
+    // Keys are compared by encoding: 1 and 1.0 differ.
+    const mixed = Buffer.from('a2016161f93c006162', 'hex');
+
+    assert.deepStrictEqual(cbor.decode(mixed, { strict: true }),
+                           new Map([[1, 'b']]));
+  });
+
+  it('should reject invalid encodings', () => {
+    const vectors = [
+      ['1c', 'Reserved additional info'],
+      ['1f', 'Invalid indefinite item'],
+      ['df00', 'Invalid indefinite item'],
+      ['ff', 'Unexpected break'],
+      ['81ff', 'Unexpected break'],
+      ['bf00ff', 'Unexpected break'],
+      ['f818', 'Invalid simple value'],
+      ['5f6161ff', 'Invalid chunk'],
+      ['5f5f4100ffff', 'Invalid chunk'],
+      ['c26161', 'Invalid bignum'],
+      ['6280ff', 'Invalid UTF-8'],
+      ['0000', 'Trailing data']
+    ];
+
+    for (const [hex, reason] of vectors) {
+      assert.throws(() => cbor.decode(Buffer.from(hex, 'hex')), {
+        message: new RegExp(reason)
+      });
+    }
+
+    for (const hex of ['19ff', '6461', '9b00000001000000ff', '8201', 'bf']) {
+      assert.throws(() => cbor.decode(Buffer.from(hex, 'hex')), {
+        code: 'ERR_OUT_OF_BOUNDS'
+      });
+    }
+
+    assert.throws(() => cbor.encode(Symbol('x')), TypeError);
+    assert.throws(() => cbor.encode(() => {}), TypeError);
+    assert.throws(() => new Simple(20), TypeError);
+    assert.throws(() => cbor.encode(new Tag(-1, 0)), TypeError);
+  });
+
+  it('should enforce limits', () => {
+    const nested = Buffer.from('8181818100', 'hex');
+
+    assert.deepStrictEqual(cbor.decode(nested), [[[[0]]]]);
+
+    assert.throws(() => cbor.decode(nested, { limits: { maxDepth: 3 } }), {
+      name: 'LimitError',
+      message: /Nesting exceeds limit/
+    });
+
+    const deep = Buffer.alloc(1000, 0x81);
+
+    assert.throws(() => cbor.decode(deep), {
+      name: 'LimitError',
+      message: /Nesting exceeds limit/
+    });
+
+    const str = cbor.encode('x'.repeat(100));
+
+    assert.throws(() => cbor.decode(str, { limits: { maxString: 99 } }), {
+      name: 'LimitError'
+    });
+
+    const data = cbor.encode(Buffer.alloc(100));
+
+    assert.throws(() => cbor.decode(data, { limits: { maxAlloc: 99 } }), {
+      name: 'LimitError'
+    });
+
+    const chunks = Buffer.from('5f4201024103ff', 'hex');
+
+    assert.throws(() => cbor.decode(chunks, { limits: { maxAlloc: 2 } }), {
+      name: 'LimitError'
+    });
+
+    const cyclic = [];
+
+    cyclic.push(cyclic);
+
+    assert.throws(() => cbor.encode(cyclic), TypeError);
+  });
+});
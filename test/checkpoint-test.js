@@ -0,0 +1,167 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+describe('Checkpoint', function() {
+  it('should rollback and commit reads', () => {
+    const br = bio.read(Buffer.from('0102030405', 'hex'));
+
+    br.readU8();
+
+    assert.strictEqual(br.checkpoint(), 1);
+
+    br.start();
+    br.mark('a');
+    assert.strictEqual(br.readU16(), 0x0302);
+
+    br.rollback();
+
+    assert.strictEqual(br.offset, 1);
+    assert.strictEqual(br.stack.length, 0);
+    assert.throws(() => br.getMark('a'), /Unknown mark/);
+
+    br.checkpoint();
+    br.readU8();
+    br.commit();
+
+    assert.strictEqual(br.offset, 2);
+    assert.throws(() => br.rollback(), /without a checkpoint/);
+    assert.throws(() => br.commit(), /without a checkpoint/);
+  });
+
+  it('should attempt alternative parses', () => {
+    // Segwit marker and flag, then a single input count.
+    const br = bio.read(Buffer.from('000101', 'hex'));
+
+    const readSegwit = (br) => {
+      br.start();
+
+      if (br.readU8() !== 0 || br.readU8() !== 1)
+        throw new Error('Not segwit.');
+
+      br.readU32();
+      br.end();
+
+      return 'segwit';
+    };
+
+    assert.throws(() => br.attempt(readSegwit), bio.OutOfBoundsError);
+    assert.strictEqual(br.offset, 0);
+    assert.strictEqual(br.stack.length, 0);
+    assert.strictEqual(br.checkpoints.length, 0);
+
+    assert.strictEqual(br.attempt(br => br.readU8() + br.readU16()), 0x101);
+    assert.strictEqual(br.offset, 3);
+  });
+
+  it('should nest checkpoints', () => {
+    const br = bio.read(Buffer.alloc(8));
+
+    br.checkpoint();
+    br.readU16();
+    br.checkpoint();
+    br.readU32();
+    br.rollback();
+
+    assert.strictEqual(br.offset, 2);
+
+    br.rollback();
+
+    assert.strictEqual(br.offset, 0);
+  });
+
+  it('should rollback buffer writes', () => {
+    const bw = bio.write();
+
+    bw.writeU8(1);
+    bw.checkpoint();
+    bw.mark('a');
+    bw.writeU32(0xffffffff);
+    bw.rollback();
+
+    assert.throws(() => bw.getMark('a'), /Unknown mark/);
+
+    assert.throws(() => bw.attempt((bw) => {
+      bw.writeU16(0xffff);
+      bw.writeHash('00');
+    }), TypeError);
+
+    assert.strictEqual(bw.attempt(bw => bw.writeU16(0x0302)), bw);
+
+    assert.strictEqual(bw.getSize(), 3);
+    assert.strictEqual(bw.render().toString('hex'), '010203');
+  });
+
+  it('should rollback static writes', () => {
+    const bw = bio.write(3);
+
+    bw.writeU8(1);
+
+    assert.throws(() => bw.attempt((bw) => {
+      bw.writeU16(0xffff);
+      bw.writeU8(0xff);
+    }), bio.OutOfBoundsError);
+
+    assert.strictEqual(bw.offset, 1);
+
+    bw.checkpoint();
+    bw.writeU8(0xff);
+    bw.rollback();
+    bw.writeU16(0x0302);
+
+    assert.strictEqual(bw.render().toString('hex'), '010203');
+  });
+
+  it('should unwind nested checkpoints in attempts', () => {
+    const fail = (obj, step) => {
+      return () => obj.attempt((obj) => {
+        step(obj);
+        obj.checkpoint();
+        step(obj);
+        throw new Error('Failed.');
+      });
+    };
+
+    const br = bio.read(Buffer.alloc(8));
+
+    br.readU8();
+    br.checkpoint();
+
+    assert.throws(fail(br, br => br.readU16()), /Failed/);
+    assert.strictEqual(br.offset, 1);
+    assert.strictEqual(br.checkpoints.length, 1);
+
+    // Checkpoints left open are discarded on success.
+    br.attempt((br) => {
+      br.checkpoint();
+      br.readU8();
+    });
+
+    assert.strictEqual(br.offset, 2);
+    assert.strictEqual(br.checkpoints.length, 1);
+
+    br.rollback();
+
+    assert.strictEqual(br.offset, 1);
+
+    for (const bw of [bio.write(), bio.write(8)]) {
+      bw.writeU8(1);
+
+      assert.throws(fail(bw, bw => bw.writeU16(0xffff)), /Failed/);
+      assert.strictEqual(bw.getSize(), 1);
+      assert.strictEqual(bw.checkpoints.length, 0);
+
+      bw.attempt((bw) => {
+        bw.checkpoint();
+        bw.writeU8(2);
+      });
+
+      assert.strictEqual(bw.checkpoints.length, 0);
+      assert.strictEqual(bw.offset, 2);
+    }
+  });
+});
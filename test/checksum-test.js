@@ -0,0 +1,149 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+const data = Buffer.from('123456789', 'ascii');
+
+describe('Checksum', function() {
+  it('should calculate checksums', () => {
+    assert.strictEqual(bio.crc32(data), 0xcbf43926);
+    assert.strictEqual(bio.crc32c(data), 0xe3069283);
+    assert.strictEqual(bio.adler32(data), 0x091e01de);
+
+    assert.strictEqual(bio.crc32(Buffer.alloc(0)), 0);
+    assert.strictEqual(bio.adler32(Buffer.alloc(0)), 1);
+
+    const big = Buffer.alloc(100000, 0xff);
+
+    assert.strictEqual(bio.adler32(big), 0x149a302c);
+  });
+
+  it('should calculate checksums incrementally', () => {
+    const a = data.slice(0, 4);
+    const b = data.slice(4);
+
+    assert.strictEqual(bio.crc32(b, bio.crc32(a)), 0xcbf43926);
+    assert.strictEqual(bio.crc32c(b, bio.crc32c(a)), 0xe3069283);
+    assert.strictEqual(bio.adler32(b, bio.adler32(a)), 0x091e01de);
+  });
+
+  it('should write and verify built-in checksums', () => {
+    for (const bw of [bio.write(), bio.write(13)]) {
+      bw.writeBytes(data);
+      bw.writeChecksum('crc32');
+
+      const raw = bw.render();
+
+      assert.strictEqual(raw.toString('hex').slice(18), '2639f4cb');
+
+      const br = bio.read(raw);
+
+      br.readBytes(9);
+
+      assert.strictEqual(br.verifyChecksum('crc32'), 0xcbf43926);
+      assert.strictEqual(br.left(), 0);
+    }
+  });
+
+  it('should write checksums with width and byte order', () => {
+    const bw = bio.write();
+
+    bw.writeU32BE(9);
+    bw.mark('chunk');
+    bw.writeBytes(data);
+    bw.writeChecksum('crc32', { order: 'be', from: 'chunk' });
+    bw.writeChecksum('adler32', { size: 2, order: 'be', from: 4 });
+
+    const raw = bw.render();
+
+    assert.strictEqual(raw.toString('hex'),
+      '00000009' + data.toString('hex') + 'cbf43926' + '03fc');
+
+    const br = bio.read(raw);
+
+    br.readU32BE();
+    br.mark('chunk');
+    br.readBytes(9);
+
+    assert.strictEqual(
+      br.verifyChecksum('crc32', { order: 'be', from: 'chunk' }),
+      0xcbf43926);
+
+    assert.strictEqual(
+      br.createChecksum('adler32', { size: 2, order: 'be', from: 'chunk' }),
+      0x03fc);
+  });
+
+  it('should handle wide digests', () => {
+    const hash = raw => Buffer.alloc(32, raw.length);
+    const bw = bio.write(40);
+
+    bw.writeBytes(Buffer.alloc(8));
+    bw.writeChecksum(hash, { size: 32 });
+
+    const br = bio.read(bw.render());
+
+    br.readBytes(8);
+
+    assert.deepStrictEqual(br.verifyChecksum(hash, { size: 32 }),
+                           Buffer.alloc(32, 8));
+
+    assert.throws(() => bio.write(8).writeChecksum('crc32', { size: 8 }));
+
+    {
+      const bw = bio.write(40);
+
+      assert.throws(() => bw.writeChecksum('crc32', { size: 8 }), {
+        name: 'TypeError',
+        message: /size/
+      });
+      assert.throws(() => bw.writeChecksum(raw => Buffer.alloc(16), {
+        size: 32
+      }), {
+        name: 'TypeError',
+        message: /hash/
+      });
+      assert.strictEqual(bw.getSize(), 0);
+    }
+
+    // The digest is only computed on render.
+    assert.throws(() => bio.write().writeChecksum('crc32', {
+      size: 8
+    }).render(), {
+      name: 'TypeError',
+      message: /size/
+    });
+    assert.throws(() => bio.write().writeChecksum(raw => Buffer.alloc(16), {
+      size: 32
+    }).render(), {
+      name: 'TypeError',
+      message: /hash/
+    });
+  });
+
+  it('should fail on checksum mismatch', () => {
+    const raw = bio.write()
+      .writeBytes(data)
+      .writeChecksum('crc32c', { size: 3 })
+      .render();
+
+    raw[0] ^= 1;
+
+    const br = bio.read(raw);
+
+    br.readBytes(9);
+
+    assert.throws(() => br.verifyChecksum('crc32c', { size: 3 }), {
+      code: 'ERR_CHECKSUM',
+      expected: 0x069283
+    });
+
+    assert.throws(() => br.createChecksum('crc32', { from: 'missing' }),
+                  /Unknown mark/);
+    assert.throws(() => br.createChecksum('md5'), TypeError);
+  });
+});
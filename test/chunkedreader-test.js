@@ -0,0 +1,129 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+function split(data, ...sizes) {
+  const chunks = [];
+
+  let off = 0;
+
+  for (const size of sizes) {
+    chunks.push(data.slice(off, off + size));
+    off += size;
+  }
+
+  chunks.push(data.slice(off));
+
+  return chunks;
+}
+
+describe('ChunkedReader', function() {
+  const bw = bio.write();
+
+  bw.writeU8(1);
+  bw.writeU32(0xdeadbeef);
+  bw.writeVarint(0x10000);
+  bw.writeU64BE(0x1fffffffffffff);
+  bw.writeVarString('hello world', 'ascii');
+  bw.writeNullString('foo', 'ascii');
+  bw.writeDouble(1.5);
+  bw.writeVarint2(16511);
+
+  const data = bw.render();
+
+  it('should read values straddling chunk boundaries', () => {
+    for (let i = 1; i < data.length; i++) {
+      const chunks = split(data, i, 1, 0, 3);
+      const br = bio.read(chunks);
+
+      assert(br instanceof bio.ChunkedReader);
+      assert.strictEqual(br.getSize(), data.length);
+      assert.strictEqual(br.readU8(), 1);
+      assert.strictEqual(br.readU32(), 0xdeadbeef);
+      assert.strictEqual(br.readVarint(), 0x10000);
+      assert.strictEqual(br.readU64BE(), 0x1fffffffffffff);
+      assert.strictEqual(br.readVarString('ascii'), 'hello world');
+      assert.strictEqual(br.readNullString('ascii'), 'foo');
+      assert.strictEqual(br.readDouble(), 1.5);
+      assert.strictEqual(br.readVarint2(), 16511);
+      assert.strictEqual(br.left(), 0);
+      assert.throws(() => br.readU8(), bio.EncodingError);
+    }
+  });
+
+  it('should only copy values spanning chunks', () => {
+    const chunks = split(data, 4);
+    const br = new bio.ChunkedReader(chunks, true);
+
+    const a = br.readBytes(3);
+    const b = br.readBytes(2);
+
+    assert.strictEqual(a.buffer, chunks[0].buffer);
+    assert.strictEqual(a.byteOffset, chunks[0].byteOffset);
+    assert.notStrictEqual(b.buffer, chunks[0].buffer);
+    assert.deepStrictEqual(Buffer.concat([a, b]), data.slice(0, 5));
+  });
+
+  it('should return data and checksums across chunks', () => {
+    const hash = data => data.slice(0, 4);
+    const chunks = split(data, 2, 5);
+    const br = bio.read(chunks);
+
+    br.readU8();
+    br.start();
+    br.readU32();
+    br.readVarint();
+
+    assert.strictEqual(br.createChecksum(hash), 0xdeadbeef);
+    assert.deepStrictEqual(br.endData(), data.slice(1, 10));
+  });
+
+  it('should create child readers', () => {
+    const chunks = split(data, 3, 6);
+    const br = bio.read(chunks);
+
+    br.readU8();
+
+    const child = br.readChild(9);
+
+    assert.strictEqual(br.offset, 10);
+    assert.strictEqual(child.readU32(), 0xdeadbeef);
+    assert.strictEqual(child.readVarint(), 0x10000);
+    assert.strictEqual(child.left(), 0);
+  });
+
+  it('should accept reader options', () => {
+    const chunks = split(data, 4);
+    const br = bio.read(chunks, { zeroCopy: true });
+
+    assert(br instanceof bio.ChunkedReader);
+    assert.strictEqual(br.readBytes(3).buffer, chunks[0].buffer);
+
+    assert.throws(() => bio.read(chunks, { zeroCopy: 1 }), TypeError);
+  });
+
+  it('should enforce limits', () => {
+    const chunks = split(data, 3, 6);
+    const limits = { maxAlloc: 4, maxString: 8, maxDepth: 1 };
+
+    let br = bio.read(chunks, { limits });
+
+    assert.throws(() => br.readBytes(5), bio.LimitError);
+
+    br = bio.read(chunks, { limits });
+    br.readU8();
+
+    const child = br.readChild(9);
+
+    assert.strictEqual(child.readU32(), 0xdeadbeef);
+    assert.throws(() => child.readChild(1), bio.LimitError);
+
+    br.readU64BE();
+
+    assert.throws(() => br.readVarString('ascii'), bio.LimitError);
+  });
+});
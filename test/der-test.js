@@ -0,0 +1,287 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+const {DERReader, DERWriter} = bio;
+
+const INTEGERS = [
+  [0n, '020100'],
+  [127n, '02017f'],
+  [128n, '02020080'],
+  [256n, '02020100'],
+  [-1n, '0201ff'],
+  [-128n, '020180'],
+  [-129n, '0202ff7f'],
+  [(1n << 64n) - 1n, '0209' + '00' + 'ff'.repeat(8)]
+];
+
+const OIDS = [
+  ['1.2.840.10045.2.1', '06072a8648ce3d0201'],
+  ['1.3.132.0.10', '06052b8104000a'],
+  ['1.2.840.113549.1.1.11', '06092a864886f70d01010b'],
+  ['2.999.3', '0603883703']
+];
+
+const TIMES = [
+  [1546300800, '170d3139303130313030303030305a'], // 2019-01-01
+  [-631152000, '170d3530303130313030303030305a'], // 1950-01-01
+  [2524608000, '180f32303530303130313030303030305a'] // 2050-01-01
+];
+
+function der(hex, mode) {
+  return new DERReader(Buffer.from(hex, 'hex'), mode);
+}
+
+describe('DER', function() {
+  it('should encode integers', () => {
+    for (const [num, hex] of INTEGERS) {
+      const data = new DERWriter().writeInteger(num).render();
+
+      assert.strictEqual(data.toString('hex'), hex);
+      assert.strictEqual(der(hex).readInteger(), num);
+    }
+
+    assert.strictEqual(new DERWriter().writeInteger(-129).render()
+      .toString('hex'), '0202ff7f');
+  });
+
+  it('should encode object identifiers', () => {
+    for (const [oid, hex] of OIDS) {
+      const data = new DERWriter().writeOID(oid).render();
+
+      assert.strictEqual(data.toString('hex'), hex);
+      assert.strictEqual(der(hex).readOID(), oid);
+    }
+
+    assert.throws(() => new DERWriter().writeOID('1'), TypeError);
+    assert.throws(() => new DERWriter().writeOID('3.1'), TypeError);
+    assert.throws(() => new DERWriter().writeOID('1.40'), TypeError);
+  });
+
+  it('should encode times', () => {
+    for (const [time, hex] of TIMES) {
+      const data = new DERWriter().writeTime(time).render();
+
+      assert.strictEqual(data.toString('hex'), hex);
+      assert.strictEqual(der(hex).readTime(), time);
+    }
+
+    assert.strictEqual(der(TIMES[0][1]).readUTCTime(), TIMES[0][0]);
+    assert.strictEqual(der(TIMES[2][1]).readGeneralizedTime(), TIMES[2][0]);
+
+    assert.throws(() => new DERWriter().writeUTCTime(TIMES[2][0]), TypeError);
+
+    // Years below 100.
+    for (const time of [-62135596800, -59042995200]) {
+      const data = new DERWriter().writeGeneralizedTime(time).render();
+
+      assert.strictEqual(new DERReader(data).readGeneralizedTime(), time);
+    }
+    assert.throws(() => der('170d3139313333313030303030305a').readTime(), {
+      name: 'EncodingError',
+      message: /Invalid time/
+    });
+    assert.throws(() => der('170b313930313031303030305a').readTime(), {
+      name: 'EncodingError',
+      message: /Invalid time/
+    });
+  });
+
+  it('should encode headers', () => {
+    const short = Buffer.alloc(0x7f, 1);
+    const long = Buffer.alloc(300, 2);
+
+    const data = new DERWriter()
+      .writeOctetString(short)
+      .writeOctetString(long)
+      .writeValue(31, Buffer.from([3]), false, bio.der.classes.CONTEXT)
+      .writeBoolean(true)
+      .writeNull()
+      .render();
+
+    assert.strictEqual(data.toString('hex', 0, 2), '047f');
+    assert.strictEqual(data.toString('hex', 0x81, 0x85), '0482012c');
+
+    const dr = new DERReader(data);
+
+    assert.deepStrictEqual(dr.readOctetString(), short);
+
+    const hdr = dr.peekHeader();
+
+    assert.strictEqual(hdr.cls, bio.der.classes.UNIVERSAL);
+    assert.strictEqual(hdr.constructed, false);
+    assert.strictEqual(hdr.tag, bio.der.types.OCTSTRING);
+    assert.strictEqual(hdr.size, 300);
+
+    assert.deepStrictEqual(dr.readOctetString(), long);
+    assert.strictEqual(dr.readRaw().toString('hex'), '9f1f0103');
+    assert.strictEqual(dr.readBoolean(), true);
+    assert.strictEqual(dr.readNull(), null);
+    assert.strictEqual(dr.left(), 0);
+  });
+
+  it('should write and read nested structures', () => {
+    const point = Buffer.alloc(65, 0xab);
+
+    point[0] = 0x04;
+
+    // SubjectPublicKeyInfo for a secp256k1 key.
+    const dw = new DERWriter();
+
+    dw.startSequence();
+    dw.startSequence();
+    dw.writeOID('1.2.840.10045.2.1');
+    dw.writeOID('1.3.132.0.10');
+    dw.end();
+    dw.writeBitString(point);
+    dw.end();
+
+    const data = dw.render();
+
+    assert.strictEqual(data.toString('hex', 0, 23),
+      '3056301006072a8648ce3d020106052b8104000a034200');
+
+    const spki = new DERReader(data).readSequence();
+    const alg = spki.readSequence();
+
+    assert.strictEqual(alg.readOID(), '1.2.840.10045.2.1');
+    assert.strictEqual(alg.readOID(), '1.3.132.0.10');
+    alg.verifyEnd();
+
+    const {data: key, unused} = spki.readBitString();
+
+    assert.strictEqual(unused, 0);
+    assert.deepStrictEqual(key, point);
+    spki.verifyEnd();
+  });
+
+  it('should write and read explicit tags', () => {
+    const dw = new DERWriter();
+
+    dw.startSequence().startExplicit(0).writeInteger(2).end();
+    dw.startSet().writeBitString(Buffer.from([0xff]), 3).end();
+    dw.end();
+
+    const raw = dw.render();
+
+    assert.strictEqual(raw.toString('hex'), '300b' + 'a003020102'
+                                            + '31040302' + '03f8');
+
+    const seq = new DERReader(raw).readSequence();
+
+    assert.strictEqual(seq.readExplicit(0).readInteger(), 2n);
+    assert.deepStrictEqual(seq.readSet().readBitString(), {
+      data: Buffer.from([0xf8]),
+      unused: 3
+    });
+  });
+
+  it('should sort set members', () => {
+    const dw = new DERWriter();
+
+    dw.startSet()
+      .writeInteger(256)
+      .writeNull()
+      .writeInteger(2)
+      .writeOctetString(Buffer.alloc(0))
+      .end();
+
+    const raw = dw.render();
+
+    assert.strictEqual(raw.toString('hex'), '310b' + '020102' + '02020100'
+                                            + '0400' + '0500');
+
+    const set = new DERReader(raw).readSet();
+
+    assert.strictEqual(set.readInteger(), 2n);
+    assert.strictEqual(set.readInteger(), 256n);
+
+    // Sequences keep their order.
+    const seq = new DERWriter().startSequence()
+      .writeInteger(256)
+      .writeInteger(2)
+      .end()
+      .render();
+
+    assert.strictEqual(seq.toString('hex'), '3007' + '02020100' + '020102');
+  });
+
+  it('should reject non-distinguished encodings', () => {
+    const vectors = [
+      ['048100', 'Non-minimal length'],
+      ['04820001' + '00', 'Non-minimal length'],
+      ['02020001', 'Non-minimal integer'],
+      ['0202ff80', 'Non-minimal integer'],
+      ['010101', 'Non-canonical boolean'],
+      ['030207ff', 'Non-zero padding bits'],
+      ['0603808001', 'Non-minimal OID arc'],
+      ['9f0500', 'Non-minimal tag']
+    ];
+
+    for (const [hex, reason] of vectors) {
+      assert.throws(() => readAny(der(hex)), {
+        name: 'NonCanonicalError',
+        message: new RegExp(reason)
+      });
+
+      readAny(der(hex, 'ber'));
+    }
+  });
+
+  it('should reject invalid encodings', () => {
+    assert.throws(() => der('0280').readInteger(), {
+      message: /Indefinite length not supported/
+    });
+    assert.throws(() => der('0285010000000000').readInteger(), {
+      message: /Length too large/
+    });
+    assert.throws(() => der('0200').readInteger(), {
+      message: /Invalid integer/
+    });
+    assert.throws(() => der('020100').readOID(), {
+      name: 'EncodingError',
+      message: /Unexpected tag/
+    });
+    assert.throws(() => der('2000').readValue(0), {
+      message: /Expected primitive element/
+    });
+    assert.throws(() => der('0000').readSequence(), {
+      message: /Unexpected tag/
+    });
+    assert.throws(() => der('060181').readOID(), {
+      message: /Invalid OID/
+    });
+    assert.throws(() => der('030108').readBitString(), {
+      message: /Invalid bit string/
+    });
+    assert.throws(() => der('0500').verifyEnd(), {
+      name: 'TrailingDataError'
+    });
+    assert.throws(() => der('300302020101').readSequence().readInteger(), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => new DERWriter().startSequence().render(),
+                  /open element/);
+    assert.throws(() => new DERWriter().end(), /open element/);
+  });
+});
+
+function readAny(dr) {
+  const {tag} = dr.peekHeader();
+
+  switch (tag) {
+    case bio.der.types.BOOLEAN:
+      return dr.readBoolean();
+    case bio.der.types.INTEGER:
+      return dr.readInteger();
+    case bio.der.types.BITSTRING:
+      return dr.readBitString();
+    case bio.der.types.OID:
+      return dr.readOID();
+    default:
+      return dr.readRaw();
+  }
+}
@@ -0,0 +1,127 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+class Item extends bio.Struct {
+  constructor() {
+    super();
+    this.version = 0;
+    this.name = '';
+    this.flags = 0;
+    this.value = BigInt(0);
+  }
+
+  write(bw) {
+    bw.writeU32(this.version);
+    bw.writeVarString(this.name, 'ascii');
+    bw.writeU8(1);
+    bw.writeU8(this.flags);
+    bw.writeBigU64(this.value);
+    return bw;
+  }
+
+  read(br) {
+    this.version = br.label('version').readU32();
+    this.name = br.label('name').readVarString('ascii');
+
+    const child = br.readChild(br.readU8());
+
+    this.flags = child.label('flags').readU8();
+    this.value = br.label('value').readBigU64();
+
+    return this;
+  }
+}
+
+describe('Dump', function() {
+  const item = new Item();
+
+  item.version = 1;
+  item.name = 'abc';
+  item.flags = 0x80;
+  item.value = BigInt(1) << BigInt(60);
+
+  const raw = item.encode();
+
+  it('should record reads in trace mode', () => {
+    const br = bio.read(raw, { trace: true });
+
+    Item.read(br);
+
+    assert.deepStrictEqual(br.trace.map(r => [r.offset, r.size, r.method]), [
+      [0, 4, 'readU32'],
+      [4, 4, 'readVarString'],
+      [8, 1, 'readU8'],
+      [9, 1, 'readChild'],
+      [9, 1, 'readU8'],
+      [10, 8, 'readBigU64']
+    ]);
+
+    assert.strictEqual(br.trace[4].label, 'flags');
+    assert.strictEqual(br.trace[4].depth, 1);
+    assert.strictEqual(bio.read(raw).label('unused').trace, null);
+  });
+
+  it('should produce a JSON dump', () => {
+    const json = bio.dump(raw, Item, { json: true });
+
+    assert.strictEqual(json.error, null);
+    assert.strictEqual(json.offset, raw.length);
+    assert.deepStrictEqual(json.fields[1], {
+      offset: 4,
+      size: 4,
+      depth: 0,
+      method: 'readVarString',
+      label: 'name',
+      value: 'abc',
+      error: null,
+      errorOffset: null
+    });
+    assert.strictEqual(json.fields[5].value, (BigInt(1) << BigInt(60)).toString());
+  });
+
+  it('should annotate the failing field', () => {
+    const data = raw.slice(0, raw.length - 2);
+    const json = bio.dump(data, Item, { json: true });
+    const last = json.fields[json.fields.length - 1];
+
+    assert.strictEqual(json.error, 'Out of bounds read (offset=10).');
+    assert.strictEqual(last.label, 'value');
+    assert.strictEqual(last.error, json.error);
+
+    const lines = [];
+    const str = bio.dump(data, Item, {
+      color: false,
+      log: line => lines.push(line)
+    });
+
+    assert.deepStrictEqual(lines, [str]);
+    assert(str.split('\n')[0].startsWith('00000000  01 00 00 00 '));
+    assert(/00000004 {2}03 61 62 63 +readVarString name = "abc"/.test(str));
+    assert(/readBigU64 value ! Out of bounds read/.test(str));
+  });
+
+  it('should highlight the byte the error points at', () => {
+    class Blob extends bio.Struct {
+      read(br) {
+        this.data = br.readVarBytes();
+        return this;
+      }
+    }
+
+    // The size prefix is fine, the data is short.
+    const data = Buffer.from('0501020304', 'hex');
+    const json = bio.dump(data, Blob, { json: true });
+
+    assert.strictEqual(json.fields[0].offset, 0);
+    assert.strictEqual(json.fields[0].errorOffset, 1);
+
+    const str = bio.dump(data, Blob, { log: () => {} });
+
+    assert(str.includes('\x1b[31m05\x1b[0m \x1b[41;97m01\x1b[0m'));
+  });
+});
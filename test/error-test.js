@@ -0,0 +1,119 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+function check(func, Error, props) {
+  assert.throws(func, (err) => {
+    assert(err instanceof Error);
+    assert(err instanceof bio.EncodingError);
+
+    for (const key of Object.keys(props))
+      assert.deepStrictEqual(err[key], props[key], key);
+
+    return true;
+  });
+}
+
+describe('EncodingError', function() {
+  it('should throw out of bounds errors', () => {
+    const br = bio.read(Buffer.alloc(3));
+
+    br.seek(1);
+
+    check(() => br.readU32(), bio.OutOfBoundsError, {
+      code: 'ERR_OUT_OF_BOUNDS',
+      type: 'EncodingError',
+      offset: 1,
+      reason: 'Out of bounds read',
+      expected: 4,
+      actual: 2,
+      path: null,
+      message: 'Out of bounds read (offset=1).'
+    });
+
+    check(() => bio.write(2).writeU32(0), bio.OutOfBoundsError, {
+      reason: 'Out of bounds write',
+      expected: 4,
+      actual: 2
+    });
+
+    check(() => bio.write().seek(-1), bio.OutOfBoundsError, {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+
+    check(() => bio.readU64(Buffer.alloc(4), 0), bio.OutOfBoundsError, {
+      offset: 0
+    });
+  });
+
+  it('should throw non-canonical errors', () => {
+    const data = Buffer.from('fd0100', 'hex');
+
+    check(() => bio.read(data).readVarint(), bio.NonCanonicalError, {
+      code: 'ERR_NON_CANONICAL',
+      offset: 0,
+      reason: 'Non-canonical varint'
+    });
+  });
+
+  it('should throw checksum errors', () => {
+    const hash = () => Buffer.from([1, 0, 0, 0]);
+    const data = Buffer.from('aa02000000', 'hex');
+    const br = bio.read(data);
+
+    br.readU8();
+
+    check(() => br.verifyChecksum(hash), bio.ChecksumError, {
+      code: 'ERR_CHECKSUM',
+      expected: 2,
+      actual: 1
+    });
+  });
+
+  it('should throw limit errors', () => {
+    const data = bio.write().writeVarString('abcdef', 'ascii').render();
+
+    check(() => bio.read(data).readVarString('ascii', 5), bio.LimitError, {
+      code: 'ERR_LIMIT',
+      expected: 5,
+      actual: 6
+    });
+  });
+
+  it('should record the path of array items', () => {
+    const data = bio.write()
+      .writeArray([[1], [2, 3]], (bw, items) => {
+        bw.writeArray(items, (bw, n) => bw.writeU8(n));
+      })
+      .render();
+
+    const readItem = br => br.readArray(br => br.readU16());
+
+    check(() => bio.read(data).readArray(readItem), bio.OutOfBoundsError, {
+      path: '[1][0]',
+      message: 'Out of bounds read (offset=5, path=[1][0]).'
+    });
+
+    const err = new bio.TrailingDataError(1, 'Trailing data', { path: 'a' });
+
+    assert.strictEqual(err.code, 'ERR_TRAILING_DATA');
+    assert.strictEqual(err.prependPath('tx').path, 'tx.a');
+    assert.strictEqual(err.message, 'Trailing data (offset=1, path=tx.a).');
+  });
+
+  it('should expose error classes on EncodingError', () => {
+    const EncodingError = require('../lib/error');
+
+    assert.strictEqual(EncodingError, bio.EncodingError);
+    assert.strictEqual(EncodingError.EncodingError, EncodingError);
+    assert.strictEqual(EncodingError.OutOfBoundsError, bio.OutOfBoundsError);
+    assert.strictEqual(EncodingError.NonCanonicalError, bio.NonCanonicalError);
+    assert.strictEqual(EncodingError.ChecksumError, bio.ChecksumError);
+    assert.strictEqual(EncodingError.LimitError, bio.LimitError);
+    assert.strictEqual(EncodingError.TrailingDataError, bio.TrailingDataError);
+  });
+});
@@ -0,0 +1,254 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bio = require('../lib/bufio');
+
+class Item extends bio.Struct {
+  constructor() {
+    super();
+    this.version = 0;
+    this.name = '';
+    this.data = Buffer.alloc(0);
+    this.child = 0;
+  }
+
+  write(bw) {
+    bw.writeU32(this.version);
+    bw.writeVarString(this.name, 'ascii');
+    bw.writeVarBytes(this.data);
+    bw.writeU8(2);
+    bw.writeU16BE(this.child);
+    return bw;
+  }
+
+  read(br) {
+    this.version = br.readU32();
+    this.name = br.readVarString('ascii');
+    this.data = br.readVarBytes();
+
+    const child = br.readChild(br.readU8());
+
+    this.child = child.readU16BE();
+
+    return this;
+  }
+}
+
+class Record extends bio.Struct {
+  constructor() {
+    super();
+    this.tag = 0;
+    this.items = [];
+    this.attrs = new Map();
+  }
+
+  write(bw) {
+    bw.writeU8(this.tag);
+    bw.writeU24BE(this.tag * 1000);
+    bw.writeArray(this.items);
+    bw.writeMap(this.attrs,
+                (bw, key) => bw.writeVarString(key, 'ascii'),
+                (bw, value) => bw.writeVarint(value));
+    return bw;
+  }
+
+  read(br) {
+    const tag = br.peekU8();
+
+    br.mark('record');
+
+    this.tag = br.readU8();
+
+    assert.strictEqual(tag, this.tag);
+    assert.strictEqual(br.readUBE(3), this.tag * 1000);
+
+    // A failed read must leave the reader untouched.
+    assert.throws(() => br.attempt(() => {
+      br.readBytes(4);
+      throw new Error('Bad field.');
+    }), /Bad field/);
+
+    this.items = br.readArray(Item);
+    this.attrs = br.readMap(br => br.readVarString('ascii'),
+                            br => br.readVarint());
+
+    assert.strictEqual(br.getMark('record'), br.offset - this.encode().length);
+
+    return this;
+  }
+}
+
+describe('FileReader', function() {
+  const file = path.join(os.tmpdir(), `bufio-file-${process.pid}.bin`);
+  const item = new Item();
+
+  item.version = 0xdeadbeef;
+  item.name = 'hello';
+  item.data = Buffer.alloc(300, 0xaa);
+  item.child = 0x1234;
+
+  const raw = item.encode();
+
+  afterEach(() => {
+    if (fs.existsSync(file))
+      fs.unlinkSync(file);
+  });
+
+  it('should read structs at arbitrary offsets', () => {
+    fs.writeFileSync(file, Buffer.concat([Buffer.alloc(10), raw, raw]));
+
+    for (const windowSize of [1, 7, 64, 65536]) {
+      const br = new bio.FileReader(file, { windowSize });
+
+      try {
+        assert.strictEqual(br.getSize(), 10 + raw.length * 2);
+
+        br.seekTo(10 + raw.length);
+
+        assert.deepStrictEqual(Item.read(br), item);
+        assert.strictEqual(br.left(), 0);
+
+        br.seekTo(10);
+        br.start();
+
+        assert.deepStrictEqual(Item.read(br), item);
+        assert.deepStrictEqual(br.endData(), raw);
+
+        assert.throws(() => br.seekTo(br.getSize() + 1), bio.OutOfBoundsError);
+      } finally {
+        br.destroy();
+      }
+    }
+  });
+
+  it('should read structs with the full reader interface', () => {
+    const rec = new Record();
+
+    rec.tag = 7;
+    rec.items = [item, item];
+    rec.attrs = new Map([['a', 1], ['bc', 300]]);
+
+    fs.writeFileSync(file, rec.encode());
+
+    for (const windowSize of [1, 5, 65536]) {
+      const br = new bio.FileReader(file, { windowSize });
+
+      try {
+        assert.deepStrictEqual(Record.read(br), rec);
+
+        br.verifyEnd();
+
+        br.seekTo(0);
+        br.checkpoint();
+
+        assert.strictEqual(br.readU8(), 7);
+
+        br.rollback();
+
+        assert.strictEqual(br.offset, 0);
+        assert.throws(() => br.verifyEnd(), bio.TrailingDataError);
+      } finally {
+        br.destroy();
+      }
+    }
+  });
+
+  it('should read from a file descriptor', () => {
+    fs.writeFileSync(file, Buffer.from('abc\x00def\x00', 'binary'));
+
+    const fd = fs.openSync(file, 'r');
+
+    try {
+      const br = new bio.FileReader(fd, { windowSize: 2 });
+
+      assert.strictEqual(br.readNullString('ascii'), 'abc');
+      assert.strictEqual(br.readNullString('ascii'), 'def');
+      assert.throws(() => br.readU8(), bio.OutOfBoundsError);
+
+      br.seek(-4);
+
+      const child = br.readChild(3);
+
+      assert.strictEqual(child.readString(3, 'ascii'), 'def');
+      assert.throws(() => child.readU8(), bio.OutOfBoundsError);
+
+      child.seek(-3);
+
+      assert.throws(() => child.readNullString(), bio.OutOfBoundsError);
+
+      br.destroy();
+
+      // Not owned by the reader.
+      fs.fstatSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  });
+
+  it('should accept reader options', () => {
+    fs.writeFileSync(file, raw);
+
+    const limits = { maxAlloc: 64, maxDepth: 1 };
+
+    let br = new bio.FileReader(file, true);
+
+    try {
+      assert.strictEqual(br.zeroCopy, true);
+    } finally {
+      br.destroy();
+    }
+
+    br = new bio.FileReader(file, { limits, windowSize: 16 });
+
+    try {
+      assert.strictEqual(br.readU32(), 0xdeadbeef);
+      assert.strictEqual(br.readVarString('ascii'), 'hello');
+      assert.throws(() => br.readVarBytes(), bio.LimitError);
+
+      br.seekTo(raw.length - 3);
+
+      const child = br.readChild(3);
+
+      assert.strictEqual(child.limits, br.limits);
+      assert.throws(() => child.readChild(1), bio.LimitError);
+    } finally {
+      br.destroy();
+    }
+  });
+
+  it('should seek beyond 4 GiB', () => {
+    const pos = 2 ** 32 + 100;
+    const fd = fs.openSync(file, 'w');
+
+    try {
+      // Sparse file.
+      fs.writeSync(fd, raw, 0, raw.length, pos);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const br = new bio.FileReader(file);
+
+    try {
+      assert.strictEqual(br.getSize(), pos + raw.length);
+      assert.strictEqual(br.readU64(), 0);
+
+      br.seekTo(pos);
+
+      assert.deepStrictEqual(Item.read(br), item);
+      assert.strictEqual(br.offset, pos + raw.length);
+
+      br.seek(-raw.length);
+
+      assert.strictEqual(br.readU32(), 0xdeadbeef);
+    } finally {
+      br.destroy();
+    }
+  });
+});
@@ -0,0 +1,163 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+const HALF = [
+  [0, 0x0000],
+  [-0, 0x8000],
+  [1, 0x3c00],
+  [-2, 0xc000],
+  [0.1, 0x2e66],
+  [1 / 3, 0x3555],
+  [65504, 0x7bff],
+  [65519, 0x7bff], // Rounds down.
+  [65520, 0x7c00], // Rounds to infinity.
+  [2 ** -14, 0x0400], // Smallest normal.
+  [2 ** -24, 0x0001], // Smallest subnormal.
+  [2 ** -25, 0x0000], // Tie rounds to even (zero).
+  [3 * 2 ** -25, 0x0002], // Tie rounds to even.
+  [1 + 2 ** -11, 0x3c00], // Tie rounds to even.
+  [1 + 3 * 2 ** -11, 0x3c02],
+  [2 ** -14 - 2 ** -25, 0x0400], // Subnormal rounds up to normal.
+  [Infinity, 0x7c00],
+  [-Infinity, 0xfc00],
+  [NaN, 0x7e00]
+];
+
+const BFLOAT = [
+  [0, 0x0000],
+  [-0, 0x8000],
+  [1, 0x3f80],
+  [Math.PI, 0x4049],
+  [1 + 2 ** -8, 0x3f80], // Tie rounds to even.
+  [1 + 3 * 2 ** -8, 0x3f82],
+  [2 ** -133, 0x0001], // Smallest subnormal.
+  [3.3895313892515355e38, 0x7f7f],
+  [3.4e38, 0x7f80],
+  [-Infinity, 0xff80],
+  [NaN, 0x7fc0]
+];
+
+describe('Float16', function() {
+  it('should encode half floats', () => {
+    for (const [num, bits] of HALF) {
+      const data = Buffer.alloc(2);
+
+      bio.writeFloat16(data, num, 0);
+      assert.strictEqual(data.readUInt16LE(0), bits, String(num));
+
+      bio.writeFloat16BE(data, num, 0);
+      assert.strictEqual(data.readUInt16BE(0), bits, String(num));
+    }
+  });
+
+  it('should decode half floats', () => {
+    const data = Buffer.alloc(2);
+
+    for (const [num, bits] of HALF) {
+      data.writeUInt16LE(bits, 0);
+
+      const value = bio.readFloat16(data, 0);
+
+      if (Number.isNaN(num)) {
+        assert(Number.isNaN(value));
+        continue;
+      }
+
+      bio.writeFloat16(data, value, 0);
+
+      assert.strictEqual(data.readUInt16LE(0), bits);
+    }
+
+    data.writeUInt16BE(0x7bff, 0);
+    assert.strictEqual(bio.readFloat16BE(data, 0), 65504);
+
+    data.writeUInt16LE(0x03ff, 0);
+    assert.strictEqual(bio.readFloat16(data, 0), 1023 * 2 ** -24);
+
+    data.writeUInt16LE(0xfc01, 0);
+    assert(Number.isNaN(bio.readFloat16(data, 0)));
+  });
+
+  it('should encode bfloat16', () => {
+    for (const [num, bits] of BFLOAT) {
+      const data = Buffer.alloc(2);
+
+      bio.writeBFloat16(data, num, 0);
+      assert.strictEqual(data.readUInt16LE(0), bits, String(num));
+
+      bio.writeBFloat16BE(data, num, 0);
+      assert.strictEqual(data.readUInt16BE(0), bits, String(num));
+
+      const value = bio.readBFloat16BE(data, 0);
+
+      if (Number.isNaN(num))
+        assert(Number.isNaN(value));
+      else
+        assert.strictEqual(bio.readBFloat16(data.reverse(), 0), value);
+    }
+
+    // bfloat16 is the high half of a float32.
+    const data = Buffer.alloc(4);
+
+    data.writeFloatBE(Math.PI, 0);
+
+    assert.strictEqual(bio.readBFloat16BE(data, 0), 3.140625);
+  });
+
+  it('should read and write with readers and writers', () => {
+    const values = [1.5, -0.25, 65504, Infinity];
+
+    for (const bw of [bio.write(), bio.write(32)]) {
+      for (const num of values) {
+        bw.writeFloat16(num);
+        bw.writeFloat16BE(num);
+        bw.writeBFloat16(num);
+        bw.writeBFloat16BE(num);
+      }
+
+      const br = bio.read(bw.render());
+
+      for (const num of values) {
+        // 65504 needs more precision than bfloat16 has.
+        const bnum = num === 65504 ? 65536 : num;
+
+        assert.strictEqual(br.peekFloat16(), num);
+        assert.strictEqual(br.readFloat16(), num);
+        assert.strictEqual(br.readFloat16BE(), num);
+        assert.strictEqual(br.peekBFloat16(), bnum);
+        assert.strictEqual(br.readBFloat16(), bnum);
+        assert.strictEqual(br.readBFloat16BE(), bnum);
+      }
+
+      assert.strictEqual(br.left(), 0);
+    }
+  });
+
+  it('should reject non-canonical values in strict mode', () => {
+    const read = hex => bio.read(Buffer.from(hex, 'hex'), { strict: true });
+
+    assert(Number.isNaN(read('007e').readFloat16()));
+    assert(Number.isNaN(read('7fc0').readBFloat16BE()));
+
+    assert.throws(() => read('0080').readFloat16(), {
+      reason: 'Negative zero'
+    });
+
+    assert.throws(() => read('017e').readFloat16(), {
+      reason: 'Non-canonical NaN'
+    });
+
+    assert.throws(() => read('c07f').readFloat16(), {
+      reason: 'Non-canonical NaN'
+    });
+
+    assert.throws(() => read('7fc1').readBFloat16BE(), {
+      reason: 'Non-canonical NaN'
+    });
+  });
+});
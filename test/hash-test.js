@@ -0,0 +1,89 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const {Readable} = require('stream');
+const bio = require('../lib/bufio');
+
+// Genesis block hash, in display order.
+const GENESIS =
+  '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+
+const RAW = Buffer.from(GENESIS, 'hex').reverse();
+
+describe('Hash', function() {
+  it('should read and write reversed hex', () => {
+    for (const bw of [bio.write(), bio.write(32)]) {
+      bw.writeHash(GENESIS, 'rhex');
+
+      const data = bw.render();
+
+      assert.deepStrictEqual(data, RAW);
+
+      const br = bio.read(data);
+
+      assert.strictEqual(br.readHash('rhex'), GENESIS);
+      assert.strictEqual(br.left(), 0);
+    }
+
+    assert.strictEqual(bio.read(RAW).readHash('hex'), RAW.toString('hex'));
+    assert.deepStrictEqual(bio.read(RAW).readHash(), RAW);
+  });
+
+  it('should read and write other hash sizes', () => {
+    const bw = bio.write();
+
+    bw.writeHash(Buffer.alloc(20, 1), null, 20);
+    bw.writeHash('02'.repeat(64), 'hex', 64);
+    bw.writeHash('0102'.repeat(10), 'rhex', 20);
+
+    const br = bio.read(bw.render());
+
+    assert.deepStrictEqual(br.readHash(null, 20), Buffer.alloc(20, 1));
+    assert.strictEqual(br.readHash('hex', 64), '02'.repeat(64));
+    assert.strictEqual(br.readHash('hex', 20), '0201'.repeat(10));
+  });
+
+  it('should read and write hashes at offsets', () => {
+    const data = Buffer.alloc(34);
+
+    assert.strictEqual(bio.writeHash(data, GENESIS, 2, 'rhex'), 32);
+    assert.deepStrictEqual(data.slice(2), RAW);
+    assert.strictEqual(bio.readHash(data, 2, 'rhex'), GENESIS);
+    assert.strictEqual(bio.readHash(data, 2, 'hex', 20),
+                       RAW.toString('hex', 0, 20));
+
+    assert.throws(() => bio.readHash(data, 3), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+
+    assert.throws(() => bio.writeHash(data, GENESIS, 3), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+  });
+
+  it('should validate hashes', () => {
+    const data = Buffer.alloc(32);
+
+    assert.throws(() => bio.writeHash(data, GENESIS.slice(2), 0), TypeError);
+    assert.throws(() => bio.writeHash(data, 'zz' + GENESIS.slice(2), 0),
+                  TypeError);
+    assert.throws(() => bio.write().writeHash(GENESIS.slice(2)), TypeError);
+    assert.throws(() => bio.write(32).writeHash('x'.repeat(64)), TypeError);
+    assert.throws(() => bio.write().writeHash(Buffer.alloc(20)), TypeError);
+    assert.throws(() => bio.write().writeHash(GENESIS, 'base64'), TypeError);
+  });
+
+  it('should read reversed hex from chunked and async readers', async () => {
+    const br = bio.read([RAW.slice(0, 7), RAW.slice(7)]);
+
+    assert.strictEqual(br.readHash('rhex'), GENESIS);
+
+    const ar = new bio.AsyncReader(Readable.from([RAW.slice(0, 7),
+                                                   RAW.slice(7)]));
+
+    assert.strictEqual(await ar.readHash('rhex'), GENESIS);
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+describe('Limits', function() {
+  it('should limit single allocations', () => {
+    const data = bio.write().writeVarint(1000).fill(0, 1000).render();
+    const br = bio.read(data, { limits: { maxAlloc: 100 } });
+
+    assert.throws(() => br.readVarBytes(), (err) => {
+      assert(err instanceof bio.LimitError);
+      assert(err instanceof bio.EncodingError);
+      assert.strictEqual(err.code, 'ERR_LIMIT');
+      assert.strictEqual(err.message, 'Allocation exceeds limit (offset=3).');
+      return true;
+    });
+  });
+
+  it('should limit total bytes copied across child readers', () => {
+    const limits = new bio.Limits({ maxCopy: 10 });
+    const br = new bio.BufferReader(Buffer.alloc(20), { limits });
+
+    br.readBytes(4);
+    br.readBytes(8, true);
+
+    const child = br.readChild(8);
+
+    assert.strictEqual(child.limits, limits);
+
+    child.readString(6);
+
+    assert.strictEqual(limits.copied, 10);
+    assert.throws(() => child.readBytes(1), bio.LimitError);
+    assert.strictEqual(child.readU8(), 0);
+
+    limits.reset();
+
+    assert.strictEqual(child.readBytes(1).length, 1);
+  });
+
+  it('should not charge reads which fail', () => {
+    const limits = new bio.Limits({ maxCopy: 10 });
+    const data = Buffer.alloc(4);
+
+    for (const br of [bio.read(data, { limits }),
+                      bio.read([data.slice(0, 2), data.slice(2)], { limits })]) {
+      assert.throws(() => br.readBytes(8), /Out of bounds read/);
+      assert.throws(() => br.readString(8), /Out of bounds read/);
+    }
+
+    assert.strictEqual(limits.copied, 0);
+  });
+
+  it('should limit strings and NUL scans', () => {
+    const data = Buffer.from('hello\x00world\x00', 'binary');
+    const br = bio.read(data, { limits: { maxString: 5, maxScan: 4 } });
+
+    assert.throws(() => br.readNullString('ascii'), /NUL scan exceeds limit/);
+    assert.throws(() => br.readString(6, 'ascii'), /String exceeds limit/);
+    assert.strictEqual(br.readString(5, 'ascii'), 'hello');
+
+    br.limits.maxScan = 5;
+    br.seek(1);
+
+    assert.strictEqual(br.readNullString('ascii'), 'world');
+    assert.strictEqual(br.left(), 0);
+  });
+
+  it('should limit child reader depth', () => {
+    const br = bio.read(Buffer.alloc(10), { limits: { maxDepth: 2 } });
+    const child = br.readChild(8).readChild(4);
+
+    assert.strictEqual(child.depth, 2);
+    assert.throws(() => child.readChild(1), /Nesting exceeds limit/);
+  });
+});
@@ -0,0 +1,310 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+const {msgpack} = bio;
+const {Ext, Timestamp} = msgpack;
+
+const VECTORS = [
+  [0, '00'],
+  [127, '7f'],
+  [128, 'cc80'],
+  [255, 'ccff'],
+  [256, 'cd0100'],
+  [65535, 'cdffff'],
+  [65536, 'ce00010000'],
+  [0xffffffff, 'ceffffffff'],
+  [0x100000000, 'cf0000000100000000'],
+  [Number.MAX_SAFE_INTEGER, 'cf001fffffffffffff'],
+  [2n ** 64n - 1n, 'cfffffffffffffffff'],
+  [-1, 'ff'],
+  [-32, 'e0'],
+  [-33, 'd0df'],
+  [-128, 'd080'],
+  [-129, 'd1ff7f'],
+  [-32768, 'd18000'],
+  [-32769, 'd2ffff7fff'],
+  [-0x80000000, 'd280000000'],
+  [-0x80000001, 'd3ffffffff7fffffff'],
+  [-(2n ** 63n), 'd38000000000000000'],
+  [1.5, 'cb3ff8000000000000'],
+  [Infinity, 'cb7ff0000000000000'],
+  [-Infinity, 'cbfff0000000000000'],
+  [NaN, 'cb7ff8000000000000'],
+  [null, 'c0'],
+  [false, 'c2'],
+  [true, 'c3'],
+  ['', 'a0'],
+  ['a', 'a161'],
+  ['x'.repeat(31), 'bf' + '78'.repeat(31)],
+  ['x'.repeat(32), 'd920' + '78'.repeat(32)],
+  ['x'.repeat(256), 'da0100' + '78'.repeat(256)],
+  ['ü', 'a2c3bc'],
+  [Buffer.alloc(0), 'c400'],
+  [Buffer.from('0102', 'hex'), 'c4020102'],
+  [Buffer.alloc(256, 1), 'c50100' + '01'.repeat(256)],
+  [[], '90'],
+  [[1, [2, 3]], '9201920203'],
+  [new Array(16).fill(0), 'dc0010' + '00'.repeat(16)],
+  [new Map(), '80'],
+  [new Map([['a', 1], [2, [true]]]), '82a1610102' + '91c3'],
+  [new Ext(5, Buffer.from('01', 'hex')), 'd40501'],
+  [new Ext(-5, Buffer.from('0102', 'hex')), 'd5fb0102'],
+  [new Ext(5, Buffer.alloc(16)), 'd805' + '00'.repeat(16)],
+  [new Ext(5, Buffer.alloc(0)), 'c70005'],
+  [new Ext(5, Buffer.alloc(3)), 'c70305000000'],
+  [new Ext(5, Buffer.alloc(256)), 'c8010005' + '00'.repeat(256)]
+];
+
+const TIMESTAMPS = [
+  [new Timestamp(0, 0), 'd6ff00000000'],
+  [new Timestamp(0xffffffff, 0), 'd6ffffffffff'],
+  [new Timestamp(1, 1), 'd7ff0000000400000001'],
+  [new Timestamp(2 ** 34 - 1, 999999999), 'd7ffee6b27ffffffffff'],
+  [new Timestamp(2 ** 34, 0), 'c70cff' + '00000000' + '0000000400000000'],
+  [new Timestamp(-1, 5), 'c70cff' + '00000005' + 'ffffffffffffffff'],
+  [new Timestamp(-(2n ** 63n), 0), 'c70cff' + '00000000' + '8000000000000000']
+];
+
+describe('MessagePack', function() {
+  it('should pack and unpack test vectors', () => {
+    for (const [value, hex] of VECTORS) {
+      assert.strictEqual(msgpack.pack(value).toString('hex'), hex);
+      assert.deepStrictEqual(msgpack.unpack(Buffer.from(hex, 'hex')), value);
+      assert.deepStrictEqual(msgpack.unpack(Buffer.from(hex, 'hex'), {
+        strict: true
+      }), value);
+    }
+  });
+
+  it('should use 32-bit formats', () => {
+    const str = 'x'.repeat(0x10000);
+    const bin = Buffer.alloc(0x10000);
+    const arr = new Array(0x10000).fill(0);
+
+    assert.strictEqual(msgpack.pack(str).toString('hex', 0, 5), 'db00010000');
+    assert.strictEqual(msgpack.pack(bin).toString('hex', 0, 5), 'c600010000');
+    assert.strictEqual(msgpack.pack(arr).toString('hex', 0, 5), 'dd00010000');
+    assert.strictEqual(msgpack.unpack(msgpack.pack(str)), str);
+    assert.deepStrictEqual(msgpack.unpack(msgpack.pack(bin)), bin);
+    assert.deepStrictEqual(msgpack.unpack(msgpack.pack(arr)), arr);
+  });
+
+  it('should decode objects and floats', () => {
+    const data = msgpack.pack({ a: 1, b: 'c' });
+
+    assert.strictEqual(data.toString('hex'), '82a16101a162a163');
+    assert.deepStrictEqual(msgpack.unpack(data),
+                           new Map([['a', 1], ['b', 'c']]));
+
+    assert.strictEqual(msgpack.unpack(Buffer.from('ca3fc00000', 'hex')), 1.5);
+    assert.strictEqual(msgpack.pack(2 ** 64).toString('hex'),
+                       'cb43f0000000000000');
+    assert.strictEqual(msgpack.pack(-0).toString('hex'),
+                       'cb8000000000000000');
+    assert(Object.is(msgpack.unpack(msgpack.pack(-0)), -0));
+  });
+
+  it('should decode 64-bit integers as bigints', () => {
+    const vectors = [
+      ['cf0020000000000000', 2n ** 53n],
+      ['d3ffdfffffffffffff', -(2n ** 53n) - 1n],
+      ['d3ffe0000000000001', -Number.MAX_SAFE_INTEGER]
+    ];
+
+    for (const [hex, num] of vectors) {
+      assert.strictEqual(msgpack.unpack(Buffer.from(hex, 'hex')), num);
+      assert.strictEqual(msgpack.pack(num).toString('hex'), hex);
+    }
+
+    assert.strictEqual(msgpack.pack(5n).toString('hex'), '05');
+    assert.throws(() => msgpack.pack(2n ** 64n), TypeError);
+    assert.throws(() => msgpack.pack(-(2n ** 63n) - 1n), TypeError);
+  });
+
+  it('should pack and unpack timestamps', () => {
+    for (const [ts, hex] of TIMESTAMPS) {
+      assert.strictEqual(msgpack.pack(ts).toString('hex'), hex);
+      assert.deepStrictEqual(msgpack.unpack(Buffer.from(hex, 'hex')), ts);
+    }
+
+    const date = new Date(Date.UTC(2020, 0, 1, 0, 0, 0, 123));
+    const ts = msgpack.unpack(msgpack.pack(date));
+
+    assert.strictEqual(ts.sec, 1577836800);
+    assert.strictEqual(ts.nsec, 123000000);
+    assert.strictEqual(ts.toDate().getTime(), date.getTime());
+
+    assert.deepStrictEqual(Timestamp.fromDate(new Date(-1)),
+                           new Timestamp(-1, 999000000));
+
+    assert.throws(() => msgpack.unpack(Buffer.from('d5ff0000', 'hex')), {
+      name: 'EncodingError',
+      message: /Invalid timestamp/
+    });
+    assert.throws(() => msgpack.unpack(Buffer.from('d7fffffffffc00000000',
+                                                   'hex')), {
+      message: /Invalid timestamp/
+    });
+    assert.throws(() => new Timestamp(0, 1e9), TypeError);
+  });
+
+  it('should use registered extensions', () => {
+    class Point {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+    }
+
+    msgpack.register(1, Point, (point) => {
+      return Buffer.from([point.x, point.y]);
+    }, (data) => {
+      return new Point(data[0], data[1]);
+    });
+
+    try {
+      const data = msgpack.pack([new Point(3, 4)]);
+
+      assert.strictEqual(data.toString('hex'), '91d5010304');
+      assert.deepStrictEqual(msgpack.unpack(data), [new Point(3, 4)]);
+    } finally {
+      assert.strictEqual(msgpack.unregister(1), true);
+    }
+
+    assert.deepStrictEqual(msgpack.unpack(Buffer.from('d5010304', 'hex')),
+                           new Ext(1, Buffer.from('0304', 'hex')));
+
+    assert.throws(() => msgpack.register(-1, Point, String, String),
+                  TypeError);
+    assert.throws(() => msgpack.register(128, Point, String, String),
+                  TypeError);
+  });
+
+  it('should decode bin without copying', () => {
+    const data = Buffer.from('92c40201020a', 'hex');
+
+    const copy = msgpack.unpack(data)[0];
+    const slice = msgpack.unpack(data, { zeroCopy: true })[0];
+
+    assert.deepStrictEqual(copy, Buffer.from('0102', 'hex'));
+    assert.deepStrictEqual(slice, Buffer.from('0102', 'hex'));
+
+    data[3] = 0xff;
+
+    assert.strictEqual(copy[0], 0x01);
+    assert.strictEqual(slice[0], 0xff);
+  });
+
+  it('should reject non-minimal encodings in strict mode', () => {
+    const vectors = [
+      ['cc7f', 'Non-minimal integer'],
+      ['cd00ff', 'Non-minimal integer'],
+      ['cf00000000ffffffff', 'Non-minimal integer'],
+      ['d0e0', 'Non-minimal integer'],
+      ['d005', 'Non-minimal integer'],
+      ['d1ff80', 'Non-minimal integer'],
+      ['d3ffffffff80000000', 'Non-minimal integer'],
+      ['d90161', 'Non-minimal size'],
+      ['c5000100', 'Non-minimal size'],
+      ['dc000100', 'Non-minimal size'],
+      ['de0000', 'Non-minimal size'],
+      ['c7010501', 'Non-minimal size'],
+      ['82a16101a16102', 'Duplicate map key'],
+      ['82c4010101c4010102', 'Duplicate map key']
+    ];
+
+    for (const [hex, reason] of vectors) {
+      const data = Buffer.from(hex, 'hex');
+
+      assert.throws(() => msgpack.unpack(data, { strict: true }), {
+        name: 'NonCanonicalError',
+        message: new RegExp(reason)
+      });
+
+      msgpack.unpack(data);
+    }
+  });
+
+  it('should accept distinct map keys in strict mode', () => {
+    const data = Buffer.from('8301c3c40101c3c40102c2', 'hex');
+
+    assert.deepStrictEqual(msgpack.unpack(data, { strict: true }), new Map([
+      [1, true],
+      [Buffer.from('01', 'hex'), true],
+      [Buffer.from('02', 'hex'), false]
+    ]));
+
+    assert.deepStrictEqual(msgpack.unpack(Buffer.from('82a16101a16102', 'hex')),
+                           new Map([['a', 2]]));
+
+    // Keys are compared by encoding: 1 and 1.0 differ.
+    const mixed = Buffer.from('820102cb3ff000000000000003', 'hex');
+
+    assert.deepStrictEqual(msgpack.unpack(mixed, { strict: true }),
+                           new Map([[1, 3]]));
+  });
+
+  it('should reject invalid encodings', () => {
+    const vectors = [
+      ['c1', 'Invalid format'],
+      ['a2c328', 'Invalid UTF-8'],
+      ['0000', 'Trailing data']
+    ];
+
+    for (const [hex, reason] of vectors) {
+      assert.throws(() => msgpack.unpack(Buffer.from(hex, 'hex')), {
+        name: reason === 'Trailing data' ? 'TrailingDataError'
+                                         : 'EncodingError',
+        message: new RegExp(reason)
+      });
+    }
+
+    for (const hex of ['cd00', 'a261', 'c40301', 'dd0000ffff00', '8201']) {
+      assert.throws(() => msgpack.unpack(Buffer.from(hex, 'hex')), {
+        code: 'ERR_OUT_OF_BOUNDS'
+      });
+    }
+
+    assert.throws(() => msgpack.pack(Symbol('x')), TypeError);
+    assert.throws(() => msgpack.pack(new Date(NaN)), TypeError);
+    assert.throws(() => new Ext(128, Buffer.alloc(0)), TypeError);
+  });
+
+  it('should enforce limits', () => {
+    const nested = Buffer.from('9191919100', 'hex');
+
+    assert.deepStrictEqual(msgpack.unpack(nested), [[[[0]]]]);
+
+    assert.throws(() => msgpack.unpack(nested, { limits: { maxDepth: 3 } }), {
+      name: 'LimitError',
+      message: /Nesting exceeds limit/
+    });
+
+    assert.throws(() => msgpack.unpack(Buffer.alloc(1000, 0x91)), {
+      name: 'LimitError',
+      message: /Nesting exceeds limit/
+    });
+
+    const str = msgpack.pack('x'.repeat(100));
+
+    assert.throws(() => msgpack.unpack(str, { limits: { maxString: 99 } }), {
+      name: 'LimitError'
+    });
+
+    const bin = msgpack.pack(Buffer.alloc(100));
+
+    assert.throws(() => msgpack.unpack(bin, { limits: { maxAlloc: 99 } }), {
+      name: 'LimitError'
+    });
+
+    const cyclic = {};
+
+    cyclic.self = cyclic;
+
+    assert.throws(() => msgpack.pack(cyclic), TypeError);
+  });
+});
@@ -0,0 +1,361 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+const {ProtoReader, ProtoWriter} = bio;
+const {types} = bio.proto;
+
+const SCALARS = [
+  ['int32', 150, '089601'],
+  ['int32', -1, '08ffffffffffffffffff01'],
+  ['int32', -2147483648, '0880808080f8ffffffff01'],
+  ['int64', -1n, '08ffffffffffffffffff01'],
+  ['int64', 2n ** 63n - 1n, '08ffffffffffffffff7f'],
+  ['uint32', 0xffffffff, '08ffffffff0f'],
+  ['uint64', 2n ** 64n - 1n, '08ffffffffffffffffff01'],
+  ['sint32', 0, '0800'],
+  ['sint32', -1, '0801'],
+  ['sint32', 1, '0802'],
+  ['sint32', -2147483648, '08ffffffff0f'],
+  ['sint64', -(2n ** 63n), '08ffffffffffffffffff01'],
+  ['bool', true, '0801'],
+  ['enum', -3, '08fdffffffffffffffff01'],
+  ['fixed32', 0xdeadbeef, '0defbeadde'],
+  ['sfixed32', -2, '0dfeffffff'],
+  ['fixed64', 2n ** 64n - 1n, '09ffffffffffffffff'],
+  ['sfixed64', -2n, '09feffffffffffffff'],
+  ['float', 1.5, '0d0000c03f'],
+  ['double', -0.25, '09000000000000d0bf']
+];
+
+class Inner extends bio.Struct {
+  constructor() {
+    super();
+    this.a = 0;
+  }
+
+  write(bw) {
+    new ProtoWriter(bw).writeInt32(1, this.a);
+    return bw;
+  }
+
+  read(br) {
+    const pr = new ProtoReader(br);
+
+    while (pr.left() > 0) {
+      const {field} = pr.readTag();
+
+      if (field === 1)
+        this.a = pr.readInt32();
+      else
+        pr.skip();
+    }
+
+    return this;
+  }
+}
+
+class Outer extends bio.Struct {
+  constructor() {
+    super();
+    this.name = '';
+    this.inner = new Inner();
+    this.values = [];
+    this.id = 0n;
+  }
+
+  write(bw) {
+    const pw = new ProtoWriter(bw);
+
+    pw.writeString(2, this.name);
+    pw.writeStruct(3, this.inner);
+    pw.writePacked(4, 'uint32', this.values);
+    pw.writeFixed64(5, this.id);
+
+    return bw;
+  }
+
+  read(br) {
+    const pr = new ProtoReader(br);
+
+    while (pr.left() > 0) {
+      const {field} = pr.readTag();
+
+      switch (field) {
+        case 2:
+          this.name = pr.readString();
+          break;
+        case 3:
+          this.inner = pr.readStruct(Inner);
+          break;
+        case 4:
+          this.values.push(...pr.readRepeated('uint32'));
+          break;
+        case 5:
+          this.id = pr.readFixed64();
+          break;
+        default:
+          pr.skip();
+          break;
+      }
+    }
+
+    return this;
+  }
+}
+
+function proto(hex) {
+  return new ProtoReader(Buffer.from(hex, 'hex'));
+}
+
+describe('Protobuf', function() {
+  it('should encode scalar fields', () => {
+    for (const [type, value, hex] of SCALARS) {
+      const data = new ProtoWriter().writeField(1, type, value).render();
+
+      assert.strictEqual(data.toString('hex'), hex, type);
+
+      const pr = proto(hex);
+      const tag = pr.readTag();
+
+      assert.strictEqual(tag.field, 1);
+      assert.strictEqual(pr.readField(type), value);
+      pr.verifyEnd();
+    }
+
+    // Values are truncated to the field's width.
+    const pr = proto('08ffffffffffffffffff01');
+
+    pr.readTag();
+
+    assert.strictEqual(pr.readUInt32(), 0xffffffff);
+  });
+
+  it('should encode non-finite floats', () => {
+    const vectors = [
+      [pw => pw.writeFloat(1, NaN), '0d0000c07f'],
+      [pw => pw.writeFloat(1, -Infinity), '0d000080ff'],
+      [pw => pw.writeDouble(1, Infinity), '09000000000000f07f'],
+      [pw => pw.writeDouble(1, NaN), '09000000000000f87f'],
+      [pw => pw.writePacked(1, 'float', [NaN]), '0a040000c07f'],
+      [pw => pw.writePacked(1, 'double', [-Infinity]),
+       '0a08000000000000f0ff']
+    ];
+
+    for (const [write, hex] of vectors)
+      assert.strictEqual(write(new ProtoWriter()).render().toString('hex'), hex);
+
+    const pr = proto('0d0000c07f' + '09000000000000f07f');
+
+    pr.readTag();
+    assert(Number.isNaN(pr.readFloat()));
+    pr.readTag();
+    assert.strictEqual(pr.readDouble(), Infinity);
+  });
+
+  it('should encode tags', () => {
+    const data = new ProtoWriter()
+      .writeTag(1, types.VARINT)
+      .writeTag(16, types.LEN)
+      .writeTag(bio.proto.MAX_FIELD, types.I32)
+      .render();
+
+    assert.strictEqual(data.toString('hex'), '088201fdffffff0f');
+
+    const pr = new ProtoReader(data);
+
+    assert.deepStrictEqual({ ...pr.peekTag() }, { field: 1, type: 0 });
+    assert.deepStrictEqual({ ...pr.readTag() }, { field: 1, type: 0 });
+    assert.deepStrictEqual({ ...pr.readTag() }, { field: 16, type: 2 });
+    assert.deepStrictEqual({ ...pr.readTag() }, {
+      field: bio.proto.MAX_FIELD,
+      type: 5
+    });
+
+    assert.throws(() => new ProtoWriter().writeTag(0, 0), TypeError);
+    assert.throws(() => new ProtoWriter().writeTag(1, 6), TypeError);
+  });
+
+  it('should write and read messages', () => {
+    const pw = new ProtoWriter();
+
+    pw.writeString(2, 'testing');
+    pw.startMessage(3).writeInt32(1, 150).end();
+    pw.writePacked(4, 'uint32', [3, 270, 86942]);
+    pw.writePacked(5, 'sint32', []);
+    pw.writeBytes(6, Buffer.from('0102', 'hex'));
+
+    const data = pw.render();
+
+    assert.strictEqual(data.toString('hex'),
+      '120774657374696e67' + '1a03089601' + '2206038e029ea705' + '32020102');
+
+    const pr = new ProtoReader(data);
+
+    pr.readTag();
+    assert.strictEqual(pr.readString(), 'testing');
+
+    pr.readTag();
+    const inner = pr.readMessage();
+
+    assert.strictEqual(inner.readTag().field, 1);
+    assert.strictEqual(inner.readInt32(), 150);
+    inner.verifyEnd();
+
+    pr.readTag();
+    assert.deepStrictEqual(pr.readRepeated('uint32'), [3, 270, 86942]);
+
+    pr.readTag();
+    assert.deepStrictEqual(pr.readBytes(), Buffer.from('0102', 'hex'));
+    pr.verifyEnd();
+  });
+
+  it('should read unpacked repeated fields', () => {
+    const pr = proto('2003' + '2203038e02');
+    const values = [];
+
+    while (pr.left() > 0) {
+      pr.readTag();
+      values.push(...pr.readRepeated('uint32'));
+    }
+
+    assert.deepStrictEqual(values, [3, 3, 270]);
+  });
+
+  it('should skip unknown fields', () => {
+    const pr = proto('089601' + '110102030405060708'
+                     + '1a03089601' + '1d01020304'
+                     + '2b0801330a00342c' + '3801');
+
+    for (let i = 0; i < 5; i++) {
+      pr.readTag();
+      pr.skip();
+    }
+
+    assert.strictEqual(pr.readTag().field, 7);
+    assert.strictEqual(pr.readBool(), true);
+    pr.verifyEnd();
+  });
+
+  it('should encode structs', () => {
+    const outer = new Outer();
+
+    outer.name = 'testing';
+    outer.inner.a = 150;
+    outer.values = [3, 270, 86942];
+    outer.id = 1n;
+
+    const data = outer.encode();
+
+    assert.strictEqual(data.toString('hex'),
+      '120774657374696e67' + '1a03089601' + '2206038e029ea705'
+      + '290100000000000000');
+
+    // Unknown fields (1 and 8) are skipped.
+    const extra = Buffer.concat([
+      Buffer.from('0801', 'hex'),
+      data,
+      Buffer.from('4204ffffffff', 'hex')
+    ]);
+
+    const copy = Outer.decode(extra);
+
+    assert.strictEqual(copy.name, 'testing');
+    assert.strictEqual(copy.inner.a, 150);
+    assert.deepStrictEqual(copy.values, [3, 270, 86942]);
+    assert.strictEqual(copy.id, 1n);
+  });
+
+  it('should reject invalid encodings', () => {
+    const read = (hex, fn) => {
+      const pr = proto(hex);
+      pr.readTag();
+      return fn(pr);
+    };
+
+    assert.throws(() => proto('0e').readTag(), {
+      name: 'EncodingError',
+      message: /Invalid wire type/
+    });
+    assert.throws(() => proto('0001').readTag(), {
+      message: /Invalid field number/
+    });
+    assert.throws(() => proto('808080808001').readTag(), {
+      message: /Invalid field number/
+    });
+    assert.throws(() => read('0d01020304', pr => pr.readInt32()), {
+      name: 'EncodingError',
+      message: /Unexpected wire type/
+    });
+    assert.throws(() => read('0a0161', pr => pr.readInt32()), {
+      message: /Unexpected wire type/
+    });
+    assert.throws(() => read('0a0280ff', pr => pr.readString()), {
+      message: /Invalid UTF-8/
+    });
+    assert.throws(() => read('0c', pr => pr.skip()), {
+      message: /Unexpected end group/
+    });
+    assert.throws(() => read('0b14', pr => pr.skip()), {
+      message: /Mismatched end group/
+    });
+    assert.throws(() => read('08ffffffffffffffffff7f', pr => pr.readInt64()), {
+      message: /Number exceeds 2\^64-1/
+    });
+    assert.throws(() => read('0a0501', pr => pr.readBytes()), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => read('0a0501', pr => pr.skip()), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => read('0a8080808010', pr => pr.readMessage()), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+    assert.throws(() => proto('0801').readInt32(), /without a tag/);
+    assert.throws(() => read('0801', (pr) => {
+      pr.readInt32();
+      return pr.readInt32();
+    }), /without a tag/);
+    assert.throws(() => proto('0800').verifyEnd(), {
+      name: 'TrailingDataError'
+    });
+  });
+
+  it('should reject invalid values', () => {
+    const pw = new ProtoWriter();
+
+    assert.throws(() => pw.writeInt32(1, 2 ** 31), TypeError);
+    assert.throws(() => pw.writeUInt32(1, -1), TypeError);
+    assert.throws(() => pw.writeInt64(1, 2n ** 63n), TypeError);
+    assert.throws(() => pw.writeUInt64(1, -1n), TypeError);
+    assert.throws(() => pw.writeSInt64(1, 1.5), TypeError);
+    assert.throws(() => pw.writeBool(1, 1), TypeError);
+    assert.throws(() => pw.writeField(1, 'string', ''), TypeError);
+    assert.throws(() => pw.writePacked(1, 'bytes', []), TypeError);
+    assert.throws(() => new ProtoWriter().startMessage(1).render(),
+                  /open message/);
+    assert.throws(() => new ProtoWriter().end(), /open message/);
+  });
+
+  it('should enforce limits', () => {
+    const data = Buffer.from('0b' + '13'.repeat(4) + '14'.repeat(4) + '0c',
+                             'hex');
+    const skip = (pr) => {
+      pr.readTag();
+      pr.skip();
+      return pr;
+    };
+
+    skip(new ProtoReader(data)).verifyEnd();
+
+    const br = new bio.BufferReader(data, { limits: { maxDepth: 4 } });
+
+    assert.throws(() => skip(new ProtoReader(br)), {
+      name: 'LimitError',
+      message: /Nesting exceeds limit/
+    });
+  });
+});
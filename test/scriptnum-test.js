@@ -0,0 +1,142 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+const VECTORS = [
+  [0, '00'],
+  [-1, '4f'],
+  [1, '51'],
+  [16, '60'],
+  [17, '0111'],
+  [-2, '0182'],
+  [127, '017f'],
+  [-127, '01ff'],
+  [128, '028000'],
+  [-128, '028080'],
+  [255, '02ff00'],
+  [256, '020001'],
+  [-255, '02ff80'],
+  [32767, '02ff7f'],
+  [32768, '03008000'],
+  [227931, '035b7a03'], // BIP34 coinbase height.
+  [0x7fffffff, '04ffffff7f'],
+  [-0x7fffffff, '04ffffffff']
+];
+
+function read(hex, maxSize, minimal) {
+  return bio.read(Buffer.from(hex, 'hex')).readScriptNum(maxSize, minimal);
+}
+
+describe('ScriptNum', function() {
+  it('should encode script numbers', () => {
+    for (const [num, hex] of VECTORS) {
+      const raw = Buffer.from(hex, 'hex');
+      const data = Buffer.alloc(raw.length);
+
+      assert.strictEqual(bio.sizeScriptNum(num), raw.length);
+      assert.strictEqual(bio.writeScriptNum(data, num, 0), raw.length);
+      assert.deepStrictEqual(data, raw);
+
+      const {size, value} = bio.readScriptNum(raw, 0);
+
+      assert.strictEqual(size, raw.length);
+      assert.strictEqual(value, num);
+    }
+  });
+
+  it('should read and write script numbers with readers and writers', () => {
+    const bw = bio.write();
+
+    let total = 0;
+
+    for (const [num] of VECTORS) {
+      bw.writeScriptNum(num);
+      total += bio.sizeScriptNum(num);
+    }
+
+    const data = bw.render();
+    const sw = bio.write(total);
+
+    for (const [num] of VECTORS)
+      sw.writeScriptNum(num);
+
+    assert.deepStrictEqual(sw.render(), data);
+
+    const br = bio.read(data);
+
+    for (const [num] of VECTORS) {
+      assert.strictEqual(br.peekScriptNum(), num);
+      assert.strictEqual(br.readScriptNum(), num);
+    }
+
+    assert.strictEqual(br.left(), 0);
+  });
+
+  it('should enforce a max size', () => {
+    assert.strictEqual(read('050000008000', 5), 0x80000000);
+    assert.strictEqual(bio.readScriptNum(Buffer.from('0500000080ff', 'hex'),
+                                         0, 5).value, -0x7f80000000);
+
+    assert.throws(() => read('050000008000'), {
+      name: 'EncodingError',
+      message: /Script number overflow/
+    });
+
+    assert.throws(() => read('0100', 0), {
+      name: 'EncodingError',
+      message: /Script number overflow/
+    });
+  });
+
+  it('should reject non-minimal encodings', () => {
+    for (const hex of ['020100', '0100', '0180', '03ff0080']) {
+      assert.throws(() => read(hex), {
+        name: 'NonCanonicalError',
+        message: /Non-minimal script number/
+      });
+    }
+
+    for (const hex of ['0101', '0110', '0181', '4c0111', '4d0100ff']) {
+      assert.throws(() => read(hex), {
+        name: 'NonCanonicalError',
+        message: /Non-minimal push/
+      });
+    }
+
+    assert.ok(new bio.NonCanonicalError(0, '') instanceof bio.EncodingError);
+  });
+
+  it('should allow non-minimal encodings', () => {
+    assert.strictEqual(read('020100', 4, false), 1);
+    assert.strictEqual(read('0180', 4, false), 0);
+    assert.strictEqual(read('0101', 4, false), 1);
+    assert.strictEqual(read('4c0111', 4, false), 17);
+    assert.strictEqual(read('4d0100ff', 4, false), -127);
+    assert.strictEqual(read('4e0000000000', 4, false), 0);
+  });
+
+  it('should reject invalid pushes', () => {
+    assert.throws(() => read('61'), {
+      name: 'EncodingError',
+      message: /Invalid script number push/
+    });
+
+    assert.throws(() => read('03ffff'), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+
+    assert.throws(() => read('4d01'), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+
+    assert.throws(() => bio.writeScriptNum(Buffer.alloc(2), 128, 0), {
+      code: 'ERR_OUT_OF_BOUNDS'
+    });
+
+    assert.throws(() => bio.write().writeScriptNum(1.5), TypeError);
+  });
+});
@@ -0,0 +1,143 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const bio = require('../lib/bufio');
+
+function strict(hex) {
+  return bio.read(Buffer.from(hex, 'hex'), { strict: true });
+}
+
+function loose(hex) {
+  return bio.read(Buffer.from(hex, 'hex'));
+}
+
+class Point extends bio.Struct {
+  constructor() {
+    super();
+    this.x = 0;
+    this.name = '';
+  }
+
+  write(bw) {
+    bw.writeU16(this.x);
+    bw.writeVarString(this.name, 'utf8');
+    return bw;
+  }
+
+  read(br) {
+    this.x = br.readU16();
+    this.name = br.readVarString('utf8');
+    return this;
+  }
+}
+
+describe('Strict', function() {
+  it('should reject non-minimal integers', () => {
+    assert.strictEqual(strict('0100').readU(1), 1);
+    assert.strictEqual(strict('0100').readUBE(2), 256);
+    assert.strictEqual(strict('ff7f').readI(2), 0x7fff);
+    assert.strictEqual(strict('ff7f').readIBE(2), -129);
+    assert.strictEqual(loose('010000').readU(3), 1);
+
+    assert.throws(() => strict('010000').readU(3), {
+      code: 'ERR_NON_CANONICAL',
+      reason: 'Non-minimal integer'
+    });
+
+    assert.throws(() => strict('0001').readUBE(3), bio.OutOfBoundsError);
+    assert.throws(() => strict('000001').readUBE(3), bio.NonCanonicalError);
+    assert.throws(() => strict('0100').readI(2), bio.NonCanonicalError);
+    assert.throws(() => strict('ffff').readIBE(2), bio.NonCanonicalError);
+    assert.throws(() => strict('80ff').readI(2), bio.NonCanonicalError);
+  });
+
+  it('should reject negative zero and non-canonical NaN', () => {
+    assert(Number.isNaN(strict('0000c07f').readFloat()));
+    assert(Number.isNaN(strict('7ff8000000000000').readDoubleBE()));
+    assert(Number.isNaN(loose('0100c07f').readFloat()));
+    assert(Object.is(loose('00000080').readFloat(), -0));
+
+    assert.throws(() => strict('00000080').readFloat(), {
+      reason: 'Negative zero'
+    });
+
+    assert.throws(() => strict('8000000000000000').readDoubleBE(), {
+      reason: 'Negative zero'
+    });
+
+    assert.throws(() => strict('0100c07f').readFloat(), {
+      reason: 'Non-canonical NaN'
+    });
+
+    assert.throws(() => strict('7fc00001').readFloatBE(), {
+      reason: 'Non-canonical NaN'
+    });
+
+    assert.throws(() => strict('010000000000f87f').readDouble(), {
+      reason: 'Non-canonical NaN'
+    });
+
+    assert.throws(() => strict('fff8000000000000').readDoubleBE(), {
+      reason: 'Non-canonical NaN'
+    });
+  });
+
+  it('should reject invalid UTF-8', () => {
+    assert.strictEqual(strict('03e282ac').readVarString('utf8'), '€');
+    assert.strictEqual(strict('f09f9880').readString(4, 'utf8'),
+                       '😀');
+    assert.strictEqual(strict('c0af').readString(2, 'binary'), 'À¯');
+
+    for (const hex of ['c0af', 'e080af', 'eda080', 'f4908080', 'e282', 'ff'])
+      assert.throws(() => strict(hex).readString(hex.length / 2, 'utf8'), {
+        reason: 'Invalid UTF-8'
+      });
+
+    assert.throws(() => strict('61ff00').readNullString('utf8'),
+                  bio.NonCanonicalError);
+  });
+
+  it('should reject trailing data', () => {
+    const br = strict('0102');
+
+    br.readU8();
+
+    assert.throws(() => br.verifyEnd(), {
+      code: 'ERR_TRAILING_DATA',
+      offset: 1
+    });
+
+    br.readU8();
+    br.verifyEnd();
+
+    const pt = new Point();
+
+    pt.x = 1;
+    pt.name = 'café';
+
+    const raw = bio.concat(pt.encode(), Buffer.alloc(1));
+
+    assert.strictEqual(Point.decode(raw).name, pt.name);
+    assert.strictEqual(Point.decode(pt.encode(), null, { strict: true }).x, 1);
+
+    assert.throws(() => Point.decode(raw, null, { strict: true }),
+                  bio.TrailingDataError);
+
+    assert.throws(() => Point.decode(raw, null, {
+      limits: { maxString: 4 }
+    }), {
+      name: 'LimitError'
+    });
+  });
+
+  it('should apply to child readers', () => {
+    const br = strict('02ff00');
+    const child = br.readChild(2);
+
+    assert.strictEqual(child.strict, true);
+    assert.throws(() => child.readString(2, 'utf8'), bio.NonCanonicalError);
+  });
+});
@@ -4,6 +4,7 @@
 'use strict';
 
 const assert = require('assert');
+const bio = require('../lib/bufio');
 const encoding = require('../lib/encoding');
 
 const unsigned = [
@@ -184,6 +185,107 @@ describe('bufio', function() {
     assert.deepStrictEqual(b, Buffer.from([0x8e, 0xfe, 0xfe, 0xff, 0x00]));
   });
 
+  it('should write+read LEB128 varints', () => {
+    const vectors = [
+      ['ULEB128', 0, '00'],
+      ['ULEB128', 127, '7f'],
+      ['ULEB128', 624485, 'e58e26'],
+      ['ULEB128', Number.MAX_SAFE_INTEGER, 'ffffffffffffff0f'],
+      ['SLEB128', 0, '00'],
+      ['SLEB128', -1, '7f'],
+      ['SLEB128', 63, '3f'],
+      ['SLEB128', 64, 'c000'],
+      ['SLEB128', -65, 'bf7f'],
+      ['SLEB128', -123456, 'c0bb78'],
+      ['SLEB128', -Number.MAX_SAFE_INTEGER, '8180808080808070'],
+      ['ZigZag', 0, '00'],
+      ['ZigZag', -1, '01'],
+      ['ZigZag', 1, '02'],
+      ['ZigZag', -64, '7f'],
+      ['ZigZag', 64, '8001'],
+      ['BigULEB128', (BigInt(1) << BigInt(64)) - BigInt(1),
+       'ffffffffffffffffff01'],
+      ['BigSLEB128', -(BigInt(1) << BigInt(63)), '8080808080808080807f'],
+      ['BigSLEB128', BigInt(-123456), 'c0bb78'],
+      ['BigZigZag', -(BigInt(1) << BigInt(63)), 'ffffffffffffffffff01']
+    ];
+
+    for (const [name, num, hex] of vectors) {
+      const size = encoding[`size${name}`](num);
+      const bw = bio.write(size);
+
+      bw[`write${name}`](num);
+
+      const data = bw.render();
+
+      assert.strictEqual(data.toString('hex'), hex);
+      assert.strictEqual(bio.write()[`write${name}`](num).render()
+        .toString('hex'), hex);
+
+      const br = bio.read(data);
+
+      assert.strictEqual(br[`read${name}`](), num);
+      assert.strictEqual(br.left(), 0);
+    }
+  });
+
+  it('should reject invalid LEB128 varints', () => {
+    const long = Buffer.from('8080808080808080808000', 'hex');
+
+    assert.strictEqual(encoding.readULEB128(long, 0).value, 0);
+    assert.strictEqual(encoding.readSLEB128(Buffer.from('ff7f', 'hex'), 0)
+      .value, -1);
+
+    assert.throws(() => encoding.readULEB128(Buffer.from('80', 'hex'), 0),
+                  /Out of bounds read/);
+    assert.throws(() => encoding.readULEB128(Buffer.from('ffffffffffffff1f',
+                                                         'hex'), 0),
+                  /Number exceeds 2\^53-1/);
+    assert.throws(() => encoding.readBigULEB128(Buffer.from(
+      'ffffffffffffffffff03', 'hex'), 0), /Number exceeds 2\^64-1/);
+    assert.throws(() => encoding.readBigSLEB128(Buffer.from(
+      'ffffffffffffffffff01', 'hex'), 0), /Number exceeds 2\^63-1/);
+    assert.throws(() => bio.writeULEB128(Buffer.alloc(1), 128, 0),
+                  /Out of bounds write/);
+    assert.throws(() => bio.write(1).writeULEB128(128),
+                  /Out of bounds write/);
+  });
+
+  it('should peek without advancing', () => {
+    const bw = bio.write();
+
+    bw.writeU8(0xfd);
+    bw.writeU16BE(0x1234);
+    bw.writeVarint(0x10000);
+    bw.writeBigU64(BigInt(1) << BigInt(63));
+
+    const br = bio.read(bw.render());
+
+    assert.strictEqual(br.peekU8(), 0xfd);
+    assert.strictEqual(br.peekU8(), br.readU8());
+    assert.strictEqual(br.peekU16BE(), 0x1234);
+    assert.deepStrictEqual(br.peekBytes(2), Buffer.from([0x12, 0x34]));
+    assert.strictEqual(br.offset, 1);
+
+    br.seek(2);
+
+    assert.strictEqual(br.peekVarint(), 0x10000);
+    assert.strictEqual(br.peekU8(), 0xfe);
+    assert.strictEqual(br.readVarint(), 0x10000);
+    assert.strictEqual(br.peekBigU64(), BigInt(1) << BigInt(63));
+    assert.throws(() => br.peekU64(), /Number exceeds 2\^53-1/);
+
+    br.seek(4);
+
+    assert.throws(() => br.peekBytes(5), bio.EncodingError);
+    assert.strictEqual(br.left(), 4);
+
+    const short = bio.read(Buffer.from([0xfd, 0x00]));
+
+    assert.throws(() => short.peekVarint(), bio.EncodingError);
+    assert.strictEqual(short.offset, 0);
+  });
+
   for (const [bits, , num] of unsigned) {
     it(`should write+read a ${bits} bit unsigned int`, () => {
       const buf2 = Buffer.alloc(8);